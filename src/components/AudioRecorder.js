@@ -0,0 +1,255 @@
+import * as Tone from 'tone';
+import { encodeWAV } from './utils/wavEncoder.js';
+
+// Capture processor for WAV takes. Loaded from a Blob URL so it ships inside the bundle.
+const CAPTURE_PROCESSOR_NAME = 'master-capture-processor';
+const CAPTURE_PROCESSOR_SOURCE = `
+class MasterCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = true;
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.recording = false;
+                this.port.postMessage({ done: true });
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (this.recording && input && input.length > 0) {
+            // Copy - the engine reuses the input arrays between blocks
+            this.port.postMessage({ channels: input.map(channel => channel.slice()) });
+        }
+        return this.recording;
+    }
+}
+
+registerProcessor('${CAPTURE_PROCESSOR_NAME}', MasterCaptureProcessor);
+`;
+
+export const RECORDING_FORMATS = {
+    wav: { label: 'WAV', extension: 'wav' },
+    webm: { label: 'WebM/Opus', extension: 'webm' }
+};
+
+/**
+ * AudioRecorder
+ * Records the master output (the masterLimiter of OptimizedSoundManager) while
+ * the network plays. WebM/Opus takes use a MediaRecorder (Tone.Recorder); WAV
+ * takes capture the raw samples with an AudioWorklet so nothing is lost to
+ * compression.
+ */
+export class AudioRecorder {
+    /**
+     * @param {OptimizedSoundManager} soundManager - Provides the masterLimiter to tap
+     */
+    constructor(soundManager) {
+        this.soundManager = soundManager;
+
+        this.isRecording = false;
+        this.format = 'wav';
+        this.startedAt = 0;
+
+        // Active capture (one of these is set while recording)
+        this.mediaRecorder = null;
+        this.captureNode = null;
+        this.capturedChannels = null;
+
+        this.workletLoaded = null;
+    }
+
+    /**
+     * Whether a format can be recorded in this browser
+     * @param {string} format - 'wav' or 'webm'
+     * @returns {boolean}
+     */
+    static isSupported(format) {
+        if (format === 'webm') {
+            return Tone.Recorder.supported;
+        }
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+
+    /**
+     * Start recording the master output
+     * @param {string} format - 'wav' or 'webm'
+     * @returns {Promise<void>}
+     */
+    async start(format = this.format) {
+        if (this.isRecording) return;
+
+        const source = this.soundManager && this.soundManager.masterLimiter;
+        if (!source) {
+            throw new Error('Master output is not available');
+        }
+        if (!RECORDING_FORMATS[format]) {
+            throw new Error(`Unknown recording format: ${format}`);
+        }
+        if (!AudioRecorder.isSupported(format)) {
+            throw new Error(`${RECORDING_FORMATS[format].label} recording is not supported in this browser`);
+        }
+
+        // Recording needs a running context - this is called from a click, so start it here
+        await Tone.start();
+
+        if (format === 'webm') {
+            this.mediaRecorder = new Tone.Recorder({ mimeType: this.getWebMMimeType() });
+            source.connect(this.mediaRecorder);
+            await this.mediaRecorder.start();
+        } else {
+            await this.startCapture(source);
+        }
+
+        this.format = format;
+        this.isRecording = true;
+        this.startedAt = performance.now();
+
+        console.log(`%c[RECORDER] Recording master output as ${RECORDING_FORMATS[format].label}`, "color: #ff3366; font-weight: bold;");
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob>} The recorded take
+     */
+    async stop() {
+        if (!this.isRecording) {
+            throw new Error('Not recording');
+        }
+
+        this.isRecording = false;
+        const source = this.soundManager.masterLimiter;
+
+        let blob;
+        if (this.mediaRecorder) {
+            blob = await this.mediaRecorder.stop();
+            source.disconnect(this.mediaRecorder);
+            this.mediaRecorder.dispose();
+            this.mediaRecorder = null;
+        } else {
+            blob = await this.stopCapture(source);
+        }
+
+        console.log(`%c[RECORDER] Stopped after ${(this.getElapsed() / 1000).toFixed(1)}s (${(blob.size / 1024).toFixed(0)} KB)`, "color: #ff3366; font-weight: bold;");
+        return blob;
+    }
+
+    /**
+     * Stop recording and download the take
+     * @returns {Promise<string>} The downloaded file name
+     */
+    async stopToFile() {
+        const blob = await this.stop();
+        const extension = RECORDING_FORMATS[this.format].extension;
+        const name = `neural-oscillator-take-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return name;
+    }
+
+    /**
+     * Time since recording started
+     * @returns {number} Milliseconds (0 when not recording)
+     */
+    getElapsed() {
+        return this.startedAt ? performance.now() - this.startedAt : 0;
+    }
+
+    getWebMMimeType() {
+        const types = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    async startCapture(source) {
+        const context = Tone.getContext();
+
+        if (!this.workletLoaded) {
+            const url = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR_SOURCE], { type: 'application/javascript' }));
+            this.workletLoaded = context.addAudioWorkletModule(url)
+                .catch(error => {
+                    // Allow another attempt on the next take
+                    this.workletLoaded = null;
+                    throw error;
+                })
+                .finally(() => URL.revokeObjectURL(url));
+        }
+        await this.workletLoaded;
+
+        this.capturedChannels = [[], []];
+        this.captureNode = context.createAudioWorkletNode(CAPTURE_PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+
+        this.captureNode.port.onmessage = (event) => {
+            if (!event.data.channels) return;
+            event.data.channels.forEach((samples, channel) => {
+                if (this.capturedChannels[channel]) {
+                    this.capturedChannels[channel].push(samples);
+                }
+            });
+        };
+
+        source.connect(this.captureNode);
+        // Keep the node pulled by the graph - its output is silent
+        this.captureNode.connect(context.rawContext.destination);
+    }
+
+    stopCapture(source) {
+        const node = this.captureNode;
+        const context = Tone.getContext();
+
+        return new Promise(resolve => {
+            const previousHandler = node.port.onmessage;
+            node.port.onmessage = (event) => {
+                if (!event.data.done) {
+                    previousHandler(event);
+                    return;
+                }
+
+                source.disconnect(node);
+                node.disconnect();
+                this.captureNode = null;
+
+                const channels = this.capturedChannels.map(blocks => this.joinBlocks(blocks));
+                this.capturedChannels = null;
+                if (channels[1].length !== channels[0].length) {
+                    // Mono input - duplicate it so the file is always stereo
+                    channels[1] = channels[0];
+                }
+
+                resolve(encodeWAV({
+                    numberOfChannels: channels.length,
+                    sampleRate: context.sampleRate,
+                    length: channels[0].length,
+                    getChannelData: channel => channels[channel]
+                }, { bitDepth: 16 }));
+            };
+            node.port.postMessage('stop');
+        });
+    }
+
+    joinBlocks(blocks) {
+        const length = blocks.reduce((total, block) => total + block.length, 0);
+        const samples = new Float32Array(length);
+        let offset = 0;
+        blocks.forEach(block => {
+            samples.set(block, offset);
+            offset += block.length;
+        });
+        return samples;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * AutosaveManager
+ * Periodically snapshots the current network into localStorage so a session
+ * survives tab reloads and audio context crashes. Snapshots are kept in a
+ * small ring buffer (newest first) so a bad state can be rolled back.
+ */
+export class AutosaveManager {
+    static STORAGE_KEY = 'neuralOscillator.autosave';
+
+    /**
+     * @param {PatchManager} patchManager - Used to serialize and restore networks
+     * @param {Object} options
+     * @param {number} [options.interval=10000] - How often to check for changes (ms)
+     * @param {number} [options.debounce=1500] - Quiet time before a snapshot is written (ms)
+     * @param {number} [options.maxSnapshots=5] - Size of the snapshot ring buffer
+     */
+    constructor(patchManager, options = {}) {
+        this.patchManager = patchManager;
+        this.interval = options.interval || 10000;
+        this.debounce = options.debounce || 1500;
+        this.maxSnapshots = options.maxSnapshots || 5;
+
+        this.isRunning = false;
+        this.intervalId = null;
+
+        // Signature of the last written state - avoids filling the ring with duplicates
+        this.lastSignature = null;
+
+        // Position in the ring of the loaded snapshot while stepping back (0 otherwise)
+        this.rollbackIndex = 0;
+
+        this.saveNow = this.saveNow.bind(this);
+    }
+
+    /**
+     * Start the autosave loop
+     */
+    start() {
+        if (this.isRunning || !window.timerManager) return;
+
+        this.isRunning = true;
+        this.intervalId = window.timerManager.setInterval('autosave', () => this.requestSave(), this.interval);
+
+        // Flush one last snapshot when the tab goes away
+        window.addEventListener('beforeunload', this.saveNow);
+        window.addEventListener('pagehide', this.saveNow);
+
+        console.log(`%c[AUTOSAVE] Snapshotting every ${this.interval / 1000}s (keeping ${this.maxSnapshots})`, "color: #00aaff;");
+    }
+
+    /**
+     * Stop the autosave loop
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        window.timerManager.clearGroup('autosave');
+        this.intervalId = null;
+
+        window.removeEventListener('beforeunload', this.saveNow);
+        window.removeEventListener('pagehide', this.saveNow);
+    }
+
+    /**
+     * Schedule a snapshot once changes have settled
+     */
+    requestSave() {
+        if (!this.isRunning || !window.timerManager) return;
+        window.timerManager.debounce('autosave', 'snapshot', this.saveNow, this.debounce);
+    }
+
+    /**
+     * Write a snapshot immediately if the network changed since the last one
+     * @returns {boolean} Whether a snapshot was written
+     */
+    saveNow() {
+        // Never snapshot a half-built network
+        if (!this.patchManager || this.patchManager.isLoading) return false;
+
+        try {
+            const patch = this.patchManager.serialize();
+            const signature = this.getSignature(patch);
+            if (signature === this.lastSignature) return false;
+
+            const snapshots = this.getSnapshots();
+            snapshots.unshift({ savedAt: Date.now(), patch: patch });
+            snapshots.length = Math.min(snapshots.length, this.maxSnapshots);
+
+            this.writeSnapshots(snapshots);
+            this.lastSignature = signature;
+
+            // While rolled back, follow the loaded snapshot down the ring so the
+            // next rollback keeps stepping back instead of jumping forward
+            if (this.rollbackIndex > 0) {
+                this.rollbackIndex++;
+            }
+            return true;
+        } catch (error) {
+            console.warn('[AUTOSAVE] Could not write snapshot:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build a comparable signature for a patch, ignoring its timestamp
+     * @param {Object} patch
+     * @returns {string}
+     */
+    getSignature(patch) {
+        const { createdAt, ...content } = patch;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Read the snapshot ring buffer from localStorage
+     * @returns {Array<{savedAt: number, patch: Object}>} Snapshots, newest first
+     */
+    getSnapshots() {
+        try {
+            const stored = localStorage.getItem(AutosaveManager.STORAGE_KEY);
+            if (!stored) return [];
+
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+        } catch (error) {
+            console.warn('[AUTOSAVE] Stored snapshots are unreadable, ignoring them:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the ring buffer, dropping the oldest snapshots if storage is full
+     * @param {Array} snapshots - Snapshots, newest first
+     */
+    writeSnapshots(snapshots) {
+        while (snapshots.length > 0) {
+            try {
+                localStorage.setItem(AutosaveManager.STORAGE_KEY, JSON.stringify({ snapshots }));
+                return;
+            } catch (error) {
+                // Quota exceeded - give up the oldest snapshot and try again
+                if (snapshots.length === 1) throw error;
+                snapshots.pop();
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether a previous session can be restored
+     */
+    hasSnapshot() {
+        return this.getLatestSnapshot() !== null;
+    }
+
+    /**
+     * @returns {Object|null} The snapshot restoreLatest() restores
+     */
+    getLatestSnapshot() {
+        return this.getSnapshots().find(snapshot => this.isRestorable(snapshot)) || null;
+    }
+
+    /**
+     * @param {Object} snapshot - Entry from the ring buffer
+     * @returns {boolean} Whether the snapshot holds a network worth restoring
+     */
+    isRestorable(snapshot) {
+        return !!(snapshot?.patch && snapshot.patch.neurons?.length > 0);
+    }
+
+    /**
+     * Restore a snapshot from the ring buffer
+     * @param {number} index - 0 is the newest snapshot
+     * @returns {Promise<Object>} Resolves with the restored snapshot
+     */
+    restoreSnapshot(index = 0) {
+        const snapshot = this.getSnapshots()[index];
+        if (!snapshot) {
+            return Promise.reject(new Error('No snapshot to restore'));
+        }
+
+        return this.patchManager.loadPatch(snapshot.patch).then(() => {
+            // The restored state is already stored, so don't push it again
+            this.lastSignature = this.getSignature(this.patchManager.serialize());
+            this.rollbackIndex = index;
+            return snapshot;
+        });
+    }
+
+    /**
+     * Restore the most recent snapshot that hasSnapshot() accepts (crash recovery)
+     * @returns {Promise<Object>}
+     */
+    restoreLatest() {
+        const index = this.getSnapshots().findIndex(snapshot => this.isRestorable(snapshot));
+        if (index < 0) {
+            return Promise.reject(new Error('No snapshot to restore'));
+        }
+        return this.restoreSnapshot(index);
+    }
+
+    /**
+     * Step back to the snapshot before the one currently loaded
+     * @returns {Promise<Object>} Resolves with the restored snapshot
+     */
+    rollBack() {
+        // Capture pending edits first so they can be returned to
+        this.saveNow();
+
+        const target = this.rollbackIndex + 1;
+        if (target >= this.getSnapshots().length) {
+            return Promise.reject(new Error('No older snapshot available'));
+        }
+        return this.restoreSnapshot(target);
+    }
+
+    /**
+     * Remove all stored snapshots
+     */
+    clear() {
+        localStorage.removeItem(AutosaveManager.STORAGE_KEY);
+        this.lastSignature = null;
+        this.rollbackIndex = 0;
+    }
+}
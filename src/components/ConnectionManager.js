@@ -346,6 +346,11 @@ export class ConnectionManager {
                     const weight = targetToSourceConnection.weight;
                     const speed = targetToSourceConnection.speed;
                     
+                    if (window.historyManager) {
+                        window.historyManager.beginTransaction('Reverse connection');
+                        window.historyManager.recordConnectionDelete(targetToSourceConnection);
+                    }
+                    
                     // Remove the connection from target to source
                     const sourceIndex = window.circles.indexOf(neuron);
                     otherNeuron.neuron.removeConnection(sourceIndex);
@@ -371,6 +376,11 @@ export class ConnectionManager {
                         }
                     }
                     
+                    if (window.historyManager) {
+                        window.historyManager.recordConnectionCreate(connectionGroup);
+                        window.historyManager.commitTransaction();
+                    }
+                    
                     // Play a sound or visual effect to indicate reversal
                     if (window.soundManager && typeof window.soundManager.playSmallSound === 'function') {
                         try {
@@ -478,7 +488,11 @@ export class ConnectionManager {
                     // Add particle explosion effect on the target neuron only
                     createParticleExplosion(otherNeuron);
                     
-                    this.createConnection(neuron, otherNeuron);
+                    const connectionGroup = this.createConnection(neuron, otherNeuron);
+                    
+                    if (window.historyManager) {
+                        window.historyManager.recordConnectionCreate(connectionGroup);
+                    }
                 }
             }
         });
@@ -772,6 +786,7 @@ export class ConnectionManager {
                     this.isDraggingBeforeStart = true;
                     this.selectedArrow = arrow;
                     this.selectedConnection = connection;
+                    this.dragStartSpeed = connection.speed;
                     
                     // Make the arrow fully visible during dragging
                     arrow.material.opacity = 1.0;
@@ -971,6 +986,11 @@ export class ConnectionManager {
             const speed = this.selectedConnection.speed;
             console.log("Arrow drag ended, final speed:", speed);
             
+            if (window.historyManager && this.dragStartSpeed !== undefined) {
+                window.historyManager.recordConnectionChange(this.selectedConnection, 'speed', this.dragStartSpeed);
+            }
+            this.dragStartSpeed = undefined;
+            
             const targetIndex = window.circles.indexOf(this.selectedConnection.target);
             if (this.selectedConnection.source?.neuron) {
                 this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, speed);
@@ -1055,9 +1075,14 @@ export class ConnectionManager {
                     
                     const delta = event.deltaY > 0 ? -0.1 : 0.1;
                     const currentWeight = connection.weight ?? 0.5;
-                    let newWeight = Math.max(0, Math.min(1, currentWeight + delta));
+                    // Negative weights are inhibitory - round so scrolling through 0 lands on 0
+                    let newWeight = Math.max(-1, Math.min(1, Math.round((currentWeight + delta) * 100) / 100));
                     
                     connection.weight = newWeight;
+                    
+                    if (window.historyManager) {
+                        window.historyManager.recordConnectionChange(connection, 'weight', currentWeight);
+                    }
                     if (window.settings) {
                         window.settings.selectedWeight = newWeight;
                         
@@ -1288,8 +1313,12 @@ export class ConnectionManager {
         const dz = targetPos.z - sourcePos.z;
         const neuronDistance = Math.sqrt(dx * dx + dz * dz);
         
+        // Inhibitory (negative weight) connections are drawn in magenta with a squarer wave
+        const isInhibitory = (connection.weight ?? 0) < 0;
+        const weightStrength = Math.abs(connection.weight || 0.5);
+        
         // Set color based on distance - cyan (near) to grey (far)
-        const nearColor = new THREE.Color(0x00FF00);  // Cyan
+        const nearColor = new THREE.Color(isInhibitory ? 0xFF3399 : 0x00FF00);  // Cyan, magenta when inhibitory
         const farColor = new THREE.Color(0x808080);   // Grey
         
         // Normalize distance for color interpolation
@@ -1336,7 +1365,7 @@ export class ConnectionManager {
                     const index = i * stepSize;
                     if (index < directWaveform.length) {
                         // Scale up the waveform value and apply weight/fade factor
-                        const scaleFactor = this.waveformHeight * fadeFactor * (connection.weight || 0.5);
+                        const scaleFactor = this.waveformHeight * fadeFactor * weightStrength;
                         waveform.push(directWaveform[index] * scaleFactor);
                     } else {
                         waveform.push(0);
@@ -1357,7 +1386,7 @@ export class ConnectionManager {
                             const index = i * stepSize;
                             if (index < fullWaveform.length) {
                                 // Scale up the waveform value and apply weight/fade factor
-                                const scaleFactor = this.waveformHeight * fadeFactor * (connection.weight || 0.5);
+                                const scaleFactor = this.waveformHeight * fadeFactor * weightStrength;
                                 waveform.push(fullWaveform[index] * scaleFactor);
                             } else {
                                 waveform.push(0);
@@ -1383,7 +1412,7 @@ export class ConnectionManager {
             
             // Calculate base amplitude - fades out when neuron stops firing
             // Use a higher minimum amplitude for better visibility
-            const weight = connection.weight || 0.5;
+            const weight = weightStrength;
             const baseAmplitude = fadeFactor * (0.5 + weight * 1.5); // Increased base amplitude
             
             // Create a more distinct traveling wave with higher amplitude
@@ -1402,7 +1431,12 @@ export class ConnectionManager {
                 const animatedPhase = phase - (t * Math.PI * 2); 
                 
                 // Create a clearer sine wave with higher amplitude
-                const waveValue = Math.sin(t * frequency * Math.PI * 2 + animatedPhase);
+                const sineValue = Math.sin(t * frequency * Math.PI * 2 + animatedPhase);
+                
+                // Flatten inhibitory waves towards a square so they read differently at a glance
+                const waveValue = isInhibitory
+                    ? Math.sign(sineValue) * Math.pow(Math.abs(sineValue), 0.3)
+                    : sineValue;
                 
                 // Apply a "bump" function to make center of wave more pronounced
                 const bump = 0.5 + 0.5 * Math.sin((t - 0.5) * Math.PI);
@@ -1571,8 +1605,9 @@ export class ConnectionManager {
         const minPosition = sourceGrowth;
         const maxPosition = 1 - targetGrowth;
 
-        // Set opacity based on weight
-        const weight = connection.weight ?? 0.1;
+        // Set opacity based on weight strength (negative weights are inhibitory)
+        const weight = Math.abs(connection.weight ?? 0.1);
+        const isInhibitory = (connection.weight ?? 0) < 0;
         const baseOpacity = 0.1;
         const maxOpacity = 1.0;
         
@@ -1623,8 +1658,10 @@ export class ConnectionManager {
             
             // Only set default colors if not a harmonic connection
             if (!isHarmonic) {
-                // For instant connections, use a bright white-blue color 
-                if (isInstantConnection) {
+                if (isInhibitory) {
+                    arrow.material.color.setHex(0xff3399); // Magenta for inhibitory connections
+                } else if (isInstantConnection) {
+                    // For instant connections, use a bright white-blue color 
                     arrow.material.color.setHex(0x40e0ff); // Light cyan/electric blue for instant connections
                 } else {
                     // Default color is grey for normal connections
@@ -1701,6 +1738,46 @@ export class ConnectionManager {
         line.material.opacity = 0;
     }
 
+    // Animate a weight change made by learning (STDP): the arrow eases to its new size
+    // and flashes green when the connection strengthens or orange when it weakens
+    animateWeightChange(connectionGroup, delta) {
+        const connection = this.connections.get(connectionGroup);
+        if (!connection || !connection.arrow) return;
+
+        const arrow = connection.arrow;
+        const previousScale = arrow.scale.x;
+
+        // Let updateConnection work out the new size and opacity for this weight
+        this.updateConnection(connectionGroup);
+        this.lastConnectionWeight.set(connectionGroup, connection.weight);
+
+        // Leave an arrow the user is dragging alone
+        if (this.isDraggingArrow && arrow === this.selectedArrow) return;
+
+        const targetScale = arrow.scale.x;
+        const baseColor = arrow.material.color.clone();
+
+        gsap.killTweensOf(arrow.scale);
+        gsap.killTweensOf(arrow.material.color);
+
+        arrow.scale.setScalar(previousScale);
+        gsap.to(arrow.scale, {
+            x: targetScale,
+            y: targetScale,
+            z: targetScale,
+            duration: 0.3,
+            ease: "power2.out"
+        });
+
+        arrow.material.color.setHex(delta > 0 ? 0x00ff66 : 0xff8800);
+        gsap.to(arrow.material.color, {
+            r: baseColor.r,
+            g: baseColor.g,
+            b: baseColor.b,
+            duration: 0.4
+        });
+    }
+
     createConnection(sourceNeuron, targetNeuron) {
         if (!sourceNeuron || !sourceNeuron.position || 
             !targetNeuron || !targetNeuron.position) {
@@ -1843,7 +1920,7 @@ export class ConnectionManager {
         // Our improved neuron.js code now handles connection changes without disruption
         
         // Fade in the connection
-        const weight = connection.weight ?? 0.5;
+        const weight = Math.abs(connection.weight ?? 0.5);
         const baseOpacity = 0.1;
         const maxOpacity = 1.0; // Slightly lower max opacity
         const finalOpacity = baseOpacity + (weight * (maxOpacity - baseOpacity));
@@ -2345,6 +2422,10 @@ export class ConnectionManager {
                             }
                         }
                         
+                        if (window.historyManager) {
+                            window.historyManager.recordConnectionDelete(connectionToDelete);
+                        }
+                        
                         // Do the actual disposal
                         this.disposeConnection(connectionToDelete, connectionGroupToDelete);
                         
@@ -2427,6 +2508,10 @@ export class ConnectionManager {
             }
         }
         
+        if (window.historyManager) {
+            window.historyManager.recordConnectionDelete(connection);
+        }
+        
         // Delete the connection
         this.disposeConnection(connection, connectionGroup);
         
@@ -147,7 +147,7 @@ export class HarmonicSystem {
         if (this.activeNeurons.size === 0) return;
         
         // Count occurrences of each pitch class
-        const pitchClassCounts = new Array(12).fill(0);
+        const pitchClassCounts = new Array(this.getDivisions()).fill(0);
         
         // Get the pitch classes of all active neurons
         for (const neuronId of this.activeNeurons) {
@@ -176,7 +176,8 @@ export class HarmonicSystem {
         let bestScaleFit = 0;
         let bestScale = 'major';
         
-        for (const [scaleName, scalePattern] of Object.entries(this.scales)) {
+        for (const scaleName of Object.keys(this.scales)) {
+            const scalePattern = this.getScaleDegrees(scaleName);
             let scaleMatchCount = 0;
             
             // For each active neuron, check if it fits in the scale
@@ -186,7 +187,7 @@ export class HarmonicSystem {
                     const pitchClass = this.frequencyToPitchClass(neuronFreq);
                     if (pitchClass !== null) {
                         // Calculate relative pitch class to the dominant
-                        const relativePitchClass = (pitchClass - dominantPitchClass + 12) % 12;
+                        const relativePitchClass = this.getIntervalClass(dominantPitchClass, pitchClass);
                         
                         // Check if this pitch class is in the scale
                         if (scalePattern.includes(relativePitchClass)) {
@@ -247,23 +248,23 @@ export class HarmonicSystem {
                 
                 if (pitchClass !== null) {
                     // Calculate relative pitch class to the tonal center
-                    const relativePitchClass = (pitchClass - this.currentTonalCenter.root + 12) % 12;
+                    const relativePitchClass = this.getIntervalClass(this.currentTonalCenter.root, pitchClass);
                     
                     // Neurons on the root note have more influence
                     if (relativePitchClass === 0) {
                         influence += 3.0; // Root note
                     } 
                     // Neurons on perfect fifth or fourth have more influence
-                    else if (relativePitchClass === 7 || relativePitchClass === 5) {
+                    else if (relativePitchClass === this.toDegreeInterval(7) || relativePitchClass === this.toDegreeInterval(5)) {
                         influence += 2.0; // Perfect fifth or fourth
                     }
                     // Neurons on third have some influence
-                    else if (relativePitchClass === 4 || relativePitchClass === 3) {
+                    else if (relativePitchClass === this.toDegreeInterval(4) || relativePitchClass === this.toDegreeInterval(3)) {
                         influence += 1.5; // Major or minor third
                     }
                     
                     // Check if the note is in the current scale
-                    const scalePattern = this.scales[this.currentTonalCenter.scale];
+                    const scalePattern = this.getScaleDegrees(this.currentTonalCenter.scale);
                     if (scalePattern.includes(relativePitchClass)) {
                         influence += 1.0; // Note is in scale
                     }
@@ -458,11 +459,11 @@ export class HarmonicSystem {
         if (sourcePitchClass === null || targetPitchClass === null) return null;
         
         // Get current scale
-        const currentScale = this.scales[this.currentTonalCenter.scale] || this.scales.major;
+        const currentScale = this.getScaleDegrees(this.scales[this.currentTonalCenter.scale] ? this.currentTonalCenter.scale : 'major');
         
         // Find closest notes in the scale relative to the source note
-        const relativeSourcePitchClass = (sourcePitchClass - this.currentTonalCenter.root + 12) % 12;
-        const relativeTargetPitchClass = (targetPitchClass - this.currentTonalCenter.root + 12) % 12;
+        const relativeSourcePitchClass = this.getIntervalClass(this.currentTonalCenter.root, sourcePitchClass);
+        const relativeTargetPitchClass = this.getIntervalClass(this.currentTonalCenter.root, targetPitchClass);
         
         // Check if target is already in scale relative to source
         const isTargetInScale = currentScale.includes(relativeTargetPitchClass);
@@ -479,17 +480,20 @@ export class HarmonicSystem {
         // If not in scale, find the closest note in scale
         if (!isTargetInScale) {
             // Find the closest note in the scale
+            const divisions = this.getDivisions();
             let closestScaleNote = null;
-            let smallestDistance = 12;
+            let smallestDistance = divisions;
             
-            for (const scaleDegree of currentScale) {
+            // Walk up from the root so ties resolve the same way in every tuning
+            for (let step = 0; step < divisions; step++) {
                 // Calculate the absolute pitch class in the current key
-                const absolutePitchClass = (this.currentTonalCenter.root + scaleDegree) % 12;
+                const absolutePitchClass = (this.currentTonalCenter.root + step) % divisions;
+                if (!currentScale.includes(this.getIntervalClass(this.currentTonalCenter.root, absolutePitchClass))) continue;
                 
                 // Calculate distance (considering circular nature of pitch classes)
                 const distance = Math.min(
                     Math.abs(targetPitchClass - absolutePitchClass),
-                    12 - Math.abs(targetPitchClass - absolutePitchClass)
+                    divisions - Math.abs(targetPitchClass - absolutePitchClass)
                 );
                 
                 if (distance < smallestDistance) {
@@ -500,10 +504,10 @@ export class HarmonicSystem {
             
             // Calculate the adjustment
             if (closestScaleNote !== null) {
-                // Ensure we choose the closest direction (+/- semitones)
+                // Ensure we choose the closest direction (+/- steps of the tuning)
                 let adjustment = closestScaleNote - targetPitchClass;
-                if (adjustment > 6) adjustment -= 12;
-                if (adjustment < -6) adjustment += 12;
+                if (adjustment > divisions / 2) adjustment -= divisions;
+                if (adjustment < -divisions / 2) adjustment += divisions;
                 
                 // Source's influence is stronger based on relationship and being a leading neuron
                 const leaderBonus = this.leadingNeurons.includes(sourceNeuron.neuron.id) ? 2.0 : 1.0;
@@ -531,7 +535,7 @@ export class HarmonicSystem {
         
         if (!currentFreq) return;
         
-        // Calculate the weighted adjustment in semitones
+        // Calculate the weighted adjustment in steps of the tuning (semitones in 12-TET)
         let totalAdjustment = 0;
         adjustments.forEach(adj => {
             totalAdjustment += adj.adjustment * adj.influence;
@@ -540,12 +544,12 @@ export class HarmonicSystem {
         // Only apply if there's a significant adjustment
         if (Math.abs(totalAdjustment) < 0.25) return;
         
-        // Round to nearest semitone if adjustment is large enough
+        // Round to nearest step if adjustment is large enough
         const roundedAdjustment = Math.abs(totalAdjustment) >= 0.5 ? 
             Math.sign(totalAdjustment) * Math.round(Math.abs(totalAdjustment)) : totalAdjustment;
         
-        // Calculate new frequency using equal temperament formula: f = f0 * 2^(n/12)
-        const newFreq = currentFreq * Math.pow(2, roundedAdjustment / 12);
+        // Calculate new frequency: f = f0 * 2^(n * step / 1200), step = 100 cents in 12-TET
+        const newFreq = currentFreq * Math.pow(2, roundedAdjustment * this.getStepCents() / 1200);
         
         // Apply the new frequency to the neuron
         this.updateNeuronFrequency(targetId, newFreq);
@@ -696,11 +700,75 @@ export class HarmonicSystem {
     }
     
     /**
-     * Convert a frequency to a pitch class (0-11 representing C to B)
+     * Number of pitch classes: 12, or the size of a loaded Scala tuning
+     */
+    getDivisions() {
+        return window.scaleManager ? window.scaleManager.getDivisions() : 12;
+    }
+    
+    /**
+     * Size of one step of the tuning in cents
+     */
+    getStepCents() {
+        return window.scaleManager ? window.scaleManager.getStepCents() : 100;
+    }
+    
+    /**
+     * Interval from one pitch class up to another, in degrees of the tuning
+     * (0 to getDivisions() - 1; semitones in 12-TET)
+     */
+    getIntervalClass(fromPitchClass, toPitchClass) {
+        const divisions = this.getDivisions();
+        return ((toPitchClass - fromPitchClass) % divisions + divisions) % divisions;
+    }
+    
+    /**
+     * The tuning's degree nearest to an interval written in semitones. The scales
+     * and chord roles are written in semitones; this maps them onto any tuning,
+     * including ones whose period is not an octave.
+     */
+    toDegreeInterval(semitones) {
+        const scaleManager = window.scaleManager;
+        if (!scaleManager || !scaleManager.tuning) {
+            return ((semitones % 12) + 12) % 12;
+        }
+        
+        const period = scaleManager.tuning.scale.period;
+        const target = ((semitones * 100) % period + period) % period;
+        let nearest = 0;
+        let smallestDistance = Infinity;
+        for (let degree = 0; degree < this.getDivisions(); degree++) {
+            const difference = Math.abs(scaleManager.getDegreeCents(degree) - target);
+            const distance = Math.min(difference, period - difference);
+            if (distance < smallestDistance) {
+                smallestDistance = distance;
+                nearest = degree;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * A scale's intervals in degrees of the tuning
+     * @param {string} scaleName - Key of this.scales
+     * @returns {Array<number>}
+     */
+    getScaleDegrees(scaleName) {
+        const degrees = (this.scales[scaleName] || []).map(semitones => this.toDegreeInterval(semitones));
+        return degrees.filter((degree, index) => degrees.indexOf(degree) === index);
+    }
+    
+    /**
+     * Convert a frequency to a pitch class (0-11 representing C to B, or the
+     * degree of a loaded Scala tuning)
      */
     frequencyToPitchClass(frequency) {
         if (!frequency || frequency <= 0) return null;
         
+        if (window.scaleManager && window.scaleManager.tuning) {
+            return window.scaleManager.frequencyToDegree(frequency);
+        }
+        
         // Calculate MIDI note number: 69 + 12 * log2(f / 440)
         const midiNote = Math.round(69 + 12 * Math.log2(frequency / 440));
         
@@ -717,6 +785,11 @@ export class HarmonicSystem {
         const freqData = this.soundManager.neuronFrequencies.get(neuronId);
         if (!freqData) return;
         
+        // Harmonic pulls stay inside the global key
+        if (window.scaleManager) {
+            newFrequency = window.scaleManager.snapFrequency(newFrequency);
+        }
+        
         // Only update if the change is significant enough
         const currentFreq = freqData.customFreq || freqData.baseFreq;
         const percentChange = Math.abs((newFrequency - currentFreq) / currentFreq);
@@ -728,7 +801,13 @@ export class HarmonicSystem {
         
         // Also update the sound manager's internal state if this is the selected neuron
         if (this.soundManager.selectedNeuronId === neuronId) {
-            this.soundManager.updateSelectedSynthParam('note', newFrequency);
+            // Automatic retuning is not a user edit, keep it out of the undo history
+            const update = () => this.soundManager.updateSelectedSynthParam('note', newFrequency);
+            if (window.historyManager) {
+                window.historyManager.withoutRecording(update);
+            } else {
+                update();
+            }
         }
         
         // Add visual feedback when a note changes
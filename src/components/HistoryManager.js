@@ -0,0 +1,634 @@
+/**
+ * HistoryManager
+ * Command-based undo/redo for network edits. Every edit is recorded as a
+ * command with undo() and redo(); rapid edits of the same value (wheel
+ * scrolling, slider drags) are merged into a single step.
+ *
+ * Neurons are referenced by their circle mesh. Undoing a deletion creates a
+ * new circle, so replacements are tracked and every command resolves its
+ * circles through resolve() before touching them.
+ */
+export class HistoryManager {
+    /**
+     * @param {PatchManager} patchManager - Used to serialize and recreate neurons
+     * @param {ConnectionManager} connectionManager - Used to recreate and remove connections
+     * @param {Object} options
+     * @param {number} [options.maxSize=100] - Maximum number of undo steps
+     * @param {number} [options.mergeWindow=800] - Edits of the same value within this time (ms) merge
+     */
+    constructor(patchManager, connectionManager, options = {}) {
+        this.patchManager = patchManager;
+        this.connectionManager = connectionManager;
+        this.maxSize = options.maxSize || 100;
+        this.mergeWindow = options.mergeWindow || 800;
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Set while a command is being applied so its side effects aren't recorded again
+        this.isApplying = false;
+        this.suppressDepth = 0;
+
+        // Open transaction collecting several commands into one undo step.
+        // Transactions nest; only the outermost one becomes a step.
+        this.transaction = null;
+        this.transactionDepth = 0;
+
+        // Old circle -> circle that replaced it after an undo/redo recreated the neuron
+        this.replacements = new Map();
+
+        this.listeners = [];
+    }
+
+    // --- Stack management ---
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether new commands are currently being recorded
+     */
+    isRecording() {
+        return !this.isApplying && this.suppressDepth === 0;
+    }
+
+    /**
+     * Record a command
+     * @param {Object} command - { label, undo(), redo(), mergeKey?, merge?(next) }
+     */
+    record(command) {
+        if (!this.isRecording() || !command) return;
+
+        command.time = performance.now();
+
+        const target = this.transaction ? this.transaction.commands : this.undoStack;
+        const last = target[target.length - 1];
+
+        // Merge rapid edits of the same value into one step
+        if (last && command.mergeKey && last.mergeKey === command.mergeKey &&
+            command.time - last.time < this.mergeWindow && typeof last.merge === 'function') {
+            last.merge(command);
+            last.time = command.time;
+            this.notify();
+            return;
+        }
+
+        target.push(command);
+
+        if (!this.transaction) {
+            if (this.undoStack.length > this.maxSize) {
+                this.undoStack.shift();
+            }
+            this.redoStack.length = 0;
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Start grouping commands into a single undo step
+     * @param {string} label - Label of the grouped step
+     */
+    beginTransaction(label) {
+        if (!this.isRecording()) return;
+        this.transactionDepth++;
+        if (!this.transaction) {
+            this.transaction = { label, commands: [] };
+        }
+    }
+
+    /**
+     * Close the current transaction and push it as one undo step
+     */
+    commitTransaction() {
+        const transaction = this.transaction;
+        if (!transaction) return;
+
+        this.transactionDepth = Math.max(0, this.transactionDepth - 1);
+        if (this.transactionDepth > 0) return;
+        this.transaction = null;
+
+        if (transaction.commands.length === 0) return;
+        if (transaction.commands.length === 1) {
+            this.record(transaction.commands[0]);
+            return;
+        }
+
+        const commands = transaction.commands;
+        this.record({
+            label: transaction.label,
+            undo: () => [...commands].reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    /**
+     * Run a function without recording any of the edits it makes
+     * @param {Function} fn
+     * @returns {any} Return value of fn
+     */
+    withoutRecording(fn) {
+        this.suppressDepth++;
+        try {
+            return fn();
+        } finally {
+            this.suppressDepth--;
+        }
+    }
+
+    undo() {
+        // Close any transaction left open by an interrupted gesture
+        this.transactionDepth = Math.min(this.transactionDepth, 1);
+        this.commitTransaction();
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(command, 'undo');
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(command, 'redo');
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    apply(command, direction) {
+        this.isApplying = true;
+        try {
+            command[direction]();
+            console.log(`%c[HISTORY] ${direction === 'undo' ? 'Undo' : 'Redo'}: ${command.label}`, "color: #00aaff;");
+        } catch (error) {
+            console.error(`[HISTORY] Error during ${direction} of "${command.label}":`, error);
+        } finally {
+            this.isApplying = false;
+        }
+
+        if (window.updateNeuronGrid) {
+            window.updateNeuronGrid();
+        }
+        if (window.autosaveManager) {
+            window.autosaveManager.requestSave();
+        }
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.transaction = null;
+        this.transactionDepth = 0;
+        this.replacements.clear();
+        this.notify();
+    }
+
+    /**
+     * Subscribe to stack changes (e.g. to enable/disable buttons)
+     * @param {Function} callback - Called with { canUndo, canRedo }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    notify() {
+        const state = { canUndo: this.canUndo, canRedo: this.canRedo };
+        this.listeners.forEach(callback => callback(state));
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+     */
+    bindKeyboardShortcuts() {
+        window.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey)) return;
+
+            // Leave text fields their own undo
+            const tag = event.target && event.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || (event.target && event.target.isContentEditable)) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    // --- Neuron identity ---
+
+    /**
+     * Follow replacements to the circle currently representing a neuron
+     * @param {THREE.Mesh} circle
+     * @returns {THREE.Mesh|null} Live circle, or null if it no longer exists
+     */
+    resolve(circle) {
+        let current = circle;
+        while (this.replacements.has(current)) {
+            current = this.replacements.get(current);
+        }
+        return window.circles.includes(current) ? current : null;
+    }
+
+    replace(oldCircle, newCircle) {
+        if (oldCircle !== newCircle) {
+            this.replacements.set(oldCircle, newCircle);
+        }
+    }
+
+    // --- Neuron commands ---
+
+    /**
+     * Capture a neuron and all of its connections so it can be recreated
+     * @param {THREE.Mesh} circle
+     * @returns {Object} Snapshot used by restoreNeuronSnapshot()
+     */
+    captureNeuron(circle) {
+        const connections = [];
+        this.connectionManager.connections.forEach(connection => {
+            if (connection.source === circle || connection.target === circle) {
+                connections.push({
+                    source: connection.source,
+                    target: connection.target,
+                    weight: connection.weight,
+                    speed: connection.speed
+                });
+            }
+        });
+
+        return {
+            circle: circle,
+            data: this.patchManager.serializeNeuron(circle, window.circles.indexOf(circle)),
+            connections: connections
+        };
+    }
+
+    /**
+     * Recreate a captured neuron together with its connections
+     * @param {Object} snapshot - From captureNeuron()
+     * @returns {THREE.Mesh} The new circle
+     */
+    restoreNeuronSnapshot(snapshot) {
+        const circle = this.patchManager.restoreNeuron(snapshot.data);
+        this.replace(snapshot.circle, circle);
+
+        circle.neuron.setDCInput(snapshot.data.dcInput || 0);
+
+        snapshot.connections.forEach(({ source, target, weight, speed }) => {
+            const liveSource = source === snapshot.circle ? circle : this.resolve(source);
+            const liveTarget = target === snapshot.circle ? circle : this.resolve(target);
+            if (!liveSource || !liveTarget) return;
+
+            this.addConnection(liveSource, liveTarget, weight, speed);
+        });
+
+        return circle;
+    }
+
+    /**
+     * Remove a neuron through the regular deletion path
+     * @param {THREE.Mesh} circle
+     */
+    removeNeuron(circle) {
+        if (!circle || !window.inputManager) return;
+        this.withoutRecording(() => window.inputManager.deleteNeuron(circle));
+    }
+
+    recordNeuronCreate(circle) {
+        if (!this.isRecording() || !circle) return;
+
+        let snapshot = null;
+        this.record({
+            label: 'Create neuron',
+            undo: () => {
+                const live = this.resolve(circle);
+                if (!live) return;
+                // Capture at undo time so later (unrecorded) tweaks survive a redo
+                snapshot = this.captureNeuron(live);
+                this.removeNeuron(live);
+            },
+            redo: () => {
+                if (snapshot) {
+                    this.restoreNeuronSnapshot(snapshot);
+                }
+            }
+        });
+    }
+
+    recordNeuronDelete(circle) {
+        if (!this.isRecording() || !circle || !circle.neuron) return;
+
+        const snapshot = this.captureNeuron(circle);
+        this.record({
+            label: 'Delete neuron',
+            undo: () => {
+                this.restoreNeuronSnapshot(snapshot);
+            },
+            redo: () => {
+                this.removeNeuron(this.resolve(snapshot.circle));
+            }
+        });
+    }
+
+    /**
+     * Record a neuron move
+     * @param {THREE.Mesh} circle - The moved neuron
+     * @param {THREE.Vector3} from - Position before the move
+     */
+    recordNeuronMove(circle, from) {
+        if (!this.isRecording() || !circle) return;
+
+        const start = from.clone();
+        let end = circle.position.clone();
+
+        this.record({
+            label: 'Move neuron',
+            undo: () => {
+                const live = this.resolve(circle);
+                if (!live) return;
+                // Momentum may have carried the neuron further after the drag ended
+                end = live.position.clone();
+                this.moveNeuron(live, start);
+            },
+            redo: () => {
+                const live = this.resolve(circle);
+                if (live) this.moveNeuron(live, end);
+            }
+        });
+    }
+
+    moveNeuron(circle, position) {
+        circle.position.x = position.x;
+        circle.position.z = position.z;
+        if (circle.touchArea) {
+            circle.touchArea.position.copy(circle.position);
+        }
+        this.connectionManager.forceUpdateConnectionsForNeuron(circle);
+    }
+
+    /**
+     * Record a DC input change
+     * @param {THREE.Mesh} circle
+     * @param {number} before - DC input before the change
+     * @param {number} after - DC input after the change
+     */
+    recordDCChange(circle, before, after) {
+        if (!this.isRecording() || !circle || before === after) return;
+
+        const command = {
+            label: 'Change DC input',
+            mergeKey: `dc:${circle.uuid}`,
+            before: before,
+            after: after,
+            undo: () => this.setDC(this.resolve(circle), command.before),
+            redo: () => this.setDC(this.resolve(circle), command.after),
+            merge: (next) => { command.after = next.after; }
+        };
+        this.record(command);
+    }
+
+    setDC(circle, value) {
+        if (!circle || !circle.neuron) return;
+        if (value === 0) {
+            circle.neuron.reset();
+        }
+        circle.neuron.setDCInput(value);
+    }
+
+    // --- Connection commands ---
+
+    findConnection(source, target) {
+        for (const [group, connection] of this.connectionManager.connections.entries()) {
+            if (connection.source === source && connection.target === target) {
+                return { group, connection };
+            }
+        }
+        return null;
+    }
+
+    addConnection(source, target, weight, speed) {
+        const group = this.connectionManager.createConnection(source, target);
+        if (group) {
+            this.patchManager.applyConnectionProperties(group, weight, speed);
+            this.connectionManager.updateConnection(group);
+        }
+        return group;
+    }
+
+    removeConnection(source, target) {
+        const found = this.findConnection(source, target);
+        if (!found) return;
+
+        if (this.connectionManager.selectedConnection === found.connection) {
+            this.connectionManager.deselectConnection();
+        }
+        this.connectionManager.disposeConnection(found.connection, found.group);
+    }
+
+    /**
+     * Record a connection that was just created
+     * @param {THREE.Group} group - Connection group returned by createConnection
+     */
+    recordConnectionCreate(group) {
+        if (!this.isRecording() || !group) return;
+
+        const connection = this.connectionManager.connections.get(group);
+        if (!connection) return;
+
+        const { source, target, weight, speed } = connection;
+        this.record({
+            label: 'Create connection',
+            undo: () => {
+                const liveSource = this.resolve(source);
+                const liveTarget = this.resolve(target);
+                if (liveSource && liveTarget) this.removeConnection(liveSource, liveTarget);
+            },
+            redo: () => {
+                const liveSource = this.resolve(source);
+                const liveTarget = this.resolve(target);
+                if (liveSource && liveTarget) this.addConnection(liveSource, liveTarget, weight, speed);
+            }
+        });
+    }
+
+    /**
+     * Record a connection that is about to be deleted
+     * @param {Object} connection - Connection data from connectionManager.connections
+     */
+    recordConnectionDelete(connection) {
+        if (!this.isRecording() || !connection) return;
+
+        const { source, target, weight, speed } = connection;
+        this.record({
+            label: 'Delete connection',
+            undo: () => {
+                const liveSource = this.resolve(source);
+                const liveTarget = this.resolve(target);
+                if (liveSource && liveTarget) this.addConnection(liveSource, liveTarget, weight, speed);
+            },
+            redo: () => {
+                const liveSource = this.resolve(source);
+                const liveTarget = this.resolve(target);
+                if (liveSource && liveTarget) this.removeConnection(liveSource, liveTarget);
+            }
+        });
+    }
+
+    /**
+     * Record a weight or speed change on a connection
+     * @param {Object} connection - Connection data from connectionManager.connections
+     * @param {string} property - 'weight' or 'speed'
+     * @param {number} before - Value before the change
+     */
+    recordConnectionChange(connection, property, before) {
+        if (!this.isRecording() || !connection) return;
+
+        const after = connection[property];
+        if (before === after) return;
+
+        const { source, target } = connection;
+        const apply = (value) => {
+            const found = this.findConnection(this.resolve(source), this.resolve(target));
+            if (!found) return;
+
+            const { group, connection: live } = found;
+            this.patchManager.applyConnectionProperties(
+                group,
+                property === 'weight' ? value : live.weight,
+                property === 'speed' ? value : live.speed
+            );
+            this.connectionManager.updateConnection(group);
+        };
+
+        const command = {
+            label: `Change connection ${property}`,
+            mergeKey: `${property}:${source.uuid}:${target.uuid}`,
+            before: before,
+            after: after,
+            undo: () => apply(command.before),
+            redo: () => apply(command.after),
+            merge: (next) => { command.after = next.after; }
+        };
+        this.record(command);
+    }
+
+    // --- Sound commands ---
+
+    /**
+     * Capture everything that defines how a neuron sounds and looks
+     * @param {number} neuronId
+     * @returns {Object|null} Sound state used by applySoundState()
+     */
+    captureSoundState(neuronId) {
+        const soundManager = window.soundManager;
+        const circle = window.circles.find(c => c.neuron && c.neuron.id === neuronId);
+        if (!soundManager || !circle) return null;
+
+        const overrides = soundManager.neuronSoundOverrides.get(neuronId);
+        let overridesCopy = null;
+        if (overrides) {
+            overridesCopy = JSON.parse(JSON.stringify(overrides));
+            // Keep preset colors as real THREE.Color objects
+            if (overrides.color && overrides.color.isColor) {
+                overridesCopy.color = overrides.color.clone();
+            }
+        }
+
+        const frequency = soundManager.neuronFrequencies.get(neuronId);
+
+        return {
+            circle: circle,
+            overrides: overridesCopy,
+            frequency: frequency ? { ...frequency } : null,
+            presetName: circle.neuron.presetName || null,
+            presetColor: circle.neuron.presetColor ? circle.neuron.presetColor.clone() : null
+        };
+    }
+
+    applySoundState(state) {
+        const circle = this.resolve(state.circle);
+        const soundManager = window.soundManager;
+        if (!circle || !soundManager) return;
+
+        const neuronId = circle.neuron.id;
+
+        if (state.overrides) {
+            const overrides = JSON.parse(JSON.stringify(state.overrides));
+            if (state.overrides.color && state.overrides.color.isColor) {
+                overrides.color = state.overrides.color.clone();
+            }
+            soundManager.neuronSoundOverrides.set(neuronId, overrides);
+        } else {
+            soundManager.neuronSoundOverrides.delete(neuronId);
+        }
+
+        // The overrides carry the neuron's mute and solo
+        soundManager.updateNeuronMutes();
+
+        if (state.frequency) {
+            soundManager.neuronFrequencies.set(neuronId, { ...state.frequency });
+        }
+
+        circle.neuron.presetName = state.presetName;
+        if (state.presetColor) {
+            circle.neuron.presetColor = state.presetColor.clone();
+            circle.material.color.copy(state.presetColor);
+        }
+
+        // Bring the panel in line if this neuron is being edited
+        if (soundManager.selectedNeuronId === neuronId) {
+            if (window.refreshSoundControls) {
+                window.refreshSoundControls();
+            }
+            if (state.presetName && window.highlightPresetButton) {
+                window.highlightPresetButton(state.presetName);
+            } else if (window.unhighlightActivePreset) {
+                window.unhighlightActivePreset();
+            }
+        }
+    }
+
+    /**
+     * Record a change of a neuron's sound parameters
+     * @param {Object} before - Sound state captured before the change
+     * @param {string} label - Step label
+     * @param {string} [mergeKey] - Merge key for rapid edits of the same parameter
+     */
+    recordSoundChange(before, label, mergeKey = null) {
+        if (!this.isRecording() || !before) return;
+
+        const after = this.captureSoundState(before.circle.neuron.id);
+        if (!after) return;
+
+        // Panel refreshes re-send unchanged values - don't fill the history with them
+        const signature = (state) => JSON.stringify([state.overrides, state.frequency, state.presetName,
+            state.presetColor ? state.presetColor.getHex() : null]);
+        if (signature(before) === signature(after)) return;
+
+        const command = {
+            label: label,
+            mergeKey: mergeKey,
+            after: after,
+            undo: () => this.applySoundState(before),
+            redo: () => this.applySoundState(command.after),
+            merge: (next) => { command.after = next.after; }
+        };
+        this.record(command);
+    }
+}
@@ -52,6 +52,7 @@ export class InputManager {
         this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
         this.dragOffset = new THREE.Vector3();
         this.lastPosition = new THREE.Vector3();
+        this.dragHistory = null;
         this.velocity = new THREE.Vector3();
         this.lastMousePosition = new THREE.Vector2(); // Store last mouse position for right-click drag
         this.canvasDragVelocity = new THREE.Vector3(); // Add velocity tracking for canvas drag
@@ -148,6 +149,8 @@ export class InputManager {
         this.onWheelBound = this.onWheel.bind(this);
         this.onDoubleClickBound = this.onDoubleClick.bind(this);
         this.handleRightClickBound = this.handleRightClick.bind(this);
+        this.onDragOverBound = this.onDragOver.bind(this);
+        this.onDropBound = this.onDrop.bind(this);
         
         // Attach event listeners to the renderer's domElement
         renderer.domElement.addEventListener('mousedown', this.onMouseDownBound, false);
@@ -172,6 +175,10 @@ export class InputManager {
 
         // Add our own context menu handler for neuron deletion
         renderer.domElement.addEventListener('contextmenu', this.handleRightClickBound);
+
+        // Audio files dropped onto a neuron become its sample
+        renderer.domElement.addEventListener('dragover', this.onDragOverBound);
+        renderer.domElement.addEventListener('drop', this.onDropBound);
     }
 
     createMobileControls() {
@@ -205,6 +212,58 @@ export class InputManager {
         this.mobileControls.appendChild(speedContainer);
 
         document.body.appendChild(this.mobileControls);
+
+        this.createHistoryControls();
+    }
+
+    // Undo/redo buttons for touch devices, which have no keyboard shortcuts
+    createHistoryControls() {
+        this.historyControls = document.createElement('div');
+        this.historyControls.style.position = 'fixed';
+        this.historyControls.style.top = '20px';
+        this.historyControls.style.left = '20px';
+        this.historyControls.style.display = 'flex';
+        this.historyControls.style.gap = '10px';
+        this.historyControls.style.zIndex = '1000';
+
+        const createButton = (label, action) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+            button.style.color = 'white';
+            button.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+            button.style.borderRadius = '8px';
+            button.style.padding = '8px 14px';
+            button.style.fontSize = '16px';
+            button.style.opacity = '0.4';
+            button.disabled = true;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.historyManager) {
+                    window.historyManager[action]();
+                }
+            });
+            this.historyControls.appendChild(button);
+            return button;
+        };
+
+        this.undoButton = createButton('↶ Undo', 'undo');
+        this.redoButton = createButton('↷ Redo', 'redo');
+
+        document.body.appendChild(this.historyControls);
+    }
+
+    /**
+     * Enable or disable the undo/redo buttons
+     * @param {Object} state - { canUndo, canRedo } from HistoryManager
+     */
+    updateHistoryControls({ canUndo, canRedo }) {
+        if (!this.historyControls) return;
+
+        this.undoButton.disabled = !canUndo;
+        this.undoButton.style.opacity = canUndo ? '1' : '0.4';
+        this.redoButton.disabled = !canRedo;
+        this.redoButton.style.opacity = canRedo ? '1' : '0.4';
     }
 
     createSliderContainer(label) {
@@ -233,7 +292,8 @@ export class InputManager {
         
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.min = '0';
+        // Negative weights make a synapse inhibitory
+        slider.min = label === 'Weight' ? '-1' : '0';
         slider.max = '1';
         slider.step = '0.01';
         slider.value = '0.5';
@@ -353,8 +413,13 @@ export class InputManager {
     updateConnectionWeight(value) {
         if (!this.isMobile || !this.selectedConnection) return;
         const newWeight = parseFloat(value);
+        const previousWeight = this.selectedConnection.weight;
         this.selectedConnection.weight = newWeight;
         
+        if (window.historyManager) {
+            window.historyManager.recordConnectionChange(this.selectedConnection, 'weight', previousWeight);
+        }
+        
         const targetIndex = window.circles.indexOf(this.selectedConnection.target);
         if (this.selectedConnection.source?.neuron) {
             this.selectedConnection.source.neuron.updateConnectionWeight(targetIndex, newWeight);
@@ -364,8 +429,13 @@ export class InputManager {
     updateConnectionSpeed(value) {
         if (!this.isMobile || !this.selectedConnection) return;
         const newSpeed = parseFloat(value);
+        const previousSpeed = this.selectedConnection.speed;
         this.selectedConnection.speed = newSpeed;
         
+        if (window.historyManager) {
+            window.historyManager.recordConnectionChange(this.selectedConnection, 'speed', previousSpeed);
+        }
+        
         const targetIndex = window.circles.indexOf(this.selectedConnection.target);
         if (this.selectedConnection.source?.neuron) {
             this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, newSpeed);
@@ -481,6 +551,10 @@ export class InputManager {
                         neuron.touchArea.position.y = 0.1;
                     }
                     
+                    if (window.historyManager) {
+                        window.historyManager.recordNeuronCreate(neuron);
+                    }
+                    
                     // Select the newly created neuron using central method
                     this.selectNeuron(neuron);
                     this.touchTargetNeuron = neuron;
@@ -539,6 +613,7 @@ export class InputManager {
             this.setState('neuronDragging', { neuron: selectedObject });
             this.dragOffset.copy(selectedObject.position).sub(touchWorldPosition);
             this.lastPosition.copy(selectedObject.position);
+            this.beginDragHistory(selectedObject);
             
             console.log('Touch selected neuron:', selectedObject.neuron?.id);
         } else {
@@ -548,6 +623,58 @@ export class InputManager {
         }
     }
 
+    onDragOver(event) {
+        // Only files can be dropped, and only while there's somewhere to load them
+        if (!window.sampleManager || !event.dataTransfer?.types.includes('Files')) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    onDrop(event) {
+        const file = event.dataTransfer?.files?.[0];
+        if (!file || !window.sampleManager) return;
+        event.preventDefault();
+
+        // Find the neuron under the drop point, with the same tolerance as clicking
+        this.updateMousePosition(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        this.raycaster.params.Mesh = this.raycaster.params.Mesh || {};
+        const originalThreshold = this.raycaster.params.Mesh.threshold || 0;
+        this.raycaster.params.Mesh.threshold = this.neuronSelectionThreshold;
+
+        const circles = [];
+        window.circles.forEach(circle => {
+            if (circle.touchArea) circles.push(circle.touchArea);
+            circles.push(circle);
+        });
+
+        const intersects = this.raycaster.intersectObjects(circles);
+        this.raycaster.params.Mesh.threshold = originalThreshold;
+
+        if (intersects.length === 0) {
+            window.uiManager?.showNotification('Drop the sample onto a neuron');
+            return;
+        }
+
+        let target = intersects[0].object;
+        if (target.isHitArea && target.parentCircle) {
+            target = target.parentCircle;
+        }
+
+        window.sampleManager.addFile(file)
+            .then(sample => {
+                // Selecting first routes the change through the sound controls (and undo history)
+                this.selectNeuron(target);
+                window.soundManager?.updateSelectedSynthParam('sampleId', sample.id);
+                window.uiManager?.showNotification(`Neuron ${target.neuron?.id} plays ${sample.name}`);
+            })
+            .catch(error => {
+                console.error("Error loading sample:", error);
+                window.uiManager?.showNotification(`Could not load sample: ${error.message}`);
+            });
+    }
+
     onDoubleClick(event) {
         event.preventDefault();
         
@@ -578,6 +705,10 @@ export class InputManager {
                     neuron.touchArea.position.y = 0.1;
                 }
                 
+                if (window.historyManager) {
+                    window.historyManager.recordNeuronCreate(neuron);
+                }
+                
                 // Add subtle animation for visual feedback
                 const originalScale = neuron.scale.clone();
                 gsap.from(neuron.scale, {
@@ -635,6 +766,10 @@ export class InputManager {
                 if (Math.abs(newDC - currentDC) > 0.01) {
                     this.touchTargetNeuron.neuron.setDCInput(newDC);
                     
+                    if (window.historyManager) {
+                        window.historyManager.recordDCChange(this.touchTargetNeuron, currentDC, newDC);
+                    }
+                    
                     // Update the neuron's visual scale using animation for smoother transition
                     const targetScale = this.touchTargetNeuron.neuron.baseScale + 
                         (this.touchTargetNeuron.neuron.maxScale - this.touchTargetNeuron.neuron.baseScale) * newDC;
@@ -711,6 +846,9 @@ export class InputManager {
         // Store this position for next frame's velocity calculation
         this.lastPosition.copy(newPosition);
         
+        // In 3D spatial audio the neuron's sound follows it around the listener
+        window.soundManager?.updateNeuronPanner3D(this.touchTargetNeuron.neuron?.id);
+        
         // Update hover label for the dragged neuron too
         if (window.updateNeuronHoverLabel) {
             window.updateNeuronHoverLabel(
@@ -802,6 +940,8 @@ export class InputManager {
             }
         }
         
+        this.endDragHistory();
+        
         // Reset touch states but keep selection
         this.setState('idle');
         this.touchSelectionConfirmed = false;
@@ -877,6 +1017,7 @@ export class InputManager {
             const intersectionPoint = this.getIntersectionPoint(this.mouse);
             this.dragOffset.copy(this.draggedNeuron.position).sub(intersectionPoint);
             this.lastPosition.copy(this.draggedNeuron.position);
+            this.beginDragHistory(this.draggedNeuron);
         } else {
             // Clicked on empty space - deselect current neuron
             if (window.soundManager && window.selectedSynthFolder) {
@@ -989,6 +1130,9 @@ export class InputManager {
         
         this.lastPosition.copy(newPosition);
     
+        // In 3D spatial audio the neuron's sound follows it around the listener
+        window.soundManager?.updateNeuronPanner3D(this.draggedNeuron.neuron?.id);
+    
         // Update hover label for the dragged neuron too
         if (window.updateNeuronHoverLabel) {
             window.updateNeuronHoverLabel(
@@ -1143,6 +1287,8 @@ export class InputManager {
             }
         }
 
+        this.endDragHistory();
+        
         this.setState('idle');
         this.draggedNeuron = null;   // Reset the dragged neuron reference
         window.draggedNeuron = null;  // Clear global reference as well
@@ -1185,9 +1331,15 @@ export class InputManager {
                     neuron.neuron.reset();
                 }
                 
+                const previousDC = neuron.neuron.dcInput || 0;
+                
                 // Apply the new DC value but keep accumulated charge
                 neuron.neuron.setDCInput(newDC);
                 
+                if (window.historyManager) {
+                    window.historyManager.recordDCChange(neuron, previousDC, newDC);
+                }
+                
                 // Force update scale with animation for better visual feedback
                 const targetScale = neuron.neuron.baseScale + 
                     (neuron.neuron.maxScale - neuron.neuron.baseScale) * newDC;
@@ -1226,6 +1378,9 @@ export class InputManager {
 
         // Remove our context menu handler
         this.renderer.domElement.removeEventListener('contextmenu', this.handleRightClickBound);
+
+        this.renderer.domElement.removeEventListener('dragover', this.onDragOverBound);
+        this.renderer.domElement.removeEventListener('drop', this.onDropBound);
     }
 
     // Method to toggle the visibility of the synth panel
@@ -1357,6 +1512,35 @@ export class InputManager {
     }
     
     // --- Method to deselect a neuron ---
+    /**
+     * Start collecting a neuron drag (and any connections it makes) into one undo step
+     * @param {THREE.Mesh} neuron - The neuron being dragged
+     */
+    beginDragHistory(neuron) {
+        if (!window.historyManager || !neuron) return;
+        
+        // Close a drag whose release event never arrived
+        this.endDragHistory();
+        
+        this.dragHistory = { neuron, startPosition: neuron.position.clone() };
+        window.historyManager.beginTransaction('Move neuron');
+    }
+    
+    /**
+     * Record the finished drag if the neuron actually moved
+     */
+    endDragHistory() {
+        if (!window.historyManager || !this.dragHistory) return;
+        
+        const { neuron, startPosition } = this.dragHistory;
+        this.dragHistory = null;
+        
+        if (neuron.position.distanceTo(startPosition) > 0.001) {
+            window.historyManager.recordNeuronMove(neuron, startPosition);
+        }
+        window.historyManager.commitTransaction();
+    }
+    
     deselectNeuron() {
         if (this.draggedNeuron === null) return;
         
@@ -1601,6 +1785,11 @@ export class InputManager {
         
         console.log("Deleting neuron:", neuron.neuron?.id);
         
+        // Snapshot before the removal animation changes its color
+        if (window.historyManager) {
+            window.historyManager.recordNeuronDelete(neuron);
+        }
+        
         // Create a red particle explosion animation
         const createRedParticleExplosion = (neuron) => {
             if (!neuron || !neuron.position) return;
@@ -0,0 +1,201 @@
+import { INSERT_EFFECTS, createInsertSlot, normalizeInserts } from './insertEffects.js';
+
+/**
+ * InsertChainEditor
+ * Editor for the selected neuron's insert effects, shown in the synth panel.
+ * Each slot has an on/off switch, a remove button and a slider per parameter;
+ * slots are reordered by dragging their header. Every edit hands the whole
+ * chain to onChange, which stores it in the neuron's sound parameters.
+ */
+export class InsertChainEditor {
+    /**
+     * @param {Function} onChange - Called with the edited chain (array of slots)
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.inserts = [];
+        this.dragIndex = null;
+
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            padding: '6px 4px',
+            fontFamily: 'var(--tp-base-font-family, Roboto Mono, Source Code Pro, Menlo, Courier, monospace)',
+            fontSize: '11px',
+            color: 'var(--tp-label-foreground-color, #bbb)'
+        });
+
+        this.slotList = document.createElement('div');
+        Object.assign(this.slotList.style, { display: 'flex', flexDirection: 'column', gap: '6px' });
+        this.element.appendChild(this.slotList);
+
+        // Add-effect picker
+        this.addSelect = document.createElement('select');
+        Object.assign(this.addSelect.style, this.controlStyle());
+        this.addSelect.appendChild(new Option('+ Add effect', ''));
+        Object.entries(INSERT_EFFECTS).forEach(([type, effect]) => {
+            this.addSelect.appendChild(new Option(effect.label, type));
+        });
+        this.addSelect.addEventListener('change', () => {
+            if (!this.addSelect.value) return;
+            this.inserts.push(createInsertSlot(this.addSelect.value));
+            this.addSelect.value = '';
+            this.commit();
+        });
+        this.element.appendChild(this.addSelect);
+
+        this.render();
+    }
+
+    /**
+     * Show a neuron's chain
+     * @param {Array} inserts - Slots from the neuron's sound parameters
+     */
+    setInserts(inserts) {
+        this.inserts = normalizeInserts(inserts);
+        this.render();
+    }
+
+    /**
+     * Hand the edited chain to onChange
+     * @param {boolean} rerender - Rebuild the slots (not while a slider is being dragged)
+     */
+    commit(rerender = true) {
+        if (rerender) this.render();
+        this.onChange?.(this.inserts.map(slot => ({ ...slot, params: { ...slot.params } })));
+    }
+
+    controlStyle() {
+        return {
+            background: 'var(--tp-input-background-color, rgba(255, 255, 255, 0.1))',
+            color: 'var(--tp-input-foreground-color, #ddd)',
+            border: 'none',
+            borderRadius: '2px',
+            padding: '2px 4px',
+            font: 'inherit'
+        };
+    }
+
+    render() {
+        this.slotList.replaceChildren();
+
+        if (this.inserts.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No inserts - the neuron plays straight into its bus';
+            empty.style.opacity = '0.6';
+            this.slotList.appendChild(empty);
+            return;
+        }
+
+        this.inserts.forEach((slot, index) => this.slotList.appendChild(this.renderSlot(slot, index)));
+    }
+
+    renderSlot(slot, index) {
+        const effect = INSERT_EFFECTS[slot.type];
+
+        const slotElement = document.createElement('div');
+        Object.assign(slotElement.style, {
+            background: 'rgba(0, 0, 0, 0.2)',
+            border: '1px solid rgba(255, 255, 255, 0.1)',
+            borderRadius: '4px',
+            padding: '4px 6px',
+            opacity: slot.enabled ? '1' : '0.5'
+        });
+
+        // Header: drag handle, on/off, name, remove
+        const header = document.createElement('div');
+        Object.assign(header.style, { display: 'flex', alignItems: 'center', gap: '6px', cursor: 'grab' });
+        header.draggable = true;
+        header.title = 'Drag to reorder';
+
+        const handle = document.createElement('span');
+        handle.textContent = '⋮⋮';
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = slot.enabled;
+        toggle.title = 'Enable';
+        toggle.addEventListener('change', () => {
+            slot.enabled = toggle.checked;
+            this.commit();
+        });
+
+        const name = document.createElement('span');
+        name.textContent = `${index + 1}. ${effect.label}`;
+        name.style.flex = '1';
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        Object.assign(remove.style, this.controlStyle(), { cursor: 'pointer' });
+        remove.addEventListener('click', () => {
+            this.inserts.splice(index, 1);
+            this.commit();
+        });
+
+        header.append(handle, toggle, name, remove);
+        slotElement.appendChild(header);
+
+        header.addEventListener('dragstart', (event) => {
+            this.dragIndex = index;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(index));
+        });
+        header.addEventListener('dragend', () => {
+            this.dragIndex = null;
+        });
+        slotElement.addEventListener('dragover', (event) => {
+            if (this.dragIndex === null) return;
+            event.preventDefault();
+            slotElement.style.borderColor = 'rgba(255, 255, 255, 0.5)';
+        });
+        slotElement.addEventListener('dragleave', () => {
+            slotElement.style.borderColor = 'rgba(255, 255, 255, 0.1)';
+        });
+        slotElement.addEventListener('drop', (event) => {
+            if (this.dragIndex === null) return;
+            event.preventDefault();
+            const [moved] = this.inserts.splice(this.dragIndex, 1);
+            this.inserts.splice(index, 0, moved);
+            this.dragIndex = null;
+            this.commit();
+        });
+
+        // A slider per parameter
+        Object.entries(effect.params).forEach(([key, spec]) => {
+            const row = document.createElement('label');
+            Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', marginTop: '3px' });
+
+            const label = document.createElement('span');
+            label.textContent = spec.label;
+            label.style.width = '70px';
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = spec.min;
+            slider.max = spec.max;
+            slider.step = spec.step;
+            slider.value = slot.params[key];
+            slider.style.flex = '1';
+
+            const readout = document.createElement('span');
+            readout.textContent = slot.params[key];
+            readout.style.width = '34px';
+            readout.style.textAlign = 'right';
+
+            // Live while dragging; no re-render, so the slider keeps focus
+            slider.addEventListener('input', () => {
+                slot.params[key] = Number(slider.value);
+                readout.textContent = slider.value;
+                this.commit(false);
+            });
+
+            row.append(label, slider, readout);
+            slotElement.appendChild(row);
+        });
+
+        return slotElement;
+    }
+}
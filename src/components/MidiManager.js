@@ -0,0 +1,625 @@
+import * as Tone from 'tone';
+import Logger from './utils/logger';
+
+/**
+ * Stand-in output for testing without hardware or a virtual MIDI driver.
+ * Messages are kept in a short history (and logged at debug level) instead of being sent.
+ */
+export class VirtualMidiOutput {
+    constructor() {
+        this.id = 'virtual';
+        this.name = 'Virtual (no device)';
+        this.state = 'connected';
+        this.messages = [];
+        this.maxMessages = 256;
+    }
+
+    send(data, timestamp = performance.now()) {
+        this.messages.push({ data: Array.from(data), timestamp });
+        if (this.messages.length > this.maxMessages) {
+            this.messages.shift();
+        }
+        Logger.debug(`[MIDI] virtual ${Array.from(data).map(byte => byte.toString(16).padStart(2, '0')).join(' ')}`);
+    }
+}
+
+export const MIDI_OUTPUT_MODES = {
+    audio: 'Audio only',
+    midi: 'MIDI only',
+    both: 'Audio + MIDI'
+};
+
+// What an incoming note does to its mapped neuron
+export const MIDI_NOTE_ACTIONS = {
+    charge: 'Add charge',
+    fire: 'Fire'
+};
+
+// What MIDI learn binds to: the current selection (neuron DC / connection weight / note) or a global value
+export const MIDI_LEARN_TARGETS = {
+    selection: 'Selected neuron/connection',
+    harmony: 'Harmony strength',
+    volume: 'Master volume'
+};
+
+// Master volume range for CC control (dB)
+const VOLUME_MIN_DB = -48;
+const VOLUME_MAX_DB = 0;
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const ALL_NOTES_OFF = 123;
+
+// System real-time messages (single byte, no channel)
+export const MIDI_CLOCK = {
+    pulse: 0xF8, // 24 per quarter note
+    start: 0xFA,
+    continue: 0xFB,
+    stop: 0xFC
+};
+
+/**
+ * MidiManager
+ * Sends a MIDI note for every neuron spike through Web MIDI. Each neuron can
+ * have its own output port and channel; neurons without one use the defaults.
+ * outputMode chooses whether spikes play the built-in synths, MIDI, or both.
+ *
+ * Incoming notes from every input port charge or fire their mapped neuron, and
+ * CCs can be bound to a neuron's DC input, a connection's weight, the harmony
+ * strength or the master volume. Mappings are made with MIDI learn and are
+ * saved with the patch (neurons referenced by index, like connections).
+ */
+export class MidiManager {
+    /**
+     * @param {OptimizedSoundManager} soundManager - Source of each neuron's note and envelope
+     */
+    constructor(soundManager) {
+        this.soundManager = soundManager;
+
+        this.access = null;
+        this.outputMode = 'audio';
+        this.defaultPortId = 'virtual';
+        this.defaultChannel = 1; // 1-16
+
+        // Map of neuron id -> { portId, channel } (either may be null to use the default)
+        this.neuronSettings = new Map();
+
+        // Sounding notes, keyed "port:channel:note", so a retrigger ends the previous note first
+        this.activeNotes = new Map();
+
+        this.virtualOutput = new VirtualMidiOutput();
+        this.listeners = [];
+
+        // Input mappings, keyed "channel:number"
+        this.noteMappings = new Map(); // -> { neuronId, action }
+        this.controlBindings = new Map(); // -> { type: 'dc'|'weight'|'harmony'|'volume', neuronId?, sourceId?, targetId? }
+
+        // MIDI learn
+        this.isLearning = false;
+        this.learnTarget = 'selection';
+        this.noteAction = 'charge'; // Action given to notes bound by learn
+        this.learnListeners = [];
+
+        // Subscribers to real-time clock messages (see TempoClock)
+        this.clockListeners = [];
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    get isEnabled() {
+        return this.access !== null;
+    }
+
+    /**
+     * Request Web MIDI access. Needs a user gesture in some browsers.
+     * @returns {Promise<Array>} Available outputs
+     */
+    async enable() {
+        if (this.access) return this.getOutputs();
+
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+
+        this.access = await navigator.requestMIDIAccess({ sysex: false });
+        this.access.onstatechange = () => {
+            this.attachInputs();
+            this.notifyPortsChanged();
+        };
+        this.attachInputs();
+
+        const outputs = this.getOutputs();
+        console.log(`%c[MIDI] Enabled with ${outputs.length - 1} output port(s) and ${this.access.inputs.size} input port(s)`, "color: #cc66ff; font-weight: bold;");
+        this.notifyPortsChanged();
+        return outputs;
+    }
+
+    /**
+     * Outputs that notes can be sent to. The virtual stub is always available.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getOutputs() {
+        const outputs = [{ id: this.virtualOutput.id, name: this.virtualOutput.name }];
+        if (this.access) {
+            this.access.outputs.forEach(output => {
+                if (output.state !== 'disconnected') {
+                    outputs.push({ id: output.id, name: output.name });
+                }
+            });
+        }
+        return outputs;
+    }
+
+    // Listen on every input port (re-run when devices are plugged in)
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = this.handleMessage;
+        });
+    }
+
+    getOutput(portId) {
+        if (portId === this.virtualOutput.id) return this.virtualOutput;
+        return this.access ? this.access.outputs.get(portId) || null : null;
+    }
+
+    /**
+     * Subscribe to output port changes (devices plugged in or removed)
+     * @param {Function} callback - Called with the list from getOutputs()
+     * @returns {Function} Unsubscribe
+     */
+    onPortsChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    notifyPortsChanged() {
+        const outputs = this.getOutputs();
+        this.listeners.forEach(callback => callback(outputs));
+    }
+
+    /**
+     * Choose whether spikes play audio, MIDI or both
+     * @param {string} mode - Key of MIDI_OUTPUT_MODES
+     */
+    setOutputMode(mode) {
+        if (!MIDI_OUTPUT_MODES[mode]) return;
+        if (mode === 'audio') {
+            this.panic();
+        }
+        this.outputMode = mode;
+    }
+
+    get sendsAudio() {
+        return this.outputMode !== 'midi';
+    }
+
+    get sendsMidi() {
+        return this.outputMode !== 'audio';
+    }
+
+    setDefaultPort(portId) {
+        this.panic();
+        this.defaultPortId = portId;
+    }
+
+    setDefaultChannel(channel) {
+        this.panic();
+        this.defaultChannel = Math.max(1, Math.min(16, Math.round(channel)));
+    }
+
+    /**
+     * Set the port and/or channel a neuron sends to
+     * @param {number} neuronId - Neuron ID
+     * @param {Object} options - portId (null = default) and channel (1-16, null = default)
+     */
+    setNeuronSettings(neuronId, { portId, channel } = {}) {
+        const current = this.neuronSettings.get(neuronId) || { portId: null, channel: null };
+        if (portId !== undefined) current.portId = portId || null;
+        if (channel !== undefined) current.channel = channel ? Math.max(1, Math.min(16, Math.round(channel))) : null;
+
+        if (current.portId === null && current.channel === null) {
+            this.neuronSettings.delete(neuronId);
+        } else {
+            this.neuronSettings.set(neuronId, current);
+        }
+    }
+
+    /**
+     * @param {number} neuronId - Neuron ID
+     * @returns {{portId: string|null, channel: number|null}} The neuron's own settings (null = default)
+     */
+    getNeuronSettings(neuronId) {
+        const settings = this.neuronSettings.get(neuronId);
+        return settings ? { ...settings } : { portId: null, channel: null };
+    }
+
+    /**
+     * Port and channel a neuron's notes go to, with defaults applied
+     * @param {number} neuronId - Neuron ID
+     * @returns {{portId: string, channel: number}}
+     */
+    resolveRoute(neuronId) {
+        const settings = this.neuronSettings.get(neuronId);
+        return {
+            portId: settings?.portId || this.defaultPortId,
+            channel: settings?.channel || this.defaultChannel
+        };
+    }
+
+    /**
+     * Convert a frequency to the nearest MIDI note number
+     * @param {number} frequency - Hz
+     * @returns {number} 0-127
+     */
+    static frequencyToNote(frequency) {
+        const note = Math.round(69 + 12 * Math.log2(frequency / 440));
+        return Math.max(0, Math.min(127, note));
+    }
+
+    /**
+     * Send a note for a neuron spike. Called from Neuron.fire() next to soundManager.playNeuronFiring.
+     * @param {number} neuronId - Neuron ID
+     * @param {number} weight - Average outgoing connection weight (0.1-1), used as velocity
+     */
+    playNeuronFiring(neuronId, weight = 0.5) {
+        if (!this.sendsMidi || !this.soundManager) return false;
+
+        const route = this.resolveRoute(neuronId);
+        const output = this.getOutput(route.portId);
+        if (!output) return false;
+
+        const event = this.getNoteEvent(neuronId, weight);
+        if (!event) return false;
+
+        this.sendNote(output, route.channel, event.note, event.velocity, event.duration);
+        return true;
+    }
+
+    /**
+     * The note a neuron spike plays: its pitch, the weight as velocity and the envelope's length
+     * @param {number} neuronId - Neuron ID
+     * @param {number} weight - Average outgoing connection weight (0.1-1)
+     * @returns {{note: number, velocity: number, duration: number}|null} null if the neuron has no pitch
+     */
+    getNoteEvent(neuronId, weight = 0.5) {
+        if (!this.soundManager) return null;
+
+        const params = this.soundManager.getNeuronSynthParams(neuronId);
+        const freqData = this.soundManager.neuronFrequencies.get(neuronId);
+        const frequency = freqData?.customFreq || freqData?.baseFreq || params?.note;
+        if (!frequency) return null;
+
+        return {
+            note: MidiManager.frequencyToNote(frequency),
+            velocity: Math.max(1, Math.min(127, Math.round(weight * 127))),
+            duration: params ? this.soundManager.getNoteDuration(params) : 0.25
+        };
+    }
+
+    /**
+     * Send a note-on now and its note-off after duration
+     * @param {Object} output - MIDIOutput or the virtual stub
+     * @param {number} channel - 1-16
+     * @param {number} note - 0-127
+     * @param {number} velocity - 1-127
+     * @param {number} duration - Seconds
+     */
+    sendNote(output, channel, note, velocity, duration) {
+        const status = channel - 1;
+        const key = `${output.id}:${channel}:${note}`;
+
+        try {
+            // Retriggering a sounding note: end it first so its pending note-off can't cut the new one
+            const active = this.activeNotes.get(key);
+            if (active) {
+                clearTimeout(active);
+                output.send([NOTE_OFF | status, note, 0]);
+            }
+
+            output.send([NOTE_ON | status, note, velocity]);
+
+            this.activeNotes.set(key, setTimeout(() => {
+                this.activeNotes.delete(key);
+                try {
+                    output.send([NOTE_OFF | status, note, 0]);
+                } catch (error) {
+                    console.warn(`[MIDI] Could not send note-off to ${output.name}:`, error);
+                }
+            }, duration * 1000));
+        } catch (error) {
+            console.warn(`[MIDI] Could not send note to ${output.name}:`, error);
+        }
+    }
+
+    /**
+     * Release every sounding note and send All Notes Off on every channel of every port
+     */
+    panic() {
+        this.activeNotes.forEach(timeoutId => clearTimeout(timeoutId));
+        this.activeNotes.clear();
+
+        this.getOutputs().forEach(({ id }) => {
+            const output = this.getOutput(id);
+            if (!output || output === this.virtualOutput) return;
+            try {
+                for (let channel = 0; channel < 16; channel++) {
+                    output.send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0]);
+                }
+            } catch (error) {
+                console.warn(`[MIDI] Could not send All Notes Off to ${output.name}:`, error);
+            }
+        });
+    }
+
+    // --- Input ---
+
+    /**
+     * Handle a message from any input port
+     * @param {MIDIMessageEvent} event
+     */
+    handleMessage(event) {
+        const [statusByte, number, value = 0] = event.data;
+
+        // Real-time bytes can arrive from any port at any moment; pass them straight on
+        if (statusByte >= MIDI_CLOCK.pulse) {
+            this.clockListeners.forEach(callback => callback(statusByte, event.timeStamp ?? performance.now()));
+            return;
+        }
+
+        const status = statusByte & 0xF0;
+        const channel = (statusByte & 0x0F) + 1;
+
+        // Note-on with velocity 0 is a note-off; note-offs don't affect the network
+        if (status === NOTE_ON && value > 0) {
+            if (this.isLearning) {
+                this.learnNote(channel, number);
+            } else {
+                this.handleNote(channel, number, value);
+            }
+        } else if (status === CONTROL_CHANGE) {
+            if (this.isLearning) {
+                this.learnControl(channel, number);
+            } else {
+                this.handleControl(channel, number, value);
+            }
+        }
+    }
+
+    /**
+     * Subscribe to incoming MIDI clock, start, continue and stop messages
+     * @param {Function} callback - Receives (status byte, timestamp in ms)
+     * @returns {Function} Unsubscribe
+     */
+    onClock(callback) {
+        this.clockListeners.push(callback);
+        return () => {
+            this.clockListeners = this.clockListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    handleNote(channel, note, velocity) {
+        const mapping = this.noteMappings.get(`${channel}:${note}`);
+        if (!mapping) return;
+
+        const neuron = this.findNeuron(mapping.neuronId);
+        if (!neuron) return;
+
+        if (mapping.action === 'fire') {
+            neuron.trigger();
+        } else {
+            neuron.addCharge(velocity / 127);
+        }
+    }
+
+    handleControl(channel, control, value) {
+        const binding = this.controlBindings.get(`${channel}:${control}`);
+        if (!binding) return;
+
+        const amount = value / 127;
+
+        switch (binding.type) {
+            case 'dc': {
+                const neuron = this.findNeuron(binding.neuronId);
+                if (!neuron) return;
+                if (amount === 0) {
+                    neuron.reset();
+                }
+                neuron.setDCInput(amount);
+                break;
+            }
+            case 'weight': {
+                const found = this.findConnection(binding.sourceId, binding.targetId);
+                if (!found) return;
+                // Full controller range covers inhibitory (-1) to excitatory (1), centre is 0
+                const weight = Math.round((amount * 2 - 1) * 100) / 100;
+                const { group, connection } = found;
+                connection.weight = weight;
+                connection.source.neuron.updateConnectionWeight(window.circles.indexOf(connection.target), weight);
+                window.connectionManager.updateConnection(group);
+                if (window.connectionManager.selectedConnection === connection && window.settings) {
+                    window.settings.selectedWeight = weight;
+                }
+                break;
+            }
+            case 'harmony':
+                if (window.settings) window.settings.harmonyStrength = amount;
+                window.harmonicSystem?.setHarmonyStrength(amount);
+                break;
+            case 'volume': {
+                // The destination sits after the limiter; the final mixer gain is ducked per note
+                const volume = value === 0 ? -Infinity : VOLUME_MIN_DB + amount * (VOLUME_MAX_DB - VOLUME_MIN_DB);
+                if (window.settings) window.settings.volume = Math.round(volume);
+                Tone.getDestination().volume.rampTo(volume, 0.05);
+                break;
+            }
+        }
+    }
+
+    findNeuron(neuronId) {
+        const circle = (window.circles || []).find(c => c && c.neuron && c.neuron.id === neuronId);
+        return circle ? circle.neuron : null;
+    }
+
+    findConnection(sourceId, targetId) {
+        const connections = window.connectionManager?.connections;
+        if (!connections) return null;
+        for (const [group, connection] of connections.entries()) {
+            if (connection.source?.neuron?.id === sourceId && connection.target?.neuron?.id === targetId) {
+                return { group, connection };
+            }
+        }
+        return null;
+    }
+
+    // --- MIDI learn ---
+
+    /**
+     * Bind the next note or CC that arrives
+     * @param {string} target - Key of MIDI_LEARN_TARGETS
+     */
+    startLearn(target = this.learnTarget) {
+        this.learnTarget = MIDI_LEARN_TARGETS[target] ? target : 'selection';
+        this.isLearning = true;
+    }
+
+    cancelLearn() {
+        this.isLearning = false;
+    }
+
+    /**
+     * Subscribe to completed MIDI learn bindings
+     * @param {Function} callback - Called with a description of the new binding
+     * @returns {Function} Unsubscribe
+     */
+    onLearn(callback) {
+        this.learnListeners.push(callback);
+        return () => {
+            this.learnListeners = this.learnListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    finishLearn(description) {
+        this.isLearning = false;
+        console.log(`%c[MIDI] Learned ${description}`, "color: #cc66ff; font-weight: bold;");
+        this.learnListeners.forEach(callback => callback(description));
+    }
+
+    learnNote(channel, note) {
+        // Notes can only be mapped to a neuron
+        const neuronId = this.learnTarget === 'selection' ? this.soundManager?.selectedNeuronId : null;
+        if (neuronId === null || neuronId === undefined) return;
+
+        this.noteMappings.set(`${channel}:${note}`, { neuronId, action: this.noteAction });
+        this.finishLearn(`note ${note} (ch ${channel}) -> ${MIDI_NOTE_ACTIONS[this.noteAction].toLowerCase()} neuron ${neuronId}`);
+    }
+
+    learnControl(channel, control) {
+        let binding = null;
+        let description = null;
+
+        if (this.learnTarget === 'selection') {
+            const connection = window.connectionManager?.selectedConnection;
+            const neuronId = this.soundManager?.selectedNeuronId;
+            if (connection && connection.source?.neuron && connection.target?.neuron) {
+                binding = { type: 'weight', sourceId: connection.source.neuron.id, targetId: connection.target.neuron.id };
+                description = `weight of ${binding.sourceId} -> ${binding.targetId}`;
+            } else if (neuronId !== null && neuronId !== undefined) {
+                binding = { type: 'dc', neuronId };
+                description = `DC input of neuron ${neuronId}`;
+            }
+        } else {
+            binding = { type: this.learnTarget };
+            description = MIDI_LEARN_TARGETS[this.learnTarget].toLowerCase();
+        }
+
+        if (!binding) return;
+
+        this.controlBindings.set(`${channel}:${control}`, binding);
+        this.finishLearn(`CC ${control} (ch ${channel}) -> ${description}`);
+    }
+
+    clearBindings() {
+        this.noteMappings.clear();
+        this.controlBindings.clear();
+    }
+
+    get bindingCount() {
+        return this.noteMappings.size + this.controlBindings.size;
+    }
+
+    // --- Patch persistence ---
+
+    /**
+     * Input mappings for a patch. Neurons are stored by their index in circles.
+     * @param {Array} circles - window.circles at save time
+     * @returns {Object|null} { notes, controls }, or null when nothing is mapped
+     */
+    serializeBindings(circles) {
+        if (this.bindingCount === 0) return null;
+
+        const indexOf = neuronId => circles.findIndex(circle => circle && circle.neuron && circle.neuron.id === neuronId);
+        const splitKey = key => key.split(':').map(Number);
+
+        const notes = [];
+        this.noteMappings.forEach((mapping, key) => {
+            const neuron = indexOf(mapping.neuronId);
+            if (neuron === -1) return;
+            const [channel, note] = splitKey(key);
+            notes.push({ channel, note, neuron, action: mapping.action });
+        });
+
+        const controls = [];
+        this.controlBindings.forEach((binding, key) => {
+            const [channel, control] = splitKey(key);
+            const entry = { channel, control, type: binding.type };
+            if (binding.type === 'dc') {
+                entry.neuron = indexOf(binding.neuronId);
+                if (entry.neuron === -1) return;
+            } else if (binding.type === 'weight') {
+                entry.source = indexOf(binding.sourceId);
+                entry.target = indexOf(binding.targetId);
+                if (entry.source === -1 || entry.target === -1) return;
+            }
+            controls.push(entry);
+        });
+
+        return { notes, controls };
+    }
+
+    /**
+     * Replace the input mappings with those stored in a patch
+     * @param {Object|null} data - From serializeBindings
+     * @param {Array} circles - window.circles after the patch was rebuilt
+     */
+    restoreBindings(data, circles) {
+        this.clearBindings();
+        if (!data) return;
+
+        const idAt = index => circles[index]?.neuron?.id;
+
+        (data.notes || []).forEach(({ channel, note, neuron, action }) => {
+            const neuronId = idAt(neuron);
+            if (neuronId === undefined) return;
+            this.noteMappings.set(`${channel}:${note}`, { neuronId, action: MIDI_NOTE_ACTIONS[action] ? action : 'charge' });
+        });
+
+        (data.controls || []).forEach(({ channel, control, type, neuron, source, target }) => {
+            const key = `${channel}:${control}`;
+            if (type === 'dc' && idAt(neuron) !== undefined) {
+                this.controlBindings.set(key, { type, neuronId: idAt(neuron) });
+            } else if (type === 'weight' && idAt(source) !== undefined && idAt(target) !== undefined) {
+                this.controlBindings.set(key, { type, sourceId: idAt(source), targetId: idAt(target) });
+            } else if (type === 'harmony' || type === 'volume') {
+                this.controlBindings.set(key, { type });
+            }
+        });
+
+        // Start listening so a restored patch responds to the controller straight away
+        if (this.bindingCount > 0 && !this.isEnabled) {
+            this.enable().catch(error => console.warn('[MIDI] Could not enable MIDI input:', error));
+        }
+    }
+}
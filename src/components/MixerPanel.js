@@ -0,0 +1,364 @@
+import { METER_FLOOR_DB } from './OptimizedSoundManager.js';
+
+const BUS_LABELS = {
+    low: 'Low',
+    mid: 'Mid',
+    high: 'High',
+    highPerc: 'Hi Perc',
+    hiHat: 'Hi-Hat',
+    organ: 'Organ'
+};
+
+// Neuron faders are the neuronVolume sound parameter, where the bottom of the range mutes
+const NEURON_FADER = { min: -12, max: 12, step: 1 };
+const BUS_FADER = { min: -40, max: 6, step: 0.5 };
+
+// How fast the peak marker falls back (dB per second)
+const PEAK_FALL_RATE = 20;
+
+/**
+ * MixerPanel
+ * A mixer with a strip per audio bus and per neuron - fader, pan, mute, solo
+ * and a peak/RMS meter - plus the master meter and the master compressor's
+ * gain reduction. Bus strips drive OptimizedSoundManager.setBusMix; neuron
+ * strips are the neuron's sound parameters (see MIXER_PARAMS), set through
+ * setNeuronMix; a neuron meter is faded when its level is only estimated (see
+ * getNeuronLevels). The panel only updates while it is open.
+ */
+export class MixerPanel {
+    constructor() {
+        this.visible = false;
+        this.strips = []; // { kind, id, element, meter, fader, pan, mute, solo }
+        this.neuronIds = '';
+        this.frame = null;
+        this.lastFrameTime = 0;
+
+        this.element = document.createElement('div');
+        this.element.className = 'mixer-panel';
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            left: '10px',
+            bottom: '10px',
+            maxWidth: 'calc(100vw - 20px)',
+            display: 'none',
+            flexDirection: 'column',
+            gap: '6px',
+            padding: '8px',
+            background: 'var(--tp-base-background-color, rgba(28, 28, 32, 0.94))',
+            borderRadius: '6px',
+            boxShadow: '0 2px 10px rgba(0, 0, 0, 0.5)',
+            fontFamily: 'var(--tp-base-font-family, Roboto Mono, Source Code Pro, Menlo, Courier, monospace)',
+            fontSize: '10px',
+            color: 'var(--tp-label-foreground-color, #bbb)',
+            zIndex: '1001'
+        });
+
+        const header = document.createElement('div');
+        Object.assign(header.style, { display: 'flex', justifyContent: 'space-between', alignItems: 'center' });
+        const title = document.createElement('span');
+        title.textContent = 'MIXER';
+        const close = this.createButton('✕', 'Close', () => this.hide());
+        header.append(title, close);
+        this.element.appendChild(header);
+
+        this.stripRow = document.createElement('div');
+        Object.assign(this.stripRow.style, { display: 'flex', gap: '4px', overflowX: 'auto', paddingBottom: '4px' });
+        this.element.appendChild(this.stripRow);
+
+        document.body.appendChild(this.element);
+
+        this.update = this.update.bind(this);
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'flex';
+        this.build();
+        this.lastFrameTime = performance.now();
+        this.frame = requestAnimationFrame(this.update);
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    /**
+     * Rebuild the strips from the current buses and neurons
+     */
+    build() {
+        const soundManager = window.soundManager;
+        this.stripRow.replaceChildren();
+        this.strips = [];
+        if (!soundManager) return;
+
+        this.masterStrip = this.createMasterStrip();
+        this.stripRow.appendChild(this.masterStrip.element);
+
+        const mixerState = soundManager.getMixerState();
+        Object.entries(mixerState.buses).forEach(([busId, state]) => {
+            this.addStrip('bus', busId, BUS_LABELS[busId] || busId, {
+                volume: state.volume,
+                pan: state.pan,
+                mute: state.mute,
+                solo: state.solo
+            });
+        });
+
+        const neurons = this.getNeurons();
+        this.neuronIds = neurons.map(neuron => neuron.id).join(',');
+        if (neurons.length > 0) {
+            const divider = document.createElement('div');
+            Object.assign(divider.style, { width: '1px', background: 'rgba(255, 255, 255, 0.2)', margin: '0 4px' });
+            this.stripRow.appendChild(divider);
+        }
+        neurons.forEach(neuron => {
+            const params = soundManager.neuronSoundOverrides.get(neuron.id) || {};
+            this.addStrip('neuron', neuron.id, `${neuron.id}`, {
+                volume: params.neuronVolume ?? 0,
+                pan: params.neuronPan ?? 0,
+                mute: !!params.neuronMute,
+                solo: !!params.neuronSolo
+            }, neuron.presetName);
+        });
+    }
+
+    getNeurons() {
+        return (window.circles || [])
+            .filter(circle => circle && circle.neuron)
+            .map(circle => circle.neuron);
+    }
+
+    /**
+     * Add a bus or neuron strip
+     * @param {string} kind - 'bus' or 'neuron'
+     * @param {string|number} id - Bus ID or neuron ID
+     * @param {string} label
+     * @param {Object} state - { volume, pan, mute, solo }
+     * @param {string} [tooltip]
+     */
+    addStrip(kind, id, label, state, tooltip = '') {
+        const soundManager = window.soundManager;
+        const range = kind === 'bus' ? BUS_FADER : NEURON_FADER;
+        const set = (control, value) => {
+            if (kind === 'bus') {
+                soundManager?.setBusMix(id, control, value);
+            } else {
+                const paramName = `neuron${control.charAt(0).toUpperCase() + control.slice(1)}`;
+                soundManager?.setNeuronMix(id, paramName, value);
+            }
+        };
+
+        const strip = { kind, id, meter: this.createMeter() };
+        strip.element = this.createStripElement(label, tooltip || label);
+
+        // Meter and fader side by side
+        const body = document.createElement('div');
+        Object.assign(body.style, { display: 'flex', gap: '3px', height: '110px', justifyContent: 'center' });
+
+        strip.fader = this.createSlider(range.min, range.max, range.step, state.volume, true);
+        strip.fader.title = kind === 'bus' ? 'Volume (dB)' : 'Neuron volume (bottom = mute)';
+        strip.fader.addEventListener('input', () => set('volume', Number(strip.fader.value)));
+        body.append(strip.meter.element, strip.fader);
+        strip.element.appendChild(body);
+
+        strip.pan = this.createSlider(-1, 1, 0.05, state.pan, false);
+        strip.pan.title = 'Pan (double-click to center)';
+        strip.pan.addEventListener('input', () => set('pan', Number(strip.pan.value)));
+        strip.pan.addEventListener('dblclick', () => {
+            strip.pan.value = 0;
+            set('pan', 0);
+        });
+        strip.element.appendChild(strip.pan);
+
+        const buttons = document.createElement('div');
+        Object.assign(buttons.style, { display: 'flex', gap: '2px', justifyContent: 'center' });
+        strip.mute = this.createToggle('M', 'Mute', state.mute, '#ff5555', value => set('mute', value));
+        strip.solo = this.createToggle('S', 'Solo', state.solo, '#ffcc33', value => set('solo', value));
+        buttons.append(strip.mute, strip.solo);
+        strip.element.appendChild(buttons);
+
+        this.strips.push(strip);
+        this.stripRow.appendChild(strip.element);
+    }
+
+    createMasterStrip() {
+        const element = this.createStripElement('Master', 'Master output');
+        const body = document.createElement('div');
+        Object.assign(body.style, { display: 'flex', gap: '3px', height: '110px', justifyContent: 'center' });
+
+        const meter = this.createMeter();
+        const reduction = this.createMeter('#ff8844');
+        reduction.element.title = 'Master compressor gain reduction';
+        // Gain reduction grows down from the top
+        Object.assign(reduction.rmsBar.style, { top: '0', bottom: 'auto' });
+        body.append(meter.element, reduction.element);
+        element.appendChild(body);
+
+        const readout = document.createElement('div');
+        readout.style.textAlign = 'center';
+        readout.title = 'Master compressor gain reduction';
+        element.appendChild(readout);
+
+        return { element, meter, reduction, readout };
+    }
+
+    createStripElement(label, tooltip) {
+        const element = document.createElement('div');
+        Object.assign(element.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '4px',
+            width: '52px',
+            flexShrink: '0',
+            padding: '4px',
+            background: 'rgba(0, 0, 0, 0.25)',
+            borderRadius: '4px'
+        });
+
+        const name = document.createElement('div');
+        name.textContent = label;
+        name.title = tooltip;
+        Object.assign(name.style, { textAlign: 'center', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' });
+        element.appendChild(name);
+        return element;
+    }
+
+    createMeter(color = '#44dd88') {
+        const element = document.createElement('div');
+        Object.assign(element.style, {
+            position: 'relative',
+            width: '8px',
+            height: '100%',
+            background: 'rgba(0, 0, 0, 0.5)',
+            borderRadius: '1px',
+            overflow: 'hidden'
+        });
+
+        const rmsBar = document.createElement('div');
+        Object.assign(rmsBar.style, { position: 'absolute', left: '0', right: '0', bottom: '0', height: '0%', background: color });
+
+        const peakMarker = document.createElement('div');
+        Object.assign(peakMarker.style, { position: 'absolute', left: '0', right: '0', bottom: '0%', height: '2px', background: '#fff' });
+
+        element.append(rmsBar, peakMarker);
+        return { element, rmsBar, peakMarker, peakHold: METER_FLOOR_DB };
+    }
+
+    createSlider(min, max, step, value, vertical) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = value;
+        if (vertical) {
+            Object.assign(slider.style, { writingMode: 'vertical-lr', direction: 'rtl', width: '16px', height: '100%', margin: '0' });
+        } else {
+            Object.assign(slider.style, { width: '100%', margin: '0' });
+        }
+        return slider;
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        Object.assign(button.style, {
+            background: 'var(--tp-button-background-color, rgba(255, 255, 255, 0.1))',
+            color: 'var(--tp-button-foreground-color, #ddd)',
+            border: 'none',
+            borderRadius: '2px',
+            padding: '1px 5px',
+            font: 'inherit',
+            cursor: 'pointer'
+        });
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createToggle(text, title, active, color, onChange) {
+        const button = this.createButton(text, title, () => {
+            button.active = !button.active;
+            this.styleToggle(button);
+            onChange(button.active);
+        });
+        button.active = active;
+        button.activeColor = color;
+        this.styleToggle(button);
+        return button;
+    }
+
+    styleToggle(button) {
+        button.style.background = button.active ? button.activeColor : 'var(--tp-button-background-color, rgba(255, 255, 255, 0.1))';
+        button.style.color = button.active ? '#111' : 'var(--tp-button-foreground-color, #ddd)';
+    }
+
+    /**
+     * Height of a level on a meter
+     * @param {number} db
+     * @returns {string} CSS percentage
+     */
+    meterHeight(db) {
+        return `${Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100))}%`;
+    }
+
+    /**
+     * Move a meter's RMS bar and peak marker; the peak holds and falls back slowly
+     * @param {Object} meter - From createMeter
+     * @param {{peak: number, rms: number, estimated?: boolean}} levels - dB
+     * @param {number} elapsed - Seconds since the last frame
+     */
+    drawMeter(meter, levels, elapsed) {
+        // Estimated levels (neurons without a signal of their own to measure) are drawn faded
+        if (meter.estimated !== !!levels.estimated) {
+            meter.estimated = !!levels.estimated;
+            meter.rmsBar.style.opacity = meter.estimated ? '0.45' : '1';
+            meter.element.title = meter.estimated ? 'Estimated from the note envelope' : '';
+        }
+
+        meter.peakHold = Math.max(levels.peak, meter.peakHold - PEAK_FALL_RATE * elapsed);
+        meter.rmsBar.style.height = this.meterHeight(levels.rms);
+        meter.peakMarker.style.bottom = this.meterHeight(meter.peakHold);
+        meter.peakMarker.style.background = meter.peakHold > -1 ? '#ff4444' : '#fff';
+    }
+
+    update(now) {
+        if (!this.visible) return;
+        const soundManager = window.soundManager;
+        const elapsed = Math.min(0.1, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+
+        // Neurons were added or removed
+        const neuronIds = this.getNeurons().map(neuron => neuron.id).join(',');
+        if (neuronIds !== this.neuronIds) {
+            this.build();
+        }
+
+        if (soundManager) {
+            const master = soundManager.getMasterLevels();
+            this.drawMeter(this.masterStrip.meter, master, elapsed);
+            this.masterStrip.reduction.rmsBar.style.height = `${Math.min(100, -master.reduction / 20 * 100)}%`;
+            this.masterStrip.readout.textContent = `GR ${master.reduction.toFixed(1)}`;
+
+            this.strips.forEach(strip => {
+                const levels = strip.kind === 'bus'
+                    ? soundManager.getBusLevels(strip.id)
+                    : soundManager.getNeuronLevels(strip.id);
+                this.drawMeter(strip.meter, levels, elapsed);
+            });
+        }
+
+        this.frame = requestAnimationFrame(this.update);
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * Modulation matrix - routes from the network's state to a neuron's sound parameters
+ *
+ * A neuron's routes are saved in its sound parameters:
+ *
+ *   modRoutes: [{ source: 'charge', destination: 'filterFrequency', amount: 0.5, curve: 'exponential', enabled: true }, ...]
+ *
+ * Every time the neuron fires, each source is read as a value from 0 to 1
+ * (-1 to 1 for bipolar sources), shaped by the route's curve and scaled by its
+ * amount (-1 to 1). Routes to the same destination add up; the sum moves the
+ * neuron's own setting by up to the destination's range, in octaves for
+ * frequencies and times and in units for everything else. The result is what
+ * applyNeuronParametersToBus and the voices see for that note - the saved
+ * setting never changes.
+ *
+ * Destinations marked bus: true are settings of the neuron's audio bus (filter,
+ * EQ, effect sends, tremolo and vibrato), which every neuron on the bus shares.
+ * A note only moves them while no other neuron's note is ringing on the bus;
+ * the other destinations belong to the note itself.
+ */
+
+export const MOD_SOURCES = {
+    charge: { label: 'Charge', bipolar: false },
+    firingRate: { label: 'Firing Rate', bipolar: false },
+    weightSum: { label: 'Incoming Weights', bipolar: true },
+    nearestDistance: { label: 'Nearest Neuron', bipolar: false },
+    tonalConfidence: { label: 'Tonal Confidence', bipolar: false },
+    lfo1: { label: 'LFO 1', bipolar: true },
+    lfo2: { label: 'LFO 2', bipolar: true }
+};
+
+// Getter and setter for a setting kept both at the top level and in a nested group
+// (getNeuronSoundParameters builds params.envelope, params.filter, ... from the flat values)
+const nested = (group, key, topKey = key) => ({
+    get: params => params[group]?.[key] ?? params[topKey],
+    set: (params, value) => {
+        params[topKey] = value;
+        params[group] = { ...params[group], [key]: value };
+    }
+});
+
+const flat = (key) => ({
+    get: params => params[key],
+    set: (params, value) => {
+        params[key] = value;
+    }
+});
+
+// EQ has no neuron setting of its own, so it moves from the bus's resting gains
+const eqBand = (band) => ({
+    get: (params, bus) => params.eq?.[band] ?? bus?.baseEq?.[band] ?? 0,
+    set: (params, value, bus) => {
+        params.eq = { ...(bus?.baseEq || { low: 0, mid: 0, high: 0 }), ...params.eq, [band]: value };
+    }
+});
+
+// scale: 'octaves' multiplies the setting by 2^(sum * range), 'linear' adds sum * range
+export const MOD_DESTINATIONS = {
+    filterFrequency: { label: 'Filter Cutoff', bus: true, scale: 'octaves', range: 4, min: 20, max: 20000, fallback: 5000, ...nested('filter', 'frequency', 'filterFrequency') },
+    filterQ: { label: 'Filter Q', bus: true, scale: 'linear', range: 10, min: 0.1, max: 20, fallback: 1, ...nested('filter', 'Q', 'filterQ') },
+    detune: { label: 'Detune', scale: 'linear', range: 100, min: -1200, max: 1200, fallback: 0, ...flat('detune') },
+    reverbSend: { label: 'Reverb Send', bus: true, scale: 'linear', range: 1, min: 0, max: 1, fallback: 0.2, ...nested('effects', 'reverbSend') },
+    delaySend: { label: 'Delay Send', bus: true, scale: 'linear', range: 1, min: 0, max: 1, fallback: 0.15, ...nested('effects', 'delaySend') },
+    neuronPan: { label: 'Pan', scale: 'linear', range: 1, min: -1, max: 1, fallback: 0, ...flat('neuronPan') },
+    attack: { label: 'Attack', scale: 'octaves', range: 3, min: 0.001, max: 5, fallback: 0.002, ...nested('envelope', 'attack') },
+    decay: { label: 'Decay', scale: 'octaves', range: 3, min: 0.01, max: 5, fallback: 0.3, ...nested('envelope', 'decay') },
+    sustain: { label: 'Sustain', scale: 'linear', range: 1, min: 0, max: 1, fallback: 0.2, ...nested('envelope', 'sustain') },
+    release: { label: 'Release', scale: 'octaves', range: 3, min: 0.01, max: 10, fallback: 0.8, ...nested('envelope', 'release') },
+    tremoloFreq: { label: 'Tremolo Rate', bus: true, scale: 'octaves', range: 3, min: 0.1, max: 20, fallback: 4, ...nested('modulation', 'tremoloFreq') },
+    tremoloDepth: { label: 'Tremolo Depth', bus: true, scale: 'linear', range: 1, min: 0, max: 1, fallback: 0, ...nested('modulation', 'tremoloDepth') },
+    vibratoFreq: { label: 'Vibrato Rate', bus: true, scale: 'octaves', range: 3, min: 0.1, max: 20, fallback: 5, ...nested('modulation', 'vibratoFreq') },
+    vibratoDepth: { label: 'Vibrato Depth', bus: true, scale: 'linear', range: 1, min: 0, max: 1, fallback: 0, ...nested('modulation', 'vibratoDepth') },
+    eqLow: { label: 'EQ Low', bus: true, scale: 'linear', range: 12, min: -24, max: 12, fallback: 0, ...eqBand('low') },
+    eqMid: { label: 'EQ Mid', bus: true, scale: 'linear', range: 12, min: -24, max: 12, fallback: 0, ...eqBand('mid') },
+    eqHigh: { label: 'EQ High', bus: true, scale: 'linear', range: 12, min: -24, max: 12, fallback: 0, ...eqBand('high') }
+};
+
+// Curves shape the magnitude of a source value; the sign is kept, so bipolar sources stay symmetric
+export const MOD_CURVES = {
+    linear: { label: 'Linear', shape: x => x },
+    exponential: { label: 'Exponential', shape: x => x * x },
+    logarithmic: { label: 'Logarithmic', shape: x => Math.sqrt(x) },
+    sCurve: { label: 'S-Curve', shape: x => x * x * (3 - 2 * x) },
+    stepped: { label: 'Stepped', shape: x => Math.round(x * 4) / 4 }
+};
+
+export const LFO_SHAPES = {
+    sine: 'Sine',
+    triangle: 'Triangle',
+    square: 'Square',
+    saw: 'Saw',
+    random: 'Sample & Hold'
+};
+
+export const MOD_DEFAULTS = {
+    modRoutes: [],
+    modLfo1Rate: 0.5,          // Hz
+    modLfo1Shape: 'sine',      // Key of LFO_SHAPES
+    modLfo2Rate: 0.1,
+    modLfo2Shape: 'triangle'
+};
+
+// Sound parameters that belong to the matrix (kept when a preset replaces the sound)
+export const MOD_PARAMS = Object.keys(MOD_DEFAULTS);
+
+const FIRING_RATE_WINDOW = 2;    // Seconds of spikes counted for the firing rate
+const FIRING_RATE_FULL = 10;     // Spikes per second that read as 1
+const DISTANCE_FULL = 10;        // World units to the nearest neuron that read as 1
+const CHARGE_SAMPLE_MS = 50;
+const CHARGE_SMOOTHING = 0.2;    // Per sample, about a quarter second to settle
+
+/**
+ * A new route with neutral settings
+ * @param {string} source - Key of MOD_SOURCES
+ * @param {string} destination - Key of MOD_DESTINATIONS
+ * @returns {Object} { source, destination, amount, curve, enabled }
+ */
+export function createModRoute(source = 'charge', destination = 'filterFrequency') {
+    return { source, destination, amount: 0.5, curve: 'linear', enabled: true };
+}
+
+/**
+ * Clean copy of saved routes: unknown sources and destinations are dropped, amounts clamped
+ * @param {Array} routes
+ * @returns {Array<Object>}
+ */
+export function normalizeModRoutes(routes) {
+    if (!Array.isArray(routes)) return [];
+
+    return routes
+        .filter(route => MOD_SOURCES[route?.source] && MOD_DESTINATIONS[route?.destination])
+        .map(route => {
+            const amount = Number(route.amount);
+            return {
+                source: route.source,
+                destination: route.destination,
+                amount: Number.isFinite(amount) ? Math.max(-1, Math.min(1, amount)) : 0,
+                curve: MOD_CURVES[route.curve] ? route.curve : 'linear',
+                enabled: route.enabled !== false
+            };
+        });
+}
+
+/**
+ * Shape a source value with a curve, keeping its sign
+ * @param {number} value - -1 to 1
+ * @param {string} curve - Key of MOD_CURVES
+ * @returns {number}
+ */
+export function applyModCurve(value, curve) {
+    const shape = (MOD_CURVES[curve] || MOD_CURVES.linear).shape;
+    const magnitude = Math.min(1, Math.abs(value));
+    return Math.sign(value) * shape(magnitude);
+}
+
+/**
+ * LFO output at a point in time, -1 to 1
+ * Driven by audio time alone, so an offline render hears the same LFOs as live playback
+ * @param {string} shape - Key of LFO_SHAPES
+ * @param {number} rate - Hz
+ * @param {number} time - Seconds
+ * @returns {number}
+ */
+export function getLfoValue(shape, rate, time) {
+    const cycles = Math.max(0, rate) * time;
+    const phase = cycles - Math.floor(cycles);
+
+    switch (shape) {
+        case 'triangle':
+            return 1 - 4 * Math.abs(phase - 0.5);
+        case 'square':
+            return phase < 0.5 ? 1 : -1;
+        case 'saw':
+            return 2 * phase - 1;
+        case 'random': {
+            // One value per cycle, from a hash of the cycle number
+            const hash = Math.sin(Math.floor(cycles) * 12.9898 + 78.233) * 43758.5453;
+            return 2 * (hash - Math.floor(hash)) - 1;
+        }
+        default:
+            return Math.sin(2 * Math.PI * phase);
+    }
+}
+
+/**
+ * ModMatrix
+ * Reads the sources and applies a neuron's routes. OptimizedSoundManager keeps
+ * one and hands every firing to it (recordFiring) and every note's parameters
+ * through it (apply).
+ *
+ * Network sources come from the live scene (window.circles, window.harmonicSystem).
+ * An offline render replays its spikes without the neurons' charge, so charge
+ * reads 0 there; the firing rate is counted from the spikes the renderer plays.
+ */
+export class ModMatrix {
+    /**
+     * @param {Object} options - { offline }
+     */
+    constructor(options = {}) {
+        this.isOffline = !!options.offline;
+        this.spikeTimes = new Map();     // neuronId -> recent firing times (audio seconds)
+        this.chargeLevels = new Map();   // neuronId -> smoothed charge, 0-1
+
+        // The charge only means something averaged over time - at a firing it is always at threshold
+        this.chargeTimer = this.isOffline ? null : setInterval(() => this.sampleCharges(), CHARGE_SAMPLE_MS);
+    }
+
+    /**
+     * Note a firing for the firing rate source
+     * @param {number} neuronId
+     * @param {number} time - Audio time of the spike (seconds)
+     */
+    recordFiring(neuronId, time) {
+        const times = this.spikeTimes.get(neuronId) || [];
+        times.push(time);
+        while (times.length > 0 && times[0] < time - FIRING_RATE_WINDOW) {
+            times.shift();
+        }
+        this.spikeTimes.set(neuronId, times);
+    }
+
+    sampleCharges() {
+        const seen = new Set();
+        (window.circles || []).forEach(circle => {
+            const neuron = circle?.neuron;
+            if (!neuron) return;
+
+            const charge = Math.max(0, Math.min(1, neuron.currentCharge / (neuron.threshold || 1)));
+            const level = this.chargeLevels.get(neuron.id) ?? charge;
+            this.chargeLevels.set(neuron.id, level + (charge - level) * CHARGE_SMOOTHING);
+            seen.add(neuron.id);
+        });
+
+        // Forget neurons that were removed
+        this.chargeLevels.forEach((_, neuronId) => {
+            if (!seen.has(neuronId)) this.chargeLevels.delete(neuronId);
+        });
+    }
+
+    /**
+     * Whether a neuron has any enabled routes
+     * @param {Object} params - Sound parameters
+     * @returns {boolean}
+     */
+    hasRoutes(params) {
+        return Array.isArray(params?.modRoutes) && params.modRoutes.some(route => route?.enabled !== false);
+    }
+
+    /**
+     * Whether a neuron has an enabled route to a destination
+     * @param {Object} params - Sound parameters
+     * @param {string} destination - Key of MOD_DESTINATIONS
+     * @returns {boolean}
+     */
+    hasRoute(params, destination) {
+        return Array.isArray(params?.modRoutes) &&
+            params.modRoutes.some(route => route?.enabled !== false && route.destination === destination);
+    }
+
+    /**
+     * Whether a neuron has an enabled route to a bus-wide destination
+     * @param {Object} params - Sound parameters
+     * @returns {boolean}
+     */
+    hasBusRoutes(params) {
+        return Array.isArray(params?.modRoutes) &&
+            params.modRoutes.some(route => route?.enabled !== false && MOD_DESTINATIONS[route.destination]?.bus);
+    }
+
+    /**
+     * Value of a source for a neuron
+     * @param {string} source - Key of MOD_SOURCES
+     * @param {number} neuronId
+     * @param {Object} params - Sound parameters (LFO settings)
+     * @param {number} time - Audio time of the note (seconds)
+     * @returns {number} 0-1, or -1 to 1 for bipolar sources
+     */
+    getSourceValue(source, neuronId, params, time) {
+        switch (source) {
+            case 'charge':
+                return this.chargeLevels.get(neuronId) ?? 0;
+
+            case 'firingRate': {
+                const times = this.spikeTimes.get(neuronId) || [];
+                const count = times.filter(spikeTime => spikeTime > time - FIRING_RATE_WINDOW && spikeTime <= time).length;
+                return Math.min(1, count / FIRING_RATE_WINDOW / FIRING_RATE_FULL);
+            }
+
+            case 'weightSum': {
+                const circles = window.circles || [];
+                const index = circles.findIndex(circle => circle?.neuron?.id === neuronId);
+                if (index < 0) return 0;
+
+                let sum = 0;
+                circles.forEach(circle => {
+                    const neuron = circle?.neuron;
+                    if (neuron?.outgoingConnections?.has(index)) {
+                        sum += neuron.synapticWeights?.get(index) ?? 0;
+                    }
+                });
+                // Unbounded sum squeezed into -1 to 1
+                return sum / (1 + Math.abs(sum));
+            }
+
+            case 'nearestDistance': {
+                const circles = window.circles || [];
+                const self = circles.find(circle => circle?.neuron?.id === neuronId);
+                if (!self) return 0;
+
+                let nearest = Infinity;
+                circles.forEach(circle => {
+                    if (circle === self || !circle?.position) return;
+                    nearest = Math.min(nearest, Math.hypot(circle.position.x - self.position.x, circle.position.z - self.position.z));
+                });
+                return Number.isFinite(nearest) ? Math.min(1, nearest / DISTANCE_FULL) : 1;
+            }
+
+            case 'tonalConfidence':
+                return Math.max(0, Math.min(1, window.harmonicSystem?.currentTonalCenter?.confidence ?? 0));
+
+            case 'lfo1':
+                return getLfoValue(params.modLfo1Shape, params.modLfo1Rate ?? MOD_DEFAULTS.modLfo1Rate, time);
+
+            case 'lfo2':
+                return getLfoValue(params.modLfo2Shape, params.modLfo2Rate ?? MOD_DEFAULTS.modLfo2Rate, time);
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * A neuron's parameters for one note, with its routes applied
+     * @param {number} neuronId
+     * @param {Object} params - Sound parameters (left unchanged)
+     * @param {Object} bus - The bus the note plays on (resting EQ)
+     * @param {number} time - Audio time of the note (seconds)
+     * @returns {Object} Modulated copy of params
+     */
+    apply(neuronId, params, bus, time) {
+        const routes = normalizeModRoutes(params.modRoutes).filter(route => route.enabled && route.amount !== 0);
+        if (routes.length === 0) return params;
+
+        // Each source is read once per note, however many routes use it
+        const sources = {};
+        const offsets = {};
+        routes.forEach(route => {
+            if (!(route.source in sources)) {
+                sources[route.source] = this.getSourceValue(route.source, neuronId, params, time);
+            }
+            offsets[route.destination] = (offsets[route.destination] || 0) +
+                applyModCurve(sources[route.source], route.curve) * route.amount;
+        });
+
+        const modulated = { ...params };
+        Object.entries(offsets).forEach(([key, offset]) => {
+            const destination = MOD_DESTINATIONS[key];
+            const base = Number(destination.get(params, bus) ?? destination.fallback);
+            const value = destination.scale === 'octaves'
+                ? base * Math.pow(2, offset * destination.range)
+                : base + offset * destination.range;
+            destination.set(modulated, Math.max(destination.min, Math.min(destination.max, value)), bus);
+        });
+
+        return modulated;
+    }
+
+    /**
+     * Forget a neuron's history
+     * @param {number} neuronId
+     */
+    clearNeuron(neuronId) {
+        this.spikeTimes.delete(neuronId);
+        this.chargeLevels.delete(neuronId);
+    }
+
+    dispose() {
+        clearInterval(this.chargeTimer);
+        this.spikeTimes.clear();
+        this.chargeLevels.clear();
+    }
+}
@@ -0,0 +1,188 @@
+import { MOD_SOURCES, MOD_DESTINATIONS, MOD_CURVES, createModRoute, normalizeModRoutes } from './ModMatrix.js';
+
+/**
+ * ModMatrixEditor
+ * Editor for the selected neuron's modulation routes, shown in the synth panel.
+ * Each route picks a source, a destination and a curve, with an amount slider
+ * from -1 to 1. Every edit hands the whole list to onChange, which stores it
+ * in the neuron's sound parameters.
+ */
+export class ModMatrixEditor {
+    /**
+     * @param {Function} onChange - Called with the edited routes
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.routes = [];
+
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            padding: '6px 4px',
+            fontFamily: 'var(--tp-base-font-family, Roboto Mono, Source Code Pro, Menlo, Courier, monospace)',
+            fontSize: '11px',
+            color: 'var(--tp-label-foreground-color, #bbb)'
+        });
+
+        this.routeList = document.createElement('div');
+        Object.assign(this.routeList.style, { display: 'flex', flexDirection: 'column', gap: '6px' });
+        this.element.appendChild(this.routeList);
+
+        const addButton = document.createElement('button');
+        addButton.textContent = '+ Add route';
+        Object.assign(addButton.style, this.controlStyle(), { cursor: 'pointer' });
+        addButton.addEventListener('click', () => {
+            this.routes.push(createModRoute());
+            this.commit();
+        });
+        this.element.appendChild(addButton);
+
+        this.render();
+    }
+
+    /**
+     * Show a neuron's routes
+     * @param {Array} routes - Routes from the neuron's sound parameters
+     */
+    setRoutes(routes) {
+        this.routes = normalizeModRoutes(routes);
+        this.render();
+    }
+
+    /**
+     * Hand the edited routes to onChange
+     * @param {boolean} rerender - Rebuild the rows (not while a slider is being dragged)
+     */
+    commit(rerender = true) {
+        if (rerender) this.render();
+        this.onChange?.(this.routes.map(route => ({ ...route })));
+    }
+
+    controlStyle() {
+        return {
+            background: 'var(--tp-input-background-color, rgba(255, 255, 255, 0.1))',
+            color: 'var(--tp-input-foreground-color, #ddd)',
+            border: 'none',
+            borderRadius: '2px',
+            padding: '2px 4px',
+            font: 'inherit'
+        };
+    }
+
+    createSelect(options, value, onSelect) {
+        const select = document.createElement('select');
+        Object.assign(select.style, this.controlStyle(), { flex: '1', minWidth: '0' });
+        Object.entries(options).forEach(([key, option]) => {
+            const item = new Option(option.label, key);
+            if (option.bus) item.title = 'Bus-wide: shared by every neuron on the bus';
+            select.appendChild(item);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onSelect(select.value));
+        return select;
+    }
+
+    render() {
+        this.routeList.replaceChildren();
+
+        if (this.routes.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No routes - the neuron plays its settings as they are';
+            empty.style.opacity = '0.6';
+            this.routeList.appendChild(empty);
+            return;
+        }
+
+        this.routes.forEach((route, index) => this.routeList.appendChild(this.renderRoute(route, index)));
+    }
+
+    renderRoute(route, index) {
+        const routeElement = document.createElement('div');
+        Object.assign(routeElement.style, {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '3px',
+            background: 'rgba(0, 0, 0, 0.2)',
+            border: '1px solid rgba(255, 255, 255, 0.1)',
+            borderRadius: '4px',
+            padding: '4px 6px',
+            opacity: route.enabled ? '1' : '0.5'
+        });
+
+        // Source -> destination, on/off, remove
+        const header = document.createElement('div');
+        Object.assign(header.style, { display: 'flex', alignItems: 'center', gap: '4px' });
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = route.enabled;
+        toggle.title = 'Enable';
+        toggle.addEventListener('change', () => {
+            route.enabled = toggle.checked;
+            this.commit();
+        });
+
+        const source = this.createSelect(MOD_SOURCES, route.source, value => {
+            route.source = value;
+            this.commit();
+        });
+
+        const arrow = document.createElement('span');
+        arrow.textContent = '→';
+
+        const destination = this.createSelect(MOD_DESTINATIONS, route.destination, value => {
+            route.destination = value;
+            this.commit();
+        });
+
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        Object.assign(remove.style, this.controlStyle(), { cursor: 'pointer' });
+        remove.addEventListener('click', () => {
+            this.routes.splice(index, 1);
+            this.commit();
+        });
+
+        header.append(toggle, source, arrow, destination, remove);
+        routeElement.appendChild(header);
+
+        // Curve and amount
+        const row = document.createElement('div');
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px' });
+
+        const curve = this.createSelect(MOD_CURVES, route.curve, value => {
+            route.curve = value;
+            this.commit();
+        });
+        curve.style.flex = '0 0 90px';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = -1;
+        slider.max = 1;
+        slider.step = 0.01;
+        slider.value = route.amount;
+        slider.title = 'Amount';
+        slider.style.flex = '1';
+
+        const readout = document.createElement('span');
+        readout.textContent = route.amount.toFixed(2);
+        readout.style.width = '38px';
+        readout.style.textAlign = 'right';
+
+        // Live while dragging; no re-render, so the slider keeps focus
+        slider.addEventListener('input', () => {
+            route.amount = Number(slider.value);
+            readout.textContent = route.amount.toFixed(2);
+            this.commit(false);
+        });
+
+        row.append(curve, slider, readout);
+        routeElement.appendChild(row);
+
+        return routeElement;
+    }
+}
@@ -0,0 +1,192 @@
+import * as Tone from 'tone';
+import { OptimizedSoundManager } from './OptimizedSoundManager.js';
+import { simulatePatch } from './core/SimulationCore.js';
+import { createRandom } from './core/random.js';
+import { encodeWAV } from './utils/wavEncoder.js';
+
+/**
+ * OfflineRenderer
+ * Renders the current network to a WAV file faster than real time. The patch
+ * is simulated with the deterministic SimulationCore, and every spike is played
+ * through an offline OptimizedSoundManager inside Tone.Offline. That manager has
+ * the same voices and bus chain (compressor, limiter, hi-hat path) as the live
+ * one, so the file sounds like the network with deterministic mode switched on.
+ */
+export class OfflineRenderer {
+    /**
+     * @param {PatchManager} patchManager - Used to snapshot the network being rendered
+     */
+    constructor(patchManager) {
+        this.patchManager = patchManager;
+
+        // Only one render at a time - Tone.Offline swaps the global context while it runs
+        this.isRendering = false;
+    }
+
+    /**
+     * Render the current network
+     * @param {Object} options
+     * @param {number} [options.duration=30] - Length of the render in seconds
+     * @param {number} [options.bitDepth=16] - 16 or 24
+     * @param {number} [options.sampleRate] - Defaults to the live context's rate
+     * @param {number} [options.seed] - Simulation seed, defaults to the patch's seed
+     * @returns {Promise<Blob>} The WAV file
+     */
+    async render(options = {}) {
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+
+        const duration = Math.max(1, options.duration || 30);
+        const bitDepth = options.bitDepth || 16;
+        const sampleRate = options.sampleRate || Tone.getContext().sampleRate;
+
+        const patch = this.patchManager.serialize();
+        if (patch.neurons.length === 0) {
+            throw new Error('There are no neurons to render');
+        }
+
+        this.isRendering = true;
+
+        try {
+            const seed = options.seed ?? patch.settings.simulationSeed;
+            const spikes = this.simulate(patch, duration, seed);
+            console.log(`%c[RENDER] Simulated ${spikes.length} spikes over ${duration}s, rendering audio...`, "color: #00ff00;");
+
+            const buffer = await Tone.Offline(async () => {
+                const soundManager = new OptimizedSoundManager(null, null, null, { offline: true });
+                const neuronIds = this.applyPatchSounds(soundManager, patch);
+                // Humanized timing has to come out the same on every render of the patch
+                soundManager.random = createRandom(seed);
+
+                // Reverb impulse responses are generated asynchronously
+                await Promise.all(Object.values(soundManager.buses)
+                    .map(bus => bus && bus.reverb && bus.reverb.ready)
+                    .filter(Boolean));
+
+                // Schedule on the transport so the synths see the render timeline
+                const transport = Tone.getTransport();
+                transport.bpm.value = patch.settings.tempo?.bpm || 120;
+                spikes.forEach(spike => {
+                    const sound = this.getSpikeSound(spike, patch);
+                    transport.schedule(time => {
+                        soundManager.playNeuronFiring(
+                            sound.weight,
+                            sound.speed,
+                            neuronIds[spike.neuronId],
+                            sound.isIsolated,
+                            spike.dcInput > 0,
+                            sound.distance,
+                            time
+                        );
+                    }, spike.time / 1000);
+                });
+                transport.start(0);
+            }, duration, 2, sampleRate);
+
+            console.log(`%c[RENDER] Rendered ${duration}s at ${sampleRate}Hz`, "color: #00ff00;");
+            return encodeWAV(buffer, { bitDepth });
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Run the patch through a fresh simulation core
+     * @param {Object} patch - Patch from PatchManager.serialize()
+     * @param {number} duration - Seconds to simulate
+     * @param {number} seed - Simulation seed
+     * @returns {Array} Spike events from SimulationCore.run
+     */
+    simulate(patch, duration, seed) {
+        return simulatePatch(patch, duration * 1000, seed);
+    }
+
+    /**
+     * Copy each neuron's sound and note into the offline sound manager
+     * @param {OptimizedSoundManager} soundManager - The offline sound manager
+     * @param {Object} patch - Patch being rendered
+     * @returns {Array<number>} Sound manager neuron id for each patch neuron
+     */
+    applyPatchSounds(soundManager, patch) {
+        soundManager.setVolumeNormalization(patch.settings.volumeNormalization ?? 1.0);
+        if (patch.settings.quantize) {
+            soundManager.setOutputQuantize(patch.settings.quantize);
+        }
+        if (patch.settings.mixer) {
+            soundManager.setMixerState(patch.settings.mixer);
+        }
+
+        const ids = patch.neurons.map((data, index) => {
+            // Keep the live ids - the bus a neuron plays through depends on it
+            const id = window.circles?.[data.index]?.neuron?.id ?? index + 1;
+
+            if (data.sound) {
+                soundManager.neuronSoundOverrides.set(id, JSON.parse(JSON.stringify(data.sound)));
+            }
+            soundManager.neuronFrequencies.set(id, data.frequency ? { ...data.frequency } : { baseFreq: 440 });
+
+            return id;
+        });
+
+        // The overrides carry each neuron's solo
+        soundManager.updateSoloState();
+        return ids;
+    }
+
+    /**
+     * Work out the sound arguments for a spike the same way Neuron.fire() does
+     * @param {Object} spike - Spike event from the simulation core
+     * @param {Object} patch - Patch being rendered
+     * @returns {Object} weight, speed, distance and isIsolated
+     */
+    getSpikeSound(spike, patch) {
+        const count = spike.connections.length;
+        const source = patch.neurons[spike.neuronId]?.position;
+
+        let totalWeight = 0;
+        let totalSpeed = 0;
+        let totalDistance = 0;
+
+        spike.connections.forEach(connection => {
+            totalWeight += Math.abs(connection.weight);
+            totalSpeed += connection.speed;
+
+            const target = patch.neurons[connection.targetId]?.position;
+            if (source && target) {
+                totalDistance += Math.hypot(target.x - source.x, target.z - source.z);
+            }
+        });
+
+        return {
+            weight: Math.min(1, Math.max(0.1, count > 0 ? totalWeight / count : 0.5)),
+            speed: Math.min(1, Math.max(0.1, count > 0 ? totalSpeed / count : 0.5)),
+            distance: Math.min(20, Math.max(1, count > 0 ? totalDistance / count : 0)),
+            isIsolated: count === 0
+        };
+    }
+
+    /**
+     * Render the current network and download it as a .wav file
+     * @param {Object} options - See render()
+     * @returns {Promise<string>} The downloaded file name
+     */
+    async renderToFile(options = {}) {
+        const blob = await this.render(options);
+        const name = `neural-oscillator-render-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`%c[RENDER] Saved render as ${name}`, "color: #00ff00;");
+        return name;
+    }
+}
@@ -47,7 +47,7 @@ export class OptimizedParticleSystem {
    * @param {THREE.Vector3} targetPos - End position
    * @param {number} sourceId - Source neuron ID
    * @param {number} targetId - Target neuron ID
-   * @param {number} weight - Connection weight (0-1)
+   * @param {number} weight - Connection weight (-1 to 1, negative is inhibitory)
    * @param {number} speed - Speed factor (0-1, where 0=stationary, 1=instant)
    * @returns {string} Particle UUID
    */
@@ -82,6 +82,9 @@ export class OptimizedParticleSystem {
     // Position mesh at source
     mesh.position.copy(sourcePos);
     
+    // Tint inhibitory signals (pooled meshes may carry the previous color)
+    mesh.material.color.setHex(weight < 0 ? 0xff40c0 : 0xffffff);
+    
     // Try to get camera for billboarding
     const camera = this.scene.getObjectByProperty('type', 'OrthographicCamera') || 
                    this.scene.getObjectByProperty('type', 'PerspectiveCamera');
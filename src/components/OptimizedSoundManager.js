@@ -1,4 +1,65 @@
 import * as Tone from 'tone';
+import { quantizeTicks } from './core/tempo.js';
+import { SYNTH_ENGINES, ENGINE_DEFAULTS } from './synthEngines.js';
+import { INSERT_EFFECTS, normalizeInserts } from './insertEffects.js';
+import { ModMatrix, MOD_DEFAULTS, normalizeModRoutes } from './ModMatrix.js';
+
+// Grid the output quantizer can snap notes to (Tone time notation -> label)
+export const QUANTIZE_SUBDIVISIONS = {
+    '4n': '1/4',
+    '8n': '1/8',
+    '8t': '1/8T',
+    '16n': '1/16',
+    '16t': '1/16T',
+    '32n': '1/32'
+};
+
+// Largest timing spread humanize adds, either side of the grid (seconds)
+const HUMANIZE_MAX_SECONDS = 0.03;
+
+// How a neuron's firing is voiced
+export const VOICING_MODES = {
+    single: 'Single Note',
+    chord: 'Chord',
+    arpeggio: 'Arpeggio'
+};
+
+// Chord shapes in semitones above the neuron's note; each tone then snaps into the
+// current key, so a major triad becomes minor or diminished where the scale says so
+export const CHORD_TYPES = {
+    triad: { label: 'Triad', intervals: [0, 4, 7] },
+    seventh: { label: 'Seventh', intervals: [0, 4, 7, 10] },
+    sus2: { label: 'Sus2', intervals: [0, 2, 7] },
+    sus4: { label: 'Sus4', intervals: [0, 5, 7] },
+    custom: { label: 'Custom', intervals: null } // Uses the neuron's chordIntervals
+};
+
+export const ARPEGGIO_DIRECTIONS = {
+    up: 'Up',
+    down: 'Down',
+    random: 'Random'
+};
+
+// Per-neuron voicing parameters, kept when a new sound preset is applied
+export const VOICING_PARAMS = ['voicing', 'chordType', 'chordIntervals', 'arpDirection', 'arpRate', 'arpOctaves'];
+
+// Per-neuron mixer strip parameters, also kept when a preset is applied
+export const MIXER_PARAMS = ['neuronVolume', 'neuronPan', 'neuronMute', 'neuronSolo'];
+
+// Lowest level the mixer meters report (dB)
+export const METER_FLOOR_DB = -60;
+
+// How spatial audio places neurons
+export const SPATIAL_MODES = {
+    stereo: 'Stereo Pan',
+    hrtf: '3D (HRTF)'
+};
+
+// 3D mode - distances are world units from the listener at the camera center
+const SPATIAL_REF_DISTANCE = 3;       // Full volume inside this radius
+const SPATIAL_ROLLOFF = 1;            // Inverse distance attenuation beyond it
+const SPATIAL_REVERB_DISTANCE = 15;   // Distance at which the reverb send is fully open
+const SPATIAL_REVERB_MAX = 0.6;       // Send level at that distance
 
 /**
  * OptimizedSoundManager class
@@ -6,14 +67,20 @@ import * as Tone from 'tone';
  * Uses a bus-based architecture with voice allocation to maximize performance
  */
 export class OptimizedSoundManager {
-    constructor(scene, camera, renderer) {
+    constructor(scene, camera, renderer, options = {}) {
         // Core references
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
         
+        // Offline instances are built inside Tone.Offline to render a patch to a file:
+        // notes are scheduled at explicit times and nothing is cleaned up on wall-clock timers
+        this.isOffline = !!options.offline;
+        
         // Initialize audio context
-        this.ensureAudioContext();
+        if (!this.isOffline) {
+            this.ensureAudioContext();
+        }
         
         // Global settings
         this.volume = -6;
@@ -22,6 +89,9 @@ export class OptimizedSoundManager {
         
         // Add spatial audio settings
         this.spatialAudioEnabled = false;
+        this.spatialMode = 'stereo';          // Key of SPATIAL_MODES
+        this.spatialReverb = null;            // 3D mode distance reverb, fed by each neuron's send
+        this.listenerPosition = null;         // Camera x/z the 3D listener was last moved to, see followCamera
         this.spatialAudioPanners = new Map(); // Store panners by neuron ID
         this.spatialAudioNodes = new Map(); // Store all nodes for cleanup
         
@@ -35,16 +105,42 @@ export class OptimizedSoundManager {
         
         // Voice management
         this.activeVoices = new Set();
-        this.maxVoices = 48;  // Increased from 24 to 48 maximum concurrent voices
+        this.maxVoices = this.isOffline ? Infinity : 48;  // Increased from 24 to 48 maximum concurrent voices
         this.voiceTimeout = 1000; // Reduced from 2000ms to 1000ms - voice considered active for 1s
         this.voicePriorities = new Map(); // Neuron ID to priority score
-        this.lastPlayTime = 0;
+        this.lastPlayTime = -Infinity; // No note yet - offline renders start at time 0
         this.minTimeBetweenNotes = 15; // Increased from 5ms to 15ms for more consistent timing
         this.neuronLastPlayTime = new Map(); // Track last play time per neuron for rhythm consistency
         
+        // Output quantizer - moves notes (not spikes) onto the Transport grid, see setOutputQuantize
+        this.outputQuantize = { enabled: false, subdivision: '16n', swing: 0, humanize: 0 };
+        this.random = Math.random; // Humanize source; offline renders swap in a seeded one
+        
         // Add tracking for polyphony management
         this.lastPlayedNotes = [];
         
+        // One-shot voices built per note (samples and synth engines) - the oldest is cut
+        // when a new one would go past the limit, see reserveOneShotVoice
+        this.oneShotVoices = []; // { stop(time), endTime }
+        this.maxOneShotVoices = 24;
+        
+        // Wavetable voices whose position follows their neuron's charge, see updateChargeFollowers
+        this.chargeFollowers = new Set(); // { voice, neuron, params, lastCharge }
+        
+        // Per-neuron insert effect chains, built on the neuron's first firing, see getInsertChain
+        this.insertChains = new Map(); // neuronId -> { signature, settings, input, effects, panner, meter, spatial, destination, voices }
+        this.maxChainVoices = 8; // Bus synth copies kept per chain, see getChainVoice
+        
+        // Mixer - bus strips live on the buses (bus.channel, bus.meter); neuron strips are
+        // sound parameters (MIXER_PARAMS), so they are saved and silenced with the neuron
+        this.soloBuses = new Set();
+        this.mutedNeurons = new Set(); // Neurons mute or solo silenced, see updateNeuronMutes
+        this.anyNeuronSoloed = false; // Cached for isNeuronAudible, see updateSoloState
+        this.neuronMeterNotes = new Map(); // neuronId -> last note, for the neuron meters
+        
+        // Routes from network state to sound parameters, applied per note (modRoutes)
+        this.modMatrix = new ModMatrix({ offline: this.isOffline });
+        
         // Added tracking for recent sound types to detect potential clipping scenarios
         this.recentSoundTypes = {
             bass: { lastPlayed: 0, isPlaying: false },
@@ -102,13 +198,15 @@ export class OptimizedSoundManager {
         
         // Initialize analyzer
         this.waveformAnalyzer = new Tone.Analyser("waveform", 1024);
-        Tone.Destination.connect(this.waveformAnalyzer);
+        Tone.getDestination().connect(this.waveformAnalyzer);
 
         // Initialize oscillator bank with lazy loading
         this.oscillatorBank = new Map();
         this.pendingOscillators = new Map(); // Track oscillators scheduled for creation
         this._cleanupScheduled = false;
-        this.initializeOscillatorBank();
+        if (!this.isOffline) {
+            this.initializeOscillatorBank();
+        }
     }
     
     // Modified method to initialize the oscillator bank with lazy loading
@@ -378,6 +476,12 @@ export class OptimizedSoundManager {
         console.log(`${enabled ? 'Enabling' : 'Disabling'} spatial audio`);
         this.spatialAudioEnabled = enabled;
         
+        // 3D mode places every neuron on its own, through its insert chain
+        if (this.spatialMode === 'hrtf') {
+            this.setHrtfSpatialAudio(enabled);
+            return;
+        }
+        
         if (enabled) {
             // Create spatial panners for all existing audio buses if needed
             Object.values(this.buses).forEach(bus => {
@@ -398,7 +502,7 @@ export class OptimizedSoundManager {
                 
                 try {
                     // Disconnect gain from the previous destination
-                    const originalDestination = bus.originalDestination || this.finalMixer || Tone.Destination;
+                    const originalDestination = bus.originalDestination || this.finalMixer || Tone.getDestination();
                     bus.gain.disconnect();
                     
                     // Connect through the panner
@@ -432,7 +536,7 @@ export class OptimizedSoundManager {
                         bus.gain.disconnect();
                         
                         // Reconnect directly to original destination
-                        const originalDestination = bus.originalDestination || this.finalMixer || Tone.Destination;
+                        const originalDestination = bus.originalDestination || this.finalMixer || Tone.getDestination();
                         bus.gain.connect(originalDestination);
                         
                         // Dispose panner
@@ -455,11 +559,138 @@ export class OptimizedSoundManager {
         }
     }
     
+    /**
+     * Switch between stereo panning of the buses and 3D (HRTF) panning of each neuron
+     * @param {string} mode - Key of SPATIAL_MODES
+     */
+    setSpatialMode(mode) {
+        if (!SPATIAL_MODES[mode] || mode === this.spatialMode) return;
+        
+        // Take the old mode's nodes down before building the new ones
+        const enabled = this.spatialAudioEnabled;
+        if (enabled) this.setSpatialAudio(false);
+        this.spatialMode = mode;
+        if (enabled) this.setSpatialAudio(true);
+        
+        console.log(`%c[SPATIAL] Mode: ${SPATIAL_MODES[mode]}`, "color: #66ccff;");
+    }
+    
+    isHrtfSpatialActive() {
+        return this.spatialAudioEnabled && this.spatialMode === 'hrtf' && !this.isOffline;
+    }
+    
+    /**
+     * Turn 3D mode on or off. Neurons get their Panner3D at the end of their insert
+     * chain (getInsertChain), after their usual voice, so the chains are rebuilt on
+     * each neuron's next firing.
+     * @param {boolean} enabled
+     */
+    setHrtfSpatialAudio(enabled) {
+        Array.from(this.insertChains.keys()).forEach(neuronId => this.disposeInsertChain(neuronId));
+        this.listenerPosition = null;
+        
+        if (enabled) {
+            if (!this.spatialReverb) {
+                this.spatialReverb = new Tone.Reverb({ decay: 3.5, preDelay: 0.03, wet: 1 });
+                this.spatialReverb.connect(this.finalMixer || Tone.getDestination());
+            }
+            this.followCamera();
+        } else if (this.spatialReverb) {
+            this.spatialReverb.dispose();
+            this.spatialReverb = null;
+        }
+    }
+    
+    /**
+     * Put the listener at the camera center, facing the top of the screen
+     * (the camera looks straight down, so screen up is -z)
+     */
+    updateSpatialListener() {
+        if (!this.camera) return;
+        
+        const listener = Tone.getListener();
+        const now = Tone.now();
+        listener.positionX.rampTo(this.camera.position.x, 0.05, now);
+        listener.positionY.value = 0;
+        listener.positionZ.rampTo(this.camera.position.z, 0.05, now);
+        listener.forwardX.value = 0;
+        listener.forwardY.value = 0;
+        listener.forwardZ.value = -1;
+        listener.upX.value = 0;
+        listener.upY.value = 1;
+        listener.upZ.value = 0;
+    }
+    
+    /**
+     * Keep the 3D listener at the camera center. Called from the render loop every
+     * frame; the listener, and the neurons' distance sends with it, only move when
+     * the camera has.
+     */
+    followCamera() {
+        if (!this.isHrtfSpatialActive() || !this.camera) return;
+        
+        const { x, z } = this.camera.position;
+        if (this.listenerPosition?.x === x && this.listenerPosition?.z === z) return;
+        
+        this.listenerPosition = { x, z };
+        this.updateSpatialListener();
+        this.insertChains.forEach((chain, neuronId) => this.updateNeuronPanner3D(neuronId));
+    }
+    
+    /**
+     * 3D nodes at the end of a neuron's insert chain: a Panner3D, and a send
+     * from it to the distance reverb
+     * @returns {object} { panner, send }
+     */
+    createSpatialNodes() {
+        const panner = new Tone.Panner3D({
+            panningModel: 'HRTF',
+            distanceModel: 'inverse',
+            refDistance: SPATIAL_REF_DISTANCE,
+            rolloffFactor: SPATIAL_ROLLOFF,
+            maxDistance: 1000
+        });
+        const send = new Tone.Gain(0);
+        panner.connect(send);
+        send.connect(this.spatialReverb);
+        return { panner, send };
+    }
+    
+    /**
+     * Move a neuron's Panner3D to where the neuron is on the canvas - x/z around
+     * the listener give azimuth and distance, and the farther the neuron the more
+     * of it goes to the reverb. Called on firing, while the neuron is dragged and
+     * when the listener moves (followCamera).
+     * @param {number} neuronId - Neuron ID
+     */
+    updateNeuronPanner3D(neuronId) {
+        if (!this.isHrtfSpatialActive()) return;
+        
+        const spatial = this.insertChains.get(neuronId)?.spatial;
+        const circle = window.circles?.find(circle => circle?.neuron?.id === neuronId);
+        if (!spatial || !circle) return;
+        
+        const { x, z } = circle.position;
+        const now = Tone.now();
+        spatial.panner.positionX.rampTo(x, 0.05, now);
+        spatial.panner.positionY.value = 0;
+        spatial.panner.positionZ.rampTo(z, 0.05, now);
+        
+        const distance = Math.hypot(x - this.camera.position.x, z - this.camera.position.z);
+        const sendLevel = SPATIAL_REVERB_MAX * Math.min(1, distance / SPATIAL_REVERB_DISTANCE);
+        spatial.send.gain.rampTo(sendLevel, 0.05, now);
+    }
+    
     // Update spatial position for a neuron's audio
     updateNeuronSpatialPosition(neuronId) {
         // Skip if spatial audio is disabled
         if (!this.spatialAudioEnabled) return;
         
+        if (this.spatialMode === 'hrtf') {
+            this.updateNeuronPanner3D(neuronId);
+            return;
+        }
+        
         // Calculate the spatial position (pan value)
         const pan = this.calculateSpatialPosition(neuronId);
         
@@ -526,6 +757,11 @@ export class OptimizedSoundManager {
     
     // Modified method to get closest frequency with quantization
     getClosestFrequency(targetFreq) {
+        // Microtonal tunings keep their own pitches (see ScaleManager)
+        if (window.scaleManager && window.scaleManager.tuning) {
+            return window.scaleManager.snapFrequency(targetFreq);
+        }
+        
         // Implement frequency quantization - round to nearest semitone
         // This reduces the total number of oscillators needed
         const semitone = Math.round(12 * Math.log2(targetFreq/440)) + 49; // A4 = 49
@@ -559,6 +795,12 @@ export class OptimizedSoundManager {
             this.masterLimiter = new Tone.Limiter(-2.0); // Changed from -0.5 to -2.0 for more headroom
             this.masterLimiter.toDestination();
             
+            // Master meter for the mixer (nothing to look at in an offline render)
+            if (!this.isOffline) {
+                this.masterMeter = new Tone.Analyser('waveform', 256);
+                this.masterLimiter.connect(this.masterMeter);
+            }
+            
             // Create master compressor that feeds into the limiter
             this.masterCompressor = new Tone.Compressor({
                 threshold: -22, // Changed from -28 to -22 for less aggressive compression
@@ -806,7 +1048,7 @@ export class OptimizedSoundManager {
                 
                 // Add minimal components if missing
                 if (!bus.filter) {
-                    bus.filter = new Tone.Filter(1000, "allpass").connect(bus.gain || Tone.Destination);
+                    bus.filter = new Tone.Filter(1000, "allpass").connect(bus.gain || Tone.getDestination());
                 }
                 
                 if (!bus.eq) {
@@ -875,6 +1117,13 @@ export class OptimizedSoundManager {
                 gain: new Tone.Gain(1)
             };
             
+            // Resting EQ, restored after a neuron's modulation routes have moved it
+            bus.baseEq = {
+                low: options.eq?.low || 0,
+                mid: options.eq?.mid || 0,
+                high: options.eq?.high || 0
+            };
+            
             // Create reverb with pre-generated impulse
             bus.reverb = new Tone.Reverb({
                 decay: options.reverb?.decay || 1.5,
@@ -993,7 +1242,13 @@ export class OptimizedSoundManager {
                 }
                 
                 try { 
-        bus.reverb.connect(bus.gain);
+        // Mixer strip (fader, pan, mute) between the effects and the bus output, see setBusMix
+        bus.channel = new Tone.Channel();
+        bus.reverb.chain(bus.channel, bus.gain);
+        if (!this.isOffline) {
+            bus.meter = new Tone.Analyser('waveform', 256);
+            bus.channel.connect(bus.meter);
+        }
             console.log(`Connected reverb to gain for bus ${id}`);
                 } catch (e) { 
                     console.warn("Error connecting reverb to gain:", e); 
@@ -1004,7 +1259,7 @@ export class OptimizedSoundManager {
                 console.log(`Using parallel compression for ${id} bus`);
                 if (!this.hiHatFilter) {
                         console.warn(`hiHatFilter not available for bus ${id}, connecting to main output`);
-                        try { bus.gain.connect(this.finalMixer || Tone.Destination); } catch (e) { 
+                        try { bus.gain.connect(this.finalMixer || Tone.getDestination()); } catch (e) { 
                             console.warn("Error connecting to finalMixer:", e); 
                             // Last resort fallback
                             try { bus.gain.toDestination(); } catch (err) { console.error("Emergency connection failed:", err); }
@@ -1016,7 +1271,7 @@ export class OptimizedSoundManager {
                         } catch (e) { 
                             console.warn("Error connecting to hiHatFilter:", e);
                             // Fallback to main mixer on error 
-                            try { bus.gain.connect(this.finalMixer || Tone.Destination); } catch (err) { 
+                            try { bus.gain.connect(this.finalMixer || Tone.getDestination()); } catch (err) { 
                                 console.warn("Fallback connection failed:", err); 
                                 // Last resort
                                 try { bus.gain.toDestination(); } catch (lastErr) { console.error("Emergency connection failed:", lastErr); }
@@ -1027,7 +1282,7 @@ export class OptimizedSoundManager {
                 // Safer direct connection to main mixer
                 console.log(`Using standard routing for ${id} bus`);
                     try {
-                        bus.gain.connect(this.finalMixer || Tone.Destination);
+                        bus.gain.connect(this.finalMixer || Tone.getDestination());
                 console.log(`Connected ${id} bus gain directly to finalMixer`);
                     } catch (e) {
                         console.warn("Error connecting to finalMixer:", e);
@@ -1066,7 +1321,7 @@ export class OptimizedSoundManager {
             // Direct connection to output
             try {
             fallbackBus.eq.connect(fallbackBus.gain);
-            fallbackBus.gain.connect(this.finalMixer || Tone.Destination);
+            fallbackBus.gain.connect(this.finalMixer || Tone.getDestination());
             } catch (e) {
                 console.error("Failed to connect fallback bus:", e);
                 try {
@@ -1092,7 +1347,7 @@ export class OptimizedSoundManager {
             this.synths = {};
             
             // Make sure we have at least one fallback synth
-            const fallbackOutputNode = this.finalMixer || Tone.Destination;
+            const fallbackOutputNode = this.finalMixer || Tone.getDestination();
             this.synths['defaultTone'] = new Tone.PolySynth(Tone.Synth, {
                 maxPolyphony: 8,
                 oscillator: {
@@ -1452,9 +1707,11 @@ export class OptimizedSoundManager {
      * @param {object} params - Sound parameters
      * @param {string} busId - Bus ID to use for the sound
      * @param {number} duration - Duration of the sound
+     * @param {number} time - Context time to play at (defaults to now)
+     * @param {Tone.ToneAudioNode} output - Node to play into instead of the bus (the neuron's insert chain)
      * @returns {void}
      */
-    createNoisyHiHat(velocity, params, busId, duration) {
+    createNoisyHiHat(velocity, params, busId, duration, time = null, output = null) {
         try {
             // Get appropriate bus for hi-hat
             const bus = this.buses[busId] || this.buses.hiHat || this.buses.highPerc;
@@ -1512,10 +1769,10 @@ export class OptimizedSoundManager {
             peakEQ.connect(envelope);
             
             // Connect to destination
-            envelope.connect(bus.filter || bus.gain || Tone.Destination);
+            envelope.connect(output || bus.filter || bus.gain || Tone.getDestination());
             
-            // Get current time
-            const now = Tone.now();
+            // Get current time (or the scheduled time when rendering offline)
+            const now = time ?? Tone.now();
             
             // Set velocity-dependent volume
             envelope.attackCurve = "exponential";
@@ -1525,7 +1782,12 @@ export class OptimizedSoundManager {
             // Trigger the envelope
             envelope.triggerAttackRelease(duration, now);
             
-            // Clean up after sound is done
+            // Offline renders are disposed with their context
+            if (this.isOffline) {
+                return true;
+            }
+            
+            // Clean up after sound is done (quantized notes can start a little later)
             setTimeout(() => {
                 noise.stop();
                 noise.dispose();
@@ -1534,7 +1796,7 @@ export class OptimizedSoundManager {
                 midScoopEQ.dispose();           // Dispose of the new filter
                 peakEQ.dispose();
                 envelope.dispose();
-            }, (duration * 1000) + 200);
+            }, (Math.max(0, now - Tone.now()) + duration) * 1000 + 200);
             
             return true;
         } catch (error) {
@@ -1543,6 +1805,319 @@ export class OptimizedSoundManager {
         }
     }
     
+    /**
+     * Play a neuron's sample, pitched from its root note to the neuron's note
+     * @param {object} params - Sound parameters (sampleId, sampleStart/End, sampleReverse, sampleRoot, sampleVelocityCurve)
+     * @param {number} frequency - Note to play (Hz)
+     * @param {number} velocity - 0-1
+     * @param {Tone.ToneAudioNode} output - Node to play into (the neuron's bus or insert chain)
+     * @param {number} time - Context time (seconds)
+     * @returns {boolean} Whether the sample was played
+     */
+    playSample(params, frequency, velocity, output, time) {
+        const buffer = window.sampleManager?.getBuffer(params.sampleId, !!params.sampleReverse);
+        if (!buffer || !buffer.loaded) return false;
+        
+        try {
+            // Start/end are points in the original sample, so a reversed sample plays from end back to start
+            const start = Math.max(0, Math.min(1, params.sampleStart ?? 0));
+            const end = Math.max(start, Math.min(1, params.sampleEnd ?? 1));
+            const length = (end - start) * buffer.duration;
+            if (length < 0.005) return false;
+            const offset = (params.sampleReverse ? 1 - end : start) * buffer.duration;
+            
+            const rootFrequency = 440 * Math.pow(2, ((params.sampleRoot ?? 60) - 69) / 12);
+            const playbackRate = Math.max(0.0625, Math.min(16, frequency / rootFrequency));
+            
+            const gain = new Tone.Gain(this.getSampleGain(velocity, params.sampleVelocityCurve));
+            gain.connect(output);
+            
+            const player = new Tone.Player({
+                url: buffer,
+                playbackRate,
+                fadeIn: 0.002,
+                fadeOut: Math.min(0.01, length / playbackRate / 4) // Avoid a click at the end point
+            }).connect(gain);
+            
+            this.reserveOneShotVoice(time);
+            player.start(time, offset, length);
+            
+            const endTime = time + length / playbackRate;
+            this.oneShotVoices.push({ stop: stopTime => player.stop(stopTime), endTime });
+            
+            // Offline renders are disposed with their context
+            if (this.isOffline) {
+                return true;
+            }
+            
+            setTimeout(() => {
+                player.dispose();
+                gain.dispose();
+            }, (Math.max(0, endTime - Tone.now())) * 1000 + 200);
+            
+            return true;
+        } catch (error) {
+            console.error("Error playing sample:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Play a note on one of the per-note synth engines (FM, wavetable, Karplus-Strong)
+     * @param {object} params - Sound parameters (engine and its settings, envelope)
+     * @param {number} frequency - Hz
+     * @param {number} velocity - 0-1
+     * @param {Tone.ToneAudioNode} destination - Node to play into (the neuron's bus or insert chain)
+     * @param {number} time - Context time (seconds)
+     * @param {number} duration - How long the note is held (seconds)
+     * @param {number} neuronId - Neuron whose charge moves the wavetable position
+     * @returns {boolean} Whether the note was played
+     */
+    playEngineVoice(params, frequency, velocity, destination, time, duration, neuronId) {
+        const engine = SYNTH_ENGINES[params.engine];
+        if (!engine || !engine.createVoice) return false;
+        
+        try {
+            // Same headroom as the bus synths, which play a few dB under the bus
+            const output = new Tone.Gain(0.5);
+            output.connect(destination);
+            
+            const voice = engine.createVoice(frequency, params, output);
+            
+            this.reserveOneShotVoice(time);
+            const endTime = voice.start(time, duration, velocity);
+            this.oneShotVoices.push({ stop: stopTime => voice.stop(stopTime), endTime });
+            
+            // Offline renders are disposed with their context
+            if (this.isOffline) {
+                return true;
+            }
+            
+            // The wavetable position follows the neuron's charge while the note rings
+            let follower = null;
+            if (voice.setPosition && params.wavetableChargeMod) {
+                const neuron = window.circles?.find(circle => circle?.neuron?.id === neuronId)?.neuron;
+                if (neuron) {
+                    follower = { voice, neuron, params, lastCharge: null };
+                    this.chargeFollowers.add(follower);
+                }
+            }
+            
+            setTimeout(() => {
+                this.chargeFollowers.delete(follower);
+                voice.dispose();
+                output.dispose();
+            }, (Math.max(0, endTime - Tone.now())) * 1000 + 200);
+            
+            return true;
+        } catch (error) {
+            console.error(`Error playing ${params.engine} voice:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Move the wavetable position of every ringing voice that follows its neuron's
+     * charge. Called once a frame from the render loop; a voice is only updated
+     * when the charge has moved.
+     */
+    updateChargeFollowers() {
+        this.chargeFollowers.forEach(follower => {
+            const { voice, neuron, params } = follower;
+            const charge = Math.max(0, Math.min(1, neuron.currentCharge / (neuron.threshold || 1)));
+            if (charge === follower.lastCharge) return;
+            
+            follower.lastCharge = charge;
+            voice.setPosition((params.wavetablePosition ?? 0) + params.wavetableChargeMod * charge);
+        });
+    }
+    
+    /**
+     * Make room for a new one-shot voice, cutting the oldest if the limit is reached
+     * @param {number} time - Context time the new voice starts
+     */
+    reserveOneShotVoice(time) {
+        this.oneShotVoices = this.oneShotVoices.filter(voice => voice.endTime > time);
+        if (this.oneShotVoices.length >= this.maxOneShotVoices) {
+            this.oneShotVoices.shift().stop(time);
+        }
+    }
+    
+    /**
+     * A neuron's insert effect chain, built or updated to match its settings. The chain
+     * is the neuron's own output path into its bus: its effects, then its mixer pan and
+     * meter, so a panned neuron gets one even without effects (its voice is unchanged,
+     * see playSynthVoice), and in 3D spatial mode every neuron gets one, ending in its
+     * Panner3D. It is rebuilt when effects are added, removed, reordered or switched
+     * on/off; parameter changes are applied to the running effects.
+     * A pan route in the mod matrix keeps the chain while the modulated pan passes
+     * through the center, so notes still ringing through it aren't cut.
+     * @param {number} neuronId - Neuron ID
+     * @param {object} params - Sound parameters (inserts, neuronPan, modRoutes)
+     * @param {object} bus - Audio bus the chain plays into
+     * @param {number} time - Context time a new pan takes effect (defaults to now)
+     * @returns {object|null} { input, ... } - null if the neuron has no enabled inserts, no pan
+     *   and no 3D position
+     */
+    getInsertChain(neuronId, params, bus, time = null) {
+        const slots = normalizeInserts(params.inserts).filter(slot => slot.enabled);
+        const pan = Math.max(-1, Math.min(1, Number(params.neuronPan) || 0));
+        const spatial = this.isHrtfSpatialActive();
+        if (slots.length === 0 && pan === 0 && !this.modMatrix.hasRoute(params, 'neuronPan') && !spatial) {
+            this.disposeInsertChain(neuronId);
+            return null;
+        }
+        
+        const signature = slots.map(slot => slot.type).join('>') + (spatial ? '>3d' : '');
+        const settings = JSON.stringify({ slots, pan });
+        const destination = bus.filter || bus.gain || Tone.getDestination();
+        let chain = this.insertChains.get(neuronId);
+        
+        if (chain && chain.signature !== signature) {
+            this.disposeInsertChain(neuronId);
+            chain = null;
+        }
+        
+        if (!chain) {
+            const input = new Tone.Gain(1);
+            const effects = slots.map(slot => INSERT_EFFECTS[slot.type].create(slot.params));
+            const panner = new Tone.Panner(pan);
+            const spatialNodes = spatial ? this.createSpatialNodes() : null;
+            input.chain(...effects, panner, ...(spatialNodes ? [spatialNodes.panner] : []), destination);
+            
+            // The neuron's mixer meter, after its effects and pan
+            const meter = this.isOffline ? null : new Tone.Analyser('waveform', 256);
+            if (meter) panner.connect(meter);
+            
+            chain = { signature, settings, input, effects, panner, meter, spatial: spatialNodes, destination, voices: [] };
+            this.insertChains.set(neuronId, chain);
+            this.updateNeuronPanner3D(neuronId);
+            console.log(`%c[INSERTS] Built chain for neuron ${neuronId}: ${signature || 'pan only'}`, "color: #cc88ff;");
+            return chain;
+        }
+        
+        if (chain.settings !== settings) {
+            slots.forEach((slot, index) => chain.effects[index].set(INSERT_EFFECTS[slot.type].options(slot.params)));
+            chain.panner.pan.setValueAtTime(pan, time ?? Tone.now());
+            chain.settings = settings;
+        }
+        
+        // The neuron moved to another bus
+        if (chain.destination !== destination) {
+            const last = chain.spatial?.panner || chain.panner;
+            last.disconnect();
+            last.connect(destination);
+            if (chain.spatial) last.connect(chain.spatial.send);
+            else if (chain.meter) last.connect(chain.meter);
+            chain.destination = destination;
+        }
+        
+        return chain;
+    }
+    
+    /**
+     * Play a note of a bus synth. The bus synths play straight into their bus, so a
+     * neuron with its own output (its insert chain) plays a copy of the synth - same
+     * voice, same settings and level - into that output instead. The copies stay with
+     * the chain and are reused once their note has ended, see getChainVoice.
+     * @param {Tone.PolySynth|Tone.Monophonic} synth - Bus synth the neuron's voice is on
+     * @param {object|null} chain - The neuron's insert chain, null to play on the bus synth
+     * @param {number} frequency - Hz
+     * @param {number} duration - How long the note is held (seconds)
+     * @param {number} time - Context time (seconds)
+     * @param {number} velocity - 0-1
+     */
+    playSynthVoice(synth, chain, frequency, duration, time, velocity) {
+        if (!chain) {
+            synth.triggerAttackRelease(frequency, duration, time, velocity);
+            return;
+        }
+        
+        const entry = this.getChainVoice(chain, synth, time);
+        const voice = entry.voice;
+        voice.volume.value = synth.volume.value;
+        
+        this.reserveOneShotVoice(time);
+        voice.triggerAttackRelease(frequency, duration, time, velocity);
+        entry.endTime = time + duration + Tone.Time(voice.envelope.release).toSeconds();
+        this.oneShotVoices.push({
+            stop: stopTime => {
+                if (!voice.disposed) voice.triggerRelease(stopTime);
+            },
+            endTime: entry.endTime
+        });
+    }
+    
+    /**
+     * A copy of a bus synth's voice to play a note on in an insert chain: an idle
+     * voice of the chain, a new one while the chain has fewer than maxChainVoices,
+     * or else the voice whose note ends first (that note is cut)
+     * @param {object} chain - Insert chain from getInsertChain
+     * @param {Tone.PolySynth|Tone.Monophonic} synth - Bus synth to copy
+     * @param {number} time - Context time the note starts
+     * @returns {object} { synth, voice, endTime } - entry of chain.voices
+     */
+    getChainVoice(chain, synth, time) {
+        let entry = chain.voices.find(candidate => candidate.synth === synth && candidate.endTime <= time);
+        
+        if (!entry && chain.voices.length >= this.maxChainVoices) {
+            entry = chain.voices.reduce((first, candidate) => candidate.endTime < first.endTime ? candidate : first);
+            if (entry.synth !== synth) {
+                entry.voice.dispose();
+                chain.voices.splice(chain.voices.indexOf(entry), 1);
+                entry = null;
+            }
+        }
+        
+        if (!entry) {
+            const Voice = synth instanceof Tone.PolySynth ? synth.voice : synth.constructor;
+            entry = { synth, voice: new Voice(synth.get()), endTime: 0 };
+            entry.voice.connect(chain.input);
+            chain.voices.push(entry);
+        } else {
+            // The bus synth's settings may have changed since the voice last played
+            entry.voice.set(synth.get());
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Remove a neuron's insert chain (anything still ringing through it is cut)
+     * @param {number} neuronId - Neuron ID
+     */
+    disposeInsertChain(neuronId) {
+        const chain = this.insertChains.get(neuronId);
+        if (!chain) return;
+        
+        chain.voices.forEach(entry => entry.voice.dispose());
+        chain.input.dispose();
+        chain.effects.forEach(effect => effect.dispose());
+        chain.panner.dispose();
+        if (chain.meter) chain.meter.dispose();
+        if (chain.spatial) {
+            chain.spatial.panner.dispose();
+            chain.spatial.send.dispose();
+        }
+        this.insertChains.delete(neuronId);
+    }
+    
+    /**
+     * Sample volume for a firing velocity
+     * @param {number} velocity - 0-1
+     * @param {string} curve - Key of SAMPLE_VELOCITY_CURVES
+     * @returns {number} Gain
+     */
+    getSampleGain(velocity, curve = 'linear') {
+        const amount = Math.max(0, Math.min(1, velocity));
+        switch (curve) {
+            case 'exponential': return amount * amount;
+            case 'logarithmic': return Math.sqrt(amount);
+            case 'fixed': return 0.7;
+            default: return amount;
+        }
+    }
+    
     /**
      * Determines if a neuron is allowed to play sound
      * @param {number} neuronId - Neuron ID
@@ -1602,14 +2177,33 @@ export class OptimizedSoundManager {
         return Math.max(0, Math.min(100, priority));
     }
     
+    /**
+     * Whether another neuron's note is ringing on a bus
+     * @param {number} neuronId - The neuron playing now
+     * @param {string} busId - Bus ID
+     * @returns {boolean}
+     */
+    isBusShared(neuronId, busId) {
+        return Array.from(this.activeVoices).some(activeId =>
+            activeId !== neuronId && this.neuronBusAssignments.get(activeId) === busId);
+    }
+    
     /**
      * Track active voice in the voice allocation system
      * @param {number} neuronId - Neuron ID
      */
-    trackActiveVoice(neuronId) {
+    trackActiveVoice(neuronId, time = null) {
         // Add neuron to active voices
         this.activeVoices.add(neuronId);
         
+        // Offline renders run faster than real time, so release on the render timeline
+        if (this.isOffline && time !== null) {
+            Tone.getTransport().scheduleOnce(() => {
+                this.activeVoices.delete(neuronId);
+            }, time + this.voiceTimeout / 1000);
+            return;
+        }
+        
         // Remove after timeout - using the adjusted voiceTimeout of 1000ms
         setTimeout(() => {
             this.activeVoices.delete(neuronId);
@@ -1624,27 +2218,33 @@ export class OptimizedSoundManager {
      * @param {boolean} isIsolated - Whether the neuron is isolated
      * @param {boolean} hasDC - Whether the neuron has DC input
      * @param {number} distance - Distance to target neuron
+     * @param {number|null} time - Audio time to play at (offline renders); defaults to now
      */
-    playNeuronFiring(weight = 0.5, speed = 0.5, neuronId, isIsolated = false, hasDC = false, distance = 0) {
+    playNeuronFiring(weight = 0.5, speed = 0.5, neuronId, isIsolated = false, hasDC = false, distance = 0, time = null) {
         // Update spatial position if spatial audio is enabled
         if (this.spatialAudioEnabled && neuronId) {
             this.updateNeuronSpatialPosition(neuronId);
         }
         
+        // Every spike counts towards the neuron's firing rate, played or not
+        if (neuronId) {
+            this.modMatrix.recordFiring(neuronId, time ?? Tone.now());
+        }
+        
         // Check if we can play a sound for this neuron (voice management)
         if (!this.canPlaySound(neuronId, hasDC, isIsolated)) {
             return false;
         }
         
-        // Check audio context
-        if (!Tone.context || Tone.context.state !== 'running') {
+        // Check audio context (an offline context never reports 'running')
+        if (!this.isOffline && (!Tone.context || Tone.context.state !== 'running')) {
             console.warn("Audio context not running, can't play sound");
             return;
         }
         
         try {
             // Get current time for timing calculations
-            const currentTime = performance.now();
+            const currentTime = time !== null ? time * 1000 : performance.now();
         
             // Check global minimum time between sounds first
             const timeSinceLastPlay = currentTime - this.lastPlayTime;
@@ -1654,7 +2254,7 @@ export class OptimizedSoundManager {
             
             // Check neuron-specific timing for consistency (especially important for DC neurons)
             if (hasDC && neuronId) {
-                const neuronTimeSinceLastPlay = currentTime - (this.neuronLastPlayTime.get(neuronId) || 0);
+                const neuronTimeSinceLastPlay = currentTime - (this.neuronLastPlayTime.get(neuronId) ?? -Infinity);
                 
                 // For DC neurons, enforce a minimum time between firings to prevent double-firing
                 // This is crucial for rhythm consistency
@@ -1673,7 +2273,7 @@ export class OptimizedSoundManager {
             this.lastPlayTime = currentTime;
         
             // Get neuron parameters
-            const params = this.getNeuronSynthParams(neuronId);
+            let params = this.getNeuronSynthParams(neuronId);
             if (!params) {
                 console.error(`No parameters found for neuron ${neuronId}`);
                 return;
@@ -1699,13 +2299,13 @@ export class OptimizedSoundManager {
         
             // Track sound type activity for dynamic processing
             if (isHiHatSound) {
-                this.recentSoundTypes.hihat.lastPlayed = performance.now();
+                this.recentSoundTypes.hihat.lastPlayed = currentTime;
             }
             if (isBassSound) {
-                this.recentSoundTypes.bass.lastPlayed = performance.now();
+                this.recentSoundTypes.bass.lastPlayed = currentTime;
             }
             // Update sound type tracking
-            this.trackSoundTypeActivity();
+            this.trackSoundTypeActivity(currentTime);
         
             // Get appropriate bus for this neuron
             const bus = this.getBusForNeuron(neuronId, neuronId === this.selectedNeuronId, hasDC, params);
@@ -1716,14 +2316,30 @@ export class OptimizedSoundManager {
         
             const busId = bus.id;
             
+            // Mixer mute and solo - a neuron they keep quiet is silenced once, like a
+            // muted one (see updateNeuronMutes), and plays again when they let it
+            if (!this.isNeuronAudible(neuronId, busId, params)) {
+                if (!this.mutedNeurons.has(neuronId)) this.silenceNeuron(neuronId, { mute: true });
+                return;
+            }
+            this.mutedNeurons.delete(neuronId);
+            
             // Store bus assignment for spatial audio
             this.neuronBusAssignments.set(neuronId, busId);
             
+            // Modulation routes give this note its own settings
+            const busRouted = this.modMatrix.hasBusRoutes(params);
+            if (this.modMatrix.hasRoutes(params)) {
+                params = this.modMatrix.apply(neuronId, params, bus, time ?? Tone.now());
+            }
+            
             // Track voice
-            this.trackActiveVoice(neuronId);
+            this.trackActiveVoice(neuronId, time);
             
-            // Apply sound parameters to bus
-            this.applyNeuronParametersToBus(neuronId, bus, params);
+            // Apply sound parameters to bus - routes to the bus's filter, EQ, sends, tremolo
+            // and vibrato change from note to note, so they reach the bus even while the
+            // neuron's last note rings, but not over another neuron's note on the same bus
+            this.applyNeuronParametersToBus(neuronId, bus, params, time, busRouted && !this.isBusShared(neuronId, busId));
             
             // Get frequency data
             let noteFreq = params.note; // Already set in params
@@ -1804,34 +2420,72 @@ export class OptimizedSoundManager {
             // Get quantized frequency using our improved method
             const quantizedFreq = this.getClosestFrequency(noteFreq);
             
-            // Get or create the oscillator (lazy initialization)
-            const oscData = this._getOrCreateOscillator(oscillatorType, quantizedFreq);
-            
-            // Track this neuron with the oscillator
-            oscData.activeNeurons.add(neuronId);
-            
-            // Schedule cleanup after the sound should be done
-            setTimeout(() => {
-                oscData.activeNeurons.delete(neuronId);
-            }, 2000); // After sound should be done
+            // The oscillator bank is only kept for live playback
+            if (!this.isOffline) {
+                // Get or create the oscillator (lazy initialization)
+                const oscData = this._getOrCreateOscillator(oscillatorType, quantizedFreq);
+                
+                // Track this neuron with the oscillator
+                oscData.activeNeurons.add(neuronId);
+                
+                // Schedule cleanup after the sound should be done
+                setTimeout(() => {
+                    oscData.activeNeurons.delete(neuronId);
+                }, 2000); // After sound should be done
+            }
             
             // Get envelope parameters
             const attack = params.envelope?.attack || params.attack || 0.002;
             const decay = params.envelope?.decay || params.decay || 0.3;
             const sustain = params.envelope?.sustain || params.sustain || 0.2;
-            const release = params.envelope?.release || params.release || 0.8;
             
             // Calculate note duration based on envelope and speed
-            const noteDuration = Math.max(0.1, attack + decay + (sustain > 0.01 ? release * 0.8 : 0));
+            const noteDuration = this.getNoteDuration(params);
             
             // Schedule the audio (with slight delay to avoid scheduling errors)
-            const now = Tone.now();
-            const noteTime = now + 0.01;
+            let noteTime = time ?? Tone.now() + 0.01;
+            if (this.outputQuantize.enabled) {
+                noteTime = this.quantizeNoteTime(noteTime);
+            }
+            
+            // Without an insert chain to measure, the neuron's mixer meter estimates its level
+            // from the envelope of its latest note
+            if (!this.isOffline) {
+                this.neuronMeterNotes.set(neuronId, {
+                    start: noteTime,
+                    duration: noteDuration,
+                    velocity: Math.min(1, velocity),
+                    attack,
+                    decay,
+                    sustain,
+                    release: params.envelope?.release || params.release || 0.8
+                });
+            }
+            
+            // Neurons with insert effects (or a pan position) play through their chain, which feeds the bus
+            const insertChain = this.getInsertChain(neuronId, params, bus, noteTime);
+            const output = insertChain ? insertChain.input : (bus.filter || bus.gain || Tone.getDestination());
+            
+            // Neurons with a loaded sample play it instead of a synth voice
+            if (params.sampleId && window.sampleManager?.has(params.sampleId)) {
+                this.getVoicingNotes(quantizedFreq, noteDuration, params).forEach(voice => {
+                    this.playSample(params, voice.frequency, velocity * voice.velocity, output, noteTime + voice.offset);
+                });
+                return;
+            }
+            
+            // FM, wavetable and Karplus-Strong neurons build their own voices, played into the same bus
+            if (SYNTH_ENGINES[params.engine]?.createVoice) {
+                this.getVoicingNotes(quantizedFreq, noteDuration, params).forEach(voice => {
+                    this.playEngineVoice(params, voice.frequency, velocity * voice.velocity, output, noteTime + voice.offset, voice.duration, neuronId);
+                });
+                return;
+            }
             
             // For hi-hat sounds, use the specialized noise-based hi-hat
             if (isHiHatSound) {
                 // Use our noisy hi-hat generator for more realistic hi-hats
-                const success = this.createNoisyHiHat(velocity, params, busId, noteDuration);
+                const success = this.createNoisyHiHat(velocity, params, busId, noteDuration, noteTime, insertChain?.input);
                 if (success) {
                     return; // Exit early if hi-hat was successfully created
                 }
@@ -1850,9 +2504,9 @@ export class OptimizedSoundManager {
                 
                 if (baseSynth && octaveSynth && fifthSynth) {
                     // Check and manage polyphony before playing new notes
-                    this.managePolyphonyOverflow(baseSynth);
-                    this.managePolyphonyOverflow(octaveSynth);
-                    this.managePolyphonyOverflow(fifthSynth);
+                    this.managePolyphonyOverflow(baseSynth, time);
+                    this.managePolyphonyOverflow(octaveSynth, time);
+                    this.managePolyphonyOverflow(fifthSynth, time);
                     
                     // Calculate harmonic frequencies
                     const octaveFreq = quantizedFreq * 2; // One octave up
@@ -1872,23 +2526,26 @@ export class OptimizedSoundManager {
                         // If we're approaching polyphony limits, prioritize base notes and drop some harmonics
                         const isApproachingLimit = organActiveVoices > 15; // Getting close to our limit
                         
-                        // Base note - always play this with highest priority
-                        baseSynth.triggerAttackRelease(quantizedFreq, noteDuration, noteTime, velocity);
+                        // Base note - always play this with highest priority (voiced as a chord or arpeggio if set)
+                        this.getVoicingNotes(quantizedFreq, noteDuration, params).forEach((voice, index) => {
+                            if (index > 0) this.managePolyphonyOverflow(baseSynth, time);
+                            this.playSynthVoice(baseSynth, insertChain, voice.frequency, voice.duration, noteTime + voice.offset, velocity * voice.velocity);
+                        });
                         
                         // Octave up - play only if we're not at risk of exceeding polyphony
                         if (!isApproachingLimit) {
-                            octaveSynth.triggerAttackRelease(octaveFreq, noteDuration * 0.9, noteTime + 0.02, octaveVelocity);
+                            this.playSynthVoice(octaveSynth, insertChain, octaveFreq, noteDuration * 0.9, noteTime + 0.02, octaveVelocity);
                         }
                         
                         // Fifth - lowest priority, play only if we have plenty of polyphony available
                         if (organActiveVoices < 12) {
-                            fifthSynth.triggerAttackRelease(fifthFreq, noteDuration * 0.85, noteTime + 0.03, fifthVelocity);
+                            this.playSynthVoice(fifthSynth, insertChain, fifthFreq, noteDuration * 0.85, noteTime + 0.03, fifthVelocity);
                         }
                     } catch (err) {
                         // Fallback in case of any errors - just play the base note
                         console.warn(`Organ harmonics error, falling back to base note: ${err.message}`);
                         try {
-                            baseSynth.triggerAttackRelease(quantizedFreq, noteDuration, noteTime, velocity);
+                            this.playSynthVoice(baseSynth, insertChain, quantizedFreq, noteDuration, noteTime, velocity);
                         } catch (baseErr) {
                             console.error(`Failed to play even base organ note: ${baseErr.message}`);
                         }
@@ -1897,7 +2554,7 @@ export class OptimizedSoundManager {
                     // Add air noise for realism if available
                     if (airSynth) {
                         // Create a gain envelope for the noise
-                        const airGain = new Tone.Gain(0).connect(bus.filter);
+                        const airGain = new Tone.Gain(0).connect(output);
                         airSynth.connect(airGain);
                         
                         // Schedule envelope for the air noise
@@ -1908,9 +2565,11 @@ export class OptimizedSoundManager {
                         airGain.gain.linearRampToValueAtTime(0, noteTime + noteDuration);
                         
                         // Clean up gain node after use
-                        setTimeout(() => {
-                            airGain.dispose();
-                        }, (noteDuration + 0.1) * 1000);
+                        if (!this.isOffline) {
+                            setTimeout(() => {
+                                airGain.dispose();
+                            }, (noteDuration + 0.1) * 1000);
+                        }
                     }
                     
                     console.log(`Played layered organ sound for neuron ${neuronId} - base: ${quantizedFreq.toFixed(1)}Hz, octave: ${octaveFreq.toFixed(1)}Hz, fifth: ${fifthFreq.toFixed(1)}Hz`);
@@ -1919,8 +2578,8 @@ export class OptimizedSoundManager {
                     synthToUse = this.synths[busId + 'Tone'] || this.synths['midTone'];
                     if (synthToUse) {
                         // Manage polyphony for this synth too
-                        this.managePolyphonyOverflow(synthToUse);
-                        synthToUse.triggerAttackRelease(quantizedFreq, noteDuration, noteTime, velocity);
+                        this.managePolyphonyOverflow(synthToUse, time);
+                        this.playSynthVoice(synthToUse, insertChain, quantizedFreq, noteDuration, noteTime, velocity);
                     } else {
                         console.error(`No synth available for neuron ${neuronId}`);
                     }
@@ -1941,9 +2600,11 @@ export class OptimizedSoundManager {
                 
                 // Play the sound if synth is available
                 if (synthToUse) {
-                    // Manage polyphony before playing
-                    this.managePolyphonyOverflow(synthToUse);
-                    synthToUse.triggerAttackRelease(quantizedFreq, noteDuration, noteTime, velocity);
+                    this.getVoicingNotes(quantizedFreq, noteDuration, params).forEach(voice => {
+                        // Manage polyphony before every note of a chord or arpeggio
+                        this.managePolyphonyOverflow(synthToUse, time);
+                        this.playSynthVoice(synthToUse, insertChain, voice.frequency, voice.duration, noteTime + voice.offset, velocity * voice.velocity);
+                    });
                 } else {
                     console.error(`No synth available for neuron ${neuronId}`);
                 }
@@ -1953,6 +2614,88 @@ export class OptimizedSoundManager {
         }
     }
     
+    /**
+     * Length of a neuron's note from its envelope (also used for MIDI note-offs)
+     * @param {object} params - Sound parameters from getNeuronSynthParams
+     * @returns {number} Duration in seconds
+     */
+    getNoteDuration(params) {
+        const attack = params.envelope?.attack || params.attack || 0.002;
+        const decay = params.envelope?.decay || params.decay || 0.3;
+        const sustain = params.envelope?.sustain || params.sustain || 0.2;
+        const release = params.envelope?.release || params.release || 0.8;
+        
+        return Math.max(0.1, attack + decay + (sustain > 0.01 ? release * 0.8 : 0));
+    }
+    
+    /**
+     * Expand a firing into the notes of the neuron's voicing
+     * @param {number} frequency - The neuron's note (Hz)
+     * @param {number} duration - Length of a single note (seconds)
+     * @param {object} params - Sound parameters from getNeuronSynthParams
+     * @returns {Array<{frequency: number, offset: number, duration: number, velocity: number}>}
+     *   offset is seconds after the firing, velocity a factor of the firing's velocity,
+     *   frequency detuned by params.detune (cents) after the chord tones are snapped
+     */
+    getVoicingNotes(frequency, duration, params) {
+        const detune = Math.pow(2, (Number(params.detune) || 0) / 1200);
+        
+        if (params.voicing === 'chord') {
+            const tones = this.getChordFrequencies(frequency, params);
+            // Spread the loudness of one note across the chord
+            const velocity = 1 / Math.sqrt(tones.length);
+            return tones.map(tone => ({ frequency: tone * detune, offset: 0, duration, velocity }));
+        }
+        
+        if (params.voicing === 'arpeggio') {
+            const chord = this.getChordFrequencies(frequency, params);
+            const octaves = Math.max(1, Math.min(4, Math.round(params.arpOctaves || 1)));
+            
+            let tones = [];
+            for (let octave = 0; octave < octaves; octave++) {
+                chord.forEach(tone => tones.push(octave === 0 ? tone : this.getClosestFrequency(this.snapToScale(tone * Math.pow(2, octave)))));
+            }
+            tones = tones.filter((tone, index) => tones.indexOf(tone) === index);
+            
+            if (params.arpDirection === 'down') {
+                tones.reverse();
+            } else if (params.arpDirection === 'random') {
+                for (let i = tones.length - 1; i > 0; i--) {
+                    const j = Math.floor(this.random() * (i + 1));
+                    [tones[i], tones[j]] = [tones[j], tones[i]];
+                }
+            }
+            
+            // Steps follow the tempo clock; a note never outlasts the whole arpeggio
+            const step = Tone.Time(QUANTIZE_SUBDIVISIONS[params.arpRate] ? params.arpRate : '16n').toSeconds();
+            const noteDuration = Math.min(duration, step * tones.length);
+            return tones.map((tone, index) => ({ frequency: tone * detune, offset: index * step, duration: noteDuration, velocity: 1 }));
+        }
+        
+        return [{ frequency: frequency * detune, offset: 0, duration, velocity: 1 }];
+    }
+    
+    /**
+     * Tones of the neuron's chord, each snapped into the current key
+     * @param {number} frequency - Root of the chord (Hz)
+     * @param {object} params - Sound parameters (chordType, chordIntervals)
+     * @returns {Array<number>} Frequencies, lowest first, without duplicates
+     */
+    getChordFrequencies(frequency, params) {
+        const chordType = CHORD_TYPES[params.chordType] || CHORD_TYPES.triad;
+        const intervals = chordType.intervals ||
+            (Array.isArray(params.chordIntervals) && params.chordIntervals.length > 0 ? params.chordIntervals : CHORD_TYPES.triad.intervals);
+        
+        const tones = intervals.map(interval => interval === 0
+            ? frequency
+            : this.getClosestFrequency(this.snapToScale(frequency * Math.pow(2, interval / 12))));
+        
+        // Snapping can fold two chord tones onto the same note
+        return tones
+            .filter((tone, index) => tones.indexOf(tone) === index)
+            .sort((a, b) => a - b);
+    }
+    
     /**
      * Configure membrane synth parameters
      */
@@ -2051,11 +2794,14 @@ export class OptimizedSoundManager {
     }
     
     /**
-     * Apply neuron parameters to a bus's effects
+     * Apply neuron parameters to a bus's effects. These are bus-wide: they change the
+     * sound of every neuron on the bus.
+     * @param {boolean} force - Apply even while the neuron's last note rings (bus-wide mod
+     *   routes, when no other neuron's note rings on the bus)
      */
-    applyNeuronParametersToBus(neuronId, bus, params) {
+    applyNeuronParametersToBus(neuronId, bus, params, time = null, force = false) {
         // Only apply parameters if not in the middle of a sound
-        if (this.activeVoices.has(neuronId)) {
+        if (!force && this.activeVoices.has(neuronId)) {
             return;
         }
         
@@ -2065,7 +2811,7 @@ export class OptimizedSoundManager {
             return;
         }
         
-        let now = Tone.now();
+        let now = time ?? Tone.now();
         if (now <= this.lastAudioTime) {
             now = this.lastAudioTime + 0.01;
         }
@@ -2090,11 +2836,12 @@ export class OptimizedSoundManager {
                 bus.filter.Q.linearRampToValueAtTime(filterQ, now + 0.05);
             }
             
-            // Apply EQ (if provided)
-            if (params.eq && bus.eq) {
-                bus.eq.low.value = params.eq.low || 0;
-                bus.eq.mid.value = params.eq.mid || 0;
-                bus.eq.high.value = params.eq.high || 0;
+            // Apply EQ (if provided), otherwise settle back to the bus's own EQ
+            const eq = params.eq || bus.baseEq;
+            if (eq && bus.eq) {
+                bus.eq.low.value = eq.low || 0;
+                bus.eq.mid.value = eq.mid || 0;
+                bus.eq.high.value = eq.high || 0;
             }
             
             // Apply effect sends (with smoothing)
@@ -2156,7 +2903,7 @@ export class OptimizedSoundManager {
         if (neuronId === 1) {
             // Use F2 note for the bass
             const bassNote = 'F2'; // Changed from C2 to F2
-            const baseFreq = Tone.Frequency(bassNote).toFrequency();
+            const baseFreq = this.snapToScale(Tone.Frequency(bassNote).toFrequency());
             
             // Store frequency information
             this.neuronFrequencies.set(neuronId, {
@@ -2206,6 +2953,7 @@ export class OptimizedSoundManager {
                 console.warn(`Could not convert note ${noteInRange} to frequency, using default`);
             }
         }
+        baseFreq = this.snapToScale(baseFreq);
 
         // Store frequency information
         this.neuronFrequencies.set(neuronId, {
@@ -2228,6 +2976,41 @@ export class OptimizedSoundManager {
         return this.neuronFrequencies.get(neuronId);
     }
     
+    /**
+     * Move a frequency into the global key (see ScaleManager); unchanged while no key is locked
+     * @param {number} frequency - Hz
+     * @returns {number} Hz
+     */
+    snapToScale(frequency) {
+        return window.scaleManager ? window.scaleManager.snapFrequency(frequency) : frequency;
+    }
+    
+    /**
+     * Retune a neuron, e.g. when the key changes. Unlike updateSelectedSynthParam
+     * it works on any neuron and isn't recorded as an edit.
+     * @param {number} neuronId - Neuron ID
+     * @param {number} frequency - Hz
+     */
+    setNeuronNote(neuronId, frequency) {
+        if (!this.neuronFrequencies.has(neuronId)) {
+            this.assignFrequencyRange(neuronId);
+        }
+        this.neuronFrequencies.get(neuronId).customFreq = frequency;
+        
+        // An explicit note override wins over the assigned frequency, so move it too
+        const overrides = this.neuronSoundOverrides.get(neuronId);
+        if (overrides && overrides.note) {
+            overrides.note = frequency;
+        }
+        
+        if (this.selectedNeuronId === neuronId && window.settings) {
+            window.settings.selectedNote = frequency;
+            if (window.updateActiveNoteButton) {
+                window.updateActiveNoteButton(frequency);
+            }
+        }
+    }
+    
     /**
      * Get the sound parameters for a neuron
      */
@@ -2266,7 +3049,25 @@ export class OptimizedSoundManager {
             tremoloDepth: 0,
             vibratoFreq: 5,
             vibratoDepth: 0,
-            useSustainedTone: false
+            useSustainedTone: false,
+            voicing: 'single',
+            chordType: 'triad',
+            chordIntervals: [0, 4, 7],
+            arpDirection: 'up',
+            arpRate: '16n',
+            arpOctaves: 1,
+            sampleId: '',            // SampleManager ID ('' = synth voice)
+            sampleStart: 0,          // Start point, fraction of the sample
+            sampleEnd: 1,            // End point, fraction of the sample
+            sampleReverse: false,
+            sampleRoot: 60,          // MIDI note the sample was recorded at
+            sampleVelocityCurve: 'linear',
+            ...ENGINE_DEFAULTS,
+            inserts: [],             // Insert effect slots, see insertEffects.js
+            neuronPan: 0,            // -1 (left) to 1 (right), mixer strip
+            neuronMute: false,
+            neuronSolo: false,
+            ...MOD_DEFAULTS          // Modulation routes and LFOs, see ModMatrix.js
         };
 
         // Combine parameters
@@ -2356,6 +3157,7 @@ export class OptimizedSoundManager {
             if (this.lastSelectedNeuronParams) {
                 console.log(`Applying sound settings from previous neuron to neuron ${neuronId}`);
                 this.neuronSoundOverrides.set(neuronId, JSON.parse(JSON.stringify(this.lastSelectedNeuronParams)));
+                this.updateSoloState();
             } else {
             // Create initial sound settings with default values
             const defaultParams = this.getDefaultSynthParams();
@@ -2465,6 +3267,11 @@ export class OptimizedSoundManager {
 
         console.log(`%c[OSCILLATOR BANK] Updating parameter ${paramName} to ${value}`, "color: #00aaff;");
         
+        // Snapshot for undo - slider drags on the same parameter merge into one step
+        const historyBefore = window.historyManager?.isRecording()
+            ? window.historyManager.captureSoundState(this.selectedNeuronId)
+            : null;
+        
         // Get the current overrides for this neuron
         if (!this.neuronSoundOverrides.has(this.selectedNeuronId)) {
             this.neuronSoundOverrides.set(this.selectedNeuronId, {});
@@ -2482,6 +3289,9 @@ export class OptimizedSoundManager {
             // Get current frequency data
             const freqData = this.neuronFrequencies.get(this.selectedNeuronId);
             
+            // Keep the note in the global key
+            value = this.snapToScale(value);
+            
             // Update custom frequency
             freqData.customFreq = value;
             
@@ -2600,6 +3410,33 @@ export class OptimizedSoundManager {
                 }
             }
         }
+        // Custom chord intervals come from a text field ("0 3 7 10")
+        else if (paramName === 'chordIntervals') {
+            const intervals = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+                .map(Number)
+                .filter(interval => Number.isFinite(interval) && interval >= -24 && interval <= 36)
+                .map(Math.round);
+            overrides.chordIntervals = intervals.length > 0 ? intervals : [0];
+            
+            // Keep the text form for the UI
+            value = overrides.chordIntervals.join(' ');
+        }
+        // Modulation routes come from the route editor as a whole list
+        else if (paramName === 'modRoutes') {
+            overrides.modRoutes = normalizeModRoutes(value);
+            value = overrides.modRoutes;
+        }
+        // Insert chains come from the insert editor as a whole list of slots
+        else if (paramName === 'inserts') {
+            overrides.inserts = normalizeInserts(value);
+            value = overrides.inserts;
+            
+            // Apply slider moves to a chain that is still ringing
+            const busId = this.neuronBusAssignments.get(this.selectedNeuronId);
+            if (this.insertChains.has(this.selectedNeuronId) && this.buses[busId]) {
+                this.getInsertChain(this.selectedNeuronId, overrides, this.buses[busId]);
+            }
+        }
         // Handle other parameters
         else {
             overrides[paramName] = value;
@@ -2613,6 +3450,11 @@ export class OptimizedSoundManager {
         // Save the updated overrides back to the map
         this.neuronSoundOverrides.set(this.selectedNeuronId, overrides);
         
+        // Mute and solo silence (or release) neurons right away
+        if (paramName === 'neuronMute' || paramName === 'neuronSolo') {
+            this.updateNeuronMutes();
+        }
+        
         // Update window.settings to reflect the changes (for tweakpane updates)
         if (window.settings) {
             // Convert paramName to match the tweakpane control name format
@@ -2625,6 +3467,11 @@ export class OptimizedSoundManager {
             }
         }
         
+        if (historyBefore) {
+            window.historyManager.recordSoundChange(historyBefore, `Change ${paramName}`,
+                `sound:${this.selectedNeuronId}:${paramName}`);
+        }
+        
         // Only play a preview sound if explicitly enabled
         if (window.settings && window.settings.previewSounds) {
             this.triggerPreviewSound();
@@ -2721,6 +3568,60 @@ export class OptimizedSoundManager {
         }, (duration * 1000) + 200);
     }
 
+    /**
+     * Configure the output quantizer. Spikes keep their timing in the network;
+     * only the notes they trigger are moved onto the Transport's grid.
+     * @param {Object} options
+     * @param {boolean} [options.enabled] - Quantize notes
+     * @param {string} [options.subdivision] - Key of QUANTIZE_SUBDIVISIONS
+     * @param {number} [options.swing] - 0-1, delays every other grid step by up to a third of a step
+     * @param {number} [options.humanize] - 0-1, random spread of up to 30ms either side of the grid
+     */
+    setOutputQuantize(options = {}) {
+        const quantize = this.outputQuantize;
+        
+        if (typeof options.enabled === 'boolean') {
+            quantize.enabled = options.enabled;
+        }
+        if (QUANTIZE_SUBDIVISIONS[options.subdivision]) {
+            quantize.subdivision = options.subdivision;
+        }
+        if (typeof options.swing === 'number') {
+            quantize.swing = Math.max(0, Math.min(1, options.swing));
+        }
+        if (typeof options.humanize === 'number') {
+            quantize.humanize = Math.max(0, Math.min(1, options.humanize));
+        }
+        
+        // The grid is read from the Transport, so it has to be running
+        if (quantize.enabled && !this.isOffline && Tone.getTransport().state !== 'started') {
+            Tone.getTransport().start();
+        }
+    }
+    
+    /**
+     * Move a note onto the next step of the output quantizer's grid
+     * @param {number} time - Context time the note would otherwise play at (seconds)
+     * @returns {number} Quantized time - humanize can move it either side of the grid,
+     *   but never into the past
+     */
+    quantizeNoteTime(time) {
+        const transport = Tone.getTransport();
+        if (transport.state !== 'started') return time;
+        
+        const { subdivision, swing, humanize } = this.outputQuantize;
+        const stepTicks = Tone.Time(subdivision).toTicks();
+        const ticks = transport.getTicksAtTime(time);
+        
+        let quantized = time + Tone.Ticks(quantizeTicks(ticks, stepTicks, swing) - ticks).toSeconds();
+        
+        if (humanize > 0) {
+            quantized += (this.random() * 2 - 1) * humanize * HUMANIZE_MAX_SECONDS;
+        }
+        
+        return Math.max(Tone.now(), quantized);
+    }
+    
     // Set the global volume
     setVolume(volume) {
         this.volume = volume;
@@ -2738,6 +3639,220 @@ export class OptimizedSoundManager {
         console.log(`Set volume normalization factor to ${factor.toFixed(2)}`);
     }
     
+    /**
+     * Set a bus mixer strip control
+     * @param {string} busId - Bus ID
+     * @param {string} control - 'volume' (dB), 'pan' (-1 to 1), 'mute' or 'solo'
+     * @param {number|boolean} value
+     */
+    setBusMix(busId, control, value) {
+        const bus = this.buses?.[busId];
+        if (!bus || !bus.channel) return;
+        
+        if (control === 'volume') {
+            bus.channel.volume.rampTo(value, 0.05);
+        } else if (control === 'pan') {
+            bus.channel.pan.rampTo(value, 0.05);
+        } else if (control === 'mute') {
+            bus.channel.mute = !!value;
+            this.updateNeuronMutes();
+        } else if (control === 'solo') {
+            if (value) {
+                this.soloBuses.add(busId);
+            } else {
+                this.soloBuses.delete(busId);
+            }
+            this.updateNeuronMutes();
+        }
+    }
+    
+    /**
+     * Bus mixer settings, for patches
+     * @returns {object} { buses: { [busId]: { volume, pan, mute, solo } } }
+     */
+    getMixerState() {
+        const buses = {};
+        Object.values(this.buses || {}).forEach(bus => {
+            if (!bus.channel) return;
+            buses[bus.id] = {
+                volume: bus.channel.volume.value,
+                pan: bus.channel.pan.value,
+                mute: bus.channel.mute,
+                solo: this.soloBuses.has(bus.id)
+            };
+        });
+        return { buses };
+    }
+    
+    /**
+     * Apply bus mixer settings from getMixerState; buses it doesn't mention are reset
+     * @param {object} state
+     */
+    setMixerState(state = {}) {
+        Object.values(this.buses || {}).forEach(bus => {
+            const strip = state.buses?.[bus.id] || {};
+            this.setBusMix(bus.id, 'volume', Number.isFinite(strip.volume) ? strip.volume : 0);
+            this.setBusMix(bus.id, 'pan', Number.isFinite(strip.pan) ? strip.pan : 0);
+            this.setBusMix(bus.id, 'mute', !!strip.mute);
+            this.setBusMix(bus.id, 'solo', !!strip.solo);
+        });
+    }
+    
+    /**
+     * Set a neuron mixer strip control, selected or not
+     * @param {number} neuronId - Neuron ID
+     * @param {string} paramName - One of MIXER_PARAMS
+     * @param {number|boolean} value
+     */
+    setNeuronMix(neuronId, paramName, value) {
+        if (!MIXER_PARAMS.includes(paramName)) return;
+        
+        // The selected neuron goes through the synth panel path, which keeps its controls in sync
+        if (neuronId === this.selectedNeuronId) {
+            this.updateSelectedSynthParam(paramName, value);
+            return;
+        }
+        
+        const historyBefore = window.historyManager?.isRecording()
+            ? window.historyManager.captureSoundState(neuronId)
+            : null;
+        
+        const overrides = this.neuronSoundOverrides.get(neuronId) || {};
+        overrides[paramName] = value;
+        this.neuronSoundOverrides.set(neuronId, overrides);
+        
+        if (paramName === 'neuronMute' || paramName === 'neuronSolo') {
+            this.updateNeuronMutes();
+        }
+        
+        if (historyBefore) {
+            window.historyManager.recordSoundChange(historyBefore, `Change ${paramName}`,
+                `sound:${neuronId}:${paramName}`);
+        }
+    }
+    
+    /**
+     * Whether mute and solo let a neuron play. A soloed bus or neuron silences
+     * everything that isn't soloed itself or on a soloed bus.
+     * @param {number} neuronId - Neuron ID
+     * @param {string} busId - Bus the neuron is playing on
+     * @param {object} params - Sound parameters (neuronMute, neuronSolo)
+     * @returns {boolean}
+     */
+    isNeuronAudible(neuronId, busId, params = this.neuronSoundOverrides.get(neuronId) || {}) {
+        if (params.neuronMute || this.buses?.[busId]?.channel?.mute) {
+            return false;
+        }
+        
+        const soloActive = this.soloBuses.size > 0 || this.anyNeuronSoloed;
+        return !soloActive || !!params.neuronSolo || this.soloBuses.has(busId);
+    }
+    
+    /**
+     * Refresh the cached anyNeuronSoloed flag after neuron overrides change
+     */
+    updateSoloState() {
+        this.anyNeuronSoloed = Array.from(this.neuronSoundOverrides.values()).some(overrides => overrides.neuronSolo);
+    }
+    
+    /**
+     * Apply mute and solo to every neuron that has played: the ones they keep quiet
+     * are silenced through silenceNeuron (cutting notes still ringing) and stay in
+     * mutedNeurons, the others are released. Neurons that haven't played yet are
+     * checked when they first fire.
+     */
+    updateNeuronMutes() {
+        this.updateSoloState();
+        this.neuronBusAssignments.forEach((busId, neuronId) => {
+            if (this.isNeuronAudible(neuronId, busId)) {
+                this.mutedNeurons.delete(neuronId);
+            } else if (!this.mutedNeurons.has(neuronId)) {
+                this.silenceNeuron(neuronId, { mute: true });
+            }
+        });
+    }
+    
+    /**
+     * Peak and RMS of an analyser's current waveform
+     * @param {Tone.Analyser} analyser
+     * @returns {{peak: number, rms: number}} dB, no lower than METER_FLOOR_DB
+     */
+    measureLevels(analyser) {
+        if (!analyser) return { peak: METER_FLOOR_DB, rms: METER_FLOOR_DB };
+        
+        const values = analyser.getValue();
+        let peak = 0;
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            peak = Math.max(peak, Math.abs(values[i]));
+            sum += values[i] * values[i];
+        }
+        
+        return {
+            peak: Math.max(METER_FLOOR_DB, Tone.gainToDb(peak)),
+            rms: Math.max(METER_FLOOR_DB, Tone.gainToDb(Math.sqrt(sum / values.length)))
+        };
+    }
+    
+    /**
+     * Meter levels of a bus, after its fader
+     * @param {string} busId - Bus ID
+     * @returns {{peak: number, rms: number}} dB
+     */
+    getBusLevels(busId) {
+        return this.measureLevels(this.buses?.[busId]?.meter);
+    }
+    
+    /**
+     * Meter levels of the master output, and how far the master compressor is pulling it down
+     * @returns {{peak: number, rms: number, reduction: number}} dB (reduction is 0 or negative)
+     */
+    getMasterLevels() {
+        return {
+            ...this.measureLevels(this.masterMeter),
+            reduction: Math.min(0, this.masterCompressor?.reduction ?? 0)
+        };
+    }
+    
+    /**
+     * Meter levels of a neuron. A neuron with its own output (its insert chain) is
+     * measured there. The others play on their bus's shared synths, so
+     * there is no signal of theirs to measure; their levels are an estimate from the
+     * envelope of the neuron's latest note (RMS as for a sine wave of that amplitude).
+     * @param {number} neuronId - Neuron ID
+     * @returns {{peak: number, rms: number, estimated: boolean}} dB
+     */
+    getNeuronLevels(neuronId) {
+        const meter = this.insertChains.get(neuronId)?.meter;
+        if (meter) return { ...this.measureLevels(meter), estimated: false };
+        
+        const note = this.neuronMeterNotes.get(neuronId);
+        if (!note) return { peak: METER_FLOOR_DB, rms: METER_FLOOR_DB, estimated: true };
+        
+        const elapsed = Tone.now() - note.start;
+        let level = 0;
+        if (elapsed < 0) {
+            level = 0;
+        } else if (elapsed < note.attack) {
+            level = elapsed / note.attack;
+        } else if (elapsed < note.attack + note.decay) {
+            level = 1 - (1 - note.sustain) * (elapsed - note.attack) / note.decay;
+        } else if (elapsed < note.duration) {
+            level = note.sustain;
+        } else if (elapsed < note.duration + note.release) {
+            level = note.sustain * (1 - (elapsed - note.duration) / note.release);
+        } else {
+            this.neuronMeterNotes.delete(neuronId);
+        }
+        
+        const peak = level * note.velocity;
+        return {
+            peak: Math.max(METER_FLOOR_DB, Tone.gainToDb(peak)),
+            rms: Math.max(METER_FLOOR_DB, Tone.gainToDb(peak / Math.SQRT2)),
+            estimated: true
+        };
+    }
+    
     /**
      * Set preview sounds mode (solo selected neuron)
      * @param {boolean} enabled - Whether preview sounds mode is enabled
@@ -2776,18 +3891,23 @@ export class OptimizedSoundManager {
         }, 600);
     }
     
-    // Immediately silence a specific neuron
-    silenceNeuron(neuronId) {
+    // Immediately silence a specific neuron - for good (it was removed), or with
+    // { mute: true } only until mute/solo let it play again, keeping its settings
+    silenceNeuron(neuronId, { mute = false } = {}) {
         if (!neuronId) return;
         
-        console.log(`Silencing neuron ${neuronId}`);
+        console.log(`Silencing neuron ${neuronId}${mute ? ' (muted)' : ''}`);
         
         // Find the appropriate bus for this neuron
         const busId = this.neuronBusAssignments.get(neuronId) || 'mid';
         const bus = this.buses[busId];
         
-        // If we have a bus, temporarily mute it to silence any ongoing sounds for this neuron
-        if (bus && bus.gain) {
+        // A neuron with its own insert chain is cut by disposing the chain; otherwise
+        // temporarily mute its bus to silence any ongoing sounds for this neuron
+        // (muting a neuron that isn't ringing leaves the bus alone)
+        if (this.insertChains.has(neuronId)) {
+            this.disposeInsertChain(neuronId);
+        } else if (bus && bus.gain && (!mute || this.activeVoices?.has(neuronId))) {
             // Store the original volume
             const originalVolume = bus.gain.gain.value;
             
@@ -2810,9 +3930,18 @@ export class OptimizedSoundManager {
         if (this.activeVoices) {
             this.activeVoices.delete(neuronId);
         }
+        this.neuronMeterNotes.delete(neuronId);
         
-        // Clear any synth overrides
+        if (mute) {
+            this.mutedNeurons.add(neuronId);
+            return;
+        }
+        this.mutedNeurons.delete(neuronId);
+        
+        // Clear any synth overrides (including its mixer strip, so a removed neuron can't keep a solo)
         this.neuronSoundOverrides.delete(neuronId);
+        this.updateSoloState();
+        this.modMatrix.clearNeuron(neuronId);
         
         // Clear any frequency assignments
         this.neuronFrequencies.delete(neuronId);
@@ -2830,7 +3959,8 @@ export class OptimizedSoundManager {
     silenceAllNeurons() {
         console.log("Silencing all neurons");
         
-        // Save current sound state before clearing
+        // Save current sound state before clearing (the overrides carry each neuron's mute/solo,
+        // so restoreAllNeuronSounds brings the mixer back as it was)
         this._lastNeuronSoundState = {
             neuronSoundOverrides: new Map(this.neuronSoundOverrides),
             neuronFrequencies: new Map(this.neuronFrequencies),
@@ -2862,6 +3992,10 @@ export class OptimizedSoundManager {
         // Clear all data structures
         this.activeVoices.clear();
         this.neuronSoundOverrides.clear();
+        Array.from(this.insertChains.keys()).forEach(neuronId => this.disposeInsertChain(neuronId));
+        this.neuronMeterNotes.clear();
+        this.mutedNeurons.clear();
+        this.anyNeuronSoloed = false;
         this.neuronFrequencies.clear();
         this.neuronBusAssignments.clear();
         this.voicePriorities.clear();
@@ -2899,11 +4033,14 @@ export class OptimizedSoundManager {
                     const params = this.getNeuronSynthParams ? this.getNeuronSynthParams(neuronId) : this.getNeuronSoundParameters(neuronId);
                     const isIsolated = !circle.neuron.outgoingConnections.size;
                     const hasDC = circle.neuron.dcInput > 0;
-                    const busId = this.getBusForNeuron(neuronId, false, hasDC, params);
-                    this.neuronBusAssignments.set(neuronId, busId);
+                    const busId = this.getBusForNeuron(neuronId, false, hasDC, params)?.id;
+                    if (busId) this.neuronBusAssignments.set(neuronId, busId);
                 }
             }
         });
+        
+        // The restored overrides carry each neuron's mute and solo
+        this.updateNeuronMutes();
         console.log('Restored all neuron sound assignments after audio context resume.');
     }
     
@@ -2930,9 +4067,8 @@ export class OptimizedSoundManager {
     }
 
     // Add method for tracking active sound types
-    trackSoundTypeActivity() {
+    trackSoundTypeActivity(now = performance.now()) {
         // Update playing status based on time elapsed (consider a sound "active" for 200ms)
-        const now = performance.now();
         const activeThreshold = 200; // 200ms
         
         // Check if bass is still playing
@@ -2980,6 +4116,8 @@ export class OptimizedSoundManager {
         // Also clean up audio buses and other resources
         if (this.buses) {
             Object.values(this.buses).forEach(bus => {
+                if (bus.channel) bus.channel.dispose();
+                if (bus.meter) bus.meter.dispose();
                 if (bus.gain) bus.gain.dispose();
                 if (bus.eq) bus.eq.dispose();
                 if (bus.compressor) bus.compressor.dispose();
@@ -2991,6 +4129,8 @@ export class OptimizedSoundManager {
         if (this.masterLimiter) this.masterLimiter.dispose();
         if (this.masterCompressor) this.masterCompressor.dispose();
         if (this.finalMixer) this.finalMixer.dispose();
+        if (this.masterMeter) this.masterMeter.dispose();
+        this.modMatrix.dispose();
         if (this.waveformAnalyzer) this.waveformAnalyzer.dispose();
         
         // Clean up spatial audio nodes
@@ -3001,12 +4141,16 @@ export class OptimizedSoundManager {
         });
         this.spatialAudioNodes.clear();
         this.spatialAudioPanners.clear();
+        if (this.spatialReverb) this.spatialReverb.dispose();
+        
+        // Clean up insert chains
+        Array.from(this.insertChains.keys()).forEach(neuronId => this.disposeInsertChain(neuronId));
         
         console.log("%c[OSCILLATOR BANK] All audio resources disposed", "color: #ff0000; font-weight: bold;");
     }
 
     // Add a method to manage polyphony by releasing old notes when needed
-    managePolyphonyOverflow(synth) {
+    managePolyphonyOverflow(synth, time = null) {
         if (!synth || !synth._activeVoices) return;
         
         // Check if we're close to the polyphony limit
@@ -3026,7 +4170,7 @@ export class OptimizedSoundManager {
                 try {
                     const note = noteEntry[0];
                     // Force an immediate release
-                    synth.triggerRelease(note, Tone.now());
+                    synth.triggerRelease(note, time ?? Tone.now());
                     console.log(`%c[POLYPHONY] Released old note ${note} to make room for new notes`, "color: #ff9900;");
                 } catch (err) {
                     console.warn(`Error releasing note: ${err.message}`);
@@ -0,0 +1,609 @@
+import * as THREE from 'three';
+import { DEFAULT_NEURON_MODEL } from './core/neuronModels.js';
+import { SPATIAL_MODES } from './OptimizedSoundManager.js';
+
+// Current patch schema version - bump when the document layout changes
+// and add a matching step to migratePatch()
+export const PATCH_VERSION = 1;
+
+/**
+ * PatchManager
+ * Saves and loads whole networks ("patches") as versioned JSON documents.
+ * A patch contains every neuron (position, DC input, preset, full sound
+ * parameters and note), every connection (weight and speed), the bus mixer
+ * settings and the samples the neurons play, so a network can be rebuilt
+ * exactly through the regular creation paths. Sample audio stays in
+ * SampleManager's IndexedDB store; only exported files embed it.
+ */
+export class PatchManager {
+    /**
+     * @param {THREE.Scene} scene - The scene neurons are added to
+     * @param {ConnectionManager} connectionManager - Used to recreate connections
+     * @param {Function} createNeuron - Factory that builds a neuron circle (main.js createNewNeuron)
+     */
+    constructor(scene, connectionManager, createNeuron) {
+        this.scene = scene;
+        this.connectionManager = connectionManager;
+        this.createNeuron = createNeuron;
+
+        // Guard against loading a second patch while one is still being rebuilt
+        this.isLoading = false;
+    }
+
+    /**
+     * Serialize the current network into a plain patch object
+     * @param {boolean} embedSamples - Include sample audio rather than just sample IDs
+     * @returns {Object} Patch document ready for JSON.stringify
+     */
+    serialize(embedSamples = false) {
+        const circles = window.circles || [];
+
+        const neurons = circles.map((circle, index) => this.serializeNeuron(circle, index)).filter(Boolean);
+
+        const connections = [];
+        if (this.connectionManager && this.connectionManager.connections) {
+            this.connectionManager.connections.forEach(connection => {
+                const source = circles.indexOf(connection.source);
+                const target = circles.indexOf(connection.target);
+                if (source === -1 || target === -1) return;
+
+                connections.push({
+                    source: source,
+                    target: target,
+                    weight: connection.weight,
+                    speed: connection.speed
+                });
+            });
+        }
+
+        return {
+            format: 'neural-oscillator-patch',
+            version: PATCH_VERSION,
+            createdAt: new Date().toISOString(),
+            settings: {
+                volumeNormalization: window.settings?.volumeNormalization ?? 1.0,
+                harmonyStrength: window.settings?.harmonyStrength ?? 0.5,
+                spatialAudioEnabled: !!window.settings?.spatialAudioEnabled,
+                spatialAudioMode: window.settings?.spatialAudioMode || 'stereo',
+                chargeFloor: window.settings?.chargeFloor ?? -0.5,
+                simulationSeed: window.settings?.simulationSeed ?? 1,
+                simulationNoise: window.settings?.simulationNoise ?? 0,
+                stdp: {
+                    enabled: !!window.settings?.stdpEnabled,
+                    learningRate: window.settings?.stdpLearningRate ?? 0.1,
+                    aPlus: window.settings?.stdpAPlus ?? 0.1,
+                    aMinus: window.settings?.stdpAMinus ?? 0.12,
+                    tau: window.settings?.stdpTau ?? 200
+                },
+                tempo: {
+                    bpm: window.settings?.tempoBPM ?? 120,
+                    quantizeDC: !!window.settings?.quantizeDC
+                },
+                quantize: {
+                    enabled: !!window.settings?.quantizeOutput,
+                    subdivision: window.settings?.quantizeSubdivision ?? '16n',
+                    swing: window.settings?.quantizeSwing ?? 0,
+                    humanize: window.settings?.quantizeHumanize ?? 0
+                },
+                key: window.scaleManager ? window.scaleManager.serialize() : null,
+                mixer: window.soundManager?.getMixerState ? window.soundManager.getMixerState() : null
+            },
+            neurons: neurons,
+            connections: connections,
+            midi: window.midiManager ? window.midiManager.serializeBindings(circles) : null,
+            // Sample audio is stored once, however many neurons play it
+            samples: window.sampleManager
+                ? window.sampleManager.serialize(neurons.map(neuron => neuron.sound?.sampleId).filter(Boolean), embedSamples)
+                : []
+        };
+    }
+
+    /**
+     * Serialize a single neuron circle
+     * @param {THREE.Mesh} circle - Neuron circle from window.circles
+     * @param {number} index - Index of the circle in window.circles
+     * @returns {Object|null} Neuron entry of the patch schema
+     */
+    serializeNeuron(circle, index) {
+        const neuron = circle.neuron;
+        if (!neuron) return null;
+
+        const soundManager = window.soundManager;
+
+        // Copy the sound overrides without the THREE.Color that presets carry
+        let sound = null;
+        if (soundManager && soundManager.neuronSoundOverrides.has(neuron.id)) {
+            sound = JSON.parse(JSON.stringify(soundManager.neuronSoundOverrides.get(neuron.id)));
+            delete sound.color;
+        }
+
+        let frequency = null;
+        if (soundManager && soundManager.neuronFrequencies.has(neuron.id)) {
+            frequency = { ...soundManager.neuronFrequencies.get(neuron.id) };
+        }
+
+        // Prefer the preset color - the material color flashes while firing
+        const color = neuron.presetColor || circle.userData.originalColor || circle.material.color;
+
+        return {
+            index: index,
+            position: { x: circle.position.x, z: circle.position.z },
+            dcInput: neuron.dcInput || 0,
+            threshold: neuron.threshold,
+            refractionPeriod: neuron.refractionPeriod,
+            leakTimeConstant: neuron.leakTimeConstant || 0,
+            model: neuron.modelKey || DEFAULT_NEURON_MODEL,
+            isHarmonyAnchor: !!neuron.isHarmonyAnchor,
+            presetName: neuron.presetName || null,
+            color: '#' + color.getHexString(),
+            sound: sound,
+            frequency: frequency,
+            midi: window.midiManager?.neuronSettings.has(neuron.id)
+                ? window.midiManager.getNeuronSettings(neuron.id)
+                : null
+        };
+    }
+
+    /**
+     * Serialize the current network to a JSON string
+     * @param {boolean} embedSamples - Include sample audio, for files that leave this browser
+     * @returns {string}
+     */
+    toJSON(embedSamples = false) {
+        return JSON.stringify(this.serialize(embedSamples), null, 2);
+    }
+
+    /**
+     * Validate a patch and upgrade it to the current schema version
+     * @param {Object} patch - Parsed patch document
+     * @returns {Object} Patch in the current schema
+     */
+    migratePatch(patch) {
+        if (!patch || typeof patch !== 'object') {
+            throw new Error('Patch is not a JSON object');
+        }
+        if (patch.format !== 'neural-oscillator-patch') {
+            throw new Error('File is not a NeuralOscillator patch');
+        }
+        if (typeof patch.version !== 'number' || patch.version < 1) {
+            throw new Error('Patch has no valid version');
+        }
+        if (patch.version > PATCH_VERSION) {
+            throw new Error(`Patch version ${patch.version} is newer than supported version ${PATCH_VERSION}`);
+        }
+        if (!Array.isArray(patch.neurons)) {
+            throw new Error('Patch has no neuron list');
+        }
+        patch.neurons.forEach((neuron, index) => {
+            if (!neuron || typeof neuron !== 'object' || !neuron.position ||
+                !Number.isFinite(neuron.position.x) || !Number.isFinite(neuron.position.z)) {
+                throw new Error(`Patch neuron ${index} has no valid position`);
+            }
+        });
+
+        // Version 1 is the current schema - future migrations go here in order
+
+        return {
+            ...patch,
+            settings: patch.settings || {},
+            connections: Array.isArray(patch.connections) ? patch.connections : []
+        };
+    }
+
+    /**
+     * Remove every neuron and connection from the scene immediately
+     */
+    clearNetwork() {
+        // Connections first so neurons can drop their synapses cleanly
+        if (this.connectionManager) {
+            if (this.connectionManager.selectedConnection) {
+                this.connectionManager.deselectConnection();
+            }
+            for (const [group, connection] of [...this.connectionManager.connections.entries()]) {
+                this.connectionManager.disposeConnection(connection, group);
+            }
+        }
+
+        if (window.inputManager && typeof window.inputManager.deselectNeuron === 'function') {
+            window.inputManager.deselectNeuron();
+        }
+
+        const circles = window.circles || [];
+        circles.forEach(circle => {
+            const neuronId = circle.neuron?.id;
+
+            if (circle.neuron) {
+                circle.neuron.cleanup();
+            }
+
+            if (circle.touchArea && circle.touchArea.parent) {
+                circle.touchArea.parent.remove(circle.touchArea);
+            }
+            if (circle.parent) {
+                circle.parent.remove(circle);
+            }
+
+            if (window.workerManager && neuronId) {
+                window.workerManager.removeNeuron(neuronId);
+            }
+        });
+        circles.length = 0;
+
+        if (window.soundManager && typeof window.soundManager.silenceAllNeurons === 'function') {
+            try {
+                window.soundManager.silenceAllNeurons();
+                // The backup belongs to neurons that no longer exist - don't let a focus restore bring it back
+                window.soundManager._lastNeuronSoundState = null;
+            } catch (error) {
+                console.warn('[PATCH] Error silencing neurons while clearing network:', error);
+            }
+        }
+    }
+
+    /**
+     * Replace the current network with the contents of a patch
+     * @param {Object|string} patchOrJSON - Patch object or JSON string
+     * @returns {Promise<void>} Resolves once neurons and connections are rebuilt and samples decoded
+     */
+    loadPatch(patchOrJSON) {
+        if (this.isLoading) {
+            return Promise.reject(new Error('A patch is already loading'));
+        }
+
+        let patch;
+        try {
+            const parsed = typeof patchOrJSON === 'string' ? JSON.parse(patchOrJSON) : patchOrJSON;
+            patch = this.migratePatch(parsed);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        this.isLoading = true;
+        try {
+            // However the load ends, the next one can start
+            return this.rebuildNetwork(patch).finally(() => {
+                this.isLoading = false;
+            });
+        } catch (error) {
+            this.isLoading = false;
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Build the network of a migrated patch in place of the current one
+     * @param {Object} patch - Patch in the current schema (see migratePatch)
+     * @returns {Promise<void>} Resolves once neurons and connections are rebuilt and samples decoded
+     */
+    rebuildNetwork(patch) {
+        console.log(`%c[PATCH] Loading patch with ${patch.neurons.length} neurons and ${patch.connections.length} connections`, "color: #00aaff;");
+
+        this.clearNetwork();
+
+        // Neurons play their synth voice until their sample has been decoded
+        const samplesLoaded = window.sampleManager
+            ? window.sampleManager.restore(patch.samples)
+            : Promise.resolve();
+
+        // Edits of the previous network can't be undone into the new one
+        if (window.historyManager) {
+            window.historyManager.clear();
+        }
+
+        const circles = window.circles;
+
+        patch.neurons.forEach(data => this.restoreNeuron(data));
+        window.soundManager?.updateSoloState();
+
+        this.applySettings(patch.settings);
+
+        // Same timing as setupInitialNetwork: let the neurons settle before wiring them up
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                const createdConnections = [];
+
+                try {
+                    patch.neurons.forEach((data, index) => {
+                        const circle = circles[index];
+                        if (circle && circle.neuron) {
+                            circle.neuron.setDCInput(data.dcInput || 0);
+                        }
+                    });
+
+                    const isNeuronIndex = index => Number.isInteger(index) && index >= 0 && index < circles.length;
+                    patch.connections.forEach(({ source, target, weight, speed }) => {
+                        if (!isNeuronIndex(source) || !isNeuronIndex(target) || source === target) {
+                            console.warn(`[PATCH] Skipping invalid connection ${source} -> ${target}`);
+                            return;
+                        }
+
+                        const group = this.connectionManager.createConnection(circles[source], circles[target]);
+                        if (group && this.applyConnectionProperties(group, weight, speed)) {
+                            createdConnections.push(group);
+                        }
+                    });
+
+                    if (window.updateNeuronGrid) {
+                        window.updateNeuronGrid();
+                    }
+                } catch (error) {
+                    console.error('[PATCH] Error rebuilding connections:', error);
+                }
+
+                setTimeout(() => {
+                    try {
+                        createdConnections.forEach(group => {
+                            this.connectionManager.updateConnection(group);
+                        });
+
+                        // MIDI mappings reference neurons and connections, so they go in last
+                        if (window.midiManager) {
+                            window.midiManager.restoreBindings(patch.midi || null, circles);
+                        }
+
+                        // Restart the deterministic core so a loaded patch always plays out the same way
+                        if (window.Neuron?.simulationCore) {
+                            window.Neuron.attachSimulationCore(window.Neuron.simulationCore);
+                        }
+
+                        samplesLoaded.then(() => resolve());
+                    } catch (error) {
+                        reject(error);
+                    }
+                }, 300);
+            }, 100);
+        });
+    }
+
+    /**
+     * Create a neuron from a serialized entry and add it to the network
+     * DC input is not applied here - callers set it once the neuron is wired up
+     * @param {Object} data - Neuron entry of the patch schema
+     * @returns {THREE.Mesh} The new neuron circle
+     */
+    restoreNeuron(data) {
+        const soundManager = window.soundManager;
+
+        // Neurons without stored sound parameters (e.g. from share links) are built from their preset
+        const rememberedPreset = window.lastSelectedPreset;
+        window.lastSelectedPreset = data.sound ? null : this.findPreset(data.presetName);
+
+        const circle = this.createNeuron(data.position, 0);
+        window.lastSelectedPreset = rememberedPreset;
+
+        window.circles.push(circle);
+        this.scene.add(circle);
+
+        const neuron = circle.neuron;
+
+        if (typeof data.threshold === 'number') neuron.threshold = data.threshold;
+        if (typeof data.refractionPeriod === 'number') neuron.refractionPeriod = data.refractionPeriod;
+        if (typeof data.leakTimeConstant === 'number') neuron.setLeakTimeConstant(data.leakTimeConstant);
+        if (typeof data.model === 'string') neuron.setModel(data.model);
+        neuron.isHarmonyAnchor = !!data.isHarmonyAnchor;
+
+        if (data.color) {
+            const color = new THREE.Color(data.color);
+            circle.material.color.copy(color);
+            circle.userData.originalColor = color.clone();
+            neuron.presetColor = color.clone();
+        }
+        neuron.presetName = data.presetName || null;
+
+        if (soundManager) {
+            if (data.sound) {
+                soundManager.neuronSoundOverrides.set(neuron.id, JSON.parse(JSON.stringify(data.sound)));
+            }
+            if (data.frequency) {
+                soundManager.neuronFrequencies.set(neuron.id, { ...data.frequency });
+            }
+
+            // A bare note (Hz) is applied the same way as picking it from the note buttons
+            if (typeof data.note === 'number' && data.note > 0) {
+                const freqData = soundManager.neuronFrequencies.get(neuron.id);
+                if (freqData) {
+                    freqData.customFreq = data.note;
+                }
+                const overrides = soundManager.neuronSoundOverrides.get(neuron.id);
+                if (overrides) {
+                    overrides.note = data.note;
+                }
+            }
+        }
+
+        if (data.midi && window.midiManager) {
+            window.midiManager.setNeuronSettings(neuron.id, data.midi);
+        }
+
+        if (window.workerManager && window.workerManager.isInitialized) {
+            window.workerManager.addNeuron(neuron);
+        }
+
+        return circle;
+    }
+
+    /**
+     * Set weight and speed on a freshly created connection, the same way setupInitialNetwork does
+     * @param {THREE.Group} group - Connection group returned by createConnection
+     * @param {number} weight
+     * @param {number} speed
+     * @returns {boolean} Whether the connection was found
+     */
+    applyConnectionProperties(group, weight, speed) {
+        const connectionData = this.connectionManager.connections.get(group);
+        if (!connectionData) return false;
+
+        connectionData.weight = weight;
+        connectionData.speed = speed;
+
+        const targetIndex = window.circles.indexOf(connectionData.target);
+        if (connectionData.source?.neuron) {
+            connectionData.source.neuron.updateConnectionWeight(targetIndex, weight);
+            connectionData.source.neuron.updateConnectionSpeed(targetIndex, speed);
+        }
+        return true;
+    }
+
+    /**
+     * Find a default preset by name, cloned the way setupInitialNetwork does
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset copy usable as window.lastSelectedPreset
+     */
+    findPreset(name) {
+        if (!name || !window.defaultPresets) return null;
+
+        const preset = window.defaultPresets.find(p => p.name === name);
+        if (!preset) return null;
+
+        const copy = JSON.parse(JSON.stringify(preset));
+        if (preset.color && preset.color.isColor) {
+            copy.color = preset.color.clone();
+        }
+        return copy;
+    }
+
+    /**
+     * Apply global settings stored in a patch
+     * @param {Object} settings - The patch settings block
+     */
+    applySettings(settings = {}) {
+        if (!window.settings) return;
+
+        if (typeof settings.volumeNormalization === 'number') {
+            window.settings.volumeNormalization = settings.volumeNormalization;
+            window.soundManager?.setVolumeNormalization(settings.volumeNormalization);
+        }
+
+        if (typeof settings.harmonyStrength === 'number') {
+            window.settings.harmonyStrength = settings.harmonyStrength;
+            if (window.harmonicSystem && typeof window.harmonicSystem.setHarmonyStrength === 'function') {
+                window.harmonicSystem.setHarmonyStrength(settings.harmonyStrength);
+            }
+        }
+
+        if (typeof settings.chargeFloor === 'number') {
+            window.settings.chargeFloor = settings.chargeFloor;
+            window.Neuron?.setChargeFloor(settings.chargeFloor);
+        }
+
+        if (typeof settings.simulationSeed === 'number') {
+            window.settings.simulationSeed = settings.simulationSeed;
+            if (window.simulationCore) {
+                window.simulationCore.seed = settings.simulationSeed;
+            }
+        }
+
+        if (typeof settings.simulationNoise === 'number') {
+            window.settings.simulationNoise = Math.max(0, settings.simulationNoise);
+            if (window.simulationCore) {
+                window.simulationCore.noise = window.settings.simulationNoise;
+            }
+        }
+
+        if (settings.stdp && typeof settings.stdp === 'object') {
+            const { enabled, learningRate, aPlus, aMinus, tau } = settings.stdp;
+            if (typeof enabled === 'boolean') window.settings.stdpEnabled = enabled;
+            if (typeof learningRate === 'number') window.settings.stdpLearningRate = learningRate;
+            if (typeof aPlus === 'number') window.settings.stdpAPlus = aPlus;
+            if (typeof aMinus === 'number') window.settings.stdpAMinus = aMinus;
+            if (typeof tau === 'number') window.settings.stdpTau = tau;
+            window.synapticPlasticity?.configure({ enabled, learningRate, aPlus, aMinus, tau });
+        }
+
+        if (settings.tempo && typeof settings.tempo === 'object') {
+            const { bpm, quantizeDC } = settings.tempo;
+            if (typeof bpm === 'number') {
+                // A tempo set by incoming MIDI clock wins over the saved one
+                window.tempoClock?.setBPM(bpm);
+                window.settings.tempoBPM = window.tempoClock?.bpm ?? bpm;
+            }
+            if (typeof quantizeDC === 'boolean') {
+                window.settings.quantizeDC = quantizeDC;
+                window.tempoClock?.setQuantizeDC(quantizeDC);
+            }
+        }
+
+        if (settings.key && window.scaleManager) {
+            window.scaleManager.restore(settings.key);
+        }
+
+        if (settings.quantize && typeof settings.quantize === 'object') {
+            const { enabled, subdivision, swing, humanize } = settings.quantize;
+            if (typeof enabled === 'boolean') window.settings.quantizeOutput = enabled;
+            if (typeof subdivision === 'string') window.settings.quantizeSubdivision = subdivision;
+            if (typeof swing === 'number') window.settings.quantizeSwing = swing;
+            if (typeof humanize === 'number') window.settings.quantizeHumanize = humanize;
+            window.soundManager?.setOutputQuantize({ enabled, subdivision, swing, humanize });
+        }
+
+        if (settings.mixer && typeof settings.mixer === 'object') {
+            window.soundManager?.setMixerState(settings.mixer);
+        }
+
+        // The mode first, so switching spatial audio on builds the right nodes
+        if (typeof settings.spatialAudioMode === 'string' && SPATIAL_MODES[settings.spatialAudioMode]) {
+            window.settings.spatialAudioMode = settings.spatialAudioMode;
+            window.soundManager?.setSpatialMode(settings.spatialAudioMode);
+        }
+
+        if (typeof settings.spatialAudioEnabled === 'boolean') {
+            window.settings.spatialAudioEnabled = settings.spatialAudioEnabled;
+            window.soundManager?.setSpatialAudio(settings.spatialAudioEnabled);
+        }
+
+        if (window.pane && window.pane.refresh) {
+            window.pane.refresh();
+        }
+    }
+
+    /**
+     * Download the current network as a .json file
+     * @param {string} filename - Name of the downloaded file
+     */
+    exportToFile(filename = null) {
+        const name = filename || `neural-oscillator-patch-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        const blob = new Blob([this.toJSON(true)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`%c[PATCH] Saved patch as ${name}`, "color: #00ff00;");
+    }
+
+    /**
+     * Ask the user for a patch file and load it
+     * @returns {Promise<void>} Resolves when the patch is loaded, rejects on invalid files
+     */
+    importFromFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve();
+                    return;
+                }
+
+                const reader = new FileReader();
+                reader.onload = () => {
+                    this.loadPatch(reader.result).then(resolve, reject);
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
+
+            input.click();
+        });
+    }
+}
@@ -0,0 +1,311 @@
+import * as Tone from 'tone';
+
+// Audio files a neuron can play (extension -> MIME type)
+export const SAMPLE_FILE_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg'
+};
+
+// How a firing's velocity maps to sample volume
+export const SAMPLE_VELOCITY_CURVES = {
+    linear: 'Linear',
+    exponential: 'Exponential',
+    logarithmic: 'Logarithmic',
+    fixed: 'Fixed'
+};
+
+// Exported patch files carry samples as base64, which grows them by a third
+const MAX_SAMPLE_BYTES = 8 * 1024 * 1024;
+
+// Sample audio lives in IndexedDB, which holds far more than localStorage
+const SAMPLE_DB_NAME = 'neural-oscillator-samples';
+const SAMPLE_STORE = 'samples';
+
+/**
+ * SampleManager
+ * Audio files that neurons play instead of a synth voice. Each file is kept as
+ * a base64 data URL and as a decoded buffer for playback, and is stored in
+ * IndexedDB. Patches and autosave snapshots only name their samples (ID and
+ * file name) and get the audio back from IndexedDB; exported patch files embed
+ * it so they work on another machine. Samples are identified by a hash of their
+ * data, so loading the same file twice shares one buffer.
+ *
+ * The per-neuron settings (start/end points, reverse, root note, velocity
+ * curve) live in the neuron's sound overrides; OptimizedSoundManager.playSample
+ * does the playing.
+ */
+export class SampleManager {
+    constructor() {
+        this.samples = new Map(); // id -> { id, name, data (data: URL), buffer, reversed }
+        this.pending = new Map(); // id -> Promise of a sample still being decoded
+        this.listeners = [];
+        this.database = null; // Promise of the IndexedDB database, opened on first use
+    }
+
+    /**
+     * Open the sample database
+     * @returns {Promise<IDBDatabase|null>} null where IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(SAMPLE_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(SAMPLE_STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('[SAMPLES] IndexedDB unavailable, samples will not survive a reload:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run one request against the sample store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result (undefined without IndexedDB)
+     */
+    withStore(mode, makeRequest) {
+        return this.openDatabase().then(database => {
+            if (!database) return undefined;
+            return new Promise((resolve, reject) => {
+                const request = makeRequest(database.transaction(SAMPLE_STORE, mode).objectStore(SAMPLE_STORE));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Keep a sample's audio in IndexedDB
+     * @param {Object} sample - { id, name, data }
+     * @returns {Promise<void>}
+     */
+    store({ id, name, data }) {
+        return this.withStore('readwrite', objectStore => objectStore.put({ id, name, data }))
+            .then(() => {})
+            .catch(error => console.warn(`[SAMPLES] Could not store ${name}:`, error));
+    }
+
+    /**
+     * A sample's audio from IndexedDB
+     * @param {string} id - Sample ID
+     * @returns {Promise<Object|undefined>} { id, name, data }
+     */
+    loadStored(id) {
+        return this.withStore('readonly', objectStore => objectStore.get(id));
+    }
+
+    /**
+     * Whether a file looks like a sample we can decode
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isSampleFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        return !!SAMPLE_FILE_TYPES[extension] || Object.values(SAMPLE_FILE_TYPES).includes(file.type);
+    }
+
+    /**
+     * Load a WAV, MP3 or OGG file
+     * @param {File} file - From a file input or a drop
+     * @returns {Promise<Object>} The sample
+     */
+    addFile(file) {
+        if (!SampleManager.isSampleFile(file)) {
+            return Promise.reject(new Error(`${file.name} is not a WAV, MP3 or OGG file`));
+        }
+        if (file.size > MAX_SAMPLE_BYTES) {
+            return Promise.reject(new Error(`${file.name} is larger than ${MAX_SAMPLE_BYTES / 1024 / 1024} MB`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        }).then(data => this.addSample({ name: file.name, data }));
+    }
+
+    /**
+     * Add a sample from its data URL, e.g. one saved in a patch
+     * @param {Object} sample
+     * @param {string} [sample.id] - Saved ID, otherwise derived from the data
+     * @param {string} sample.name - File name
+     * @param {string} sample.data - base64 data URL
+     * @returns {Promise<Object>} The sample
+     */
+    addSample({ id, name, data }) {
+        if (typeof data !== 'string' || !data.startsWith('data:')) {
+            return Promise.reject(new Error(`Sample ${name || id} has no audio data`));
+        }
+
+        const sampleId = id || SampleManager.getSampleId(data);
+        if (this.samples.has(sampleId)) return Promise.resolve(this.samples.get(sampleId));
+        if (this.pending.has(sampleId)) return this.pending.get(sampleId);
+
+        const loading = SampleManager.decode(data)
+            .then(buffer => {
+                const sample = { id: sampleId, name: name || 'Sample', data, buffer, reversed: null };
+                this.samples.set(sampleId, sample);
+                this.store(sample);
+
+                console.log(`%c[SAMPLES] Loaded ${sample.name} (${buffer.duration.toFixed(2)}s)`, "color: #ff66aa;");
+                this.listeners.forEach(callback => callback(this));
+                return sample;
+            })
+            .finally(() => this.pending.delete(sampleId));
+
+        this.pending.set(sampleId, loading);
+        return loading;
+    }
+
+    /**
+     * @param {string} id - Sample ID
+     * @returns {boolean} Whether the sample is decoded and ready to play
+     */
+    has(id) {
+        return !!id && this.samples.has(id);
+    }
+
+    /**
+     * Buffer to play for a sample
+     * @param {string} id - Sample ID
+     * @param {boolean} reverse - Play it backwards
+     * @returns {Tone.ToneAudioBuffer|null}
+     */
+    getBuffer(id, reverse = false) {
+        const sample = this.samples.get(id);
+        if (!sample) return null;
+        if (!reverse) return sample.buffer;
+
+        // Players share buffers, so reversing one in place would flip every neuron using it
+        if (!sample.reversed) {
+            const source = sample.buffer.get();
+            const reversed = new AudioBuffer({
+                length: source.length,
+                numberOfChannels: source.numberOfChannels,
+                sampleRate: source.sampleRate
+            });
+            for (let channel = 0; channel < source.numberOfChannels; channel++) {
+                reversed.copyToChannel(source.getChannelData(channel).slice().reverse(), channel);
+            }
+            sample.reversed = new Tone.ToneAudioBuffer(reversed);
+        }
+        return sample.reversed;
+    }
+
+    /**
+     * Samples for the sample picker
+     * @returns {Array<{id: string, name: string}>}
+     */
+    list() {
+        return Array.from(this.samples.values()).map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Ask the user for an audio file and load it
+     * @returns {Promise<Object|null>} The sample, null if nothing was chosen
+     */
+    importFromFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = Object.keys(SAMPLE_FILE_TYPES).map(extension => `.${extension}`).join(',');
+
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                this.addFile(file).then(resolve, reject);
+            });
+
+            input.click();
+        });
+    }
+
+    /**
+     * Register a callback for when samples are added
+     * @param {Function} callback - Called with this manager
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Samples for a patch
+     * @param {Iterable<string>} ids - Samples the patch's neurons use
+     * @param {boolean} embed - Include the audio (exported files), not just the IDs
+     * @returns {Array<{id: string, name: string, data?: string}>}
+     */
+    serialize(ids, embed = false) {
+        return Array.from(new Set(ids))
+            .filter(id => this.samples.has(id))
+            .map(id => {
+                const { name, data } = this.samples.get(id);
+                return embed ? { id, name, data } : { id, name };
+            });
+    }
+
+    /**
+     * Decode the samples saved in a patch - embedded audio, or audio from IndexedDB
+     * for entries that only have an ID. A sample that fails is skipped, and its
+     * neurons fall back to their synth voice.
+     * @param {Array} samples - From serialize()
+     * @returns {Promise<void>}
+     */
+    restore(samples) {
+        if (!Array.isArray(samples)) return Promise.resolve();
+
+        return Promise.all(samples.map(sample => {
+            const loading = sample?.data || this.has(sample?.id)
+                ? this.addSample(sample)
+                : this.loadStored(sample?.id).then(stored => {
+                    if (!stored) throw new Error('audio is not stored in this browser');
+                    return this.addSample(stored);
+                });
+            return loading.catch(error => {
+                console.warn(`[SAMPLES] Could not load ${sample?.name || 'sample'}:`, error.message);
+            });
+        })).then(() => {});
+    }
+
+    /**
+     * Decode a base64 data URL
+     * @param {string} data
+     * @returns {Promise<Tone.ToneAudioBuffer>}
+     */
+    static decode(data) {
+        const binary = atob(data.slice(data.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return Tone.getContext().decodeAudioData(bytes.buffer)
+            .then(audioBuffer => new Tone.ToneAudioBuffer(audioBuffer));
+    }
+
+    /**
+     * Stable ID for a sample's data (FNV-1a hash plus length)
+     * @param {string} data
+     * @returns {string}
+     */
+    static getSampleId(data) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < data.length; i++) {
+            hash ^= data.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `sample-${(hash >>> 0).toString(36)}-${data.length.toString(36)}`;
+    }
+}
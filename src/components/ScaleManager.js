@@ -0,0 +1,462 @@
+import { parseScl, parseKbm } from './utils/scalaParser.js';
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Semitones above the root. 'chromatic' leaves notes where they are (no key lock).
+export const SCALES = {
+    chromatic: { label: 'Chromatic (off)', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+    major: { label: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { label: 'Minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+    dorian: { label: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+    pentatonic: { label: 'Pentatonic', intervals: [0, 2, 4, 7, 9] },
+    blues: { label: 'Blues', intervals: [0, 3, 5, 6, 7, 10] },
+    harmonicMinor: { label: 'Harmonic Minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+    wholeTone: { label: 'Whole Tone', intervals: [0, 2, 4, 6, 8, 10] },
+    custom: { label: 'Custom', intervals: null } // Uses ScaleManager.customIntervals
+};
+
+// Note picker range when the key is locked (C2 to B6, like the chromatic picker)
+const PICKER_LOWEST_NOTE = 36;
+const PICKER_HIGHEST_NOTE = 95;
+const PICKER_MAX_NOTES = 36;
+
+// With a tuning loaded the picker starts from the pitch nearest C3
+const PICKER_TUNING_START_FREQUENCY = 130.81;
+
+// Scala's default mapping when no .kbm is given: degree 0 on middle C at 12-TET pitch
+const DEFAULT_MIDDLE_NOTE = 60;
+const DEFAULT_MIDDLE_FREQUENCY = 261.6256;
+
+// Audible range kept in the tuning table
+const MIN_TUNING_FREQUENCY = 16;
+const MAX_TUNING_FREQUENCY = 20000;
+
+/**
+ * ScaleManager
+ * Global root and scale that every neuron note snaps into: notes assigned to
+ * new neurons, HarmonicSystem pitch adjustments and the note picker. Changing
+ * the root transposes the whole network by the same interval; changing the
+ * scale moves every note to its nearest neighbour in the new scale.
+ *
+ * A Scala tuning (.scl, optionally with a .kbm keyboard mapping) replaces
+ * 12-tone equal temperament: notes then snap to the tuning's pitches, and
+ * its degrees act as the pitch classes for HarmonicSystem. The tuning is the
+ * scale, so root and scale choices don't apply while one is loaded.
+ */
+export class ScaleManager {
+    /**
+     * @param {OptimizedSoundManager} soundManager - Holds every neuron's note
+     */
+    constructor(soundManager) {
+        this.soundManager = soundManager;
+
+        this.root = 0; // Pitch class, 0 = C
+        this.scaleKey = 'chromatic';
+        this.customIntervals = [0, 2, 4, 5, 7, 9, 11];
+
+        // Scala tuning (null = 12-tone equal temperament)
+        this.tuning = null; // { name, scl, kbm, scale, keyboard }
+        this.tuningTable = []; // Every mapped pitch in range, by frequency: { key, frequency, degree, period }
+
+        this.listeners = [];
+    }
+
+    get isLocked() {
+        return this.tuning !== null || this.scaleKey !== 'chromatic';
+    }
+
+    /**
+     * Semitones above the root that are in the scale
+     * @returns {Array<number>} Sorted, 0-11, always including 0
+     */
+    getIntervals() {
+        if (this.scaleKey === 'custom') return this.customIntervals;
+        return (SCALES[this.scaleKey] || SCALES.chromatic).intervals;
+    }
+
+    /**
+     * Whether a MIDI note is in the scale
+     * @param {number} note - MIDI note number
+     * @returns {boolean}
+     */
+    containsNote(note) {
+        const degree = ((Math.round(note) - this.root) % 12 + 12) % 12;
+        return this.getIntervals().includes(degree);
+    }
+
+    /**
+     * Move a frequency to the nearest note of the scale. Frequencies are left
+     * untouched (including microtones) while the key isn't locked.
+     * @param {number} frequency - Hz
+     * @returns {number} Hz
+     */
+    snapFrequency(frequency) {
+        if (!this.isLocked || !frequency || frequency <= 0) return frequency;
+        if (this.tuning) return this.findTuningPitch(frequency).frequency;
+        return ScaleManager.noteToFrequency(this.snapNote(ScaleManager.frequencyToNote(frequency)));
+    }
+
+    /**
+     * Nearest MIDI note in the scale (ties go down)
+     * @param {number} note - MIDI note number, may be fractional
+     * @returns {number} Whole MIDI note number
+     */
+    snapNote(note) {
+        const nearest = Math.round(note);
+        for (let distance = 0; distance <= 6; distance++) {
+            const candidates = note - nearest > 0
+                ? [nearest + distance, nearest - distance]
+                : [nearest - distance, nearest + distance];
+            const match = candidates.find(candidate => this.containsNote(candidate));
+            if (match !== undefined) return match;
+        }
+        return nearest;
+    }
+
+    /**
+     * Notes the note picker offers
+     * @returns {Array<{name: string, freq: number}>|null} null while the key isn't locked (use the full picker)
+     */
+    getPickerNotes() {
+        if (!this.isLocked) return null;
+
+        if (this.tuning) {
+            const table = this.tuningTable;
+            const start = table.indexOf(this.findTuningPitch(PICKER_TUNING_START_FREQUENCY));
+            return table.slice(start, start + PICKER_MAX_NOTES).map(pitch => ({
+                name: String(pitch.degree),
+                freq: Math.round(pitch.frequency * 100) / 100,
+                octave: pitch.period + 4 // Period 0 starts at the middle note, like octave 4
+            }));
+        }
+
+        const notes = [];
+        for (let note = PICKER_LOWEST_NOTE; note <= PICKER_HIGHEST_NOTE && notes.length < PICKER_MAX_NOTES; note++) {
+            if (this.containsNote(note)) {
+                notes.push({
+                    name: ScaleManager.noteName(note),
+                    freq: Math.round(ScaleManager.noteToFrequency(note) * 100) / 100
+                });
+            }
+        }
+        return notes;
+    }
+
+    /**
+     * Set the key. A new root transposes every neuron; a new scale snaps every neuron into it.
+     * @param {Object} options
+     * @param {number} [options.root] - Pitch class 0-11
+     * @param {string} [options.scale] - Key of SCALES
+     * @param {Array<number>} [options.customIntervals] - Semitones above the root for the custom scale
+     */
+    setKey(options = {}) {
+        const previousRoot = this.root;
+        this.applyKey(options);
+
+        // Shortest way to the new root, so notes move at most a tritone
+        let shift = (this.root - previousRoot + 12) % 12;
+        if (shift > 6) shift -= 12;
+
+        this.retuneNetwork(shift);
+
+        console.log(`%c[SCALE] Key: ${NOTE_NAMES[this.root]} ${SCALES[this.scaleKey].label}`, "color: #ffcc00;");
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Restore a key saved with a patch. The patch's notes are already in it, so nothing is retuned.
+     * @param {Object} data - From serialize()
+     */
+    restore(data) {
+        if (!data || typeof data !== 'object') return;
+        this.applyKey(data);
+
+        if (data.tuning && data.tuning.scl) {
+            try {
+                this.applyTuning(data.tuning.scl, data.tuning.kbm, data.tuning.name);
+            } catch (error) {
+                console.warn('[SCALE] Could not restore the patch tuning:', error.message);
+            }
+        } else {
+            this.tuning = null;
+            this.tuningTable = [];
+        }
+
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    applyKey({ root, scale, customIntervals }) {
+        if (typeof root === 'number') {
+            this.root = ((Math.round(root) % 12) + 12) % 12;
+        }
+        if (SCALES[scale]) {
+            this.scaleKey = scale;
+        }
+        if (Array.isArray(customIntervals)) {
+            const intervals = customIntervals
+                .map(interval => ((Math.round(interval) % 12) + 12) % 12)
+                .filter((interval, index, all) => interval !== 0 && all.indexOf(interval) === index);
+            this.customIntervals = [0, ...intervals].sort((a, b) => a - b);
+        }
+    }
+
+    /**
+     * Transpose every neuron and snap it into the scale
+     * @param {number} shift - Semitones
+     */
+    retuneNetwork(shift = 0) {
+        const soundManager = this.soundManager;
+        if (!soundManager) return;
+
+        soundManager.neuronFrequencies.forEach((freqData, neuronId) => {
+            const current = soundManager.getNeuronSoundParameters(neuronId).note;
+            if (!current) return;
+
+            const transposed = current * Math.pow(2, shift / 12);
+            soundManager.setNeuronNote(neuronId, this.snapFrequency(transposed));
+        });
+    }
+
+    // --- Tunings ---
+
+    /**
+     * Load a Scala tuning and move every neuron to its nearest pitch
+     * @param {string} scl - .scl file contents
+     * @param {string|null} kbm - .kbm file contents, or null for degree 0 on middle C
+     * @param {string} [name] - Display name (defaults to the scale's description)
+     */
+    loadTuning(scl, kbm = null, name = null) {
+        this.applyTuning(scl, kbm, name);
+        this.retuneNetwork(0);
+
+        console.log(`%c[SCALE] Tuning: ${this.tuning.name} (${this.getDivisions()} notes per period, ${this.tuningTable.length} pitches)`, "color: #ffcc00;");
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Go back to 12-tone equal temperament
+     */
+    clearTuning() {
+        if (!this.tuning) return;
+
+        this.tuning = null;
+        this.tuningTable = [];
+        this.retuneNetwork(0);
+
+        console.log("%c[SCALE] Tuning: 12-TET", "color: #ffcc00;");
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Ask the user for Scala files and load them. Pick a .scl, optionally with
+     * a .kbm; a .kbm on its own remaps the tuning that is already loaded.
+     * @returns {Promise<string|null>} Name of the loaded tuning, null if nothing was chosen
+     */
+    importFromFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.scl,.kbm';
+            input.multiple = true;
+
+            input.addEventListener('change', () => {
+                const files = Array.from(input.files || []);
+                const sclFile = files.find(file => file.name.toLowerCase().endsWith('.scl'));
+                const kbmFile = files.find(file => file.name.toLowerCase().endsWith('.kbm'));
+                if (!sclFile && !kbmFile) {
+                    resolve(null);
+                    return;
+                }
+                if (!sclFile && !this.tuning) {
+                    reject(new Error('Load a .scl scale before a keyboard mapping'));
+                    return;
+                }
+
+                Promise.all([sclFile ? sclFile.text() : null, kbmFile ? kbmFile.text() : null])
+                    .then(([scl, kbm]) => {
+                        if (scl) {
+                            this.loadTuning(scl, kbm, null);
+                        } else {
+                            this.loadTuning(this.tuning.scl, kbm, this.tuning.name);
+                        }
+                        resolve(this.tuning.name);
+                    })
+                    .catch(reject);
+            });
+
+            input.click();
+        });
+    }
+
+    applyTuning(scl, kbm, name) {
+        // Parse both before changing anything so a bad file leaves the current tuning in place
+        const scale = parseScl(scl);
+        const keyboard = kbm ? parseKbm(kbm) : null;
+        const table = ScaleManager.buildTuningTable(scale, keyboard);
+        if (table.length === 0) {
+            throw new Error('The keyboard mapping leaves no playable pitches');
+        }
+
+        this.tuning = { name: name || scale.description || 'Scala tuning', scl, kbm: kbm || null, scale, keyboard };
+        this.tuningTable = table;
+    }
+
+    /**
+     * Nearest pitch of the loaded tuning
+     * @param {number} frequency - Hz
+     * @returns {Object} Entry of tuningTable
+     */
+    findTuningPitch(frequency) {
+        const table = this.tuningTable;
+        let low = 0;
+        let high = table.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (table[middle].frequency < frequency) low = middle + 1;
+            else high = middle;
+        }
+
+        // Compare the neighbours by ratio, not by Hz
+        const below = table[Math.max(0, low - 1)];
+        const above = table[low];
+        return Math.abs(Math.log(frequency / below.frequency)) < Math.abs(Math.log(above.frequency / frequency)) ? below : above;
+    }
+
+    /**
+     * Notes per period: 12 in 12-TET, otherwise the size of the Scala scale
+     * @returns {number}
+     */
+    getDivisions() {
+        return this.tuning ? this.tuning.scale.cents.length : 12;
+    }
+
+    /**
+     * Pitch class of a frequency - its degree in the tuning (0-11 in 12-TET, C = 0)
+     * @param {number} frequency - Hz
+     * @returns {number}
+     */
+    frequencyToDegree(frequency) {
+        if (this.tuning) return this.findTuningPitch(frequency).degree;
+        return ((Math.round(ScaleManager.frequencyToNote(frequency)) % 12) + 12) % 12;
+    }
+
+    /**
+     * Size of a degree above the tuning's first note
+     * @param {number} degree - 0 to getDivisions() - 1
+     * @returns {number} Cents
+     */
+    getDegreeCents(degree) {
+        if (!this.tuning) return degree * 100;
+        const cents = this.tuning.scale.cents;
+        return cents[((degree % cents.length) + cents.length) % cents.length];
+    }
+
+    /**
+     * Average step of the tuning, for moving a note by a number of steps
+     * @returns {number} Cents
+     */
+    getStepCents() {
+        return this.tuning ? this.tuning.scale.period / this.getDivisions() : 100;
+    }
+
+    /**
+     * Every pitch a scale and keyboard mapping give for MIDI keys 0-127
+     * @param {Object} scale - From parseScl
+     * @param {Object|null} keyboard - From parseKbm
+     * @returns {Array} { key, frequency, degree, period }, sorted by frequency
+     */
+    static buildTuningTable(scale, keyboard) {
+        const divisions = scale.cents.length;
+        const map = keyboard || {
+            size: divisions,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: DEFAULT_MIDDLE_NOTE,
+            referenceNote: DEFAULT_MIDDLE_NOTE,
+            referenceFrequency: DEFAULT_MIDDLE_FREQUENCY,
+            octaveDegree: divisions,
+            mapping: Array.from({ length: divisions }, (_, index) => index)
+        };
+
+        // Degrees past the end of the scale continue into the next period
+        const degreeCents = (degree) => {
+            const periods = Math.floor(degree / divisions);
+            return periods * scale.period + scale.cents[degree - periods * divisions];
+        };
+
+        const keyPitch = (key) => {
+            const offset = key - map.middleNote;
+            if (map.size === 0) {
+                // Linear mapping: one key per degree
+                const period = Math.floor(offset / divisions);
+                return { cents: degreeCents(offset), degree: offset - period * divisions, period };
+            }
+
+            const period = Math.floor(offset / map.size);
+            const degree = map.mapping[offset - period * map.size];
+            if (degree === null || degree === undefined) return null;
+
+            const octaveDegree = map.octaveDegree > 0 ? map.octaveDegree : divisions;
+            return {
+                cents: period * degreeCents(octaveDegree) + degreeCents(degree),
+                degree: ((degree % divisions) + divisions) % divisions,
+                period: period + Math.floor(degree / divisions)
+            };
+        };
+
+        const reference = keyPitch(map.referenceNote);
+        if (!reference) {
+            throw new Error('The keyboard mapping leaves its reference note unmapped');
+        }
+
+        const table = [];
+        for (let key = Math.max(0, map.firstNote); key <= Math.min(127, map.lastNote); key++) {
+            const pitch = keyPitch(key);
+            if (!pitch) continue;
+
+            const frequency = map.referenceFrequency * Math.pow(2, (pitch.cents - reference.cents) / 1200);
+            if (frequency < MIN_TUNING_FREQUENCY || frequency > MAX_TUNING_FREQUENCY) continue;
+
+            table.push({ key, frequency, degree: pitch.degree, period: pitch.period });
+        }
+
+        return table.sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * Subscribe to key changes
+     * @param {Function} callback - Called with this ScaleManager
+     * @returns {Function} Unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * @returns {Object} Key settings for a patch
+     */
+    serialize() {
+        return {
+            root: this.root,
+            scale: this.scaleKey,
+            customIntervals: [...this.customIntervals],
+            // The file contents travel with the patch so it plays back in the same tuning
+            tuning: this.tuning ? { name: this.tuning.name, scl: this.tuning.scl, kbm: this.tuning.kbm } : null
+        };
+    }
+
+    static frequencyToNote(frequency) {
+        return 69 + 12 * Math.log2(frequency / 440);
+    }
+
+    static noteToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    static noteName(note) {
+        return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+    }
+}
@@ -0,0 +1,162 @@
+import { PATCH_VERSION } from './PatchManager.js';
+import { NEURON_MODEL_OPTIONS } from './core/neuronModels.js';
+
+// Version of the compact link format (independent of the JSON patch version)
+const LINK_VERSION = 1;
+
+// Quantization steps - keep links short while staying close to the original network
+const POSITION_SCALE = 10;   // 0.1 world units
+const AMOUNT_SCALE = 100;    // DC, weight and speed in 0.01 steps
+const NOTE_SCALE = 10;       // 0.1 Hz
+
+/**
+ * ShareLinkManager
+ * Encodes the current network into a compact, URL-safe string stored in
+ * location.hash so a link opens straight into that network. Everything is
+ * done client side, which keeps it working on the static gh-pages build.
+ *
+ * Hash layout: #v=1&n=<neurons>&c=<connections>
+ *   neuron:     x.z.dc.preset.note.anchor.model   (items separated by "_")
+ *   connection: source.target.weight.speed  (items separated by "_")
+ * preset is an index into window.defaultPresets (-1 for none), note is Hz*10 (0 for none),
+ * model is an index into NEURON_MODEL_OPTIONS (optional, 0 = LIF).
+ */
+export class ShareLinkManager {
+    /**
+     * @param {PatchManager} patchManager - Used to read and rebuild networks
+     */
+    constructor(patchManager) {
+        this.patchManager = patchManager;
+    }
+
+    /**
+     * Encode a patch into the compact hash format
+     * @param {Object} patch - Patch from PatchManager.serialize()
+     * @returns {string} Hash content without the leading "#"
+     */
+    encode(patch) {
+        const presets = window.defaultPresets || [];
+        const q = (value, scale) => Math.round((value || 0) * scale);
+
+        const neurons = patch.neurons.map(neuron => {
+            const presetIndex = presets.findIndex(preset => preset.name === neuron.presetName);
+            const note = neuron.sound?.note || neuron.frequency?.customFreq || neuron.frequency?.baseFreq || 0;
+
+            return [
+                q(neuron.position.x, POSITION_SCALE),
+                q(neuron.position.z, POSITION_SCALE),
+                q(neuron.dcInput, AMOUNT_SCALE),
+                presetIndex,
+                q(note, NOTE_SCALE),
+                neuron.isHarmonyAnchor ? 1 : 0,
+                Math.max(0, NEURON_MODEL_OPTIONS.findIndex(option => option.key === neuron.model))
+            ].join('.');
+        });
+
+        const connections = patch.connections.map(connection => [
+            connection.source,
+            connection.target,
+            q(connection.weight, AMOUNT_SCALE),
+            q(connection.speed, AMOUNT_SCALE)
+        ].join('.'));
+
+        return `v=${LINK_VERSION}&n=${neurons.join('_')}&c=${connections.join('_')}`;
+    }
+
+    /**
+     * Decode the compact hash format back into a patch document
+     * @param {string} hash - Hash content, with or without the leading "#"
+     * @returns {Object} Patch accepted by PatchManager.loadPatch()
+     */
+    decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const version = parseInt(params.get('v'), 10);
+
+        if (!version || !params.has('n')) {
+            throw new Error('Link does not contain a network');
+        }
+        if (version > LINK_VERSION) {
+            throw new Error(`Link version ${version} is newer than supported version ${LINK_VERSION}`);
+        }
+
+        const presets = window.defaultPresets || [];
+        const parseItems = (value, fieldCount) => {
+            if (!value) return [];
+            return value.split('_').map(item => {
+                const fields = item.split('.').map(Number);
+                if (fields.length < fieldCount || fields.some(Number.isNaN)) {
+                    throw new Error(`Malformed link entry "${item}"`);
+                }
+                return fields;
+            });
+        };
+
+        const neurons = parseItems(params.get('n'), 5).map(([x, z, dc, presetIndex, note, anchor, model = 0]) => ({
+            position: { x: x / POSITION_SCALE, z: z / POSITION_SCALE },
+            dcInput: Math.max(0, Math.min(1, dc / AMOUNT_SCALE)),
+            presetName: presets[presetIndex] ? presets[presetIndex].name : null,
+            note: note > 0 ? note / NOTE_SCALE : null,
+            isHarmonyAnchor: anchor === 1,
+            model: NEURON_MODEL_OPTIONS[model] ? NEURON_MODEL_OPTIONS[model].key : undefined,
+            sound: null,
+            frequency: null
+        }));
+
+        // Connections must point at neurons in the link
+        const isNeuronIndex = (index) => Number.isInteger(index) && index >= 0 && index < neurons.length;
+        const connections = parseItems(params.get('c'), 4)
+            .filter(([source, target]) => isNeuronIndex(source) && isNeuronIndex(target))
+            .map(([source, target, weight, speed]) => ({
+                source: source,
+                target: target,
+                weight: weight / AMOUNT_SCALE,
+                speed: speed / AMOUNT_SCALE
+            }));
+
+        return {
+            format: 'neural-oscillator-patch',
+            version: PATCH_VERSION,
+            settings: {},
+            neurons: neurons,
+            connections: connections
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether the current URL carries a shared network
+     */
+    hasLink() {
+        return new URLSearchParams(window.location.hash.replace(/^#/, '')).has('n');
+    }
+
+    /**
+     * Build a link to the current network
+     * @returns {string} Absolute URL including the encoded hash
+     */
+    getShareURL() {
+        const { origin, pathname, search } = window.location;
+        return `${origin}${pathname}${search}#${this.encode(this.patchManager.serialize())}`;
+    }
+
+    /**
+     * Load the network encoded in location.hash
+     * @returns {Promise<void>} Rejects if the link is malformed
+     */
+    loadFromHash() {
+        let patch;
+        try {
+            patch = this.decode(window.location.hash);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.patchManager.loadPatch(patch).then(() => {
+            // Drop the hash so a reload recovers the edited session instead of the original link
+            if (window.history && window.history.replaceState) {
+                const { pathname, search } = window.location;
+                window.history.replaceState(null, '', `${pathname}${search}`);
+            }
+            console.log(`%c[SHARE] Loaded shared network with ${patch.neurons.length} neurons`, "color: #00ff00;");
+        });
+    }
+}
@@ -0,0 +1,179 @@
+import { simulatePatch } from './core/SimulationCore.js';
+import { encodeMidiFile } from './utils/midiFileEncoder.js';
+
+/**
+ * SpikeRecorder
+ * Records the spike train of a session as notes (neuron, time, note, velocity,
+ * duration) and exports it as a Standard MIDI File with one track per neuron,
+ * named after its preset, for dragging into a DAW. Notes are worked out the
+ * same way as live MIDI output (see MidiManager.getNoteEvent).
+ *
+ * Instead of recording in real time, a number of bars can be bounced from the
+ * deterministic simulation core, which gives the same spikes as playing the
+ * patch in deterministic mode.
+ */
+export class SpikeRecorder {
+    /**
+     * @param {MidiManager} midiManager - Works out each spike's note and channel
+     * @param {PatchManager} patchManager - Used to snapshot the network being bounced
+     */
+    constructor(midiManager, patchManager) {
+        this.midiManager = midiManager;
+        this.patchManager = patchManager;
+
+        this.isRecording = false;
+        this.startedAt = 0;
+        this.events = []; // { neuronId, time (s), note, velocity, duration (s) }
+
+        // A very busy network can spike hundreds of times a second; stop growing past this
+        this.maxEvents = 100000;
+    }
+
+    /**
+     * Start a new recording (clears the previous one)
+     */
+    start() {
+        this.events = [];
+        this.startedAt = performance.now();
+        this.isRecording = true;
+
+        console.log("%c[SPIKES] Recording spikes", "color: #cc66ff; font-weight: bold;");
+    }
+
+    /**
+     * Stop recording
+     * @returns {number} Number of notes recorded
+     */
+    stop() {
+        this.isRecording = false;
+
+        console.log(`%c[SPIKES] Stopped with ${this.events.length} notes`, "color: #cc66ff; font-weight: bold;");
+        return this.events.length;
+    }
+
+    /**
+     * Add a spike to the recording. Called from Neuron.fire().
+     * @param {number} neuronId - Neuron ID
+     * @param {number} weight - Average outgoing connection weight (0.1-1), used as velocity
+     */
+    record(neuronId, weight = 0.5) {
+        if (!this.isRecording || this.events.length >= this.maxEvents) return;
+
+        const event = this.midiManager.getNoteEvent(neuronId, weight);
+        if (!event) return;
+
+        this.events.push({
+            neuronId,
+            time: (performance.now() - this.startedAt) / 1000,
+            ...event
+        });
+    }
+
+    /**
+     * Simulate the current network for a number of 4/4 bars at the global tempo
+     * @param {number} bars - Bars to bounce
+     * @param {number} [seed] - Simulation seed, defaults to the patch's seed
+     * @returns {{events: Array, bpm: number}} Notes in the format of this.events
+     */
+    bounce(bars, seed) {
+        const patch = this.patchManager.serialize();
+        if (patch.neurons.length === 0) {
+            throw new Error('There are no neurons to bounce');
+        }
+
+        const bpm = patch.settings.tempo?.bpm || 120;
+        const duration = Math.max(1, bars) * 4 * 60 / bpm;
+        const spikes = simulatePatch(patch, duration * 1000, seed ?? patch.settings.simulationSeed);
+
+        // Spikes name neurons by patch index; notes come from the live neurons' sounds
+        const neuronIds = patch.neurons.map((data, index) => window.circles?.[data.index]?.neuron?.id ?? index + 1);
+
+        const events = [];
+        spikes.forEach(spike => {
+            const count = spike.connections.length;
+            const totalWeight = spike.connections.reduce((total, connection) => total + Math.abs(connection.weight), 0);
+            // Same velocity rule as Neuron.fire()
+            const weight = Math.min(1, Math.max(0.1, count > 0 ? totalWeight / count : 0.5));
+
+            const neuronId = neuronIds[spike.neuronId];
+            const event = this.midiManager.getNoteEvent(neuronId, weight);
+            if (event) {
+                events.push({ neuronId, time: spike.time / 1000, ...event });
+            }
+        });
+
+        console.log(`%c[SPIKES] Bounced ${bars} bars at ${bpm} BPM: ${events.length} notes`, "color: #cc66ff; font-weight: bold;");
+        return { events, bpm };
+    }
+
+    /**
+     * Build a MIDI file with one track per neuron
+     * @param {Array} events - Notes from a recording or bounce
+     * @param {number} bpm - Tempo written to the file
+     * @returns {Blob} The .mid file
+     */
+    toMidiFile(events = this.events, bpm = window.tempoClock?.bpm ?? 120) {
+        if (events.length === 0) {
+            throw new Error('No spikes have been recorded');
+        }
+
+        const tracks = new Map();
+        events.forEach(event => {
+            if (!tracks.has(event.neuronId)) {
+                tracks.set(event.neuronId, {
+                    name: this.getTrackName(event.neuronId),
+                    channel: this.midiManager.resolveRoute(event.neuronId).channel,
+                    notes: []
+                });
+            }
+            tracks.get(event.neuronId).notes.push(event);
+        });
+
+        const ordered = Array.from(tracks.keys())
+            .sort((a, b) => a - b)
+            .map(neuronId => tracks.get(neuronId));
+
+        return encodeMidiFile(ordered, { bpm });
+    }
+
+    getTrackName(neuronId) {
+        const neuron = window.circles?.find(circle => circle?.neuron?.id === neuronId)?.neuron;
+        return neuron?.presetName || `Neuron ${neuronId}`;
+    }
+
+    /**
+     * Download the current recording as a .mid file
+     * @returns {string} The downloaded file name
+     */
+    exportToFile() {
+        return this.download(this.toMidiFile(), 'spikes');
+    }
+
+    /**
+     * Bounce bars from the simulation and download them as a .mid file
+     * @param {number} bars - Bars to bounce
+     * @returns {string} The downloaded file name
+     */
+    bounceToFile(bars) {
+        const { events, bpm } = this.bounce(bars);
+        return this.download(this.toMidiFile(events, bpm), `bounce-${bars}-bars`);
+    }
+
+    download(blob, label) {
+        const name = `neural-oscillator-${label}-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`;
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`%c[SPIKES] Saved ${name}`, "color: #cc66ff; font-weight: bold;");
+        return name;
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * SynapticPlasticity class
+ *
+ * Optional spike-timing-dependent plasticity (STDP) for connection weights.
+ * When a neuron fires shortly after one of its inputs the synapse is
+ * potentiated (the input helped cause the spike); when an input fires
+ * shortly after its target the synapse is depressed. The change falls off
+ * exponentially with the time between the two spikes:
+ *
+ *   pre before post: dw = +aPlus  * exp(-dt / tau) * learningRate
+ *   post before pre: dw = -aMinus * exp(-dt / tau) * learningRate
+ *
+ * Only excitatory synapses learn; inhibitory (negative) weights are left as set.
+ */
+export class SynapticPlasticity {
+    constructor(connectionManager) {
+        this.connectionManager = connectionManager;
+
+        // Configuration
+        this.enabled = false;
+        this.learningRate = 0.1; // Global scale for every weight change
+        this.aPlus = 0.1; // Potentiation amplitude
+        this.aMinus = 0.12; // Depression amplitude (slightly larger keeps weights from saturating)
+        this.tau = 200; // Time constant of the STDP window in ms
+        this.windowSize = 5; // Pairings further apart than windowSize * tau are ignored
+        this.minWeight = 0;
+        this.maxWeight = 1;
+
+        // Neuron.lastFiredTime is cleared when the firing state resets, so keep our own record
+        this.lastSpikeTimes = new Map(); // Map of neuron id -> time of last spike
+    }
+
+    /**
+     * Update the rule parameters
+     * @param {Object} options - Any of enabled, learningRate, aPlus, aMinus, tau
+     */
+    configure(options = {}) {
+        ['enabled', 'learningRate', 'aPlus', 'aMinus', 'tau'].forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+
+        if (!this.enabled) {
+            this.lastSpikeTimes.clear();
+        }
+    }
+
+    /**
+     * Called by Neuron.fire() for every spike
+     * @param {Neuron} neuron - The neuron that fired
+     * @param {number} time - Spike time from performance.now()
+     */
+    onNeuronFired(neuron, time = performance.now()) {
+        if (!this.enabled || !this.connectionManager) return;
+
+        this.lastSpikeTimes.set(neuron.id, time);
+
+        this.connectionManager.connections.forEach((connection, group) => {
+            const source = connection.source?.neuron;
+            const target = connection.target?.neuron;
+            if (!source || !target || (connection.weight ?? 0) < 0) return;
+
+            if (target === neuron) {
+                // This spike follows the input's spike - potentiate
+                const dt = time - (this.lastSpikeTimes.get(source.id) ?? -Infinity);
+                if (dt > 0 && dt <= this.tau * this.windowSize) {
+                    this.applyWeightChange(connection, group, this.aPlus * Math.exp(-dt / this.tau));
+                }
+            } else if (source === neuron) {
+                // The target already fired before this input arrived - depress
+                const dt = time - (this.lastSpikeTimes.get(target.id) ?? -Infinity);
+                if (dt > 0 && dt <= this.tau * this.windowSize) {
+                    this.applyWeightChange(connection, group, -this.aMinus * Math.exp(-dt / this.tau));
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply a learned weight change to a connection and show it on the arrow
+     * @param {Object} connection - Connection from ConnectionManager.connections
+     * @param {THREE.Group} group - The connection's group
+     * @param {number} change - Unscaled weight change
+     */
+    applyWeightChange(connection, group, change) {
+        const previousWeight = connection.weight ?? 0.5;
+        const weight = Math.max(this.minWeight, Math.min(this.maxWeight,
+            previousWeight + change * this.learningRate));
+
+        if (Math.abs(weight - previousWeight) < 0.0001) return;
+
+        connection.weight = weight;
+
+        const targetIndex = window.circles.indexOf(connection.target);
+        connection.source.neuron.updateConnectionWeight(targetIndex, weight);
+
+        // Keep the synth panel in step when the learning connection is the selected one
+        if (this.connectionManager.selectedConnection === connection && window.settings) {
+            window.settings.selectedWeight = Math.round(weight * 100) / 100;
+        }
+
+        // Learned weights are picked up by the periodic autosave like any other change
+        this.connectionManager.animateWeightChange(group, weight - previousWeight);
+    }
+}
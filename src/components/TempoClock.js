@@ -0,0 +1,226 @@
+import * as Tone from 'tone';
+import { MIDI_CLOCK } from './MidiManager.js';
+import { TICKS_PER_BEAT, MIDI_PULSES_PER_TICK, isOnGrid } from './core/tempo.js';
+
+export const TEMPO_SOURCES = {
+    transport: 'Internal (Transport)',
+    midi: 'MIDI Clock'
+};
+
+export const TEMPO_MIN_BPM = 40;
+export const TEMPO_MAX_BPM = 240;
+
+// MIDI clock pulses averaged for the tempo estimate (one beat)
+const PULSE_WINDOW = 24;
+
+/**
+ * TempoClock
+ * Global tempo for the network. With DC quantized, DC input stops charging
+ * neurons and each DC neuron fires on a subdivision of the beat picked by its
+ * DC level (see core/tempo.js). Ticks come from Tone's Transport as a local
+ * clock, or from incoming MIDI clock, in which case the tempo follows the
+ * sender's.
+ */
+export class TempoClock {
+    /**
+     * @param {MidiManager} midiManager - Source of incoming MIDI clock
+     */
+    constructor(midiManager) {
+        this.midiManager = midiManager;
+
+        this.bpm = 120;
+        this.source = 'transport';
+        this.quantizeDC = false;
+
+        this.tick = 0;
+        this.transportEventId = null;
+        this.startedTransport = false;
+
+        // MIDI clock
+        this.unsubscribeClock = null;
+        this.pulseCount = 0;
+        this.pulseTimes = [];
+        this.midiStopped = false;
+
+        this.listeners = [];
+    }
+
+    /**
+     * Set the tempo. Ignored while following MIDI clock.
+     * @param {number} bpm - Quarter notes per minute
+     */
+    setBPM(bpm) {
+        if (this.source === 'midi') return;
+        this.updateBPM(bpm);
+    }
+
+    updateBPM(bpm) {
+        const value = Math.max(TEMPO_MIN_BPM, Math.min(TEMPO_MAX_BPM, bpm));
+        if (value === this.bpm) return;
+
+        this.bpm = value;
+        // Keep anything else scheduled on the transport in time with the network
+        Tone.getTransport().bpm.value = value;
+        this.listeners.forEach(callback => callback(value));
+    }
+
+    /**
+     * Subscribe to tempo changes (including ones picked up from MIDI clock)
+     * @param {Function} callback - Called with the new BPM
+     * @returns {Function} Unsubscribe
+     */
+    onTempoChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Choose where ticks come from
+     * @param {string} source - Key of TEMPO_SOURCES
+     */
+    setSource(source) {
+        if (!TEMPO_SOURCES[source] || source === this.source) return;
+
+        this.detach();
+        this.source = source;
+        this.attach();
+
+        console.log(`%c[TEMPO] Clock source: ${TEMPO_SOURCES[source]}`, "color: #ffaa00;");
+    }
+
+    /**
+     * Switch quantized DC firing on or off
+     * @param {boolean} enabled
+     */
+    setQuantizeDC(enabled) {
+        this.quantizeDC = !!enabled;
+        window.Neuron?.setTempoLocked(this.quantizeDC);
+
+        this.detach();
+        this.attach();
+
+        console.log(`%c[TEMPO] DC firing ${this.quantizeDC ? `quantized at ${this.bpm} BPM` : 'free-running'}`, "color: #ffaa00;");
+    }
+
+    attach() {
+        this.tick = 0;
+
+        if (this.source === 'midi') {
+            // Listen even when not quantizing so the tempo display follows the sender
+            this.pulseCount = 0;
+            this.pulseTimes = [];
+            this.midiStopped = false;
+            this.unsubscribeClock = this.midiManager.onClock((status, timestamp) => this.handleClock(status, timestamp));
+
+            if (!this.midiManager.isEnabled) {
+                this.midiManager.enable().catch(error => {
+                    console.warn('[TEMPO] MIDI clock unavailable:', error.message);
+                });
+            }
+            return;
+        }
+
+        if (!this.quantizeDC) return;
+
+        const transport = Tone.getTransport();
+        transport.bpm.value = this.bpm;
+        this.transportEventId = transport.scheduleRepeat(time => {
+            // The transport runs ahead of the audio clock; fire when the tick is heard
+            Tone.getDraw().schedule(() => this.onTick(), time);
+        }, `${TICKS_PER_BEAT * 4}n`);
+
+        if (transport.state !== 'started') {
+            transport.start();
+            this.startedTransport = true;
+        }
+    }
+
+    detach() {
+        if (this.unsubscribeClock) {
+            this.unsubscribeClock();
+            this.unsubscribeClock = null;
+        }
+
+        if (this.transportEventId !== null) {
+            const transport = Tone.getTransport();
+            transport.clear(this.transportEventId);
+            this.transportEventId = null;
+
+            if (this.startedTransport) {
+                transport.stop();
+                this.startedTransport = false;
+            }
+        }
+    }
+
+    /**
+     * Handle a real-time message from MidiManager
+     * @param {number} status - MIDI_CLOCK byte
+     * @param {number} timestamp - Arrival time in ms
+     */
+    handleClock(status, timestamp) {
+        switch (status) {
+            case MIDI_CLOCK.start:
+                // Start restarts the bar, so the next pulse is a downbeat
+                this.tick = 0;
+                this.pulseCount = 0;
+                this.midiStopped = false;
+                break;
+            case MIDI_CLOCK.continue:
+                this.midiStopped = false;
+                break;
+            case MIDI_CLOCK.stop:
+                this.midiStopped = true;
+                break;
+            case MIDI_CLOCK.pulse:
+                this.handlePulse(timestamp);
+                break;
+        }
+    }
+
+    handlePulse(timestamp) {
+        this.pulseTimes.push(timestamp);
+        if (this.pulseTimes.length > PULSE_WINDOW + 1) {
+            this.pulseTimes.shift();
+        }
+
+        if (this.pulseTimes.length > PULSE_WINDOW) {
+            const beat = this.pulseTimes[this.pulseTimes.length - 1] - this.pulseTimes[0];
+            const bpm = Math.round(600000 / beat) / 10;
+            // Ignore jitter so the display doesn't flicker
+            if (Math.abs(bpm - this.bpm) >= 0.5) {
+                this.updateBPM(bpm);
+            }
+        }
+
+        // Senders that keep clocking while stopped shouldn't play the network
+        if (this.midiStopped) return;
+
+        if (this.pulseCount % MIDI_PULSES_PER_TICK === 0) {
+            this.onTick();
+        }
+        this.pulseCount++;
+    }
+
+    /**
+     * Fire every DC neuron whose subdivision falls on this tick
+     */
+    onTick() {
+        const Neuron = window.Neuron;
+        if (this.quantizeDC && Neuron && Neuron.isAppActive) {
+            Neuron.dcNeurons.forEach(neuron => {
+                if (isOnGrid(this.tick, neuron.dcInput)) {
+                    neuron.trigger();
+                }
+            });
+        }
+        this.tick++;
+    }
+
+    dispose() {
+        this.detach();
+        this.listeners = [];
+    }
+}
@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { Pane } from 'tweakpane';
 import gsap from 'gsap';
 import * as Tone from 'tone';  // Import Tone for the start button's audio initialization
+import { MIDI_OUTPUT_MODES, MIDI_NOTE_ACTIONS, MIDI_LEARN_TARGETS } from './MidiManager.js';
 
 export class UIManager {
     constructor(scene, camera, renderer) {
@@ -1103,6 +1104,354 @@ export class UIManager {
         document.body.appendChild(highlight);
     }
     
+    /**
+     * Ask whether the last autosaved session should be restored
+     * @param {number} savedAt - Timestamp of the snapshot
+     * @param {Function} onRestore - Called when the user restores the session
+     * @param {Function} onSkip - Called when the user starts fresh
+     */
+    showRestorePrompt(savedAt, onRestore, onSkip) {
+        const overlay = document.createElement('div');
+        overlay.className = 'tutorial-overlay';
+
+        const container = document.createElement('div');
+        container.className = 'tutorial-container';
+        container.style.textAlign = 'center';
+
+        const header = document.createElement('div');
+        header.className = 'tutorial-header';
+        header.textContent = 'Restore last session?';
+        container.appendChild(header);
+
+        const content = document.createElement('div');
+        content.className = 'tutorial-content';
+        content.textContent = `An autosaved network from ${new Date(savedAt).toLocaleString()} was found.`;
+        container.appendChild(content);
+
+        const buttonsContainer = document.createElement('div');
+        buttonsContainer.className = 'tutorial-buttons';
+
+        const close = (callback) => {
+            if (overlay.parentNode) {
+                document.body.removeChild(overlay);
+            }
+            if (typeof callback === 'function') {
+                callback();
+            }
+        };
+
+        const skipButton = document.createElement('button');
+        skipButton.className = 'tutorial-button secondary';
+        skipButton.textContent = 'start fresh';
+        skipButton.addEventListener('click', () => close(onSkip));
+        buttonsContainer.appendChild(skipButton);
+
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'tutorial-button';
+        restoreButton.textContent = 'restore';
+        restoreButton.addEventListener('click', () => close(onRestore));
+        buttonsContainer.appendChild(restoreButton);
+
+        container.appendChild(buttonsContainer);
+        overlay.appendChild(container);
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Copy the link to the current network to the clipboard
+     * Falls back to a hidden textarea where the async clipboard API is unavailable
+     * @returns {Promise<void>}
+     */
+    copyShareLink() {
+        if (!window.shareLinkManager) {
+            return Promise.reject(new Error('Share links are not available'));
+        }
+
+        const url = window.shareLinkManager.getShareURL();
+
+        const fallbackCopy = () => {
+            const textarea = document.createElement('textarea');
+            textarea.value = url;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(textarea);
+            if (!copied) {
+                throw new Error('Clipboard is not available');
+            }
+        };
+
+        const copy = navigator.clipboard && window.isSecureContext
+            ? navigator.clipboard.writeText(url).catch(fallbackCopy)
+            : Promise.resolve().then(fallbackCopy);
+
+        return copy.then(() => {
+            this.showNotification('Link copied to clipboard');
+        });
+    }
+
+    /**
+     * Add the record/stop transport for the master output to the panel
+     * @param {AudioRecorder} recorder - Records the masterLimiter output
+     */
+    createRecordingControls(recorder) {
+        if (!this.pane || !recorder) return;
+
+        const state = { format: recorder.format };
+
+        const folder = this.pane.addFolder({
+            title: 'Recording',
+            expanded: false
+        });
+
+        folder.addBinding(state, 'format', {
+            options: { 'WAV': 'wav', 'WebM/Opus': 'webm' },
+            label: 'Format'
+        });
+
+        const recordButton = folder.addButton({
+            title: '● Record'
+        });
+
+        let timerId = null;
+        const formatElapsed = () => {
+            const seconds = Math.floor(recorder.getElapsed() / 1000);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        const resetButton = () => {
+            clearInterval(timerId);
+            timerId = null;
+            recordButton.title = '● Record';
+            recordButton.disabled = false;
+        };
+
+        recordButton.on('click', () => {
+            if (!recorder.isRecording) {
+                recordButton.disabled = true;
+                recorder.start(state.format)
+                    .then(() => {
+                        recordButton.disabled = false;
+                        recordButton.title = `■ Stop (${formatElapsed()})`;
+                        timerId = setInterval(() => {
+                            recordButton.title = `■ Stop (${formatElapsed()})`;
+                        }, 1000);
+                    })
+                    .catch(error => {
+                        console.error("Error starting recording:", error);
+                        resetButton();
+                        this.showNotification(`Could not record: ${error.message}`);
+                    });
+                return;
+            }
+
+            recordButton.disabled = true;
+            recorder.stopToFile()
+                .then(name => this.showNotification(`Saved ${name}`))
+                .catch(error => {
+                    console.error("Error stopping recording:", error);
+                    this.showNotification(`Could not save recording: ${error.message}`);
+                })
+                .finally(resetButton);
+        });
+    }
+
+    /**
+     * Add the spike recording and MIDI file export controls to the panel
+     * @param {SpikeRecorder} spikeRecorder - Records spikes and writes .mid files
+     */
+    createSpikeExportControls(spikeRecorder) {
+        if (!this.pane || !spikeRecorder) return;
+
+        const state = { bars: 8 };
+
+        const folder = this.pane.addFolder({
+            title: 'MIDI File',
+            expanded: false
+        });
+
+        const recordButton = folder.addButton({
+            title: '● Record Spikes'
+        });
+
+        let timerId = null;
+        recordButton.on('click', () => {
+            if (!spikeRecorder.isRecording) {
+                spikeRecorder.start();
+                recordButton.title = '■ Stop (0 notes)';
+                timerId = setInterval(() => {
+                    recordButton.title = `■ Stop (${spikeRecorder.events.length} notes)`;
+                }, 500);
+                return;
+            }
+
+            clearInterval(timerId);
+            timerId = null;
+            const count = spikeRecorder.stop();
+            recordButton.title = '● Record Spikes';
+            this.showNotification(`Recorded ${count} notes`);
+        });
+
+        folder.addButton({
+            title: 'Export .mid'
+        }).on('click', () => {
+            try {
+                const name = spikeRecorder.exportToFile();
+                this.showNotification(`Saved ${name}`);
+            } catch (error) {
+                console.error("Error exporting MIDI file:", error);
+                this.showNotification(`Could not export: ${error.message}`);
+            }
+        });
+
+        folder.addBinding(state, 'bars', {
+            min: 1, max: 128, step: 1, label: 'Bars'
+        });
+
+        folder.addButton({
+            title: 'Bounce Bars'
+        }).on('click', () => {
+            try {
+                const name = spikeRecorder.bounceToFile(state.bars);
+                this.showNotification(`Saved ${name}`);
+            } catch (error) {
+                console.error("Error bouncing MIDI file:", error);
+                this.showNotification(`Could not bounce: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Add the MIDI output, input and MIDI learn controls to the panel
+     * @param {MidiManager} midiManager - Sends spikes as MIDI notes and maps incoming notes/CCs
+     */
+    createMidiControls(midiManager) {
+        if (!this.pane || !midiManager) return;
+
+        const state = {
+            mode: midiManager.outputMode,
+            port: midiManager.defaultPortId,
+            channel: midiManager.defaultChannel
+        };
+
+        const folder = this.pane.addFolder({
+            title: 'MIDI',
+            expanded: false
+        });
+
+        folder.addBinding(state, 'mode', {
+            options: Object.entries(MIDI_OUTPUT_MODES).reduce((acc, [key, label]) => {
+                acc[label] = key;
+                return acc;
+            }, {}),
+            label: 'Output'
+        }).on('change', (ev) => {
+            midiManager.setOutputMode(ev.value);
+            // Access is requested on first use so the permission prompt follows a click
+            if (ev.value !== 'audio' && !midiManager.isEnabled) {
+                midiManager.enable().catch(error => {
+                    console.warn("Error enabling MIDI:", error);
+                    this.showNotification(`MIDI unavailable: ${error.message} - using the virtual port`);
+                });
+            }
+        });
+
+        // Port options depend on the connected devices, so the dropdown is rebuilt when they change
+        let portBinding = null;
+        const buildPortBinding = (outputs) => {
+            const index = portBinding ? folder.children.indexOf(portBinding) : 1;
+            if (portBinding) {
+                portBinding.dispose();
+            }
+            if (!outputs.some(output => output.id === state.port)) {
+                state.port = midiManager.virtualOutput.id;
+                midiManager.setDefaultPort(state.port);
+            }
+            portBinding = folder.addBinding(state, 'port', {
+                options: outputs.reduce((acc, output) => {
+                    acc[output.name] = output.id;
+                    return acc;
+                }, {}),
+                label: 'Port',
+                index: index
+            }).on('change', (ev) => midiManager.setDefaultPort(ev.value));
+        };
+        buildPortBinding(midiManager.getOutputs());
+        midiManager.onPortsChange(buildPortBinding);
+
+        folder.addBinding(state, 'channel', {
+            min: 1, max: 16, step: 1, label: 'Channel'
+        }).on('change', (ev) => midiManager.setDefaultChannel(ev.value));
+
+        folder.addButton({
+            title: 'All Notes Off'
+        }).on('click', () => midiManager.panic());
+
+        // MIDI learn: pick what to control, press Learn, then move a knob or play a key
+        const toOptions = (labels) => Object.entries(labels).reduce((acc, [key, label]) => {
+            acc[label] = key;
+            return acc;
+        }, {});
+
+        const learnState = {
+            target: midiManager.learnTarget,
+            noteAction: midiManager.noteAction
+        };
+
+        folder.addBinding(learnState, 'target', {
+            options: toOptions(MIDI_LEARN_TARGETS),
+            label: 'Learn'
+        }).on('change', (ev) => {
+            midiManager.learnTarget = ev.value;
+        });
+
+        folder.addBinding(learnState, 'noteAction', {
+            options: toOptions(MIDI_NOTE_ACTIONS),
+            label: 'Notes'
+        }).on('change', (ev) => {
+            midiManager.noteAction = ev.value;
+        });
+
+        const learnButton = folder.addButton({
+            title: 'MIDI Learn'
+        });
+
+        learnButton.on('click', () => {
+            if (midiManager.isLearning) {
+                midiManager.cancelLearn();
+                learnButton.title = 'MIDI Learn';
+                return;
+            }
+
+            midiManager.enable()
+                .then(() => {
+                    midiManager.startLearn(learnState.target);
+                    learnButton.title = 'Cancel Learn';
+                    this.showNotification(learnState.target === 'selection'
+                        ? 'Select a neuron or connection, then move a knob or play a key'
+                        : 'Move a knob to bind it');
+                })
+                .catch(error => {
+                    console.warn("Error enabling MIDI:", error);
+                    this.showNotification(`MIDI unavailable: ${error.message}`);
+                });
+        });
+
+        midiManager.onLearn(description => {
+            learnButton.title = 'MIDI Learn';
+            this.showNotification(`MIDI: ${description}`);
+        });
+
+        folder.addButton({
+            title: 'Clear Mappings'
+        }).on('click', () => {
+            midiManager.clearBindings();
+            this.showNotification('MIDI mappings cleared');
+        });
+    }
+
     showNotification(message, duration = 3000) {
         // Create a notification element
         const notification = document.createElement('div');
@@ -45,7 +45,7 @@ export class WorkerManager {
       this.log('Initializing workers...');
       
       // Create simulation worker
-      this.simulationWorker = new Worker('/worker/simulationWorker.js');
+      this.simulationWorker = new Worker('/worker/simulationWorker.js', { type: 'module' });
       this.simulationWorker.onmessage = this.handleSimulationMessage.bind(this);
       
       // Create audio worker
@@ -179,7 +179,8 @@ export class WorkerManager {
         type: 'neuronFired',
         neuronId: event.neuronId,
         timestamp: event.timestamp,
-        weight: event.connections.length > 0 ? event.connections[0].weight : 0.5,
+        // Inhibitory connections still sound by their strength
+        weight: event.connections.length > 0 ? Math.abs(event.connections[0].weight) : 0.5,
         speed: event.connections.length > 0 ? event.connections[0].speed : 0.5,
         hasDC: event.hasDC,
         parameters: params
@@ -287,6 +288,7 @@ export class WorkerManager {
       refractoryPeriod: neuron.refractoryPeriod,
       dcInput: neuron.dcInput || 0,
       decayRate: neuron.decayRate,
+      modelKey: neuron.modelKey,
       position: {
         x: neuron.position ? neuron.position.x : 0,
         y: neuron.position ? neuron.position.y : 0,
@@ -351,6 +353,16 @@ export class WorkerManager {
     });
   }
   
+  // Set the lowest potential inhibitory input can reach (fraction of the threshold)
+  setChargeFloor(value) {
+    if (!this.isInitialized) return;
+    
+    this.simulationWorker.postMessage({
+      type: 'setChargeFloor',
+      value
+    });
+  }
+  
   // Add a connection to the simulation
   addConnection(connection) {
     if (!this.isInitialized) return;
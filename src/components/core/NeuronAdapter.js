@@ -88,7 +88,8 @@ export class NeuronAdapter {
       presetColor: properties.presetColor || null,
       presetName: properties.presetName || null,
       isHarmonyAnchor: properties.isHarmonyAnchor || false,
-      currentEnvelope: properties.currentEnvelope || { attack: 0, sustain: 0, release: 0 }
+      currentEnvelope: properties.currentEnvelope || { attack: 0, sustain: 0, release: 0 },
+      modelKey: properties.modelKey
     });
     
     // Store mesh reference for this neuron
@@ -427,7 +428,8 @@ export class NeuronAdapter {
         }
       } else {
         // Default interpolation
-        const chargeRatio = neuron.currentCharge / 1.0;
+        // Inhibited (negative) charge stays at the original color instead of extrapolating
+        const chargeRatio = Math.max(0, neuron.currentCharge / 1.0);
         const originalColor = new THREE.Color(neuron.originalColor);
         const chargingColor = new THREE.Color(0x00ffff); // Cyan for charging
         mesh.material.color.copy(originalColor).lerp(chargingColor, chargeRatio);
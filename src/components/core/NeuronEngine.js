@@ -5,6 +5,8 @@
  * Replaces individual neuron timers with a synchronous update system.
  */
 
+import { resolveNeuronModel, advanceModel, DEFAULT_NEURON_MODEL } from './neuronModels';
+
 class NeuronEngine {
   constructor() {
     // Core simulation properties
@@ -31,6 +33,7 @@ class NeuronEngine {
     
     // Internal constants
     this.THRESHOLD = 1.0; // Default firing threshold
+    this.CHARGE_FLOOR = -0.5; // Lowest charge inhibitory input can reach
     
     // Bind methods
     this._update = this._update.bind(this);
@@ -152,7 +155,8 @@ class NeuronEngine {
       if (!neuron) continue;
       
       // If neuron has DC input and isn't in refractory period or firing, accumulate charge
-      if (neuron.dcInput > 0 && !neuron.isFiring) {
+      // (other neuron models take DC as an input current in _updateNeuronState)
+      if (neuron.modelKey === DEFAULT_NEURON_MODEL && neuron.dcInput > 0 && !neuron.isFiring) {
         // Calculate charge increment based on DC input value
         // Reduced for more subtle control at low DC values
         const chargeIncrement = dt * neuron.dcInput * 5;
@@ -374,13 +378,20 @@ class NeuronEngine {
       return;
     }
     
+    // Other neuron models take the signal as a kick to their state and spike on their own
+    if (targetNeuron.modelKey !== DEFAULT_NEURON_MODEL) {
+      this._injectModelInput(targetNeuron, weight);
+      return;
+    }
+    
     const previousCharge = targetNeuron.currentCharge;
     
     // Add charge based on weight with a more pronounced effect
     // Scale weight to make differences more noticeable (0.1 = small charge, 1.0 = large charge)
     // Use a non-linear scaling to make differences more apparent
-    const scaledWeight = weight * weight * 1.5; // Weight has a quadratic effect on charge
-    targetNeuron.currentCharge += scaledWeight;
+    // Negative (inhibitory) weights keep their sign and subtract charge
+    const scaledWeight = Math.sign(weight) * weight * weight * 1.5; // Weight has a quadratic effect on charge
+    targetNeuron.currentCharge = Math.max(this.CHARGE_FLOOR, targetNeuron.currentCharge + scaledWeight);
     
     console.debug(`[NeuronEngine] Charge update: ${previousCharge.toFixed(2)} -> ${targetNeuron.currentCharge.toFixed(2)} (added ${scaledWeight.toFixed(2)})`);
     
@@ -403,12 +414,39 @@ class NeuronEngine {
    * @private
    */
   _updateNeuronState(neuron, deltaTime) {
+    // Integrate non-LIF neuron models, driven by DC
+    if (neuron.modelKey !== DEFAULT_NEURON_MODEL) {
+      const { model, params } = resolveNeuronModel(neuron.modelKey);
+      const current = model.dcToCurrent(neuron.dcInput, params);
+      
+      if (advanceModel(model, neuron.modelState, deltaTime, current, params) > 0) {
+        neuron.shouldFire = true;
+      }
+      neuron.currentCharge = model.getCharge(neuron.modelState, params);
+    }
+    
     // Trigger visual update if callback provided
     if (typeof this.onEffectNeeded === 'function') {
       this.onEffectNeeded('update', neuron);
     }
   }
   
+  /**
+   * Deliver input to a neuron driven by a non-LIF model
+   * @param {Object} neuron The neuron data object
+   * @param {number} amount Synaptic weight (negative inhibits)
+   * @private
+   */
+  _injectModelInput(neuron, amount) {
+    const { model, params } = resolveNeuronModel(neuron.modelKey);
+    model.inject(neuron.modelState, amount, params);
+    neuron.currentCharge = model.getCharge(neuron.modelState, params);
+    
+    if (typeof this.onEffectNeeded === 'function') {
+      this.onEffectNeeded('update', neuron);
+    }
+  }
+  
   /**
    * Create a new neuron in the simulation
    * @param {Object} data Initial neuron data
@@ -418,6 +456,8 @@ class NeuronEngine {
     // Generate unique ID if not provided
     const id = data.id || this.neurons.size + 1;
     
+    const { key: modelKey, model, params } = resolveNeuronModel(data.modelKey);
+    
     // Create neuron data object
     const neuron = {
       id: id,
@@ -428,6 +468,8 @@ class NeuronEngine {
       currentCharge: 0,
       isFiring: false,
       shouldFire: false,
+      modelKey: modelKey,
+      modelState: model.createState(params),
       
       // Properties
       dcInput: data.dcInput || 0,
@@ -491,7 +533,7 @@ class NeuronEngine {
    * Create a connection between neurons in the centralized system
    * @param {number} sourceId Source neuron ID
    * @param {number} targetId Target neuron ID
-   * @param {number} weight Initial synaptic weight (0-1)
+   * @param {number} weight Initial synaptic weight (-1 to 1, negative is inhibitory)
    * @param {number} speed Initial synaptic speed (0-1)
    * @returns {boolean} Success
    */
@@ -555,7 +597,7 @@ class NeuronEngine {
    * Update a connection's weight
    * @param {number} sourceId Source neuron ID
    * @param {number} targetId Target neuron ID
-   * @param {number} weight New synaptic weight (0-1)
+   * @param {number} weight New synaptic weight (-1 to 1, negative is inhibitory)
    * @returns {boolean} Success
    */
   updateConnectionWeight(sourceId, targetId, weight) {
@@ -629,6 +671,41 @@ class NeuronEngine {
     return true;
   }
   
+  /**
+   * Set the lowest charge inhibitory input can push a neuron to
+   * @param {number} value Charge floor relative to the threshold (-1 to 0)
+   */
+  setChargeFloor(value) {
+    this.CHARGE_FLOOR = Math.max(-1, Math.min(0, value)) * this.THRESHOLD;
+    
+    this.neurons.forEach(neuron => {
+      neuron.currentCharge = Math.max(this.CHARGE_FLOOR, neuron.currentCharge);
+    });
+  }
+  
+  /**
+   * Switch the neuron model driving a neuron
+   * @param {number} neuronId Neuron ID
+   * @param {string} modelKey Model key from neuronModels, e.g. "izhikevich:bursting"
+   * @returns {boolean} Success
+   */
+  setNeuronModel(neuronId, modelKey) {
+    if (!this.neurons.has(neuronId)) {
+      return false;
+    }
+    
+    const neuron = this.neurons.get(neuronId);
+    const { key, model, params } = resolveNeuronModel(modelKey);
+    
+    neuron.modelKey = key;
+    neuron.modelState = model.createState(params);
+    neuron.currentCharge = 0;
+    neuron.shouldFire = false;
+    
+    console.debug(`[NeuronEngine] Set model for neuron ${neuronId} to ${key}`);
+    return true;
+  }
+  
   /**
    * Add charge to a neuron
    * @param {number} neuronId Neuron ID
@@ -647,8 +724,13 @@ class NeuronEngine {
       return false;
     }
     
-    // Add charge and cap at threshold
-    neuron.currentCharge = Math.min(neuron.currentCharge + amount, this.THRESHOLD);
+    if (neuron.modelKey !== DEFAULT_NEURON_MODEL) {
+      this._injectModelInput(neuron, amount);
+      return true;
+    }
+    
+    // Add charge and keep it between the inhibition floor and the threshold
+    neuron.currentCharge = Math.max(this.CHARGE_FLOOR, Math.min(neuron.currentCharge + amount, this.THRESHOLD));
     
     // Check if neuron should fire
     if (neuron.currentCharge >= this.THRESHOLD) {
@@ -0,0 +1,499 @@
+/**
+ * SimulationCore - Deterministic, headless spiking network simulation
+ *
+ * Advances the network in fixed timesteps and delivers delayed spikes from a
+ * time-ordered event queue, so the same patch, seed and duration always give
+ * the same spike train. It has no THREE, DOM or timer dependencies: callers
+ * drive it with step()/advance()/run() and subscribe to its events.
+ *
+ * Events:
+ *   spike   { neuronId, time, dcInput, connections: [{ targetId, weight, speed, delay }] }
+ *   deliver { sourceId, targetId, weight, time }
+ *
+ * Neurons use the models from neuronModels.js. LIF neurons keep the visual
+ * Neuron's scale (threshold 1, DC charge rate, 60ms refractory period).
+ */
+
+import { resolveNeuronModel, advanceModel, DEFAULT_NEURON_MODEL } from './neuronModels.js';
+import { createRandom } from './random.js';
+import { runOnTempoGrid } from './tempo.js';
+
+// Charge per ms at DC 1 - the visual Neuron adds 0.04 per frame at 60fps
+const DC_CHARGE_PER_MS = 0.04 / (1000 / 60);
+
+// Matches the visual Neuron: a short firing state plus its 50ms refractory period
+const LIF_REFRACTORY_PERIOD = 60;
+
+/**
+ * Propagation delay for a connection speed, same rule as Neuron.fire()
+ * @param {number} speed Connection speed (0-1)
+ * @returns {number} Delay in ms
+ */
+export function getSpikeDelay(speed = 0.5) {
+  return speed >= 0.99 ? 0 : Math.max(50, (1 - speed) * 500);
+}
+
+/**
+ * Binary min-heap of pending spike deliveries, ordered by time then by
+ * insertion so simultaneous deliveries are always processed in the same order
+ */
+class SpikeQueue {
+  constructor() {
+    this.items = [];
+    this.sequence = 0;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  clear() {
+    this.items = [];
+    this.sequence = 0;
+  }
+
+  push(event) {
+    event.seq = this.sequence++;
+    this.items.push(event);
+
+    // Sift up
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this._before(this.items[index], this.items[parent])) break;
+      [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+      index = parent;
+    }
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+
+      // Sift down
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < this.items.length && this._before(this.items[left], this.items[smallest])) smallest = left;
+        if (right < this.items.length && this._before(this.items[right], this.items[smallest])) smallest = right;
+        if (smallest === index) break;
+
+        [this.items[index], this.items[smallest]] = [this.items[smallest], this.items[index]];
+        index = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  removeWhere(predicate) {
+    const kept = this.items.filter(item => !predicate(item)).sort((a, b) => (this._before(a, b) ? -1 : 1));
+    this.items = kept; // A sorted array is a valid heap
+  }
+
+  _before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+  }
+}
+
+export class SimulationCore {
+  /**
+   * @param {Object} options
+   * @param {number} options.timestep Fixed step in ms
+   * @param {number} options.seed RNG seed
+   * @param {number} options.noise Random input current per neuron, as a fraction of full DC (0 = none)
+   * @param {number} options.chargeFloor Lowest charge inhibition can reach, as a fraction of the threshold
+   * @param {number} options.maxCatchUp Longest span advance() will simulate in one call, in ms
+   */
+  constructor(options = {}) {
+    this.timestep = options.timestep || 1;
+    this.seed = options.seed ?? 1;
+    this.noise = options.noise ?? 0;
+    this.chargeFloor = options.chargeFloor ?? -0.5;
+    this.maxCatchUp = options.maxCatchUp ?? 250;
+    this.dcDrive = options.dcDrive ?? true; // false while a tempo clock fires DC neurons instead
+
+    this.neurons = new Map(); // Map of id -> neuron state, in insertion order
+    this.queue = new SpikeQueue();
+    this.listeners = new Map(); // Map of event type -> Set of callbacks
+
+    this.time = 0;
+    this.accumulator = 0;
+    this.random = createRandom(this.seed);
+  }
+
+  /**
+   * Subscribe to simulation events
+   * @param {string} type "spike" or "deliver"
+   * @param {Function} callback Receives the event object
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(callback);
+    return () => this.off(type, callback);
+  }
+
+  off(type, callback) {
+    this.listeners.get(type)?.delete(callback);
+  }
+
+  _emit(type, event) {
+    this.listeners.get(type)?.forEach(callback => callback(event));
+  }
+
+  /**
+   * Return to time 0 with every neuron at rest and nothing in flight
+   * @param {number} seed New RNG seed (keeps the current one if omitted)
+   */
+  reset(seed = this.seed) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.time = 0;
+    this.accumulator = 0;
+    this.queue.clear();
+
+    this.neurons.forEach(neuron => {
+      neuron.state = neuron.model.createState(neuron.params);
+      neuron.refractoryUntil = 0;
+      neuron.lastSpikeTime = null;
+    });
+  }
+
+  // ---- Network structure ----
+
+  /**
+   * Add a neuron
+   * @param {Object} data { id, dcInput, modelKey, leakTimeConstant, position }
+   * @returns {Object} The neuron state object
+   */
+  addNeuron(data = {}) {
+    const id = data.id ?? this.neurons.size;
+    const neuron = {
+      id: id,
+      dcInput: Math.max(0, Math.min(1, data.dcInput || 0)),
+      leakTimeConstant: Math.max(0, data.leakTimeConstant || 0),
+      position: data.position ? { x: data.position.x || 0, z: data.position.z || 0 } : { x: 0, z: 0 },
+      outgoing: new Map(), // Map of targetId -> { weight, speed }
+      refractoryUntil: 0,
+      lastSpikeTime: null
+    };
+
+    this.neurons.set(id, neuron);
+    this._applyModel(neuron, data.modelKey);
+    return neuron;
+  }
+
+  removeNeuron(id) {
+    if (!this.neurons.delete(id)) return false;
+
+    this.neurons.forEach(neuron => neuron.outgoing.delete(id));
+    this.queue.removeWhere(event => event.targetId === id || event.sourceId === id);
+    return true;
+  }
+
+  connect(sourceId, targetId, weight = 0.1, speed = 0.5) {
+    const source = this.neurons.get(sourceId);
+    if (!source || !this.neurons.has(targetId)) return false;
+
+    source.outgoing.set(targetId, { weight, speed });
+    return true;
+  }
+
+  disconnect(sourceId, targetId) {
+    const source = this.neurons.get(sourceId);
+    if (!source || !source.outgoing.delete(targetId)) return false;
+
+    // Spikes already travelling along the connection are lost with it
+    this.queue.removeWhere(event => event.sourceId === sourceId && event.targetId === targetId);
+    return true;
+  }
+
+  setWeight(sourceId, targetId, weight) {
+    const synapse = this.neurons.get(sourceId)?.outgoing.get(targetId);
+    if (synapse) synapse.weight = weight;
+  }
+
+  setSpeed(sourceId, targetId, speed) {
+    const synapse = this.neurons.get(sourceId)?.outgoing.get(targetId);
+    if (synapse) synapse.speed = speed;
+  }
+
+  setDCInput(id, value) {
+    const neuron = this.neurons.get(id);
+    if (neuron) neuron.dcInput = Math.max(0, Math.min(1, value));
+  }
+
+  /**
+   * Switch DC input charging on or off. Neurons keep their dcInput either way,
+   * so spikes still report it.
+   * @param {boolean} enabled
+   */
+  setDCDrive(enabled) {
+    this.dcDrive = !!enabled;
+  }
+
+  setLeakTimeConstant(id, ms) {
+    const neuron = this.neurons.get(id);
+    if (!neuron) return;
+
+    neuron.leakTimeConstant = Math.max(0, ms || 0);
+    if (neuron.modelKey === DEFAULT_NEURON_MODEL) {
+      neuron.params.leakTimeConstant = neuron.leakTimeConstant;
+    }
+  }
+
+  setNeuronModel(id, modelKey) {
+    const neuron = this.neurons.get(id);
+    if (neuron) this._applyModel(neuron, modelKey);
+  }
+
+  setChargeFloor(value) {
+    this.chargeFloor = Math.max(-1, Math.min(0, value));
+    this.neurons.forEach(neuron => {
+      if (neuron.modelKey === DEFAULT_NEURON_MODEL) {
+        neuron.params.chargeFloor = this.chargeFloor;
+      }
+    });
+  }
+
+  setPosition(id, x, z) {
+    const neuron = this.neurons.get(id);
+    if (neuron) neuron.position = { x, z };
+  }
+
+  _applyModel(neuron, modelKey) {
+    const { key, model, params } = resolveNeuronModel(modelKey);
+
+    neuron.modelKey = key;
+    neuron.model = model;
+    neuron.params = key === DEFAULT_NEURON_MODEL
+      ? {
+        threshold: 1,
+        restingPotential: 0,
+        leakTimeConstant: neuron.leakTimeConstant,
+        chargeFloor: this.chargeFloor,
+        dcGain: DC_CHARGE_PER_MS
+      }
+      : params;
+    neuron.state = model.createState(neuron.params);
+    neuron.refractoryUntil = 0;
+  }
+
+  /**
+   * Build the network from a patch document (PatchManager format). Neuron ids
+   * are their indices in patch.neurons, matching connection source/target.
+   * @param {Object} patch Patch from PatchManager.serialize()
+   */
+  loadPatch(patch) {
+    this.neurons.clear();
+    this.queue.clear();
+
+    if (typeof patch.settings?.chargeFloor === 'number') {
+      this.chargeFloor = Math.max(-1, Math.min(0, patch.settings.chargeFloor));
+    }
+
+    (patch.neurons || []).forEach((data, index) => {
+      this.addNeuron({
+        id: index,
+        dcInput: data.dcInput,
+        modelKey: data.model,
+        leakTimeConstant: data.leakTimeConstant,
+        position: data.position
+      });
+    });
+
+    (patch.connections || []).forEach(connection => {
+      this.connect(connection.source, connection.target, connection.weight ?? 0.1, connection.speed ?? 0.5);
+    });
+
+    this.reset();
+  }
+
+  // ---- Input ----
+
+  /**
+   * Deliver external input to a neuron right away (same scale as a synaptic weight)
+   * @param {number} id Neuron id
+   * @param {number} amount Charge to add (negative inhibits)
+   */
+  injectCharge(id, amount) {
+    const neuron = this.neurons.get(id);
+    if (neuron) this._inject(neuron, amount);
+  }
+
+  _inject(neuron, amount) {
+    // LIF neurons ignore input while refractory, as the visual Neuron does
+    if (neuron.refractoryUntil > this.time) return;
+
+    neuron.model.inject(neuron.state, amount, neuron.params);
+
+    // LIF fires as soon as input crosses threshold; other models spike from their dynamics
+    if (neuron.modelKey === DEFAULT_NEURON_MODEL && neuron.model.isSpiking(neuron.state, neuron.params)) {
+      neuron.model.reset(neuron.state, neuron.params);
+      this._spike(neuron);
+    }
+  }
+
+  /**
+   * Make a neuron spike right away, as if it had crossed threshold (tempo clock, MIDI notes)
+   * @param {number} id Neuron id
+   * @returns {boolean} Whether it spiked (LIF neurons skip triggers while refractory)
+   */
+  triggerSpike(id) {
+    const neuron = this.neurons.get(id);
+    if (!neuron || neuron.refractoryUntil > this.time) return false;
+
+    neuron.model.reset(neuron.state, neuron.params);
+    this._spike(neuron);
+    return true;
+  }
+
+  // ---- Stepping ----
+
+  /**
+   * Advance by exactly one timestep
+   */
+  step() {
+    const dt = this.timestep;
+
+    // Deliver spikes that have arrived. Deliveries queued during this step wait for
+    // the next one, so zero-delay loops can't recurse within a single step.
+    while (this.queue.size > 0 && this.queue.peek().time <= this.time) {
+      const event = this.queue.pop();
+      const target = this.neurons.get(event.targetId);
+      if (!target) continue;
+
+      this._emit('deliver', event);
+      this._inject(target, event.weight);
+    }
+
+    this.time += dt;
+
+    this.neurons.forEach(neuron => {
+      if (neuron.refractoryUntil > this.time) return;
+
+      let current = this.dcDrive ? neuron.model.dcToCurrent(neuron.dcInput, neuron.params) : 0;
+      if (this.noise > 0) {
+        current += (this.random() * 2 - 1) * this.noise * neuron.model.dcToCurrent(1, neuron.params);
+      }
+
+      if (advanceModel(neuron.model, neuron.state, dt, current, neuron.params) > 0) {
+        this._spike(neuron);
+      }
+    });
+  }
+
+  /**
+   * Advance by real elapsed time, running as many fixed steps as fit and
+   * carrying the remainder to the next call
+   * @param {number} elapsed Elapsed time in ms
+   * @returns {number} Number of steps run
+   */
+  advance(elapsed) {
+    // Don't replay a long stall (e.g. a backgrounded tab) as a burst of catch-up spikes
+    this.accumulator += Math.min(Math.max(0, elapsed), this.maxCatchUp);
+
+    let steps = 0;
+    while (this.accumulator >= this.timestep) {
+      this.step();
+      this.accumulator -= this.timestep;
+      steps++;
+    }
+    return steps;
+  }
+
+  /**
+   * Run for a fixed span of simulated time
+   * @param {number} duration Time to simulate in ms
+   * @returns {Array} Spike events produced, in order
+   */
+  run(duration) {
+    const spikes = [];
+    const unsubscribe = this.on('spike', event => spikes.push(event));
+    const endTime = this.time + duration;
+
+    try {
+      while (this.time + this.timestep <= endTime + 1e-9) {
+        this.step();
+      }
+    } finally {
+      unsubscribe();
+    }
+
+    return spikes;
+  }
+
+  _spike(neuron) {
+    neuron.lastSpikeTime = this.time;
+
+    if (neuron.modelKey === DEFAULT_NEURON_MODEL) {
+      neuron.refractoryUntil = this.time + LIF_REFRACTORY_PERIOD;
+    }
+
+    const connections = [];
+    neuron.outgoing.forEach(({ weight, speed }, targetId) => {
+      const delay = getSpikeDelay(speed);
+      connections.push({ targetId, weight, speed, delay });
+      this.queue.push({ sourceId: neuron.id, targetId, weight, time: this.time + delay });
+    });
+
+    this._emit('spike', {
+      neuronId: neuron.id,
+      time: this.time,
+      dcInput: neuron.dcInput,
+      connections: connections
+    });
+  }
+
+  // ---- Queries ----
+
+  /**
+   * Progress towards the next spike, for visuals
+   * @param {number} id Neuron id
+   * @returns {number} Charge, normally 0-1 (LIF can dip below 0 when inhibited)
+   */
+  getCharge(id) {
+    const neuron = this.neurons.get(id);
+    if (!neuron) return 0;
+    if (neuron.refractoryUntil > this.time) return 0;
+    return neuron.model.getCharge(neuron.state, neuron.params);
+  }
+
+  getNeuron(id) {
+    return this.neurons.get(id);
+  }
+}
+
+/**
+ * Simulate a patch from rest in a fresh core. Patches saved with DC quantized
+ * fire their DC neurons on the tempo grid, as they do live.
+ * @param {Object} patch Patch from PatchManager.serialize()
+ * @param {number} duration Time to simulate in ms
+ * @param {number} seed RNG seed
+ * @returns {Array} Spike events; neuron ids are indices in patch.neurons
+ */
+export function simulatePatch(patch, duration, seed = 1) {
+  const core = new SimulationCore({ seed, noise: patch.settings?.simulationNoise ?? 0 });
+  core.loadPatch(patch);
+
+  const tempo = patch.settings?.tempo;
+  if (tempo?.quantizeDC) {
+    return runOnTempoGrid(core, duration, tempo.bpm || 120);
+  }
+  return core.run(duration);
+}
+
+export default SimulationCore;
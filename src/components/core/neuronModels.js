@@ -0,0 +1,243 @@
+/**
+ * Neuron models - membrane dynamics behind a spiking neuron
+ *
+ * Every model implements the same interface so the visual Neuron, the
+ * NeuronEngine and the simulation worker can all drive it:
+ *
+ *   createState(params)               fresh state object
+ *   step(state, dt, current, params)  advance dt model-ms with a constant input current
+ *   inject(state, amount, params)     instantaneous synaptic input (weight, negative inhibits)
+ *   isSpiking(state, params)          spike condition
+ *   reset(state, params)              after-spike reset
+ *   getCharge(state, params)          progress towards a spike (0-1), for visuals
+ *   dcToCurrent(dcInput, params)      maps the 0-1 DC control to an input current
+ *
+ * timeScale converts real milliseconds to model milliseconds and maxStep is the
+ * largest stable integration step (model ms). Use advanceModel() rather than
+ * calling step() directly so both are honoured.
+ *
+ * Models are addressed by key: "lif", "resonate", or "izhikevich:<preset>".
+ */
+
+/**
+ * Leaky integrate-and-fire: charge integrates input and leaks back to rest
+ * with a time constant. Params: threshold, restingPotential, leakTimeConstant (ms, 0 = no leak),
+ * chargeFloor (fraction of threshold), dcGain (charge per ms at DC 1).
+ */
+const LIF = {
+  id: 'lif',
+  label: 'Leaky Integrate-and-Fire',
+  timeScale: 1,
+  maxStep: 16,
+
+  createState(params = {}) {
+    return { v: params.restingPotential || 0 };
+  },
+
+  step(state, dt, current, params = {}) {
+    const rest = params.restingPotential || 0;
+    if (params.leakTimeConstant > 0) {
+      state.v = rest + (state.v - rest) * Math.exp(-dt / params.leakTimeConstant);
+    }
+    state.v += current * dt;
+  },
+
+  inject(state, amount, params = {}) {
+    const rest = params.restingPotential || 0;
+    const threshold = params.threshold ?? 1;
+    const floor = rest + (params.chargeFloor ?? -0.5) * (threshold - rest);
+    state.v = Math.max(floor, state.v + amount * (threshold - rest));
+  },
+
+  isSpiking(state, params = {}) {
+    return state.v >= (params.threshold ?? 1);
+  },
+
+  reset(state, params = {}) {
+    state.v = params.restingPotential || 0;
+  },
+
+  getCharge(state, params = {}) {
+    const rest = params.restingPotential || 0;
+    return (state.v - rest) / ((params.threshold ?? 1) - rest);
+  },
+
+  dcToCurrent(dcInput, params = {}) {
+    return dcInput * (params.dcGain ?? 0.005);
+  }
+};
+
+// Izhikevich (2003) parameter sets: a, b, c, d
+export const IZHIKEVICH_PRESETS = {
+  rs: { label: 'Regular Spiking', a: 0.02, b: 0.2, c: -65, d: 8 },
+  bursting: { label: 'Bursting', a: 0.02, b: 0.2, c: -55, d: 4 },
+  chattering: { label: 'Chattering', a: 0.02, b: 0.2, c: -50, d: 2 }
+};
+
+/**
+ * Izhikevich quadratic model (v in mV, u recovery). Runs 15x slower than real
+ * time so intra-burst spikes land ~30-60ms apart - audible rolls and flams.
+ * Params: preset (key of IZHIKEVICH_PRESETS).
+ */
+const IZHIKEVICH = {
+  id: 'izhikevich',
+  label: 'Izhikevich',
+  timeScale: 1 / 15,
+  maxStep: 0.5,
+  peak: 30,
+  synapticGain: 25, // mV kick for a weight of 1
+
+  getPreset(params = {}) {
+    return IZHIKEVICH_PRESETS[params.preset] || IZHIKEVICH_PRESETS.rs;
+  },
+
+  createState(params = {}) {
+    const { b } = this.getPreset(params);
+    return { v: -65, u: b * -65 };
+  },
+
+  step(state, dt, current, params = {}) {
+    const { a, b } = this.getPreset(params);
+    const { v, u } = state;
+    state.v = v + dt * (0.04 * v * v + 5 * v + 140 - u + current);
+    state.u = u + dt * a * (b * v - u);
+  },
+
+  inject(state, amount) {
+    // Inhibition can't push the membrane below a hyperpolarized floor
+    state.v = Math.max(-90, state.v + amount * this.synapticGain);
+  },
+
+  isSpiking(state) {
+    return state.v >= this.peak;
+  },
+
+  reset(state, params = {}) {
+    const { c, d } = this.getPreset(params);
+    state.v = c;
+    state.u += d;
+  },
+
+  getCharge(state) {
+    // Rest (-65mV) to the spike initiation zone (-40mV)
+    return Math.max(0, Math.min(1, (state.v + 65) / 25));
+  },
+
+  dcToCurrent(dcInput) {
+    // Offset puts small DC values just above rheobase so they still fire slowly
+    return dcInput > 0 ? 4 + dcInput * 16 : 0;
+  }
+};
+
+/**
+ * Resonate-and-fire (Izhikevich 2001): a damped oscillator that spikes when
+ * its imaginary part crosses 1. Inputs arriving one period apart add up while
+ * inputs half a period apart cancel, so it responds to input timing.
+ * Params: frequency (Hz), damping (ms decay time).
+ */
+const RESONATE = {
+  id: 'resonate',
+  label: 'Resonate-and-Fire',
+  timeScale: 1,
+  maxStep: 2,
+  synapticGain: 0.8,
+
+  getOmega(params = {}) {
+    return 2 * Math.PI * (params.frequency ?? 4) / 1000;
+  },
+
+  createState() {
+    return { x: 0, y: 0 };
+  },
+
+  step(state, dt, current, params = {}) {
+    const b = -1 / (params.damping ?? 500);
+    const omega = this.getOmega(params);
+    const { x, y } = state;
+    state.x = x + dt * (b * x - omega * y + current);
+    state.y = y + dt * (omega * x + b * y);
+  },
+
+  inject(state, amount) {
+    state.x += amount * this.synapticGain;
+  },
+
+  isSpiking(state) {
+    return state.y >= 1;
+  },
+
+  reset(state) {
+    state.x = 0;
+    state.y = 0;
+  },
+
+  getCharge(state) {
+    return Math.max(0, Math.min(1, state.y));
+  },
+
+  dcToCurrent(dcInput, params = {}) {
+    // Scaled by omega so the firing onset sits at the same DC for any frequency
+    return dcInput * 2 * this.getOmega(params);
+  }
+};
+
+export const NEURON_MODELS = {
+  lif: LIF,
+  izhikevich: IZHIKEVICH,
+  resonate: RESONATE
+};
+
+// Selectable models, in menu order
+export const NEURON_MODEL_OPTIONS = [
+  { key: 'lif', label: LIF.label },
+  ...Object.entries(IZHIKEVICH_PRESETS).map(([preset, { label }]) => ({
+    key: `izhikevich:${preset}`,
+    label: `Izhikevich - ${label}`
+  })),
+  { key: 'resonate', label: RESONATE.label }
+];
+
+export const DEFAULT_NEURON_MODEL = 'lif';
+
+/**
+ * Resolve a model key to its implementation and parameters
+ * @param {string} key Model key, e.g. "lif" or "izhikevich:bursting"
+ * @returns {{key: string, model: Object, params: Object}} Unknown keys fall back to LIF
+ */
+export function resolveNeuronModel(key = DEFAULT_NEURON_MODEL) {
+  const [id, preset] = String(key).split(':');
+  const model = NEURON_MODELS[id];
+  if (!model) {
+    return { key: DEFAULT_NEURON_MODEL, model: LIF, params: {} };
+  }
+
+  const params = preset ? { preset } : {};
+  return { key: preset ? `${id}:${preset}` : id, model, params };
+}
+
+/**
+ * Advance a model by a span of real time, sub-stepping for stability
+ * @param {Object} model Model implementation
+ * @param {Object} state Model state (mutated)
+ * @param {number} elapsed Real time to advance in ms
+ * @param {number} current Input current for the whole span
+ * @param {Object} params Model parameters
+ * @returns {number} Number of spikes produced (state is reset after each)
+ */
+export function advanceModel(model, state, elapsed, current, params = {}) {
+  let remaining = elapsed * model.timeScale;
+  let spikes = 0;
+
+  while (remaining > 0) {
+    const dt = Math.min(model.maxStep, remaining);
+    model.step(state, dt, current, params);
+    remaining -= dt;
+
+    if (model.isSpiking(state, params)) {
+      model.reset(state, params);
+      spikes++;
+    }
+  }
+
+  return spikes;
+}
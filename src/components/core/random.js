@@ -0,0 +1,25 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * Math.random() can't be replayed, so anything that has to be reproducible
+ * (the simulation core, offline renders) draws from one of these instead.
+ */
+
+/**
+ * Create a seeded random number generator
+ * @param {number} seed Any 32-bit integer; the same seed always gives the same sequence
+ * @returns {Function} Returns a float in [0, 1) on every call
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default createRandom;
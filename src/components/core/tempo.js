@@ -0,0 +1,105 @@
+/**
+ * Tempo grid for quantized DC firing
+ *
+ * Time is counted in clock ticks, TICKS_PER_BEAT to the quarter note, so MIDI
+ * clock (24 pulses per quarter) advances one tick every two pulses. With DC
+ * quantized, a neuron's DC input picks a note length from TEMPO_SUBDIVISIONS
+ * (higher DC, shorter notes) instead of setting a free-running charge rate.
+ */
+
+export const TICKS_PER_BEAT = 12;
+export const MIDI_PULSES_PER_TICK = 24 / TICKS_PER_BEAT;
+
+// Slowest to fastest; DC input 0-1 is split evenly between them
+export const TEMPO_SUBDIVISIONS = [
+  { label: '1/4', ticks: 12 },
+  { label: '1/4T', ticks: 8 },
+  { label: '1/8', ticks: 6 },
+  { label: '1/8T', ticks: 4 },
+  { label: '1/16', ticks: 3 },
+  { label: '1/16T', ticks: 2 }
+];
+
+/**
+ * Subdivision a DC input fires on
+ * @param {number} dcInput DC input (0-1)
+ * @returns {Object} Entry of TEMPO_SUBDIVISIONS
+ */
+export function getSubdivision(dcInput) {
+  const count = TEMPO_SUBDIVISIONS.length;
+  const index = Math.max(0, Math.min(count - 1, Math.floor(dcInput * count)));
+  return TEMPO_SUBDIVISIONS[index];
+}
+
+/**
+ * Whether a neuron with this DC input fires on a tick
+ * @param {number} tick Ticks since the clock started
+ * @param {number} dcInput DC input (0-1); 0 never fires
+ * @returns {boolean}
+ */
+export function isOnGrid(tick, dcInput) {
+  return dcInput > 0 && tick % getSubdivision(dcInput).ticks === 0;
+}
+
+/**
+ * Length of one tick
+ * @param {number} bpm Tempo in quarter notes per minute
+ * @returns {number} Milliseconds
+ */
+export function getTickDuration(bpm) {
+  return 60000 / bpm / TICKS_PER_BEAT;
+}
+
+/**
+ * Position of the next step of a quantize grid, with swing. Works in any tick
+ * unit, e.g. Transport ticks for the output quantizer.
+ * @param {number} ticks Position of the note
+ * @param {number} stepTicks Length of a grid step
+ * @param {number} swing 0-1, delays every other step by up to a third of a step
+ * @returns {number} Ticks of the quantized note, never before `ticks`
+ */
+export function quantizeTicks(ticks, stepTicks, swing = 0) {
+  // Allow for rounding so a note already on the grid stays there
+  const step = Math.ceil(ticks / stepTicks - 1e-6);
+
+  // Swing pushes the off-beat steps late; a full swing lands them on the triplet
+  const delay = step % 2 === 1 ? swing * stepTicks / 3 : 0;
+  return Math.max(ticks, step * stepTicks + delay);
+}
+
+/**
+ * Run a simulation core with its DC neurons fired on the tempo grid instead of
+ * charged by their DC input (the headless counterpart of TempoClock)
+ * @param {SimulationCore} core Core to run; DC drive is switched off for the run
+ * @param {number} duration Time to simulate in ms
+ * @param {number} bpm Tempo
+ * @returns {Array} Spike events produced, in order
+ */
+export function runOnTempoGrid(core, duration, bpm) {
+  const spikes = [];
+  const unsubscribe = core.on('spike', event => spikes.push(event));
+  const tickDuration = getTickDuration(bpm);
+  const endTime = core.time + duration;
+  const startTime = core.time;
+  const dcDrive = core.dcDrive;
+  let tick = 0;
+
+  core.setDCDrive(false);
+
+  try {
+    while (core.time + core.timestep <= endTime + 1e-9) {
+      while (startTime + tick * tickDuration <= core.time) {
+        core.neurons.forEach(neuron => {
+          if (isOnGrid(tick, neuron.dcInput)) core.triggerSpike(neuron.id);
+        });
+        tick++;
+      }
+      core.step();
+    }
+  } finally {
+    unsubscribe();
+    core.setDCDrive(dcDrive);
+  }
+
+  return spikes;
+}
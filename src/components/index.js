@@ -26,6 +26,22 @@ export { InputManager } from './InputManager';
 export { ConnectionManager } from './ConnectionManager';
 export { EventSystem } from './EventSystem';
 export { Neuron } from './neuron';
+export { PatchManager } from './PatchManager';
+export { AutosaveManager } from './AutosaveManager';
+export { ShareLinkManager } from './ShareLinkManager';
+export { HistoryManager } from './HistoryManager';
+export { SynapticPlasticity } from './SynapticPlasticity';
+export { OfflineRenderer } from './OfflineRenderer';
+export { AudioRecorder } from './AudioRecorder';
+export { MidiManager } from './MidiManager';
+export { TempoClock } from './TempoClock';
+export { SpikeRecorder } from './SpikeRecorder';
+export { ScaleManager } from './ScaleManager';
+export { SampleManager } from './SampleManager';
+export { InsertChainEditor } from './InsertChainEditor';
+export { MixerPanel } from './MixerPanel';
+export { ModMatrix } from './ModMatrix';
+export { ModMatrixEditor } from './ModMatrixEditor';
 
 // Export utility methods from tutorial
 export * from './tutorial';
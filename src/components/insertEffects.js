@@ -0,0 +1,132 @@
+import * as Tone from 'tone';
+
+/**
+ * Insert effects - a per-neuron chain of effects between the neuron's voices and its bus
+ *
+ * A neuron's chain is saved in its sound parameters as a list of slots:
+ *
+ *   inserts: [{ type: 'chorus', enabled: true, params: { rate: 1.5, ... } }, ...]
+ *
+ * Slots run in list order. Each effect describes its parameters (range and
+ * default, which the insert editor turns into sliders) and how to map them
+ * onto the Tone.js effect:
+ *
+ *   create(params)  new Tone effect
+ *   options(params) settings passed to effect.set() when a slider moves
+ */
+
+const wet = (defaultValue) => ({ label: 'Mix', min: 0, max: 1, step: 0.01, default: defaultValue });
+
+export const INSERT_EFFECTS = {
+    distortion: {
+        label: 'Distortion',
+        params: {
+            drive: { label: 'Drive', min: 0, max: 1, step: 0.01, default: 0.4 },
+            wet: wet(1)
+        },
+        options: p => ({ distortion: p.drive, wet: p.wet }),
+        create(p) {
+            return new Tone.Distortion({ ...this.options(p), oversample: '2x' });
+        }
+    },
+    bitcrusher: {
+        label: 'Bitcrusher',
+        params: {
+            bits: { label: 'Bits', min: 1, max: 16, step: 1, default: 6 },
+            wet: wet(1)
+        },
+        options: p => ({ bits: p.bits, wet: p.wet }),
+        create(p) {
+            return new Tone.BitCrusher(this.options(p));
+        }
+    },
+    chorus: {
+        label: 'Chorus',
+        params: {
+            rate: { label: 'Rate', min: 0.1, max: 8, step: 0.1, default: 1.5 },
+            depth: { label: 'Depth', min: 0, max: 1, step: 0.01, default: 0.7 },
+            delay: { label: 'Delay (ms)', min: 2, max: 20, step: 0.5, default: 3.5 },
+            wet: wet(0.5)
+        },
+        options: p => ({ frequency: p.rate, depth: p.depth, delayTime: p.delay, wet: p.wet }),
+        create(p) {
+            return new Tone.Chorus(this.options(p)).start();
+        }
+    },
+    phaser: {
+        label: 'Phaser',
+        params: {
+            rate: { label: 'Rate', min: 0.1, max: 8, step: 0.1, default: 0.5 },
+            octaves: { label: 'Octaves', min: 1, max: 6, step: 0.1, default: 3 },
+            baseFrequency: { label: 'Base (Hz)', min: 100, max: 2000, step: 10, default: 350 },
+            wet: wet(0.5)
+        },
+        options: p => ({ frequency: p.rate, octaves: p.octaves, baseFrequency: p.baseFrequency, wet: p.wet }),
+        create(p) {
+            return new Tone.Phaser(this.options(p));
+        }
+    },
+    autoFilter: {
+        label: 'Auto-Filter',
+        params: {
+            rate: { label: 'Rate', min: 0.1, max: 10, step: 0.1, default: 2 },
+            depth: { label: 'Depth', min: 0, max: 1, step: 0.01, default: 0.8 },
+            baseFrequency: { label: 'Base (Hz)', min: 50, max: 2000, step: 10, default: 200 },
+            octaves: { label: 'Octaves', min: 1, max: 6, step: 0.1, default: 2.6 },
+            wet: wet(1)
+        },
+        options: p => ({ frequency: p.rate, depth: p.depth, baseFrequency: p.baseFrequency, octaves: p.octaves, wet: p.wet }),
+        create(p) {
+            return new Tone.AutoFilter(this.options(p)).start();
+        }
+    },
+    pingPong: {
+        label: 'Ping-Pong Delay',
+        params: {
+            time: { label: 'Time (s)', min: 0.05, max: 1, step: 0.01, default: 0.25 },
+            feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, default: 0.35 },
+            wet: wet(0.3)
+        },
+        options: p => ({ delayTime: p.time, feedback: p.feedback, wet: p.wet }),
+        create(p) {
+            return new Tone.PingPongDelay(this.options(p));
+        }
+    }
+};
+
+/**
+ * Parameters of a slot, with defaults for anything missing or out of range
+ * @param {Object} slot - { type, params }
+ * @returns {Object}
+ */
+export function getInsertParams(slot) {
+    const effect = INSERT_EFFECTS[slot?.type];
+    if (!effect) return {};
+
+    return Object.fromEntries(Object.entries(effect.params).map(([key, spec]) => {
+        const value = Number(slot.params?.[key]);
+        return [key, Number.isFinite(value) ? Math.max(spec.min, Math.min(spec.max, value)) : spec.default];
+    }));
+}
+
+/**
+ * A new slot with the effect's default settings
+ * @param {string} type - Key of INSERT_EFFECTS
+ * @returns {Object} { type, enabled, params }
+ */
+export function createInsertSlot(type) {
+    return { type, enabled: true, params: getInsertParams({ type }) };
+}
+
+/**
+ * Clean copy of a saved chain: unknown effects are dropped, parameters filled in
+ * @param {Array} inserts
+ * @returns {Array<Object>}
+ */
+export function normalizeInserts(inserts) {
+    if (!Array.isArray(inserts)) return [];
+
+    return inserts
+        .filter(slot => INSERT_EFFECTS[slot?.type])
+        .map(slot => ({ type: slot.type, enabled: slot.enabled !== false, params: getInsertParams(slot) }));
+}
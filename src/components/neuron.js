@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import gsap from 'gsap';
 import { ensureManagersInitialized } from './utils/initSystemManagers';
 import { enableCentralizedNeuralSystem } from './core/integrator';
+import { resolveNeuronModel, advanceModel, DEFAULT_NEURON_MODEL } from './core/neuronModels';
+import { getSpikeDelay } from './core/SimulationCore';
 
 export class Neuron {
     // Ensure Neuron class is accessible in the global scope
@@ -22,6 +24,18 @@ export class Neuron {
     // Track neurons with DC input
     static dcNeurons = new Set();
     
+    // Lowest charge inhibitory (negative weight) input can push a neuron to,
+    // as a fraction of the firing threshold
+    static chargeFloor = -0.5;
+    
+    // Deterministic simulation core driving firing (null = each neuron runs its own timers)
+    static simulationCore = null;
+    static simulationCoreUnsubscribe = null;
+    
+    // While the tempo clock quantizes DC firing, DC input stops charging and
+    // DC neurons fire on the clock's grid instead (see TempoClock)
+    static tempoLocked = false;
+    
     // Pre-allocate reusable objects
     static tempVector = new THREE.Vector3();
     static tempVector2 = new THREE.Vector3();
@@ -272,6 +286,8 @@ export class Neuron {
         this.baseScale = 0.2;
         this.maxScale = 1;
         this.refractionPeriod = 10;
+        this.leakTimeConstant = 0; // Membrane leak time constant in ms (0 = no leak)
+        this.setModel(DEFAULT_NEURON_MODEL); // Membrane dynamics (see core/neuronModels)
         this.originalColor = 0x0000ff; // Pure Blue
         this.firingColor = 0xffff00; // Pure Yellow
         
@@ -292,6 +308,8 @@ export class Neuron {
         this.isFiring = false;
         this.dcInput = 0;
         this.dcInterval = null;
+        this.lastLeakTime = performance.now();
+        this.isLeaking = false; // True while charge is visibly draining away
         
         // Musical harmony settings
         this.isHarmonyAnchor = false; // Added: neurons marked as anchors resist harmonic influence
@@ -335,6 +353,10 @@ export class Neuron {
     
         // Set initial scale
         this.mesh.scale.setScalar(this.baseScale);
+        
+        if (Neuron.simulationCore) {
+            this.registerWithCore(Neuron.simulationCore);
+        }
     }
 
     // Method to temporarily block color updates during external animations
@@ -352,6 +374,15 @@ export class Neuron {
 
     update() {
         const currentTime = performance.now();
+        const core = Neuron.simulationCore;
+
+        if (core) {
+            // The simulation core owns charge and firing; just mirror its state
+            this.currentCharge = Math.max(Neuron.chargeFloor * this.threshold, core.getCharge(this.id));
+        } else if (this.usesDynamicModel) {
+            // Non-LIF models integrate their own dynamics and decide when to spike
+            this.stepModel(currentTime);
+        }
 
         // Safety check for stuck firing state
         if (this.isFiring && currentTime - this.lastFiredTime > this.refractionPeriod * 2) {
@@ -366,7 +397,7 @@ export class Neuron {
         }
 
         // Only check for DC firing if DC input is greater than 0
-        if (!this.isFiring && !this.isInRefractoryPeriod() && this.dcInput > 0) {
+        if (!core && !this.isFiring && !this.isInRefractoryPeriod() && this.dcInput > 0) {
             // If we're scrolling and the DC interval got lost, restore it
             if ((Neuron.isScrolling || document.hidden) && this.dcInput > 0 && !this.dcInterval) {
                 // Re-create charging interval based on stored parameters
@@ -376,7 +407,7 @@ export class Neuron {
                     
                     this.dcInterval = setInterval(() => {
                         if (!this.isFiring && !this.isInRefractoryPeriod()) {
-                            this.addCharge(chargePerInterval);
+                            this.addDCCharge(chargePerInterval);
                         }
                     }, intervalTime);
                 } else {
@@ -418,10 +449,120 @@ export class Neuron {
             this.lastColorUpdate.colorUpdateNeeded = true;
         }
 
+        // Let charge leak away between inputs
+        if (!core) {
+            this.applyLeak(currentTime);
+        }
+
         // Update scale based on state, but only update colors when necessary
         this.updateVisualState();
     }
 
+    /**
+     * Leaky integrate-and-fire: charge decays exponentially towards rest (0)
+     * with the neuron's leak time constant, so only inputs that arrive close
+     * together in time add up to a spike.
+     * @param {number} currentTime Current time from performance.now()
+     */
+    applyLeak(currentTime = performance.now()) {
+        const elapsed = currentTime - this.lastLeakTime;
+        this.lastLeakTime = currentTime;
+        
+        if (this.leakTimeConstant <= 0 || this.isFiring || this.currentCharge === 0 || elapsed <= 0) {
+            this.isLeaking = false;
+            return;
+        }
+        
+        const previousCharge = this.currentCharge;
+        this.currentCharge *= Math.exp(-elapsed / this.leakTimeConstant);
+        
+        // Snap tiny residues to rest so idle neurons settle completely
+        if (Math.abs(this.currentCharge) < 0.001) {
+            this.currentCharge = 0;
+        }
+        
+        // Only count it as draining when the loss is visible, not when DC keeps topping it up
+        this.isLeaking = Math.abs(previousCharge - this.currentCharge) > 0.0005;
+    }
+
+    /**
+     * Set the membrane leak time constant
+     * @param {number} ms Time for the charge to fall to ~37% (0 disables the leak)
+     */
+    setLeakTimeConstant(ms) {
+        this.leakTimeConstant = Math.max(0, ms || 0);
+        this.lastLeakTime = performance.now();
+        
+        if (window.workerManager && typeof window.workerManager.updateNeuron === 'function') {
+            window.workerManager.updateNeuron(this.id, { decayRate: this.decayRate });
+        }
+        
+        Neuron.simulationCore?.setLeakTimeConstant(this.id, this.leakTimeConstant);
+    }
+
+    // The leak expressed as the worker simulation's decayRate (it decays by decayRate * 0.05 per ms)
+    get decayRate() {
+        return this.leakTimeConstant > 0 ? 1 / (0.05 * this.leakTimeConstant) : 0;
+    }
+
+    /**
+     * Switch the neuron model driving this neuron
+     * @param {string} key Model key from core/neuronModels, e.g. "lif" or "izhikevich:bursting"
+     */
+    setModel(key) {
+        const { key: modelKey, model, params } = resolveNeuronModel(key);
+        this.modelKey = modelKey;
+        this.model = model;
+        this.modelParams = params;
+        this.modelState = model.createState(params);
+        this.lastModelStepTime = performance.now();
+        this.currentCharge = 0;
+        
+        if (window.workerManager && typeof window.workerManager.updateNeuron === 'function') {
+            window.workerManager.updateNeuron(this.id, { modelKey });
+        }
+        
+        Neuron.simulationCore?.setNeuronModel(this.id, modelKey);
+        
+        // Keep the centralized engine's copy in step when this mesh is registered with it
+        if (this.mesh?.neuronId && window.neuralEngine && typeof window.neuralEngine.setNeuronModel === 'function') {
+            window.neuralEngine.setNeuronModel(this.mesh.neuronId, modelKey);
+        }
+    }
+
+    // LIF keeps the original charge/threshold path; other models are stepped in update()
+    get usesDynamicModel() {
+        return this.modelKey !== DEFAULT_NEURON_MODEL;
+    }
+
+    /**
+     * Advance a dynamic neuron model to the current time, driven by the DC input
+     * @param {number} currentTime Current time from performance.now()
+     */
+    stepModel(currentTime) {
+        // Cap the step so a backgrounded tab doesn't come back with a burst of catch-up spikes
+        const elapsed = Math.min(100, currentTime - this.lastModelStepTime);
+        this.lastModelStepTime = currentTime;
+        if (elapsed <= 0) return;
+        
+        const current = Neuron.isAppActive && !Neuron.tempoLocked ? this.model.dcToCurrent(this.dcInput, this.modelParams) : 0;
+        const spikes = advanceModel(this.model, this.modelState, elapsed, current, this.modelParams);
+        this.currentCharge = this.model.getCharge(this.modelState, this.modelParams);
+        
+        // A frame is far longer than a spike, so several spikes in one frame collapse into one
+        if (spikes > 0) {
+            this.fire(true);
+        }
+    }
+
+    // DC timers feed the LIF charge directly; dynamic models take DC as a current in stepModel
+    // and the simulation core, when attached, integrates DC itself. The tempo clock fires
+    // DC neurons directly while locked, so the timers then have nothing to add
+    addDCCharge(amount) {
+        if (this.usesDynamicModel || Neuron.simulationCore || Neuron.tempoLocked) return;
+        this.addCharge(amount);
+    }
+
     // Color updates are now managed through this.lastColorUpdate
     // which is initialized in the constructor
     
@@ -455,7 +596,8 @@ export class Neuron {
         const newTarget = this.isFiring ? this.scaleState.current : cappedScale;
         
         // Apply damping for smoother transitions (reduce by 90%)
-        const damping = 0.9;
+        // While charge leaks away, follow it more closely so the neuron visibly drains
+        const damping = this.isLeaking && newTarget < previousTarget ? 0.7 : 0.9;
         this.scaleState.target = previousTarget 
             ? previousTarget + (newTarget - previousTarget) * (1 - damping)
             : newTarget;
@@ -491,7 +633,12 @@ export class Neuron {
         }
     }
 
-    fire() {
+    /**
+     * Fire the neuron
+     * @param {boolean} fromModel Spike decided by a dynamic neuron model, which has its own
+     *   refractoriness - bypasses the LIF gating so bursts can fire in quick succession
+     */
+    fire(fromModel = false) {
         // Enforce minimum time between firings to prevent double-firing
         const currentTime = performance.now();
         const timeSinceLastAttempt = currentTime - this.lastFiringAttempt;
@@ -499,20 +646,27 @@ export class Neuron {
         // Update last attempt time
         this.lastFiringAttempt = currentTime;
         
-        // If we're already firing or in refractory period, don't allow new firing
-        if (this.isFiring || this.isInRefractoryPeriod()) {
-            return;
-        }
-        
-        // Enforce minimum time between firing attempts (prevents double-firing)
-        if (timeSinceLastAttempt < this.minTimeBetweenFirings) {
-            return;
+        if (!fromModel) {
+            // If we're already firing or in refractory period, don't allow new firing
+            if (this.isFiring || this.isInRefractoryPeriod()) {
+                return;
+            }
+            
+            // Enforce minimum time between firing attempts (prevents double-firing)
+            if (timeSinceLastAttempt < this.minTimeBetweenFirings) {
+                return;
+            }
         }
         
         // We are now firing!
         this.isFiring = true;
         this.lastFiredTime = currentTime;
         
+        // Let STDP compare this spike with the spikes of connected neurons
+        if (window.synapticPlasticity) {
+            window.synapticPlasticity.onNeuronFired(this, currentTime);
+        }
+        
         // Gather connection data for sound and animation
         const connectionCount = this.outgoingConnections.size;
         let totalWeight = 0;
@@ -522,7 +676,8 @@ export class Neuron {
         for (const targetIndex of this.outgoingConnections) {
             const weight = this.synapticWeights.get(targetIndex) ?? 0.1;
             const speed = this.synapticSpeeds.get(targetIndex) ?? 0.5;
-            totalWeight += weight;
+            // Inhibitory synapses still shape the sound by their strength
+            totalWeight += Math.abs(weight);
             totalSpeed += speed;
             
             if (window.circles?.[targetIndex]) {
@@ -549,8 +704,10 @@ export class Neuron {
             release: Math.max(0.1, avgDistance < 6 ? 0.1 : (Math.min(avgDistance, 10) / 10 * 0.5).toFixed(2))
         };
     
-        // Play sound
-        if (window.soundManager && typeof window.soundManager.playNeuronFiring === 'function') {
+        // Play sound (the MIDI output mode can route spikes to MIDI only)
+        const midiManager = window.midiManager;
+        if ((!midiManager || midiManager.sendsAudio) &&
+            window.soundManager && typeof window.soundManager.playNeuronFiring === 'function') {
             window.soundManager.playNeuronFiring(
                 avgWeight, 
                 avgSpeed, 
@@ -560,6 +717,16 @@ export class Neuron {
                 avgDistance
             );
         }
+
+        // Send the spike as a MIDI note
+        if (midiManager && midiManager.sendsMidi) {
+            midiManager.playNeuronFiring(this.id, avgWeight);
+        }
+
+        // Keep the spike for MIDI file export while recording
+        if (window.spikeRecorder && window.spikeRecorder.isRecording) {
+            window.spikeRecorder.record(this.id, avgWeight);
+        }
         
         // Visual firing animation
         this.animateFiring();
@@ -573,9 +740,24 @@ export class Neuron {
             const speed = this.synapticSpeeds.get(targetIndex) ?? 0.5;
             
             // High speed (near 1.0) means almost instant delivery
-            const delay = speed >= 0.99 ? 0 : Math.max(50, (1 - speed) * 500);
+            const delay = getSpikeDelay(speed);
             console.log(`Connection from=${this.id} to=${targetIndex}: speed=${speed.toFixed(2)}, delay=${delay}ms`);
             
+            // The simulation core delivers the charge itself - only show the signal travelling
+            if (Neuron.simulationCore) {
+                if (delay > 0 && window.particleSystem && typeof window.particleSystem.createParticle === 'function') {
+                    window.particleSystem.createParticle(
+                        new THREE.Vector3(this.mesh.position.x, 0.05, this.mesh.position.z),
+                        new THREE.Vector3(window.circles[targetIndex].position.x, 0.05, window.circles[targetIndex].position.z),
+                        this.id,
+                        targetNeuron.id,
+                        weight,
+                        speed
+                    );
+                }
+                continue;
+            }
+            
             // Create a unique connection identifier
             const connectionId = `${this.id}_${targetNeuron.id}`;
             
@@ -695,8 +877,13 @@ export class Neuron {
         
         // Set particle color based on weight (hue varies with weight)
         const color = new THREE.Color();
-        // Create a color based on weight - higher weight = more red/yellow
-        color.setHSL(weight * 0.3, 1, 0.5);
+        if (weight < 0) {
+            // Inhibitory signals are magenta, brighter for stronger inhibition
+            color.setHSL(0.85, 1, 0.35 + Math.abs(weight) * 0.25);
+        } else {
+            // Create a color based on weight - higher weight = more red/yellow
+            color.setHSL(weight * 0.3, 1, 0.5);
+        }
         
         const material = new THREE.MeshBasicMaterial({ 
             color,
@@ -793,6 +980,9 @@ export class Neuron {
         // Just clamp value between 0 and 1, no rounding
         this.dcInput = Math.max(0, Math.min(1, value));
         
+        // The simulation core integrates DC itself; the timers below become no-ops (see addDCCharge)
+        Neuron.simulationCore?.setDCInput(this.id, this.dcInput);
+        
         // No longer updating color when DC input changes
         
         // If DC input is 0, reset the neuron and remove from tracking
@@ -904,7 +1094,7 @@ export class Neuron {
                 try {
                     // Add charge if not firing or in refractory period
                     if (!this.isFiring && !this.isInRefractoryPeriod()) {
-                        this.addCharge(this.dcParameters.chargePerFrame); // Use current parameter value
+                        this.addDCCharge(this.dcParameters.chargePerFrame); // Use current parameter value
                     }
                 } catch (error) {
                     console.error(`Error in DC update for neuron ${this.id}:`, error);
@@ -951,7 +1141,36 @@ export class Neuron {
         }
     }
 
+    /**
+     * Fire now regardless of charge (tempo clock, MIDI notes). With the simulation
+     * core attached the spike has to come from the core so it reaches its targets there.
+     */
+    trigger() {
+        if (Neuron.simulationCore) {
+            Neuron.simulationCore.triggerSpike(this.id);
+            return;
+        }
+        
+        if (this.usesDynamicModel) {
+            this.model.reset(this.modelState, this.modelParams);
+        }
+        this.fire();
+    }
+
     addCharge(amount) {
+        // With the simulation core attached, input goes into its deterministic state
+        if (Neuron.simulationCore) {
+            Neuron.simulationCore.injectCharge(this.id, amount);
+            return;
+        }
+        
+        // Dynamic models take synaptic input as a kick to their state and spike from update()
+        if (this.usesDynamicModel) {
+            this.model.inject(this.modelState, amount, this.modelParams);
+            this.currentCharge = this.model.getCharge(this.modelState, this.modelParams);
+            return;
+        }
+        
         // Don't add charge if we're already firing or in refractory period
         if (this.isFiring || this.isInRefractoryPeriod()) {
             return;
@@ -960,8 +1179,13 @@ export class Neuron {
         // Allow neurons with DC=0 to receive input charges from other neurons
         // The DC is only used for auto-charging, not for receiving signals
     
+        // Bring the leak up to date so this input adds to what is left of earlier ones
+        this.applyLeak();
+        
+        // Negative amounts come from inhibitory synapses and pull the charge down to the floor
         const previousCharge = this.currentCharge;
-        this.currentCharge = Math.min(this.currentCharge + amount, this.threshold);
+        const floor = Neuron.chargeFloor * this.threshold;
+        this.currentCharge = Math.max(floor, Math.min(this.currentCharge + amount, this.threshold));
     
         // Update visual state when charge changes
         if (this.currentCharge !== previousCharge) {
@@ -1082,6 +1306,11 @@ export class Neuron {
         this.synapticWeights.set(targetIndex, initialWeight);
         this.synapticSpeeds.set(targetIndex, initialSpeed);
         
+        const targetId = window.circles?.[targetIndex]?.neuron?.id;
+        if (Neuron.simulationCore && targetId !== undefined) {
+            Neuron.simulationCore.connect(this.id, targetId, initialWeight, initialSpeed);
+        }
+        
         // NOTE: We don't need to set the color here
         // The ConnectionManager already handles green flashing for both neurons
         // through its flashNeuronGreen function
@@ -1106,6 +1335,9 @@ export class Neuron {
         if (this.outgoingConnections.has(targetIndex)) {
             this.synapticWeights.set(targetIndex, weight);
             // No need to reapply DC - maintaining continuity
+            
+            const targetId = window.circles?.[targetIndex]?.neuron?.id;
+            Neuron.simulationCore?.setWeight(this.id, targetId, weight);
         }
     }
 
@@ -1113,6 +1345,9 @@ export class Neuron {
         if (this.outgoingConnections.has(targetIndex)) {
             this.synapticSpeeds.set(targetIndex, speed);
             // No need to reapply DC - maintaining continuity
+            
+            const targetId = window.circles?.[targetIndex]?.neuron?.id;
+            Neuron.simulationCore?.setSpeed(this.id, targetId, speed);
         }
     }
 
@@ -1124,6 +1359,8 @@ export class Neuron {
         
         if (targetNeuron) {
             targetId = targetNeuron.id;
+            Neuron.simulationCore?.disconnect(sourceId, targetId);
+            
             // Cancel any pending charge deliveries for this connection
             const connectionId = `${this.id}_${targetNeuron.id}`;
             if (Neuron.pendingChargeDeliveries.has(connectionId)) {
@@ -1169,6 +1406,8 @@ export class Neuron {
         const neuronId = this.id;
         const componentId = 'neuron_' + neuronId;
         
+        Neuron.simulationCore?.removeNeuron(neuronId);
+        
         // Use timerManager if available for timer cleanup
         if (window.timerManager) {
             window.timerManager.clearGroup(componentId);
@@ -1357,7 +1596,9 @@ export class Neuron {
             if (window.soundManager.neuronSoundOverrides) {
                 window.soundManager.neuronSoundOverrides.delete(this.id);
             }
-            
+
+            window.soundManager.disposeInsertChain?.(this.id);
+
             // Clear pending restorations for this neuron using timerManager if available
             if (window.timerManager && window.soundManager.pendingRestorations && window.soundManager.pendingRestorations.has(this.id)) {
                 window.timerManager.clearTimeout('soundManager', window.soundManager.pendingRestorations.get(this.id));
@@ -1392,6 +1633,125 @@ export class Neuron {
         }
     }
 
+    /**
+     * Set the charge floor for inhibition in every simulation path
+     * @param {number} value Floor as a fraction of the threshold (-1 to 0)
+     */
+    static setChargeFloor(value) {
+        Neuron.chargeFloor = Math.max(-1, Math.min(0, value));
+        
+        // Keep charges that are already below the new floor in range
+        if (window.circles) {
+            window.circles.forEach(circle => {
+                const neuron = circle?.neuron;
+                if (neuron && neuron.currentCharge < Neuron.chargeFloor * neuron.threshold) {
+                    neuron.currentCharge = Neuron.chargeFloor * neuron.threshold;
+                }
+            });
+        }
+        
+        if (window.neuralEngine && typeof window.neuralEngine.setChargeFloor === 'function') {
+            window.neuralEngine.setChargeFloor(Neuron.chargeFloor);
+        }
+        if (window.workerManager && typeof window.workerManager.setChargeFloor === 'function') {
+            window.workerManager.setChargeFloor(Neuron.chargeFloor);
+        }
+        Neuron.simulationCore?.setChargeFloor(Neuron.chargeFloor);
+    }
+
+    /**
+     * Hand firing over to a deterministic simulation core. The core is rebuilt
+     * from the current network and neurons fire only when it emits a spike.
+     * @param {SimulationCore} core Core to drive the network (see core/SimulationCore)
+     */
+    static attachSimulationCore(core) {
+        Neuron.detachSimulationCore();
+        
+        const neurons = (window.circles || []).map(circle => circle?.neuron).filter(Boolean);
+        
+        core.neurons.clear();
+        core.setChargeFloor(Neuron.chargeFloor);
+        core.setDCDrive(!Neuron.tempoLocked);
+        neurons.forEach(neuron => neuron.registerWithCore(core));
+        neurons.forEach(neuron => {
+            neuron.outgoingConnections.forEach(targetIndex => {
+                const targetId = window.circles[targetIndex]?.neuron?.id;
+                if (targetId === undefined) return;
+                core.connect(
+                    neuron.id,
+                    targetId,
+                    neuron.synapticWeights.get(targetIndex) ?? 0.1,
+                    neuron.synapticSpeeds.get(targetIndex) ?? 0.5
+                );
+            });
+        });
+        core.reset();
+        
+        Neuron.simulationCore = core;
+        Neuron.simulationCoreUnsubscribe = core.on('spike', event => {
+            const circle = window.circles?.find(c => c?.neuron?.id === event.neuronId);
+            if (circle) {
+                circle.neuron.fire(true);
+            }
+        });
+        
+        console.log(`%c[NEURON] Simulation core attached (${neurons.length} neurons, seed ${core.seed})`, "color: #00ff88;");
+    }
+
+    /**
+     * Lock or unlock DC firing to the tempo clock. Unlocking lets DC charge the
+     * neurons again from wherever they are.
+     * @param {boolean} locked
+     */
+    static setTempoLocked(locked) {
+        Neuron.tempoLocked = !!locked;
+        Neuron.simulationCore?.setDCDrive(!Neuron.tempoLocked);
+        
+        if (Neuron.tempoLocked) {
+            // Drop charge built up by free-running DC so the first clocked spike isn't doubled
+            Neuron.dcNeurons.forEach(neuron => {
+                if (!Neuron.simulationCore && !neuron.usesDynamicModel) {
+                    neuron.currentCharge = 0;
+                }
+            });
+        }
+    }
+
+    /**
+     * Return firing to the neurons' own timers
+     */
+    static detachSimulationCore() {
+        if (!Neuron.simulationCore) return;
+        
+        if (Neuron.simulationCoreUnsubscribe) {
+            Neuron.simulationCoreUnsubscribe();
+            Neuron.simulationCoreUnsubscribe = null;
+        }
+        Neuron.simulationCore = null;
+        
+        // Pick up from rest so nothing fires from stale charge
+        (window.circles || []).forEach(circle => {
+            const neuron = circle?.neuron;
+            if (!neuron) return;
+            neuron.currentCharge = 0;
+            neuron.setModel(neuron.modelKey);
+        });
+    }
+
+    /**
+     * Add this neuron to a simulation core
+     * @param {SimulationCore} core
+     */
+    registerWithCore(core) {
+        core.addNeuron({
+            id: this.id,
+            dcInput: this.dcInput,
+            modelKey: this.modelKey,
+            leakTimeConstant: this.leakTimeConstant,
+            position: { x: this.mesh.position.x, z: this.mesh.position.z }
+        });
+    }
+
     static updateAllDCNeurons() {
         // Ensure all neurons with DC input have active intervals
         if (Neuron.dcNeurons.size > 0) {
@@ -1484,7 +1844,7 @@ export class Neuron {
      * This allows direct particle creation from anywhere in the code
      * @param {THREE.Object3D} sourceNeuron Source neuron mesh/object
      * @param {THREE.Object3D} targetNeuron Target neuron mesh/object
-     * @param {number} weight Connection weight (0-1)
+     * @param {number} weight Connection weight (-1 to 1, negative is inhibitory)
      * @param {number} speed Connection speed (0-1)
      */
     static createParticle(sourceNeuron, targetNeuron, weight = 0.5, speed = 0.5) {
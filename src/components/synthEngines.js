@@ -0,0 +1,269 @@
+import * as Tone from 'tone';
+
+/**
+ * Synth engines - alternatives to the bus synths for a neuron's voice
+ *
+ * 'classic' plays through the PolySynths OptimizedSoundManager keeps on every
+ * bus. The other engines build a voice per note, which is played into the
+ * bus getBusForNeuron picks and disposed once it has rung out:
+ *
+ *   createVoice(frequency, params, output)  voice connected to output
+ *   voice.start(time, duration, velocity)   returns the time the voice is silent
+ *   voice.stop(time)                        cut it short (voice stealing)
+ *   voice.dispose()
+ *   voice.setPosition(position)             wavetable only, 0-1
+ *
+ * Engine settings are neuron sound parameters (fmRatio, wavetablePosition, ...),
+ * see ENGINE_DEFAULTS.
+ */
+
+export const ENGINE_DEFAULTS = {
+    engine: 'classic',
+    fmOperators: 2,            // Carrier plus 1-3 stacked modulators
+    fmRatio: 2,                // Modulator frequency / the frequency of the operator it drives
+    fmIndex: 3,                // Modulation index of the first modulator
+    fmFeedback: 0,             // 0-1, top modulator modulating itself
+    wavetable: 'analog',       // Key of WAVETABLES
+    wavetablePosition: 0,      // 0-1 through the table's frames
+    wavetableChargeMod: 0,     // -1 to 1, how far the neuron's charge moves the position
+    pluckDampening: 4000,      // Hz, lowpass in the string loop
+    pluckResonance: 0.9,       // 0-1, how long the string rings
+    pluckNoise: 1              // Length of the noise burst that excites the string
+};
+
+const PARTIAL_COUNT = 16;
+
+const harmonics = (amplitude) => Array.from({ length: PARTIAL_COUNT }, (_, index) => amplitude(index + 1));
+
+// Spectral peak around a harmonic, for vowel-like frames
+const formant = (...peaks) => harmonics(n => Math.min(1, peaks.reduce((sum, peak) => sum + Math.exp(-Math.pow((n - peak) / 1.2, 2)), 0)));
+
+// Each table is a list of frames (harmonic amplitudes); the position morphs between neighbouring frames
+export const WAVETABLES = {
+    analog: {
+        label: 'Analog',
+        frames: [
+            harmonics(n => n === 1 ? 1 : 0),                  // Sine
+            harmonics(n => n % 2 === 1 ? 1 / (n * n) : 0),    // Triangle
+            harmonics(n => n % 2 === 1 ? 1 / n : 0),          // Square
+            harmonics(n => 1 / n)                             // Sawtooth
+        ]
+    },
+    vocal: {
+        label: 'Vocal',
+        frames: [
+            formant(1, 3),   // oo
+            formant(2, 4),   // oh
+            formant(3, 6),   // ah
+            formant(2, 9),   // eh
+            formant(1, 13)   // ee
+        ]
+    },
+    digital: {
+        label: 'Digital',
+        frames: [
+            harmonics(n => n === 1 || n === 2 ? 1 : 0),
+            harmonics(n => n % 3 === 1 ? 1 / Math.sqrt(n) : 0),
+            harmonics(n => n % 4 === 0 || n === 1 ? 0.8 : 0),
+            harmonics(n => n >= 6 && n <= 9 ? 1 : n === 1 ? 0.6 : 0),
+            harmonics(n => [1, 5, 7, 11, 13].includes(n) ? 1 : 0)
+        ]
+    }
+};
+
+/**
+ * Harmonic amplitudes at a position in a wavetable
+ * @param {string} table - Key of WAVETABLES
+ * @param {number} position - 0-1
+ * @returns {Array<number>}
+ */
+export function morphWavetable(table, position) {
+    const frames = (WAVETABLES[table] || WAVETABLES.analog).frames;
+    const { index, amount } = locateFrame(frames, position);
+
+    return frames[index].map((amplitude, partial) => amplitude + (frames[index + 1][partial] - amplitude) * amount);
+}
+
+// The pair of frames a position falls between, and how far it is towards the second
+function locateFrame(frames, position) {
+    const scaled = Math.max(0, Math.min(1, position)) * (frames.length - 1);
+    const index = Math.min(frames.length - 2, Math.floor(scaled));
+    return { index, amount: scaled - index };
+}
+
+function getEnvelope(params) {
+    return {
+        attack: params.envelope?.attack || params.attack || 0.002,
+        decay: params.envelope?.decay || params.decay || 0.3,
+        sustain: Math.min(1, Math.max(0, params.envelope?.sustain ?? params.sustain ?? 0.2)),
+        release: params.envelope?.release || params.release || 0.8
+    };
+}
+
+/**
+ * FM: a sine carrier with up to three modulators stacked on top of it, each
+ * driving the frequency of the operator below. Modulators decay faster than
+ * the carrier, so notes start bright and mellow out like an FM piano or bell.
+ */
+function createFMVoice(frequency, params, output) {
+    const operators = Math.max(2, Math.min(4, Math.round(params.fmOperators ?? ENGINE_DEFAULTS.fmOperators)));
+    const ratio = Math.max(0.125, params.fmRatio ?? ENGINE_DEFAULTS.fmRatio);
+    const index = Math.max(0, params.fmIndex ?? ENGINE_DEFAULTS.fmIndex);
+    const feedback = Math.max(0, Math.min(1, params.fmFeedback ?? ENGINE_DEFAULTS.fmFeedback));
+    const envelopeSettings = getEnvelope(params);
+
+    const carrier = new Tone.Oscillator(frequency, 'sine');
+    const envelope = new Tone.AmplitudeEnvelope(envelopeSettings);
+    carrier.connect(envelope);
+    envelope.connect(output);
+
+    const oscillators = [carrier];
+    const nodes = [carrier, envelope];
+    const modulatorEnvelopes = [];
+
+    let target = carrier;
+    let targetFrequency = frequency;
+    for (let operator = 1; operator < operators; operator++) {
+        const modulatorFrequency = Math.min(20000, targetFrequency * ratio);
+        const modulator = new Tone.Oscillator(modulatorFrequency, 'sine');
+        const modulatorEnvelope = new Tone.AmplitudeEnvelope({
+            attack: envelopeSettings.attack,
+            decay: envelopeSettings.decay * 0.7,
+            sustain: envelopeSettings.sustain * 0.5,
+            release: envelopeSettings.release * 0.7
+        });
+        // Deviation in Hz is the index times the modulator frequency; higher stages modulate more gently
+        const depth = new Tone.Gain(index * modulatorFrequency / operator);
+
+        modulator.chain(modulatorEnvelope, depth);
+        depth.connect(target.frequency);
+
+        oscillators.push(modulator);
+        nodes.push(modulator, modulatorEnvelope, depth);
+        modulatorEnvelopes.push(modulatorEnvelope);
+
+        target = modulator;
+        targetFrequency = modulatorFrequency;
+    }
+
+    // Feedback loops need a delay; the shortest Web Audio allows is one render quantum
+    if (feedback > 0) {
+        const feedbackDepth = new Tone.Gain(feedback * targetFrequency);
+        const feedbackDelay = new Tone.Delay(128 / Tone.getContext().sampleRate, 0.01);
+        target.chain(feedbackDepth, feedbackDelay);
+        feedbackDelay.connect(target.frequency);
+        nodes.push(feedbackDepth, feedbackDelay);
+    }
+
+    return {
+        start(time, duration, velocity) {
+            const endTime = time + duration + envelopeSettings.release;
+            oscillators.forEach(oscillator => {
+                oscillator.start(time);
+                oscillator.stop(endTime);
+            });
+            envelope.triggerAttackRelease(duration, time, velocity);
+            modulatorEnvelopes.forEach(modulatorEnvelope => modulatorEnvelope.triggerAttackRelease(duration, time));
+            return endTime;
+        },
+        stop(time) {
+            envelope.triggerRelease(time);
+            oscillators.forEach(oscillator => oscillator.stop(time + 0.05));
+        },
+        dispose() {
+            nodes.forEach(node => node.dispose());
+        }
+    };
+}
+
+/**
+ * Wavetable: the harmonics morph through the frames of a table. Two phase-locked
+ * oscillators hold the frames either side of the position and are crossfaded,
+ * which mixes to the same harmonics as morphWavetable; moving the position only
+ * ramps two gains, and an oscillator's wave is rebuilt only when the position
+ * crosses into another pair of frames.
+ */
+function createWavetableVoice(frequency, params, output) {
+    const frames = (WAVETABLES[params.wavetable || ENGINE_DEFAULTS.wavetable] || WAVETABLES.analog).frames;
+    const envelopeSettings = getEnvelope(params);
+    let { index, amount } = locateFrame(frames, params.wavetablePosition ?? ENGINE_DEFAULTS.wavetablePosition);
+
+    const lower = new Tone.Oscillator({ frequency, type: 'custom', partials: frames[index] });
+    const upper = new Tone.Oscillator({ frequency, type: 'custom', partials: frames[index + 1] });
+    const lowerGain = new Tone.Gain(1 - amount);
+    const upperGain = new Tone.Gain(amount);
+    const envelope = new Tone.AmplitudeEnvelope(envelopeSettings);
+    lower.chain(lowerGain, envelope);
+    upper.chain(upperGain, envelope);
+    envelope.connect(output);
+
+    return {
+        start(time, duration, velocity) {
+            const endTime = time + duration + envelopeSettings.release;
+            lower.start(time).stop(endTime);
+            upper.start(time).stop(endTime);
+            envelope.triggerAttackRelease(duration, time, velocity);
+            return endTime;
+        },
+        stop(time) {
+            envelope.triggerRelease(time);
+            lower.stop(time + 0.05);
+            upper.stop(time + 0.05);
+        },
+        dispose() {
+            [lower, upper, lowerGain, upperGain, envelope].forEach(node => node.dispose());
+        },
+        setPosition(position) {
+            const frame = locateFrame(frames, position);
+            if (frame.index !== index) {
+                index = frame.index;
+                lower.partials = frames[index];
+                upper.partials = frames[index + 1];
+            }
+            if (frame.amount !== amount) {
+                amount = frame.amount;
+                lowerGain.gain.rampTo(1 - amount, 0.03);
+                upperGain.gain.rampTo(amount, 0.03);
+            }
+        }
+    };
+}
+
+/**
+ * Karplus-Strong: a noise burst ringing through a tuned, damped delay line
+ */
+function createPluckVoice(frequency, params, output) {
+    const release = getEnvelope(params).release;
+    const gain = new Tone.Gain(1);
+    const pluck = new Tone.PluckSynth({
+        attackNoise: params.pluckNoise ?? ENGINE_DEFAULTS.pluckNoise,
+        dampening: params.pluckDampening ?? ENGINE_DEFAULTS.pluckDampening,
+        resonance: Math.max(0, Math.min(0.99, params.pluckResonance ?? ENGINE_DEFAULTS.pluckResonance)),
+        release
+    });
+    pluck.connect(gain);
+    gain.connect(output);
+
+    return {
+        start(time, duration, velocity) {
+            // PluckSynth has no velocity input, so scale its output instead
+            gain.gain.setValueAtTime(velocity, time);
+            pluck.triggerAttackRelease(frequency, duration, time);
+            return time + duration + release;
+        },
+        stop(time) {
+            pluck.triggerRelease(time);
+        },
+        dispose() {
+            pluck.dispose();
+            gain.dispose();
+        }
+    };
+}
+
+export const SYNTH_ENGINES = {
+    classic: { label: 'Classic', createVoice: null },
+    fm: { label: 'FM', createVoice: createFMVoice },
+    wavetable: { label: 'Wavetable', createVoice: createWavetableVoice },
+    pluck: { label: 'Karplus-Strong', createVoice: createPluckVoice }
+};
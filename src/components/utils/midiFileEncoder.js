@@ -0,0 +1,99 @@
+/**
+ * Standard MIDI File encoder - writes note tracks as a format 1 .mid file
+ *
+ * Track 0 carries the tempo and a 4/4 time signature; every other track holds
+ * one named list of notes. Times are given in seconds and converted to ticks
+ * at a fixed tempo.
+ */
+
+export const DEFAULT_PPQ = 480;
+
+/**
+ * Encode note tracks as a MIDI file
+ * @param {Array} tracks [{ name, channel (1-16), notes: [{ time, note, velocity, duration }] }], times in seconds
+ * @param {Object} options
+ * @param {number} options.bpm Tempo the seconds are converted at
+ * @param {number} options.ppq Ticks per quarter note
+ * @returns {Blob} audio/midi blob
+ */
+export function encodeMidiFile(tracks, { bpm = 120, ppq = DEFAULT_PPQ } = {}) {
+  const ticksPerSecond = ppq * bpm / 60;
+  const microsecondsPerBeat = Math.round(60000000 / bpm);
+
+  const tempoTrack = [
+    { tick: 0, data: [0xFF, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF] },
+    { tick: 0, data: [0xFF, 0x58, 0x04, 4, 2, 24, 8] }
+  ];
+
+  const chunks = [writeTrack(tempoTrack)];
+
+  tracks.forEach(track => {
+    const status = Math.max(0, Math.min(15, (track.channel || 1) - 1));
+    const events = [{ tick: 0, data: [0xFF, 0x03, ...writeVarLength(textBytes(track.name).length), ...textBytes(track.name)] }];
+
+    track.notes.forEach(({ time, note, velocity, duration }) => {
+      const start = Math.max(0, Math.round(time * ticksPerSecond));
+      const end = start + Math.max(1, Math.round(duration * ticksPerSecond));
+      events.push({ tick: start, data: [0x90 | status, note & 0x7F, Math.max(1, velocity & 0x7F)] });
+      events.push({ tick: end, data: [0x80 | status, note & 0x7F, 0] });
+    });
+
+    chunks.push(writeTrack(events));
+  });
+
+  const header = [
+    ...textBytes('MThd'),
+    0, 0, 0, 6,
+    0, 1,
+    (chunks.length >> 8) & 0xFF, chunks.length & 0xFF,
+    (ppq >> 8) & 0xFF, ppq & 0xFF
+  ];
+
+  return new Blob([new Uint8Array(header), ...chunks], { type: 'audio/midi' });
+}
+
+function writeTrack(events) {
+  // Stable sort by tick; at the same tick note-offs go first so a retrigger isn't cut short
+  const sorted = events
+    .map((event, order) => ({ ...event, order }))
+    .sort((a, b) => a.tick - b.tick || isNoteOff(b) - isNoteOff(a) || a.order - b.order);
+
+  const bytes = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    bytes.push(...writeVarLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  bytes.push(0x00, 0xFF, 0x2F, 0x00); // End of track
+
+  const length = bytes.length;
+  return new Uint8Array([
+    ...textBytes('MTrk'),
+    (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF,
+    ...bytes
+  ]);
+}
+
+function isNoteOff(event) {
+  return (event.data[0] & 0xF0) === 0x80 ? 1 : 0;
+}
+
+function writeVarLength(value) {
+  const bytes = [value & 0x7F];
+  let remaining = value >>> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7F) | 0x80);
+    remaining >>>= 7;
+  }
+  return bytes;
+}
+
+function textBytes(text) {
+  // Track names are plain ASCII in most DAWs
+  return Array.from(String(text), char => {
+    const code = char.charCodeAt(0);
+    return code < 128 ? code : 0x3F;
+  });
+}
+
+export default encodeMidiFile;
@@ -0,0 +1,105 @@
+/**
+ * Scala file parsers - scales (.scl) and keyboard mappings (.kbm)
+ *
+ * Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+ * Lines starting with "!" are comments. Pitches containing a "." are cents,
+ * anything else is a ratio ("3/2") or a whole number ("2" = 2/1).
+ */
+
+/**
+ * Parse a .scl scale file
+ * @param {string} text File contents
+ * @returns {Object} { description, cents: [0, ...degrees], period } - cents has one entry per
+ *   degree, starting with the implicit 0; period is the last pitch of the file (the interval of repetition)
+ */
+export function parseScl(text) {
+  const lines = contentLines(text);
+  if (lines.length < 2) {
+    throw new Error('Scala file is missing its description or note count');
+  }
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid note count in Scala file: "${lines[1].trim()}"`);
+  }
+
+  const pitches = lines.slice(2, 2 + count).map(parsePitch);
+  if (pitches.length < count) {
+    throw new Error(`Scala file lists ${pitches.length} of ${count} pitches`);
+  }
+
+  const period = pitches[pitches.length - 1];
+  if (!(period > 0)) {
+    throw new Error('Scala scale must end on a pitch above its starting note');
+  }
+
+  return {
+    description,
+    cents: [0, ...pitches.slice(0, -1)],
+    period
+  };
+}
+
+/**
+ * Parse a .kbm keyboard mapping file
+ * @param {string} text File contents
+ * @returns {Object} { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency,
+ *   octaveDegree, mapping } - mapping holds a scale degree per key of the pattern, or null for unmapped keys
+ */
+export function parseKbm(text) {
+  const lines = contentLines(text);
+  if (lines.length < 7) {
+    throw new Error('Keyboard mapping is missing header lines');
+  }
+
+  const [size, firstNote, lastNote, middleNote, referenceNote] = lines.slice(0, 5).map(line => parseInt(line, 10));
+  const referenceFrequency = parseFloat(lines[5]);
+  const octaveDegree = parseInt(lines[6], 10);
+
+  if ([size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(value => !Number.isInteger(value)) ||
+      !(referenceFrequency > 0)) {
+    throw new Error('Keyboard mapping header is not valid');
+  }
+
+  // Size 0 is a linear mapping: key n above the middle note is degree n
+  const mapping = lines.slice(7, 7 + size).map(line => {
+    const value = line.trim().toLowerCase();
+    return value === 'x' ? null : parseInt(value, 10);
+  });
+  while (mapping.length < size) {
+    mapping.push(null); // Missing trailing entries are unmapped
+  }
+
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+/**
+ * Convert a Scala pitch to cents
+ * @param {string} line Pitch line ("701.955", "3/2", "2")
+ * @returns {number} Cents
+ */
+export function parsePitch(line) {
+  const value = line.trim().split(/\s+/)[0];
+
+  if (value.includes('.')) {
+    const cents = parseFloat(value);
+    if (!Number.isFinite(cents)) throw new Error(`Invalid cents value: "${value}"`);
+    return cents;
+  }
+
+  const [numerator, denominator = '1'] = value.split('/');
+  const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+  if (!(ratio > 0) || !Number.isFinite(ratio)) {
+    throw new Error(`Invalid ratio: "${value}"`);
+  }
+  return 1200 * Math.log2(ratio);
+}
+
+function contentLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .filter(line => !line.startsWith('!'));
+}
+
+export default parseScl;
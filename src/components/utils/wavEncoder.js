@@ -0,0 +1,85 @@
+/**
+ * WAV encoder - writes rendered audio as a PCM RIFF/WAVE file
+ *
+ * Accepts an AudioBuffer or Tone.ToneAudioBuffer. Samples are clipped to
+ * [-1, 1] and interleaved; 16-bit and 24-bit integer PCM are supported.
+ */
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Encode an audio buffer as a WAV file
+ * @param {AudioBuffer|Object} buffer AudioBuffer, or a ToneAudioBuffer (unwrapped with .get())
+ * @param {Object} options
+ * @param {number} options.bitDepth 16 or 24
+ * @returns {Blob} audio/wav blob
+ */
+export function encodeWAV(buffer, { bitDepth = 16 } = {}) {
+  const audioBuffer = typeof buffer.get === 'function' ? buffer.get() : buffer;
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const channels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const frames = audioBuffer.length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = frames * blockAlign;
+
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk - PCM
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = [];
+  for (let channel = 0; channel < channels; channel++) {
+    channelData.push(audioBuffer.getChannelData(channel));
+  }
+
+  const maxValue = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+      const value = Math.round(sample * maxValue);
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        // 24-bit little endian, written a byte at a time
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+export default encodeWAV;
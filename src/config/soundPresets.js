@@ -242,6 +242,188 @@ const soundPresets = [
         neuronVolume: 2,        // Reduced from 4 to 2 (lower volume to prevent clipping)
         volumeScaling: 0.18,    // Reduced from 0.2 to 0.18 (lower scaling for better balance)
         color: new THREE.Color(0xcccc00) // Yellow
+    },
+
+    // FM engine - sine operators stacked on a carrier (see synthEngines.js)
+    { 
+        name: "FM E-Piano", 
+        engine: "fm",
+        fmOperators: 2,
+        fmRatio: 1,
+        fmIndex: 2.5,
+        fmFeedback: 0,
+        attack: 0.002,
+        decay: 0.6,
+        sustain: 0.2,
+        release: 0.9,
+        filterType: "lowpass",
+        filterFrequency: 6000,
+        filterQ: 0.7,
+        reverbSend: 0.2,
+        delaySend: 0.1,
+        volumeScaling: 0.7,
+        color: new THREE.Color(0xff66aa) // Pink
+    },
+    { 
+        name: "FM Bell", 
+        engine: "fm",
+        fmOperators: 3,
+        fmRatio: 3.5,
+        fmIndex: 4,
+        fmFeedback: 0.1,
+        attack: 0.001,
+        decay: 1.2,
+        sustain: 0.1,
+        release: 2.0,
+        filterType: "lowpass",
+        filterFrequency: 9000,
+        filterQ: 0.5,
+        reverbSend: 0.35,
+        delaySend: 0.15,
+        volumeScaling: 0.5,
+        color: new THREE.Color(0xff66aa) // Pink
+    },
+    { 
+        name: "FM Bass", 
+        engine: "fm",
+        fmOperators: 2,
+        fmRatio: 0.5,
+        fmIndex: 5,
+        fmFeedback: 0.3,
+        attack: 0.002,
+        decay: 0.25,
+        sustain: 0.4,
+        release: 0.3,
+        filterType: "lowpass",
+        filterFrequency: 1200,
+        filterQ: 1.5,
+        reverbSend: 0.05,
+        delaySend: 0.02,
+        inserts: [
+            { type: "distortion", enabled: true, params: { drive: 0.3, wet: 0.6 } }
+        ],
+        volumeScaling: 0.6,
+        color: new THREE.Color(0xff66aa) // Pink
+    },
+
+    // Wavetable engine - the position morphs through the table as the neuron charges
+    { 
+        name: "Wavetable Pad", 
+        engine: "wavetable",
+        wavetable: "analog",
+        wavetablePosition: 0.2,
+        wavetableChargeMod: 0.6,
+        attack: 0.4,
+        decay: 0.6,
+        sustain: 0.7,
+        release: 1.8,
+        useSustainedTone: true,
+        filterType: "lowpass",
+        filterFrequency: 3500,
+        filterQ: 1,
+        reverbSend: 0.4,
+        delaySend: 0.2,
+        inserts: [
+            { type: "chorus", enabled: true, params: { rate: 0.8, depth: 0.6, delay: 4, wet: 0.5 } },
+            { type: "pingPong", enabled: true, params: { time: 0.375, feedback: 0.3, wet: 0.2 } }
+        ],
+        volumeScaling: 0.45,
+        color: new THREE.Color(0x33ff99) // Mint
+    },
+    { 
+        name: "Vocal Morph", 
+        engine: "wavetable",
+        wavetable: "vocal",
+        wavetablePosition: 0,
+        wavetableChargeMod: 1,
+        attack: 0.05,
+        decay: 0.5,
+        sustain: 0.6,
+        release: 1.0,
+        filterType: "lowpass",
+        filterFrequency: 5000,
+        filterQ: 1,
+        reverbSend: 0.3,
+        delaySend: 0.15,
+        volumeScaling: 0.55,
+        color: new THREE.Color(0x33ff99) // Mint
+    },
+
+    // Karplus-Strong engine - plucked strings from a noise burst in a tuned delay line
+    { 
+        name: "KS Harp", 
+        engine: "pluck",
+        pluckDampening: 5000,
+        pluckResonance: 0.95,
+        pluckNoise: 1,
+        attack: 0.001,
+        decay: 0.5,
+        sustain: 0.3,
+        release: 1.5,
+        filterType: "lowpass",
+        filterFrequency: 8000,
+        filterQ: 0.7,
+        reverbSend: 0.3,
+        delaySend: 0.1,
+        volumeScaling: 0.8,
+        color: new THREE.Color(0xaaff00) // Lime
+    },
+    { 
+        name: "KS Nylon", 
+        engine: "pluck",
+        pluckDampening: 2500,
+        pluckResonance: 0.85,
+        pluckNoise: 2,
+        attack: 0.001,
+        decay: 0.3,
+        sustain: 0.2,
+        release: 0.6,
+        filterType: "lowpass",
+        filterFrequency: 4000,
+        filterQ: 0.7,
+        reverbSend: 0.2,
+        delaySend: 0.05,
+        volumeScaling: 0.85,
+        color: new THREE.Color(0xaaff00) // Lime
+    },
+
+    // Insert chains - effects the neuron plays through before its bus
+    { 
+        name: "Crushed Lead", 
+        oscillatorType: "sawtooth",
+        attack: 0.005,
+        decay: 0.2,
+        sustain: 0.3,
+        release: 0.3,
+        filterType: "lowpass",
+        filterFrequency: 6000,
+        filterQ: 1,
+        reverbSend: 0.1,
+        delaySend: 0.1,
+        inserts: [
+            { type: "bitcrusher", enabled: true, params: { bits: 5, wet: 0.7 } },
+            { type: "autoFilter", enabled: true, params: { rate: 4, depth: 0.7, baseFrequency: 400, octaves: 3, wet: 1 } }
+        ],
+        volumeScaling: 0.5,
+        color: new THREE.Color(0xff3366) // Crimson
+    },
+    { 
+        name: "Phased Keys", 
+        oscillatorType: "triangle",
+        attack: 0.01,
+        decay: 0.4,
+        sustain: 0.3,
+        release: 0.6,
+        filterType: "lowpass",
+        filterFrequency: 5000,
+        filterQ: 0.7,
+        reverbSend: 0.25,
+        delaySend: 0.1,
+        inserts: [
+            { type: "phaser", enabled: true, params: { rate: 0.4, octaves: 3, baseFrequency: 400, wet: 0.6 } }
+        ],
+        volumeScaling: 0.7,
+        color: new THREE.Color(0xff3366) // Crimson
     }
 ];
 
@@ -0,0 +1,43 @@
+// Built-in tunings, written as Scala (.scl) files so they load exactly like user files
+// Format: https://www.huygens-fokker.org/scala/scl_format.html
+
+// Equal division of an interval (given in cents) into a number of steps
+const equalDivision = (description, steps, periodCents) => [
+    `! ${description}`,
+    description,
+    ` ${steps}`,
+    ...Array.from({ length: steps }, (_, index) => ` ${((index + 1) * periodCents / steps).toFixed(5)}`)
+].join('\n');
+
+const tuningPresets = {
+    just: {
+        name: 'Just Intonation (5-limit)',
+        scl: [
+            '! ji-12.scl',
+            '5-limit just intonation, 12 notes',
+            ' 12',
+            ' 16/15', ' 9/8', ' 6/5', ' 5/4', ' 4/3', ' 45/32',
+            ' 3/2', ' 8/5', ' 5/3', ' 9/5', ' 15/8', ' 2/1'
+        ].join('\n')
+    },
+    edo19: {
+        name: '19-EDO',
+        scl: equalDivision('19 equal divisions of the octave', 19, 1200)
+    },
+    bohlenPierce: {
+        name: 'Bohlen-Pierce (just)',
+        scl: [
+            '! bohlen-pierce.scl',
+            'Bohlen-Pierce scale, just tuning, 13 steps of the tritave',
+            ' 13',
+            ' 27/25', ' 25/21', ' 9/7', ' 7/5', ' 75/49', ' 5/3', ' 9/5',
+            ' 49/25', ' 15/7', ' 7/3', ' 63/25', ' 25/9', ' 3/1'
+        ].join('\n')
+    },
+    bohlenPierceEqual: {
+        name: 'Bohlen-Pierce (equal)',
+        scl: equalDivision('13 equal divisions of the tritave (3/1)', 13, 1200 * Math.log2(3))
+    }
+};
+
+export default tuningPresets;
@@ -7,13 +7,33 @@ import { initializeManagers, patchExistingCode } from './components/initManagers
 import { Neuron } from './components/neuron.js';  // Note the .js extension
 import { InputManager } from './components/InputManager';
 import { ConnectionManager } from './components/ConnectionManager';
-import { OptimizedSoundManager } from './components/OptimizedSoundManager.js';
+import { OptimizedSoundManager, QUANTIZE_SUBDIVISIONS, VOICING_MODES, CHORD_TYPES, ARPEGGIO_DIRECTIONS, VOICING_PARAMS, MIXER_PARAMS, SPATIAL_MODES } from './components/OptimizedSoundManager.js';
 import { WorkerManager } from './components/WorkerManager.js'; // Import WorkerManager
 import { HarmonicSystem } from './components/HarmonicSystem.js'; // Import the HarmonicSystem
 import { UIManager } from './components/UIManager.js'; // Import the UIManager
 import { SceneManager } from './components/SceneManager.js'; // Import the SceneManager
+import { PatchManager } from './components/PatchManager.js'; // Import the patch save/load system
+import { AutosaveManager } from './components/AutosaveManager.js'; // Import session autosave/recovery
+import { ShareLinkManager } from './components/ShareLinkManager.js'; // Import shareable patch links
+import { HistoryManager } from './components/HistoryManager.js'; // Import undo/redo history
+import { SynapticPlasticity } from './components/SynapticPlasticity.js'; // Import STDP learning
+import { OfflineRenderer } from './components/OfflineRenderer.js'; // Import offline WAV rendering
+import { AudioRecorder } from './components/AudioRecorder.js'; // Import live recording of the master output
+import { MidiManager } from './components/MidiManager.js'; // Import Web MIDI output
+import { SpikeRecorder } from './components/SpikeRecorder.js'; // Import spike recording and MIDI file export
+import { ScaleManager, SCALES, NOTE_NAMES } from './components/ScaleManager.js'; // Import the global key/scale lock
+import { SampleManager, SAMPLE_VELOCITY_CURVES } from './components/SampleManager.js'; // Import sample voices
+import { SYNTH_ENGINES, WAVETABLES, ENGINE_DEFAULTS } from './components/synthEngines.js'; // Import FM, wavetable and Karplus-Strong engines
+import { InsertChainEditor } from './components/InsertChainEditor.js'; // Import the per-neuron insert effects editor
+import { ModMatrixEditor } from './components/ModMatrixEditor.js'; // Import the modulation route editor
+import { LFO_SHAPES, MOD_DEFAULTS, MOD_PARAMS } from './components/ModMatrix.js'; // Import modulation matrix sources and LFOs
+import { MixerPanel } from './components/MixerPanel.js'; // Import the bus and neuron mixer
+import { TempoClock, TEMPO_SOURCES, TEMPO_MIN_BPM, TEMPO_MAX_BPM } from './components/TempoClock.js'; // Import the global tempo clock
+import { SimulationCore } from './components/core/SimulationCore.js'; // Deterministic fixed-timestep simulation
+import { NEURON_MODEL_OPTIONS, DEFAULT_NEURON_MODEL } from './components/core/neuronModels.js'; // Selectable neuron models
 
 import soundPresets from './config/soundPresets.js'; // Import sound presets
+import tuningPresets from './config/tuningPresets.js'; // Import built-in Scala tunings
 
 import gsap from 'gsap';
 
@@ -98,11 +118,42 @@ window.settings = {
     // Audio
     volume: -6,
     volumeNormalization: 1.0,  // Default volume normalization factor
+    renderDuration: 30,        // Length of offline WAV renders in seconds
+    renderBitDepth: 16,        // Bit depth of offline WAV renders (16 or 24)
+    
+    // Network
+    chargeFloor: -0.5,         // Lowest charge inhibitory synapses can push a neuron to (x threshold)
+    deterministicSimulation: false, // Drive firing from the fixed-timestep simulation core
+    simulationSeed: 1,         // RNG seed for the simulation core
+    simulationNoise: 0,        // Random input current per neuron (fraction of full DC), drawn from the seed
+    
+    // Synaptic plasticity (STDP)
+    stdpEnabled: false,        // Let spike timing strengthen and weaken connections
+    stdpLearningRate: 0.1,     // Global scale for weight changes
+    stdpAPlus: 0.1,            // Potentiation when the input fires before its target
+    stdpAMinus: 0.12,          // Depression when the input fires after its target
+    stdpTau: 200,              // STDP window time constant in ms
+    
+    // Tempo
+    tempoBPM: 120,             // Global tempo in quarter notes per minute
+    tempoSource: 'transport',  // 'transport' (local clock) or 'midi' (follow incoming MIDI clock)
+    quantizeDC: false,         // Fire DC neurons on beat subdivisions instead of free-running
+    quantizeOutput: false,     // Snap notes (not spikes) to the Transport grid
+    quantizeSubdivision: '16n', // Output quantizer grid (Tone time notation)
+    quantizeSwing: 0,          // Delay of every other grid step (0-1)
+    quantizeHumanize: 0,       // Random timing spread around the grid (0-1)
+    
+    // Key
+    scaleRoot: 0,              // Root pitch class (0 = C)
+    scaleType: 'chromatic',    // Key of SCALES - 'chromatic' leaves notes unlocked
+    scaleCustom: '0 2 4 5 7 9 11', // Semitones above the root for the custom scale
+    tuning: 'tet12',           // 'tet12', a key of tuningPresets, or 'file' for an imported Scala tuning
     
     // Selected neuron synth parameters
     selectedPitchDecay: 0.05,
     selectedDetune: 0,
     selectedNeuronVolume: 0,  // Individual neuron volume offset
+    selectedNeuronPan: 0,     // Individual neuron pan (-1 left, 1 right)
     selectedAttack: 0.002,
     selectedDecay: 0.3,
     selectedSustain: 0.2,     // Added sustain parameter
@@ -115,6 +166,10 @@ window.settings = {
     
     // Harmony controls
     isHarmonyAnchor: false,    // Added toggle for harmony anchor
+    selectedLeakTimeConstant: 0, // Membrane leak in ms (0 = charge never leaks)
+    selectedNeuronModel: DEFAULT_NEURON_MODEL, // Membrane dynamics of the selected neuron
+    selectedMidiPort: '',      // MIDI output port of the selected neuron ('' = MIDI folder default)
+    selectedMidiChannel: 0,    // MIDI channel of the selected neuron (0 = MIDI folder default)
     harmonyStrength: 0.5,      // Global harmony strength
     harmonyDebug: false,       // Debug mode for harmony system
     
@@ -133,11 +188,47 @@ window.settings = {
     selectedVibratoFreq: 5,
     selectedVibratoDepth: 0,
     
+    // Voicing parameters
+    selectedVoicing: 'single',        // Key of VOICING_MODES
+    selectedChordType: 'triad',       // Key of CHORD_TYPES
+    selectedChordIntervals: '0 4 7',  // Semitones for the custom chord
+    selectedArpDirection: 'up',       // Key of ARPEGGIO_DIRECTIONS
+    selectedArpRate: '16n',           // Key of QUANTIZE_SUBDIVISIONS
+    selectedArpOctaves: 1,
+    
+    // Sample parameters
+    selectedSampleId: '',             // SampleManager ID ('' = synth voice)
+    selectedSampleStart: 0,
+    selectedSampleEnd: 1,
+    selectedSampleReverse: false,
+    selectedSampleRoot: 60,           // MIDI note the sample was recorded at
+    selectedSampleVelocityCurve: 'linear', // Key of SAMPLE_VELOCITY_CURVES
+    
+    // Synth engine parameters (see synthEngines.js)
+    selectedEngine: 'classic',        // Key of SYNTH_ENGINES
+    selectedFmOperators: 2,
+    selectedFmRatio: 2,
+    selectedFmIndex: 3,
+    selectedFmFeedback: 0,
+    selectedWavetable: 'analog',      // Key of WAVETABLES
+    selectedWavetablePosition: 0,
+    selectedWavetableChargeMod: 0,
+    selectedPluckDampening: 4000,
+    selectedPluckResonance: 0.9,
+    selectedPluckNoise: 1,
+    
+    // Modulation matrix LFOs (routes are edited in the Mod tab, see ModMatrix.js)
+    selectedModLfo1Rate: 0.5,
+    selectedModLfo1Shape: 'sine',     // Key of LFO_SHAPES
+    selectedModLfo2Rate: 0.1,
+    selectedModLfo2Shape: 'triangle',
+    
     // Preview sound toggle
     previewSounds: false,
     
     // Spatial audio toggle
     spatialAudioEnabled: false,
+    spatialAudioMode: 'stereo',       // Key of SPATIAL_MODES
     
     // Methods for UI interaction
     addNeuron: (position) => {
@@ -166,6 +257,11 @@ try {
     pane.on('change', () => {
         pane.element.style.width = '300px';
         pane.element.style.transform = 'none';
+        
+        // Any parameter change is worth an autosave snapshot
+        if (window.autosaveManager) {
+            window.autosaveManager.requestSave();
+        }
     });
     
     // Add additional event listener to prevent panel movement during slider interaction
@@ -642,7 +738,7 @@ function updateNeuronGridDisplay() {
         button.style.boxSizing = 'border-box'; // Include border in size calculation
         
         // Color-code different octaves with shades of grey for 8-bit look
-        const octave = parseInt(note.name.match(/\d+/)[0]);
+        const octave = note.octave ?? parseInt(note.name.match(/\d+/)[0]);
         
         // Apply different shades of grey based on octave
         let bgColor, borderColorTop, borderColorBottom;
@@ -865,25 +961,39 @@ function updateNeuronGridDisplay() {
     }
     
     // Organize notes into exactly 3 rows with notes spread across columns
-    
-    // Calculate number of notes per row (36 notes total ÷ 3 rows = 12 notes per row)
-    const notesPerRow = Math.ceil(musicalNotes.length / 3);
-    
-    // Create 3 rows of notes
-    const rowGroups = [
-        musicalNotes.slice(0, notesPerRow),          // Row 1: Lowest third (C2-G3)
-        musicalNotes.slice(notesPerRow, notesPerRow * 2),   // Row 2: Middle third (A3-E5)
-        musicalNotes.slice(notesPerRow * 2)          // Row 3: Highest third (F5-B6)
-    ];
-    
-    // Add notes row by row (each row will have multiple columns)
-    rowGroups.forEach((rowNotes, rowIndex) => {
-        rowNotes.forEach((note, noteIndex) => {
-            const overallIndex = rowIndex * notesPerRow + noteIndex;
-            const button = createNoteButton(note, overallIndex);
-        noteButtonsContainer.appendChild(button);
+    function buildNoteButtons(notes) {
+        noteButtonsContainer.innerHTML = '';
+        activeNoteButton = null;
+        window.activeNoteButton = null;
+        
+        // Calculate number of notes per row (36 notes total ÷ 3 rows = 12 notes per row)
+        const notesPerRow = Math.ceil(notes.length / 3);
+        
+        // Create 3 rows of notes
+        const rowGroups = [
+            notes.slice(0, notesPerRow),          // Row 1: Lowest third (C2-G3)
+            notes.slice(notesPerRow, notesPerRow * 2),   // Row 2: Middle third (A3-E5)
+            notes.slice(notesPerRow * 2)          // Row 3: Highest third (F5-B6)
+        ];
+        
+        // Add notes row by row (each row will have multiple columns)
+        rowGroups.forEach((rowNotes, rowIndex) => {
+            rowNotes.forEach((note, noteIndex) => {
+                const overallIndex = rowIndex * notesPerRow + noteIndex;
+                const button = createNoteButton(note, overallIndex);
+                noteButtonsContainer.appendChild(button);
+            });
         });
-    });
+    }
+    buildNoteButtons(musicalNotes);
+    
+    // With a key locked the picker only offers notes of the scale (see ScaleManager)
+    window.rebuildNoteButtons = function() {
+        buildNoteButtons(window.scaleManager?.getPickerNotes() || musicalNotes);
+        if (window.settings.selectedNote && window.updateActiveNoteButton) {
+            window.updateActiveNoteButton(window.settings.selectedNote);
+        }
+    };
     
     // Function to update the active note button styling with 8-bit aesthetics
     window.updateActiveNoteButton = function(noteFreq) {
@@ -1033,7 +1143,12 @@ function updateNeuronGridDisplay() {
             {title: 'Sound'},
             {title: 'Filter'},
             {title: 'FX Sends'},
-            {title: 'Modulation'}
+            {title: 'Modulation'},
+            {title: 'Voicing'},
+            {title: 'Sample'},
+            {title: 'Engine'},
+            {title: 'Inserts'},
+            {title: 'Mod'}
         ]
     });
     
@@ -1055,6 +1170,12 @@ function updateNeuronGridDisplay() {
         window.soundManager?.updateSelectedSynthParam('neuronVolume', ev.value);
     });
 
+    soundTabs.pages[0].addBinding(window.settings, 'selectedNeuronPan', {
+        min: -1, max: 1, step: 0.05, label: 'Pan'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('neuronPan', ev.value);
+    });
+
     // Create oscillator type dropdown
     if (window.soundManager && window.soundManager.getOscillatorTypes) {
         const oscillatorTypes = window.soundManager.getOscillatorTypes();
@@ -1178,6 +1299,71 @@ function updateNeuronGridDisplay() {
         }
     });
 
+    // Leak time constant - how quickly charge from inputs drains away (0 = no leak)
+    soundTabs.pages[0].addBinding(window.settings, 'selectedLeakTimeConstant', {
+        min: 0, max: 2000, step: 10, label: 'Leak (ms)'
+    }).on('change', (ev) => {
+        if (window.soundManager && window.soundManager.selectedNeuronId !== null) {
+            const selectedNeuronId = window.soundManager.selectedNeuronId;
+            const selectedNeuron = window.circles.find(
+                circle => circle && circle.neuron && circle.neuron.id === selectedNeuronId
+            );
+            
+            if (selectedNeuron && selectedNeuron.neuron) {
+                selectedNeuron.neuron.setLeakTimeConstant(ev.value);
+            }
+        }
+    });
+
+    // Neuron model - LIF charges up steadily, Izhikevich presets add bursts, resonate-and-fire follows rhythm
+    soundTabs.pages[0].addBinding(window.settings, 'selectedNeuronModel', {
+        options: NEURON_MODEL_OPTIONS.reduce((acc, { key, label }) => {
+            acc[label] = key;
+            return acc;
+        }, {}),
+        label: 'Neuron Model'
+    }).on('change', (ev) => {
+        if (window.soundManager && window.soundManager.selectedNeuronId !== null) {
+            const selectedNeuronId = window.soundManager.selectedNeuronId;
+            const selectedNeuron = window.circles.find(
+                circle => circle && circle.neuron && circle.neuron.id === selectedNeuronId
+            );
+            
+            if (selectedNeuron && selectedNeuron.neuron && selectedNeuron.neuron.modelKey !== ev.value) {
+                selectedNeuron.neuron.setModel(ev.value);
+            }
+        }
+    });
+
+    // MIDI routing for the selected neuron - port options follow the connected devices
+    const updateSelectedMidiSettings = (settingsChange) => {
+        if (window.midiManager && window.soundManager && window.soundManager.selectedNeuronId !== null) {
+            window.midiManager.setNeuronSettings(window.soundManager.selectedNeuronId, settingsChange);
+        }
+    };
+
+    let midiPortBinding = null;
+    const buildMidiPortBinding = (outputs) => {
+        const index = midiPortBinding ? soundTabs.pages[0].children.indexOf(midiPortBinding) : undefined;
+        if (midiPortBinding) {
+            midiPortBinding.dispose();
+        }
+        midiPortBinding = soundTabs.pages[0].addBinding(window.settings, 'selectedMidiPort', {
+            options: outputs.reduce((acc, output) => {
+                acc[output.name] = output.id;
+                return acc;
+            }, { 'Default': '' }),
+            label: 'MIDI Port',
+            index: index
+        }).on('change', (ev) => updateSelectedMidiSettings({ portId: ev.value }));
+    };
+    window.buildMidiPortBinding = buildMidiPortBinding;
+    buildMidiPortBinding([]);
+
+    soundTabs.pages[0].addBinding(window.settings, 'selectedMidiChannel', {
+        min: 0, max: 16, step: 1, label: 'MIDI Ch (0=def)'
+    }).on('change', (ev) => updateSelectedMidiSettings({ channel: ev.value }));
+
     // ---- FILTER CONTROLS TAB ----
     // Add filter type dropdown
     if (window.soundManager && window.soundManager.getFilterTypes) {
@@ -1260,6 +1446,210 @@ function updateNeuronGridDisplay() {
         // Do not play a test tone automatically
     });
 
+    // ---- VOICING TAB ----
+    // Single note, chord or arpeggio per firing; chord tones snap into the global key
+    const toOptions = (labels) => Object.entries(labels).reduce((acc, [key, label]) => {
+        acc[label] = key;
+        return acc;
+    }, {});
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedVoicing', {
+        options: toOptions(VOICING_MODES),
+        label: 'Voicing'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('voicing', ev.value);
+    });
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedChordType', {
+        options: Object.entries(CHORD_TYPES).reduce((acc, [key, chord]) => {
+            acc[chord.label] = key;
+            return acc;
+        }, {}),
+        label: 'Chord'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('chordType', ev.value);
+    });
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedChordIntervals', {
+        label: 'Custom Chord'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('chordIntervals', ev.value);
+    });
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedArpDirection', {
+        options: toOptions(ARPEGGIO_DIRECTIONS),
+        label: 'Arp Direction'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('arpDirection', ev.value);
+    });
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedArpRate', {
+        options: toOptions(QUANTIZE_SUBDIVISIONS),
+        label: 'Arp Rate'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('arpRate', ev.value);
+    });
+
+    soundTabs.pages[4].addBinding(window.settings, 'selectedArpOctaves', {
+        min: 1, max: 4, step: 1, label: 'Arp Octaves'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('arpOctaves', ev.value);
+    });
+
+    // ---- SAMPLE TAB ----
+    // A loaded sample (or an audio file dropped on the neuron) replaces the synth voice
+    window.buildSampleBinding = () => {
+        if (window.sampleBinding) {
+            window.sampleBinding.dispose();
+        }
+
+        const options = { 'None (synth)': '' };
+        (window.sampleManager?.list() || []).forEach(sample => {
+            options[sample.name] = sample.id;
+        });
+
+        window.sampleBinding = soundTabs.pages[5].addBinding(window.settings, 'selectedSampleId', {
+            options,
+            label: 'Sample',
+            index: 0
+        }).on('change', (ev) => {
+            window.soundManager?.updateSelectedSynthParam('sampleId', ev.value);
+        });
+    };
+    window.buildSampleBinding();
+
+    soundTabs.pages[5].addButton({
+        title: 'Load Sample'
+    }).on('click', () => {
+        if (!window.sampleManager) return;
+        window.sampleManager.importFromFile()
+            .then(sample => {
+                if (!sample) return;
+                window.soundManager?.updateSelectedSynthParam('sampleId', sample.id);
+            })
+            .catch(error => {
+                console.error("Error loading sample:", error);
+                if (uiManager) uiManager.showNotification(`Could not load sample: ${error.message}`);
+            });
+    });
+
+    soundTabs.pages[5].addBinding(window.settings, 'selectedSampleStart', {
+        min: 0, max: 1, step: 0.01, label: 'Start'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('sampleStart', ev.value);
+    });
+
+    soundTabs.pages[5].addBinding(window.settings, 'selectedSampleEnd', {
+        min: 0, max: 1, step: 0.01, label: 'End'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('sampleEnd', ev.value);
+    });
+
+    soundTabs.pages[5].addBinding(window.settings, 'selectedSampleReverse', {
+        label: 'Reverse'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('sampleReverse', ev.value);
+    });
+
+    soundTabs.pages[5].addBinding(window.settings, 'selectedSampleRoot', {
+        min: 24, max: 96, step: 1, label: 'Root Note'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('sampleRoot', ev.value);
+    });
+
+    soundTabs.pages[5].addBinding(window.settings, 'selectedSampleVelocityCurve', {
+        options: toOptions(SAMPLE_VELOCITY_CURVES),
+        label: 'Velocity Curve'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('sampleVelocityCurve', ev.value);
+    });
+
+    // ---- ENGINE TAB ----
+    // Classic uses the bus synths; the other engines show their own controls
+    soundTabs.pages[6].addBinding(window.settings, 'selectedEngine', {
+        options: Object.entries(SYNTH_ENGINES).reduce((acc, [key, engine]) => {
+            acc[engine.label] = key;
+            return acc;
+        }, {}),
+        label: 'Engine'
+    }).on('change', (ev) => {
+        window.soundManager?.updateSelectedSynthParam('engine', ev.value);
+        window.updateEngineControls();
+    });
+
+    const engineControls = {
+        fm: [
+            ['fmOperators', { min: 2, max: 4, step: 1, label: 'Operators' }],
+            ['fmRatio', { min: 0.5, max: 8, step: 0.5, label: 'Ratio' }],
+            ['fmIndex', { min: 0, max: 20, step: 0.1, label: 'Index' }],
+            ['fmFeedback', { min: 0, max: 1, step: 0.01, label: 'Feedback' }]
+        ],
+        wavetable: [
+            ['wavetable', {
+                options: Object.entries(WAVETABLES).reduce((acc, [key, table]) => {
+                    acc[table.label] = key;
+                    return acc;
+                }, {}),
+                label: 'Table'
+            }],
+            ['wavetablePosition', { min: 0, max: 1, step: 0.01, label: 'Position' }],
+            ['wavetableChargeMod', { min: -1, max: 1, step: 0.01, label: 'Charge → Pos' }]
+        ],
+        pluck: [
+            ['pluckDampening', { min: 500, max: 10000, step: 100, label: 'Dampening' }],
+            ['pluckResonance', { min: 0.5, max: 0.99, step: 0.01, label: 'Resonance' }],
+            ['pluckNoise', { min: 0.1, max: 20, step: 0.1, label: 'Noise' }]
+        ]
+    };
+
+    const engineBindings = {};
+    Object.entries(engineControls).forEach(([engine, controls]) => {
+        engineBindings[engine] = controls.map(([param, options]) => {
+            const settingName = `selected${param.charAt(0).toUpperCase() + param.slice(1)}`;
+            return soundTabs.pages[6].addBinding(window.settings, settingName, options).on('change', (ev) => {
+                window.soundManager?.updateSelectedSynthParam(param, ev.value);
+            });
+        });
+    });
+
+    window.updateEngineControls = () => {
+        Object.entries(engineBindings).forEach(([engine, bindings]) => {
+            bindings.forEach(binding => {
+                binding.hidden = engine !== window.settings.selectedEngine;
+            });
+        });
+    };
+    window.updateEngineControls();
+
+    // ---- INSERTS TAB ----
+    // Per-neuron effect chain between the neuron's voices and its bus
+    window.insertChainEditor = new InsertChainEditor((inserts) => {
+        window.soundManager?.updateSelectedSynthParam('inserts', inserts);
+    });
+    soundTabs.pages[7].element.appendChild(window.insertChainEditor.element);
+
+    // ---- MOD TAB ----
+    // Routes from network state (charge, firing rate, weights, ...) and two LFOs to sound parameters
+    [1, 2].forEach(lfo => {
+        soundTabs.pages[8].addBinding(window.settings, `selectedModLfo${lfo}Rate`, {
+            min: 0.01, max: 10, step: 0.01, label: `LFO ${lfo} Rate`
+        }).on('change', (ev) => {
+            window.soundManager?.updateSelectedSynthParam(`modLfo${lfo}Rate`, ev.value);
+        });
+
+        soundTabs.pages[8].addBinding(window.settings, `selectedModLfo${lfo}Shape`, {
+            options: toOptions(LFO_SHAPES),
+            label: `LFO ${lfo} Shape`
+        }).on('change', (ev) => {
+            window.soundManager?.updateSelectedSynthParam(`modLfo${lfo}Shape`, ev.value);
+        });
+    });
+
+    window.modMatrixEditor = new ModMatrixEditor((routes) => {
+        window.soundManager?.updateSelectedSynthParam('modRoutes', routes);
+    });
+    soundTabs.pages[8].element.appendChild(window.modMatrixEditor.element);
+
     // Add toggle for preview sounds when adjusting parameters
     selectedSynthFolder.addBinding(window.settings, 'previewSounds', {
         label: 'Solo + Preview'
@@ -1278,6 +1668,14 @@ function updateNeuronGridDisplay() {
         }
     });
 
+    // Stereo pans each bus; 3D places every neuron around a listener at the camera center (best on headphones)
+    selectedSynthFolder.addBinding(window.settings, 'spatialAudioMode', {
+        options: toOptions(SPATIAL_MODES),
+        label: 'Spatial Mode'
+    }).on('change', (ev) => {
+        window.soundManager?.setSpatialMode(ev.value);
+    });
+
     // Preset container, header, grid, and related components already created earlier
 
     // Use sound presets imported from config
@@ -1974,6 +2372,13 @@ function updateNeuronGridDisplay() {
                 if (show && neuron) {
                     // Update isHarmonyAnchor in settings based on the selected neuron
                     window.settings.isHarmonyAnchor = neuron.isHarmonyAnchor || false;
+                    window.settings.selectedLeakTimeConstant = neuron.leakTimeConstant || 0;
+                    window.settings.selectedNeuronModel = neuron.modelKey || DEFAULT_NEURON_MODEL;
+                    if (window.midiManager) {
+                        const midiSettings = window.midiManager.getNeuronSettings(neuron.id);
+                        window.settings.selectedMidiPort = midiSettings.portId || '';
+                        window.settings.selectedMidiChannel = midiSettings.channel || 0;
+                    }
                     
                     // Update UI to reflect current status
                     if (window.selectedSynthFolder) {
@@ -2290,6 +2695,325 @@ pane.addBinding(window.settings, 'volumeNormalization', {
         }
     });
 
+    // Faders, pan, mute/solo and meters for every bus and neuron
+    window.mixerPanel = new MixerPanel();
+    pane.addButton({
+        title: 'Mixer'
+    }).on('click', () => window.mixerPanel.toggle());
+
+    // How far inhibitory (negative weight) connections can pull a neuron's charge down
+    pane.addBinding(window.settings, 'chargeFloor', {
+        min: -1,
+        max: 0,
+        step: 0.05,
+        label: 'Inhibition Floor'
+    }).on('change', (ev) => {
+        Neuron.setChargeFloor(ev.value);
+    });
+
+    // Deterministic mode - the simulation core runs the network in fixed 1ms steps,
+    // so a patch and seed always produce the same spikes
+    const restartSimulationCore = () => {
+        if (!window.simulationCore) return;
+        if (window.settings.deterministicSimulation) {
+            window.simulationCore.seed = window.settings.simulationSeed;
+            window.simulationCore.noise = window.settings.simulationNoise;
+            Neuron.attachSimulationCore(window.simulationCore);
+        } else {
+            Neuron.detachSimulationCore();
+        }
+    };
+
+    pane.addBinding(window.settings, 'deterministicSimulation', {
+        label: 'Deterministic'
+    }).on('change', restartSimulationCore);
+
+    pane.addBinding(window.settings, 'simulationSeed', {
+        min: 1, max: 9999, step: 1, label: 'Seed'
+    }).on('change', restartSimulationCore);
+
+    // Noise is the only random input, so the seed only changes the spikes when it is above 0
+    pane.addBinding(window.settings, 'simulationNoise', {
+        min: 0, max: 0.5, step: 0.01, label: 'Noise'
+    }).on('change', restartSimulationCore);
+
+    // Spike-timing-dependent plasticity - connections learn from the timing of the spikes they carry
+    const plasticityFolder = pane.addFolder({
+        title: 'Plasticity (STDP)',
+        expanded: false
+    });
+
+    const updatePlasticity = () => {
+        if (!window.synapticPlasticity) return;
+        window.synapticPlasticity.configure({
+            enabled: window.settings.stdpEnabled,
+            learningRate: window.settings.stdpLearningRate,
+            aPlus: window.settings.stdpAPlus,
+            aMinus: window.settings.stdpAMinus,
+            tau: window.settings.stdpTau
+        });
+    };
+
+    plasticityFolder.addBinding(window.settings, 'stdpEnabled', {
+        label: 'Learning'
+    }).on('change', updatePlasticity);
+
+    plasticityFolder.addBinding(window.settings, 'stdpLearningRate', {
+        min: 0, max: 1, step: 0.01, label: 'Learning Rate'
+    }).on('change', updatePlasticity);
+
+    plasticityFolder.addBinding(window.settings, 'stdpAPlus', {
+        min: 0, max: 0.5, step: 0.01, label: 'A+'
+    }).on('change', updatePlasticity);
+
+    plasticityFolder.addBinding(window.settings, 'stdpAMinus', {
+        min: 0, max: 0.5, step: 0.01, label: 'A-'
+    }).on('change', updatePlasticity);
+
+    plasticityFolder.addBinding(window.settings, 'stdpTau', {
+        min: 10, max: 1000, step: 10, label: 'Tau (ms)'
+    }).on('change', updatePlasticity);
+
+    // Global key - every neuron note, harmonic adjustment and note button snaps into the scale
+    const keyFolder = pane.addFolder({
+        title: 'Key',
+        expanded: false
+    });
+    window.keyFolder = keyFolder;
+
+    const parseCustomScale = (text) => String(text)
+        .split(/[\s,]+/)
+        .map(Number)
+        .filter(Number.isFinite);
+
+    keyFolder.addBinding(window.settings, 'scaleRoot', {
+        options: NOTE_NAMES.reduce((acc, name, index) => {
+            acc[name] = index;
+            return acc;
+        }, {}),
+        label: 'Root'
+    }).on('change', (ev) => {
+        window.scaleManager?.setKey({ root: ev.value });
+    });
+
+    keyFolder.addBinding(window.settings, 'scaleType', {
+        options: Object.entries(SCALES).reduce((acc, [key, scale]) => {
+            acc[scale.label] = key;
+            return acc;
+        }, {}),
+        label: 'Scale'
+    }).on('change', (ev) => {
+        window.scaleManager?.setKey({ scale: ev.value });
+    });
+
+    keyFolder.addBinding(window.settings, 'scaleCustom', {
+        label: 'Custom'
+    }).on('change', (ev) => {
+        if (!window.scaleManager) return;
+        window.scaleManager.setKey({ customIntervals: parseCustomScale(ev.value) });
+    });
+
+    // Microtonal tunings - a Scala tuning replaces 12-TET and acts as the scale
+    window.buildTuningBinding = () => {
+        if (window.tuningBinding) {
+            window.tuningBinding.dispose();
+        }
+
+        const options = { '12-TET': 'tet12' };
+        Object.entries(tuningPresets).forEach(([key, preset]) => {
+            options[preset.name] = key;
+        });
+        const tuning = window.scaleManager?.tuning;
+        if (tuning && window.settings.tuning === 'file') {
+            options[tuning.name] = 'file';
+        }
+
+        window.tuningBinding = keyFolder.addBinding(window.settings, 'tuning', {
+            options,
+            label: 'Tuning',
+            index: 3
+        }).on('change', (ev) => {
+            if (!window.scaleManager) return;
+            if (ev.value === 'tet12') {
+                window.scaleManager.clearTuning();
+            } else if (tuningPresets[ev.value]) {
+                window.scaleManager.loadTuning(tuningPresets[ev.value].scl, null, tuningPresets[ev.value].name);
+            }
+        });
+    };
+    window.buildTuningBinding();
+
+    keyFolder.addButton({
+        title: 'Load .scl/.kbm'
+    }).on('click', () => {
+        if (!window.scaleManager) return;
+        window.scaleManager.importFromFile()
+            .then(name => {
+                if (name && uiManager) uiManager.showNotification(`Tuning: ${name}`);
+            })
+            .catch(error => {
+                console.error("Error loading Scala file:", error);
+                if (uiManager) uiManager.showNotification(`Could not load tuning: ${error.message}`);
+            });
+    });
+
+    // Global tempo - with DC quantized, a neuron's DC input picks a beat subdivision
+    // (1/4 up to 1/16 triplets) instead of a free-running firing rate
+    const tempoFolder = pane.addFolder({
+        title: 'Tempo',
+        expanded: false
+    });
+    window.tempoFolder = tempoFolder;
+
+    tempoFolder.addBinding(window.settings, 'tempoBPM', {
+        min: TEMPO_MIN_BPM, max: TEMPO_MAX_BPM, step: 1, label: 'BPM'
+    }).on('change', (ev) => {
+        if (!window.tempoClock) return;
+        window.tempoClock.setBPM(ev.value);
+        // Following MIDI clock - put back the sender's tempo
+        if (window.tempoClock.bpm !== ev.value) {
+            window.settings.tempoBPM = window.tempoClock.bpm;
+            tempoFolder.refresh();
+        }
+    });
+
+    tempoFolder.addBinding(window.settings, 'tempoSource', {
+        options: Object.entries(TEMPO_SOURCES).reduce((acc, [key, label]) => {
+            acc[label] = key;
+            return acc;
+        }, {}),
+        label: 'Clock'
+    }).on('change', (ev) => {
+        window.tempoClock?.setSource(ev.value);
+    });
+
+    tempoFolder.addBinding(window.settings, 'quantizeDC', {
+        label: 'Quantize DC'
+    }).on('change', (ev) => {
+        window.tempoClock?.setQuantizeDC(ev.value);
+    });
+
+    // Output quantizer - spikes keep their timing, only the notes snap to the grid
+    const updateOutputQuantize = () => {
+        if (!window.soundManager) return;
+        window.soundManager.setOutputQuantize({
+            enabled: window.settings.quantizeOutput,
+            subdivision: window.settings.quantizeSubdivision,
+            swing: window.settings.quantizeSwing,
+            humanize: window.settings.quantizeHumanize
+        });
+    };
+
+    tempoFolder.addBinding(window.settings, 'quantizeOutput', {
+        label: 'Quantize Notes'
+    }).on('change', updateOutputQuantize);
+
+    tempoFolder.addBinding(window.settings, 'quantizeSubdivision', {
+        options: Object.entries(QUANTIZE_SUBDIVISIONS).reduce((acc, [key, label]) => {
+            acc[label] = key;
+            return acc;
+        }, {}),
+        label: 'Grid'
+    }).on('change', updateOutputQuantize);
+
+    tempoFolder.addBinding(window.settings, 'quantizeSwing', {
+        min: 0, max: 1, step: 0.01, label: 'Swing'
+    }).on('change', updateOutputQuantize);
+
+    tempoFolder.addBinding(window.settings, 'quantizeHumanize', {
+        min: 0, max: 1, step: 0.01, label: 'Humanize'
+    }).on('change', updateOutputQuantize);
+
+    // Patch save/load controls
+    const patchFolder = pane.addFolder({
+        title: 'Patch',
+        expanded: false
+    });
+
+    patchFolder.addButton({
+        title: 'Save Patch'
+    }).on('click', () => {
+        if (!window.patchManager) return;
+        try {
+            window.patchManager.exportToFile();
+        } catch (error) {
+            console.error("Error saving patch:", error);
+            uiManager.showNotification('Could not save patch');
+        }
+    });
+
+    patchFolder.addButton({
+        title: 'Load Patch'
+    }).on('click', () => {
+        if (!window.patchManager) return;
+        // Loading can replace the start button, so unlock audio from this click
+        Tone.start();
+        window.patchManager.importFromFile()
+            .then(() => {
+                if (window.circles.length > 0) {
+                    uiManager.networkStarted = true;
+                    if (uiManager.startButtonContainer) {
+                        uiManager.startButtonContainer.style.display = 'none';
+                    }
+                }
+                if (window.autosaveManager) {
+                    window.autosaveManager.start();
+                    window.autosaveManager.requestSave();
+                }
+            })
+            .catch(error => {
+                console.error("Error loading patch:", error);
+                uiManager.showNotification(`Could not load patch: ${error.message}`);
+            });
+    });
+
+    patchFolder.addButton({
+        title: 'Copy Link'
+    }).on('click', () => {
+        uiManager.copyShareLink().catch(error => {
+            console.error("Error copying share link:", error);
+            uiManager.showNotification('Could not copy link');
+        });
+    });
+
+    patchFolder.addButton({
+        title: 'Roll Back Snapshot'
+    }).on('click', () => {
+        if (!window.autosaveManager) return;
+        window.autosaveManager.rollBack()
+            .then(snapshot => {
+                uiManager.showNotification(`Restored snapshot from ${new Date(snapshot.savedAt).toLocaleTimeString()}`);
+            })
+            .catch(error => {
+                uiManager.showNotification(error.message);
+            });
+    });
+
+    patchFolder.addBinding(window.settings, 'renderDuration', {
+        min: 1, max: 600, step: 1, label: 'Render (s)'
+    });
+
+    patchFolder.addBinding(window.settings, 'renderBitDepth', {
+        options: { '16-bit': 16, '24-bit': 24 },
+        label: 'Bit Depth'
+    });
+
+    patchFolder.addButton({
+        title: 'Render WAV'
+    }).on('click', () => {
+        if (!window.offlineRenderer || window.offlineRenderer.isRendering) return;
+        uiManager.showNotification(`Rendering ${window.settings.renderDuration}s of audio...`);
+        window.offlineRenderer.renderToFile({
+            duration: window.settings.renderDuration,
+            bitDepth: window.settings.renderBitDepth
+        })
+            .then(name => uiManager.showNotification(`Saved ${name}`))
+            .catch(error => {
+                console.error("Error rendering patch:", error);
+                uiManager.showNotification(`Could not render: ${error.message}`);
+            });
+    });
+
     // Connection Weight and Speed controls removed as requested
 
     // Initialize global controls object
@@ -2555,6 +3279,11 @@ pane.addBinding(window.settings, 'volumeNormalization', {
             return false;
         }
         
+        // Snapshot the current sound so the preset change can be undone
+        const historyBefore = window.historyManager?.isRecording()
+            ? window.historyManager.captureSoundState(neuronId)
+            : null;
+        
         // Apply color to the neuron's material with animation
         if (preset.color) {
             // Store original color for animation
@@ -2716,6 +3445,14 @@ pane.addBinding(window.settings, 'volumeNormalization', {
             }
         };
         
+        // The voicing, mixer strip and modulation routes belong to the neuron, not the sound, so keep them
+        const previousOverrides = window.soundManager.neuronSoundOverrides.get(neuronId) || {};
+        [...VOICING_PARAMS, ...MIXER_PARAMS, ...MOD_PARAMS].forEach(param => {
+            if (previousOverrides[param] !== undefined) {
+                soundParams[param] = previousOverrides[param];
+            }
+        });
+        
         // Apply the sound parameters
         window.soundManager.neuronSoundOverrides.set(neuronId, soundParams);
         
@@ -2734,6 +3471,10 @@ pane.addBinding(window.settings, 'volumeNormalization', {
             window.refreshSoundControls();
         }
         
+        if (historyBefore) {
+            window.historyManager.recordSoundChange(historyBefore, `Apply preset "${preset.name}"`);
+        }
+        
         // Play a test sound if preview is enabled
         if (window.settings && window.settings.previewSounds && window.soundManager) {
             setTimeout(() => {
@@ -2767,11 +3508,35 @@ const inputManager = new InputManager(camera, renderer, connectionManager);
 
 // Make inputManager available globally for debugging
 window.inputManager = inputManager;
+window.connectionManager = connectionManager;
 
 // Initialize SoundManager here
 console.log("Initializing OptimizedSoundManager with oscillator bank for phase synchronization");
 window.soundManager = new OptimizedSoundManager(scene, camera, renderer);
 
+// Global key/scale lock - consulted whenever a neuron gets a note
+window.scaleManager = new ScaleManager(window.soundManager);
+window.scaleManager.onChange(manager => {
+    // Settings can change from a loaded patch as well as from the Key folder
+    window.settings.scaleRoot = manager.root;
+    window.settings.scaleType = manager.scaleKey;
+    window.settings.scaleCustom = manager.customIntervals.join(' ');
+    const presetKey = manager.tuning && Object.keys(tuningPresets).find(key => tuningPresets[key].scl === manager.tuning.scl);
+    const tuning = manager.tuning ? (presetKey || 'file') : 'tet12';
+    if (tuning !== window.settings.tuning || tuning === 'file') {
+        window.settings.tuning = tuning;
+        window.buildTuningBinding?.();
+    }
+    window.keyFolder?.refresh();
+    window.rebuildNoteButtons?.();
+});
+
+// Audio files neurons play instead of a synth voice
+window.sampleManager = new SampleManager();
+window.sampleManager.onChange(() => {
+    window.buildSampleBinding?.();
+});
+
 // Initialize the Worker Manager to decouple UI from audio processing
 console.log("Initializing WorkerManager for decoupled audio/simulation processing");
 window.workerManager = new WorkerManager(window.soundManager);
@@ -2781,6 +3546,63 @@ console.log("Initializing HarmonicSystem for proximity-based harmonic relationsh
 window.harmonicSystem = new HarmonicSystem(scene, window.soundManager);
 console.log("Harmonic system initialized!");
 
+// Deterministic simulation core - attached from the pane's Deterministic toggle
+window.simulationCore = new SimulationCore({
+    seed: window.settings.simulationSeed,
+    noise: window.settings.simulationNoise
+});
+
+// STDP learning for connection weights (off until enabled in the Plasticity folder)
+window.synapticPlasticity = new SynapticPlasticity(connectionManager);
+window.synapticPlasticity.configure({
+    enabled: window.settings.stdpEnabled,
+    learningRate: window.settings.stdpLearningRate,
+    aPlus: window.settings.stdpAPlus,
+    aMinus: window.settings.stdpAMinus,
+    tau: window.settings.stdpTau
+});
+
+// Initialize PatchManager for saving and loading whole networks
+window.patchManager = new PatchManager(scene, connectionManager, createNewNeuron);
+
+// Offline renders of the network to WAV (deterministic simulation, same voices and bus chain)
+window.offlineRenderer = new OfflineRenderer(window.patchManager);
+
+// Live takes of the master output (record/stop in the Recording folder)
+window.audioRecorder = new AudioRecorder(window.soundManager);
+uiManager.createRecordingControls(window.audioRecorder);
+
+// Web MIDI output - every spike can also (or only) send a note, see the MIDI folder
+window.midiManager = new MidiManager(window.soundManager);
+uiManager.createMidiControls(window.midiManager);
+if (window.buildMidiPortBinding) {
+    window.midiManager.onPortsChange(window.buildMidiPortBinding);
+    window.buildMidiPortBinding(window.midiManager.getOutputs());
+}
+
+// Spike trains to Standard MIDI Files, recorded live or bounced from the simulation core
+window.spikeRecorder = new SpikeRecorder(window.midiManager, window.patchManager);
+uiManager.createSpikeExportControls(window.spikeRecorder);
+
+// Global tempo - ticks from the Transport or incoming MIDI clock, see the Tempo folder
+window.tempoClock = new TempoClock(window.midiManager);
+window.tempoClock.setBPM(window.settings.tempoBPM);
+window.tempoClock.onTempoChange(bpm => {
+    window.settings.tempoBPM = bpm;
+    window.tempoFolder?.refresh();
+});
+
+// Autosave snapshots the network to localStorage once the network has been set up
+window.autosaveManager = new AutosaveManager(window.patchManager);
+
+// Share links encode the network in location.hash (works on the static build)
+window.shareLinkManager = new ShareLinkManager(window.patchManager);
+
+// Undo/redo for network edits (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, buttons on mobile)
+window.historyManager = new HistoryManager(window.patchManager, connectionManager);
+window.historyManager.bindKeyboardShortcuts();
+window.historyManager.onChange(state => inputManager.updateHistoryControls(state));
+
 // Initialize the waveform analyzer right after creating the sound manager
 setTimeout(() => {
     if (window.setupSpectrumAnalyzer) {
@@ -3112,6 +3934,11 @@ function createNewNeuron(position = null, dcInput = null) {
 
 // Animation loop - now called by SceneManager
 function animate(currentTime, deltaTime, fps) {
+    // Advance the deterministic core first so neurons render this frame's spikes
+    if (Neuron.simulationCore) {
+        Neuron.simulationCore.advance(deltaTime * 1000);
+    }
+    
     // Update connection manager
     connectionManager.updateAllConnections();
     
@@ -3132,6 +3959,12 @@ function animate(currentTime, deltaTime, fps) {
         }
     }
     
+    // Wavetable voices follow their neurons' charge
+    window.soundManager?.updateChargeFollowers();
+    
+    // The 3D audio listener follows the camera center
+    window.soundManager?.followCamera();
+    
     // Update particles using the optimized particle system
     if (window.particleSystem && typeof window.particleSystem.update === 'function') {
         window.particleSystem.update(deltaTime);
@@ -3194,6 +4027,43 @@ function animate(currentTime, deltaTime, fps) {
 }
 
 function setupInitialNetwork() {
+    const autosaveManager = window.autosaveManager;
+
+    // A shared link takes precedence over both the autosave and the default patch
+    if (window.shareLinkManager && window.shareLinkManager.hasLink()) {
+        window.shareLinkManager.loadFromHash()
+            .then(() => autosaveManager && autosaveManager.start())
+            .catch(error => {
+                console.error("Error loading shared network:", error);
+                uiManager.showNotification(`Could not open shared link: ${error.message}`);
+                buildDefaultNetwork();
+            });
+        return;
+    }
+
+    // Offer to restore the last autosaved session before building the default patch
+    if (autosaveManager && autosaveManager.hasSnapshot()) {
+        const latest = autosaveManager.getLatestSnapshot();
+        uiManager.showRestorePrompt(
+            latest.savedAt,
+            () => {
+                autosaveManager.restoreLatest()
+                    .then(() => autosaveManager.start())
+                    .catch(error => {
+                        console.error("Error restoring last session:", error);
+                        uiManager.showNotification('Could not restore last session');
+                        buildDefaultNetwork();
+                    });
+            },
+            () => buildDefaultNetwork()
+        );
+        return;
+    }
+
+    buildDefaultNetwork();
+}
+
+function buildDefaultNetwork() {
     // Helper function to find a preset by name
     const findPresetByName = (name) => {
         if (!window.defaultPresets) return null;
@@ -3315,6 +4185,11 @@ function setupInitialNetwork() {
                 // Reset lastSelectedPreset to avoid affecting future neuron creation
                 window.lastSelectedPreset = null;
                 
+                // Start snapshotting now that the network exists
+                if (window.autosaveManager) {
+                    window.autosaveManager.start();
+                }
+                
             }, 300);
             
         } catch (error) {
@@ -3394,6 +4269,7 @@ window.refreshSoundControls = function() {
                     window.settings.selectedPitchDecay = params.pitchDecay || 0.05;
                     window.settings.selectedDetune = params.detune || 0;
                     window.settings.selectedNeuronVolume = params.neuronVolume || 0;
+                    window.settings.selectedNeuronPan = params.neuronPan || 0;
                     window.settings.selectedNote = params.note || null;
                     window.settings.selectedOscillatorType = params.oscillator?.type || params.oscillatorType || "triangle";
                     window.settings.selectedUseSustainedTone = params.useSustainedTone ?? false;
@@ -3406,6 +4282,28 @@ window.refreshSoundControls = function() {
                     window.settings.selectedTremoloDepth = params.modulation?.tremoloDepth || params.tremoloDepth || 0;
                     window.settings.selectedVibratoFreq = params.modulation?.vibratoFreq || params.vibratoFreq || 5;
                     window.settings.selectedVibratoDepth = params.modulation?.vibratoDepth || params.vibratoDepth || 0;
+                    window.settings.selectedVoicing = params.voicing || 'single';
+                    window.settings.selectedChordType = params.chordType || 'triad';
+                    window.settings.selectedChordIntervals = (params.chordIntervals || [0, 4, 7]).join(' ');
+                    window.settings.selectedArpDirection = params.arpDirection || 'up';
+                    window.settings.selectedArpRate = params.arpRate || '16n';
+                    window.settings.selectedArpOctaves = params.arpOctaves || 1;
+                    window.settings.selectedSampleId = params.sampleId || '';
+                    window.settings.selectedSampleStart = params.sampleStart ?? 0;
+                    window.settings.selectedSampleEnd = params.sampleEnd ?? 1;
+                    window.settings.selectedSampleReverse = !!params.sampleReverse;
+                    window.settings.selectedSampleRoot = params.sampleRoot ?? 60;
+                    window.settings.selectedSampleVelocityCurve = params.sampleVelocityCurve || 'linear';
+                    Object.keys(ENGINE_DEFAULTS).forEach(param => {
+                        window.settings[`selected${param.charAt(0).toUpperCase() + param.slice(1)}`] = params[param] ?? ENGINE_DEFAULTS[param];
+                    });
+                    window.updateEngineControls?.();
+                    window.insertChainEditor?.setInserts(params.inserts);
+                    [1, 2].forEach(lfo => {
+                        window.settings[`selectedModLfo${lfo}Rate`] = params[`modLfo${lfo}Rate`] ?? MOD_DEFAULTS[`modLfo${lfo}Rate`];
+                        window.settings[`selectedModLfo${lfo}Shape`] = params[`modLfo${lfo}Shape`] || MOD_DEFAULTS[`modLfo${lfo}Shape`];
+                    });
+                    window.modMatrixEditor?.setRoutes(params.modRoutes);
                     
                     // Check if the parameters match any preset and highlight it if found
                     if (typeof findMatchingPreset === 'function') {
@@ -3462,10 +4360,14 @@ window.findMatchingPreset = function(params) {
         const decayMatch = Math.abs(preset.decay - (params.envelope?.decay || params.decay || 0)) < 0.01;
         const sustainMatch = Math.abs(preset.sustain - (params.envelope?.sustain || params.sustain || 0)) < 0.05;
         const releaseMatch = Math.abs(preset.release - (params.envelope?.release || params.release || 0)) < 0.05;
-        const oscTypeMatch = preset.oscillatorType === (params.oscillator?.type || params.oscillatorType);
+        // Engine presets have no oscillator type - the engine tells them apart
+        const engineMatch = (preset.engine || 'classic') === (params.engine || 'classic');
+        const oscTypeMatch = preset.engine || preset.oscillatorType === (params.oscillator?.type || params.oscillatorType);
+        const insertTypes = (inserts) => (inserts || []).map(slot => slot.type).join('>');
+        const insertsMatch = insertTypes(preset.inserts) === insertTypes(params.inserts);
         
         // If all core parameters match, we consider it a match
-        if (attackMatch && decayMatch && sustainMatch && releaseMatch && oscTypeMatch) {
+        if (attackMatch && decayMatch && sustainMatch && releaseMatch && engineMatch && oscTypeMatch && insertsMatch) {
 
             return preset;
         }
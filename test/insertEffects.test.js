@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createInsertSlot, normalizeInserts } from '../src/components/insertEffects.js';
+
+test('new slots start enabled with the effect defaults', () => {
+  assert.deepEqual(createInsertSlot('bitcrusher'), { type: 'bitcrusher', enabled: true, params: { bits: 6, wet: 1 } });
+});
+
+test('normalizing a saved chain drops unknown effects and keeps the order', () => {
+  const chain = normalizeInserts([
+    { type: 'bitcrusher', enabled: false, params: { bits: 4, wet: 0.5 } },
+    { type: 'reverse-reverb' },
+    null,
+    { type: 'distortion' }
+  ]);
+
+  assert.deepEqual(chain, [
+    { type: 'bitcrusher', enabled: false, params: { bits: 4, wet: 0.5 } },
+    { type: 'distortion', enabled: true, params: { drive: 0.4, wet: 1 } }
+  ]);
+  assert.deepEqual(normalizeInserts('distortion'), []);
+});
+
+test('normalizing clamps parameters and fills in missing ones', () => {
+  const [slot] = normalizeInserts([{ type: 'distortion', params: { drive: 3, wet: 'loud' } }]);
+  assert.deepEqual(slot.params, { drive: 1, wet: 1 });
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMidiFile } from '../src/components/utils/midiFileEncoder.js';
+
+const encode = async (tracks, options) => new Uint8Array(await encodeMidiFile(tracks, options).arrayBuffer());
+
+const readString = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+// Split a file into its chunks: [{ type, data }]
+const readChunks = bytes => {
+  const chunks = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const length = new DataView(bytes.buffer, offset + 4, 4).getUint32(0);
+    chunks.push({ type: readString(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 8 + length;
+  }
+  return chunks;
+};
+
+const readVarLength = (bytes, offset) => {
+  let value = 0;
+  let length = 0;
+  let byte;
+  do {
+    byte = bytes[offset + length++];
+    value = (value << 7) | (byte & 0x7F);
+  } while (byte & 0x80);
+  return { value, length };
+};
+
+// Events of a track chunk: [{ delta, data }] (only meta, note on and note off are written)
+const readEvents = data => {
+  const events = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const delta = readVarLength(data, offset);
+    offset += delta.length;
+    let length = 3;
+    if (data[offset] === 0xFF) {
+      const metaLength = readVarLength(data, offset + 2);
+      length = 2 + metaLength.length + metaLength.value;
+    }
+    events.push({ delta: delta.value, data: Array.from(data.subarray(offset, offset + length)) });
+    offset += length;
+  }
+  return events;
+};
+
+const tracks = [
+  { name: 'Neuron 1', channel: 2, notes: [{ time: 0, note: 60, velocity: 100, duration: 0.5 }, { time: 1, note: 64, velocity: 90, duration: 0.25 }] },
+  { name: 'Neuron 2', channel: 1, notes: [] }
+];
+
+test('writes a format 1 header with a tempo track and one track per voice', async () => {
+  const chunks = readChunks(await encode(tracks, { bpm: 120, ppq: 480 }));
+
+  assert.deepEqual(chunks.map(chunk => chunk.type), ['MThd', 'MTrk', 'MTrk', 'MTrk']);
+  assert.deepEqual(Array.from(chunks[0].data), [0, 1, 0, 3, 0x01, 0xE0]);
+
+  const tempo = readEvents(chunks[1].data);
+  assert.deepEqual(tempo[0].data, [0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20], '500000 microseconds per beat');
+  assert.deepEqual(tempo[1].data, [0xFF, 0x58, 0x04, 4, 2, 24, 8], '4/4');
+  assert.deepEqual(tempo.at(-1), { delta: 0, data: [0xFF, 0x2F, 0x00] });
+});
+
+test('converts note times to variable-length delta ticks', async () => {
+  const chunks = readChunks(await encode(tracks, { bpm: 120, ppq: 480 }));
+  const events = readEvents(chunks[2].data);
+
+  // 960 ticks a second: the first note ends at 480, the second starts at 960 and ends at 1200
+  assert.deepEqual(events, [
+    { delta: 0, data: [0xFF, 0x03, 8, ...Buffer.from('Neuron 1')] },
+    { delta: 0, data: [0x91, 60, 100] },
+    { delta: 480, data: [0x81, 60, 0] },
+    { delta: 480, data: [0x91, 64, 90] },
+    { delta: 240, data: [0x81, 64, 0] },
+    { delta: 0, data: [0xFF, 0x2F, 0x00] }
+  ]);
+
+  // 480 ticks take two bytes
+  assert.deepEqual(Array.from(chunks[2].data.subarray(16, 18)), [0x83, 0x60]);
+});
+
+test('puts a note-off before a retrigger on the same tick', async () => {
+  const chunks = readChunks(await encode([
+    { name: 'Retrigger', channel: 1, notes: [{ time: 0.5, note: 60, velocity: 80, duration: 0.5 }, { time: 0, note: 60, velocity: 80, duration: 0.5 }] }
+  ], { bpm: 60, ppq: 96 }));
+
+  const notes = readEvents(chunks[2].data).filter(event => event.data[0] !== 0xFF);
+  assert.deepEqual(notes.map(event => [event.delta, event.data[0]]), [[0, 0x90], [48, 0x80], [0, 0x90], [48, 0x80]]);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeModRoutes, applyModCurve, getLfoValue } from '../src/components/ModMatrix.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('normalizing saved routes drops unknown ends and clamps the amount', () => {
+  const routes = normalizeModRoutes([
+    { source: 'charge', destination: 'filterFrequency', amount: 2, curve: 'wobbly' },
+    { source: 'moonPhase', destination: 'filterFrequency', amount: 0.5 },
+    { source: 'lfo1', destination: 'volume', amount: 0.5 },
+    null,
+    { source: 'lfo2', destination: 'neuronPan', amount: 'lots', curve: 'stepped', enabled: false }
+  ]);
+
+  assert.deepEqual(routes, [
+    { source: 'charge', destination: 'filterFrequency', amount: 1, curve: 'linear', enabled: true },
+    { source: 'lfo2', destination: 'neuronPan', amount: 0, curve: 'stepped', enabled: false }
+  ]);
+  assert.deepEqual(normalizeModRoutes({ source: 'charge' }), []);
+});
+
+test('curves shape the magnitude and keep the sign', () => {
+  close(applyModCurve(0.5, 'exponential'), 0.25);
+  close(applyModCurve(-0.5, 'exponential'), -0.25);
+  close(applyModCurve(0.25, 'logarithmic'), 0.5);
+  close(applyModCurve(0.6, 'stepped'), 0.5);
+  close(applyModCurve(0.5, 'sCurve'), 0.5);
+  close(applyModCurve(-3, 'linear'), -1);
+  close(applyModCurve(0.3, 'unknown'), 0.3);
+});
+
+test('LFO shapes follow their phase', () => {
+  // 2 Hz: a quarter of a cycle is 0.125 seconds
+  close(getLfoValue('sine', 2, 0.125), 1);
+  close(getLfoValue('triangle', 2, 0), -1);
+  close(getLfoValue('triangle', 2, 0.25), 1);
+  assert.equal(getLfoValue('square', 2, 0.1), 1);
+  assert.equal(getLfoValue('square', 2, 0.4), -1);
+  close(getLfoValue('saw', 2, 0.375), 0.5);
+});
+
+test('the random LFO holds one value per cycle', () => {
+  const value = getLfoValue('random', 1, 3.1);
+  assert.equal(getLfoValue('random', 1, 3.9), value);
+  assert.notEqual(getLfoValue('random', 1, 4.1), value);
+  assert.ok(value >= -1 && value <= 1);
+});
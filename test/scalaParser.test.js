@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScl, parseKbm, parsePitch } from '../src/components/utils/scalaParser.js';
+import { ScaleManager } from '../src/components/ScaleManager.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+const JUST_MAJOR = `! just.scl
+!
+Just major scale
+ 7
+!
+ 9/8
+ 5/4
+ 4/3
+ 3/2
+ 5/3
+ 15/8
+ 2/1
+`;
+
+test('reads cents, ratios and whole numbers', () => {
+  close(parsePitch('701.955'), 701.955);
+  close(parsePitch(' 100.0 cents'), 100, 'text after the pitch is ignored');
+  close(parsePitch('3/2'), 1200 * Math.log2(1.5));
+  close(parsePitch('2'), 1200);
+  assert.throws(() => parsePitch('0/1'), /Invalid ratio/);
+});
+
+test('parses a scale, skipping comments', () => {
+  const scale = parseScl(JUST_MAJOR);
+
+  assert.equal(scale.description, 'Just major scale');
+  assert.equal(scale.cents.length, 7, 'the implicit 0 replaces the period');
+  assert.equal(scale.cents[0], 0);
+  close(scale.cents[4], 1200 * Math.log2(1.5));
+  close(scale.period, 1200);
+});
+
+test('rejects incomplete scales', () => {
+  assert.throws(() => parseScl('Short\n3\n100.0\n200.0'), /lists 2 of 3/);
+  assert.throws(() => parseScl('No count\nmany\n'), /note count/);
+  assert.throws(() => parseScl('Down\n1\n-100.0\n'), /above its starting note/);
+});
+
+test('parses a keyboard mapping with unmapped keys', () => {
+  const keyboard = parseKbm(`! white keys only
+5
+0
+127
+60
+69
+440.0
+7
+! mapping
+0
+x
+1
+x
+2
+`);
+
+  assert.deepEqual(keyboard, {
+    size: 5, firstNote: 0, lastNote: 127, middleNote: 60, referenceNote: 69,
+    referenceFrequency: 440, octaveDegree: 7, mapping: [0, null, 1, null, 2]
+  });
+  assert.throws(() => parseKbm('12\n0\n127\n'), /missing header/);
+});
+
+test('maps keys to pitches through the keyboard mapping', () => {
+  // A two-key pattern with its second key unmapped, a period (degree 7) per pattern; key 60 is 264 Hz
+  const keyboard = parseKbm('2\n60\n64\n60\n60\n264.0\n7\n0\nx\n');
+  const table = ScaleManager.buildTuningTable(parseScl(JUST_MAJOR), keyboard);
+
+  assert.deepEqual(table.map(pitch => pitch.key), [60, 62, 64]);
+  assert.deepEqual(table.map(pitch => pitch.degree), [0, 0, 0]);
+  assert.deepEqual(table.map(pitch => pitch.period), [0, 1, 2]);
+  table.forEach((pitch, index) => close(pitch.frequency, 264 * Math.pow(2, index)));
+});
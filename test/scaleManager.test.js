@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ScaleManager } from '../src/components/ScaleManager.js';
+
+const noteFrequency = ScaleManager.noteToFrequency;
+
+const keyOf = (options) => {
+  const scaleManager = new ScaleManager(null);
+  scaleManager.applyKey(options);
+  return scaleManager;
+};
+
+test('leaves notes alone while the key is chromatic', () => {
+  const scaleManager = new ScaleManager(null);
+  assert.equal(scaleManager.isLocked, false);
+  assert.equal(scaleManager.snapFrequency(450), 450);
+});
+
+test('snaps notes to the nearest note of the scale, ties going down', () => {
+  const cMajor = keyOf({ root: 0, scale: 'major' });
+  assert.equal(cMajor.snapNote(60), 60);
+  assert.equal(cMajor.snapNote(61), 60, 'C# is between C and D');
+  assert.equal(cMajor.snapNote(61.6), 62, 'closer to D');
+  assert.equal(cMajor.snapNote(66), 65, 'F# is between F and G');
+  assert.equal(cMajor.snapFrequency(noteFrequency(70)), noteFrequency(69));
+});
+
+test('follows the root', () => {
+  const dMinor = keyOf({ root: 2, scale: 'minor' });
+  assert.deepEqual([62, 64, 65, 67, 69, 70, 72].map(note => dMinor.containsNote(note)), Array(7).fill(true));
+  assert.equal(dMinor.containsNote(66), false);
+  assert.equal(dMinor.snapNote(66), 65);
+});
+
+test('cleans up custom intervals', () => {
+  const custom = keyOf({ scale: 'custom', customIntervals: [7, 3, 15, -5, 0] });
+  assert.deepEqual(custom.getIntervals(), [0, 3, 7]);
+});
+
+test('a new root transposes the network by the shortest interval', () => {
+  const notes = new Map([[1, noteFrequency(60)], [2, noteFrequency(64)]]);
+  const soundManager = {
+    neuronFrequencies: notes,
+    getNeuronSoundParameters: neuronId => ({ note: notes.get(neuronId) }),
+    setNeuronNote: (neuronId, frequency) => notes.set(neuronId, frequency)
+  };
+  const scaleManager = new ScaleManager(soundManager);
+  scaleManager.applyKey({ scale: 'major' });
+
+  // C to A is down a minor third rather than up a major sixth
+  scaleManager.setKey({ root: 9 });
+  assert.deepEqual(Array.from(notes.values(), ScaleManager.frequencyToNote).map(Math.round), [57, 61]);
+});
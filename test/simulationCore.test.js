@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationCore, simulatePatch } from '../src/components/core/SimulationCore.js';
+
+// A small ring with one DC-driven neuron, one inhibitory synapse and input noise,
+// so the RNG decides part of the spike train
+const patch = {
+  neurons: [
+    { dcInput: 0.6, position: { x: 0, z: 0 } },
+    { dcInput: 0, position: { x: 2, z: 0 } },
+    { dcInput: 0.2, position: { x: 0, z: 2 } },
+    { dcInput: 0, position: { x: 2, z: 2 } }
+  ],
+  connections: [
+    { source: 0, target: 1, weight: 0.9, speed: 0.5 },
+    { source: 1, target: 2, weight: 0.8, speed: 0.7 },
+    { source: 2, target: 3, weight: 0.9, speed: 0.3 },
+    { source: 3, target: 0, weight: -0.6, speed: 0.5 }
+  ]
+};
+
+const spikeTrain = (seed, noise = 0.3) => {
+  const core = new SimulationCore({ seed, noise });
+  core.loadPatch(patch);
+  return core.run(5000).map(spike => [spike.neuronId, spike.time]);
+};
+
+test('the same seed gives the same spike train', () => {
+  const first = spikeTrain(42);
+  assert.ok(first.length > 0, 'the patch should spike');
+  assert.deepEqual(spikeTrain(42), first);
+});
+
+test('a different seed changes the spike train when noise is on', () => {
+  assert.notDeepEqual(spikeTrain(7), spikeTrain(42));
+});
+
+test('without noise the seed has no effect', () => {
+  assert.deepEqual(spikeTrain(7, 0), spikeTrain(42, 0));
+});
+
+test('simulatePatch uses the noise saved with the patch', () => {
+  const train = (settings, seed) => simulatePatch({ ...patch, settings }, 5000, seed).map(spike => [spike.neuronId, spike.time]);
+
+  assert.notDeepEqual(train({ simulationNoise: 0.3 }, 7), train({ simulationNoise: 0.3 }, 42));
+  assert.deepEqual(train({}, 7), train({}, 42));
+  assert.deepEqual(train({ simulationNoise: 0.3 }, 7), spikeTrain(7));
+});
@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ScaleManager } from '../src/components/ScaleManager.js';
+
+// The sound manager module registers browser globals when it loads
+globalThis.window = globalThis.window || {};
+const { OptimizedSoundManager } = await import('../src/components/OptimizedSoundManager.js');
+
+const noteFrequency = ScaleManager.noteToFrequency;
+const toNotes = frequencies => frequencies.map(frequency => Math.round(ScaleManager.frequencyToNote(frequency) * 100) / 100);
+
+// A sound manager without audio: chord tones snap into a key through a ScaleManager
+const soundManagerIn = (key) => {
+  const scaleManager = new ScaleManager(null);
+  scaleManager.applyKey(key);
+  const soundManager = Object.create(OptimizedSoundManager.prototype);
+  soundManager.snapToScale = frequency => scaleManager.snapFrequency(frequency);
+  soundManager.getClosestFrequency = frequency => frequency;
+  return soundManager;
+};
+
+test('builds chords from their intervals above the root', () => {
+  const soundManager = soundManagerIn({ scale: 'chromatic' });
+  const chord = type => toNotes(soundManager.getChordFrequencies(noteFrequency(60), { chordType: type }));
+
+  assert.deepEqual(chord('triad'), [60, 64, 67]);
+  assert.deepEqual(chord('seventh'), [60, 64, 67, 70]);
+  assert.deepEqual(chord('sus2'), [60, 62, 67]);
+  assert.deepEqual(chord('sus4'), [60, 65, 67]);
+  assert.deepEqual(chord('unknown'), [60, 64, 67], 'unknown types play a triad');
+});
+
+test('custom chords use the neuron intervals, sorted', () => {
+  const soundManager = soundManagerIn({ scale: 'chromatic' });
+  const chord = intervals => toNotes(soundManager.getChordFrequencies(noteFrequency(60), { chordType: 'custom', chordIntervals: intervals }));
+
+  assert.deepEqual(chord([0, 12, 3]), [60, 63, 72]);
+  assert.deepEqual(chord([]), [60, 64, 67], 'no intervals plays a triad');
+});
+
+test('keeps chord tones in the key and drops the ones snapping folds together', () => {
+  const aMinor = soundManagerIn({ root: 9, scale: 'minor' });
+  assert.deepEqual(toNotes(aMinor.getChordFrequencies(noteFrequency(57), { chordType: 'triad' })), [57, 60, 64]);
+
+  // In C pentatonic the minor second (C#) snaps down onto the root
+  const pentatonic = soundManagerIn({ root: 0, scale: 'pentatonic' });
+  assert.deepEqual(toNotes(pentatonic.getChordFrequencies(noteFrequency(60), { chordType: 'custom', chordIntervals: [0, 1, 4] })), [60, 64]);
+});
+
+test('a single note voicing plays the note as it is', () => {
+  const soundManager = soundManagerIn({ scale: 'chromatic' });
+  assert.deepEqual(soundManager.getVoicingNotes(440, 0.5, {}), [{ frequency: 440, offset: 0, duration: 0.5, velocity: 1 }]);
+});
+
+test('a chord voicing spreads the velocity over its notes', () => {
+  const soundManager = soundManagerIn({ scale: 'chromatic' });
+  const notes = soundManager.getVoicingNotes(noteFrequency(60), 0.4, { voicing: 'chord', chordType: 'seventh' });
+
+  assert.deepEqual(toNotes(notes.map(note => note.frequency)), [60, 64, 67, 70]);
+  notes.forEach(note => {
+    assert.equal(note.offset, 0);
+    assert.equal(note.duration, 0.4);
+    assert.equal(note.velocity, 0.5);
+  });
+});
+
+test('wavetable voices follow their neuron charge once per update', () => {
+  const soundManager = Object.create(OptimizedSoundManager.prototype);
+  const positions = [];
+  const neuron = { currentCharge: 0.5, threshold: 1 };
+  soundManager.chargeFollowers = new Set([{
+    voice: { setPosition: position => positions.push(position) },
+    neuron,
+    params: { wavetablePosition: 0.2, wavetableChargeMod: 0.4 },
+    lastCharge: null
+  }]);
+
+  soundManager.updateChargeFollowers();
+  soundManager.updateChargeFollowers();
+  neuron.currentCharge = 2; // Past the threshold counts as full charge
+  soundManager.updateChargeFollowers();
+
+  assert.deepEqual(positions.map(position => Math.round(position * 1000) / 1000), [0.4, 0.6]);
+});
+
+// Stands in for a monophonic bus synth: its voice copies are built from its constructor
+class TestSynth {
+  constructor(options = {}) {
+    this.options = options;
+    this.volume = { value: -6 };
+    this.envelope = { release: 0.5 };
+    this.notes = [];
+    this.disposed = false;
+  }
+
+  get() { return { ...this.options }; }
+  set(options) { Object.assign(this.options, options); }
+  connect() { return this; }
+  triggerAttackRelease(frequency, duration, time) { this.notes.push(time); }
+  triggerRelease() {}
+  dispose() { this.disposed = true; }
+}
+
+test('insert chains reuse their synth voices once the notes have ended', () => {
+  const soundManager = Object.create(OptimizedSoundManager.prototype);
+  soundManager.oneShotVoices = [];
+  soundManager.maxOneShotVoices = 24;
+  soundManager.maxChainVoices = 2;
+  const chain = { input: {}, voices: [] };
+  const synth = new TestSynth({ oscillator: 'saw' });
+
+  // Two overlapping notes need two voices; the third starts after the first has ended
+  soundManager.playSynthVoice(synth, chain, 220, 1, 0, 1);
+  soundManager.playSynthVoice(synth, chain, 330, 1, 0.5, 1);
+  soundManager.playSynthVoice(synth, chain, 440, 1, 2, 1);
+
+  assert.equal(chain.voices.length, 2);
+  assert.deepEqual(chain.voices.map(entry => entry.voice.notes), [[0, 2], [0.5]]);
+  assert.equal(chain.voices[0].endTime, 3.5);
+  assert.deepEqual(chain.voices[0].voice.options, { oscillator: 'saw' });
+});
+
+test('a full chain cuts the voice that ends first', () => {
+  const soundManager = Object.create(OptimizedSoundManager.prototype);
+  soundManager.oneShotVoices = [];
+  soundManager.maxOneShotVoices = 24;
+  soundManager.maxChainVoices = 2;
+  const chain = { input: {}, voices: [] };
+  const synth = new TestSynth();
+  const otherSynth = new TestSynth();
+
+  soundManager.playSynthVoice(synth, chain, 220, 1, 0, 1);
+  soundManager.playSynthVoice(synth, chain, 330, 2, 0, 1);
+  const first = chain.voices[0].voice;
+
+  // Another bus synth can't reuse the cut voice, so it gets a new copy in its place
+  soundManager.playSynthVoice(otherSynth, chain, 440, 1, 0.5, 1);
+
+  assert.equal(first.disposed, true);
+  assert.equal(chain.voices.length, 2);
+  assert.deepEqual(chain.voices.map(entry => entry.synth), [synth, otherSynth]);
+});
+
+// A bus mixer strip without audio: ramps land at once
+const testChannel = () => ({
+  volume: { value: 0, rampTo(value) { this.value = value; } },
+  pan: { value: 0, rampTo(value) { this.value = value; } },
+  mute: false
+});
+
+const mixerSoundManager = () => {
+  const soundManager = Object.create(OptimizedSoundManager.prototype);
+  soundManager.buses = { a: { id: 'a', channel: testChannel() }, b: { id: 'b', channel: testChannel() } };
+  soundManager.soloBuses = new Set();
+  soundManager.mutedNeurons = new Set();
+  soundManager.neuronSoundOverrides = new Map();
+  soundManager.neuronBusAssignments = new Map();
+  soundManager.silenceNeuron = (neuronId) => soundManager.mutedNeurons.add(neuronId);
+  return soundManager;
+};
+
+test('mixer state round-trips through getMixerState and setMixerState', () => {
+  const soundManager = mixerSoundManager();
+  soundManager.setBusMix('a', 'volume', -12);
+  soundManager.setBusMix('a', 'pan', 0.5);
+  soundManager.setBusMix('b', 'mute', true);
+  soundManager.setBusMix('b', 'solo', true);
+  const state = soundManager.getMixerState();
+
+  const restored = mixerSoundManager();
+  restored.setMixerState(JSON.parse(JSON.stringify(state)));
+
+  assert.deepEqual(restored.getMixerState(), {
+    buses: {
+      a: { volume: -12, pan: 0.5, mute: false, solo: false },
+      b: { volume: 0, pan: 0, mute: true, solo: true }
+    }
+  });
+});
+
+test('buses the mixer state leaves out are reset', () => {
+  const soundManager = mixerSoundManager();
+  soundManager.setBusMix('a', 'volume', -6);
+  soundManager.setBusMix('b', 'solo', true);
+
+  soundManager.setMixerState({ buses: { b: { volume: -3 } } });
+
+  assert.deepEqual(soundManager.getMixerState().buses, {
+    a: { volume: 0, pan: 0, mute: false, solo: false },
+    b: { volume: -3, pan: 0, mute: false, solo: false }
+  });
+});
+
+test('a soloed neuron silences the others until it is released', () => {
+  const soundManager = mixerSoundManager();
+  soundManager.neuronBusAssignments.set(1, 'a').set(2, 'a').set(3, 'b');
+
+  soundManager.setNeuronMix(1, 'neuronSolo', true);
+  assert.deepEqual([1, 2, 3].map(neuronId => soundManager.isNeuronAudible(neuronId, soundManager.neuronBusAssignments.get(neuronId))), [true, false, false]);
+  assert.deepEqual(Array.from(soundManager.mutedNeurons), [2, 3]);
+
+  // A soloed bus lets its neurons through as well
+  soundManager.setBusMix('b', 'solo', true);
+  assert.equal(soundManager.isNeuronAudible(3, 'b'), true);
+
+  soundManager.setNeuronMix(1, 'neuronSolo', false);
+  soundManager.setBusMix('b', 'solo', false);
+  assert.equal(soundManager.anyNeuronSoloed, false);
+  assert.equal(soundManager.mutedNeurons.size, 0);
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WAVETABLES, morphWavetable } from '../src/components/synthEngines.js';
+
+const { frames } = WAVETABLES.digital;
+
+test('the ends of a wavetable are its first and last frames', () => {
+  assert.deepEqual(morphWavetable('digital', 0), frames[0]);
+  assert.deepEqual(morphWavetable('digital', 1), frames[frames.length - 1]);
+});
+
+test('positions between frames crossfade their harmonics', () => {
+  // Five frames, so 0.125 is halfway between the first two
+  const morphed = morphWavetable('digital', 0.125);
+  morphed.forEach((amplitude, partial) => {
+    assert.ok(Math.abs(amplitude - (frames[0][partial] + frames[1][partial]) / 2) < 1e-12);
+  });
+});
+
+test('clamps the position and falls back to the analog table', () => {
+  assert.deepEqual(morphWavetable('digital', -1), frames[0]);
+  assert.deepEqual(morphWavetable('digital', 2), frames[frames.length - 1]);
+  assert.deepEqual(morphWavetable('missing', 0.3), morphWavetable('analog', 0.3));
+});
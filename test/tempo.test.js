@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeTicks } from '../src/components/core/tempo.js';
+
+// Transport ticks: 192 to the quarter, so a 16th step is 48
+const STEP = 48;
+
+test('moves a note onto the next grid step', () => {
+  assert.equal(quantizeTicks(1, STEP), 48);
+  assert.equal(quantizeTicks(47, STEP), 48);
+  assert.equal(quantizeTicks(97, STEP), 144);
+});
+
+test('leaves a note that is already on the grid in place', () => {
+  assert.equal(quantizeTicks(0, STEP), 0);
+  assert.equal(quantizeTicks(96, STEP), 96);
+  assert.equal(quantizeTicks(96 + 1e-9, STEP), 96 + 1e-9, 'rounding error is not pushed a step late');
+});
+
+test('swing delays only the off-beat steps', () => {
+  assert.equal(quantizeTicks(10, STEP, 0.5), 48 + 8);
+  assert.equal(quantizeTicks(60, STEP, 0.5), 96);
+  assert.equal(quantizeTicks(130, STEP, 0.5), 144 + 8);
+});
+
+test('full swing lands the off-beat on the triplet', () => {
+  assert.equal(quantizeTicks(1, STEP, 1), 64);
+  assert.equal(quantizeTicks(1, STEP, 0), 48);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWAV } from '../src/components/utils/wavEncoder.js';
+
+// Just enough of an AudioBuffer for the encoder
+const audioBuffer = (channels, sampleRate = 44100) => ({
+  numberOfChannels: channels.length,
+  sampleRate,
+  length: channels[0].length,
+  getChannelData: channel => Float32Array.from(channels[channel])
+});
+
+const encode = async (buffer, options) => new DataView(await encodeWAV(buffer, options).arrayBuffer());
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+test('writes the RIFF, fmt and data headers', async () => {
+  const view = await encode(audioBuffer([[0, 0, 0], [0, 0, 0]], 48000), { bitDepth: 24 });
+  const dataSize = 3 * 2 * 3;
+
+  assert.equal(view.byteLength, 44 + dataSize);
+  assert.equal(readString(view, 0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), 36 + dataSize);
+  assert.equal(readString(view, 8, 4), 'WAVE');
+  assert.equal(readString(view, 12, 4), 'fmt ');
+  assert.equal(view.getUint32(16, true), 16);
+  assert.equal(view.getUint16(20, true), 1, 'PCM');
+  assert.equal(view.getUint16(22, true), 2, 'channels');
+  assert.equal(view.getUint32(24, true), 48000, 'sample rate');
+  assert.equal(view.getUint32(28, true), 48000 * 6, 'byte rate');
+  assert.equal(view.getUint16(32, true), 6, 'block align');
+  assert.equal(view.getUint16(34, true), 24, 'bit depth');
+  assert.equal(readString(view, 36, 4), 'data');
+  assert.equal(view.getUint32(40, true), dataSize);
+});
+
+test('packs 16-bit samples interleaved and clipped', async () => {
+  const view = await encode(audioBuffer([[1, -1], [0.5, 2]]), { bitDepth: 16 });
+
+  assert.deepEqual(
+    [0, 1, 2, 3].map(index => view.getInt16(44 + index * 2, true)),
+    [32767, 16384, -32767, 32767]
+  );
+});
+
+test('packs 24-bit samples as three little-endian bytes', async () => {
+  const view = await encode(audioBuffer([[1, -1, 0.25]]), { bitDepth: 24 });
+  const readInt24 = offset =>
+    (view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16));
+
+  assert.deepEqual([44, 47, 50].map(readInt24), [8388607, -8388607, 2097152]);
+});
+
+test('unwraps a ToneAudioBuffer and rejects other bit depths', async () => {
+  const buffer = audioBuffer([[0.5]]);
+  const view = await encode({ get: () => buffer });
+  assert.equal(view.getUint16(34, true), 16, 'defaults to 16-bit');
+  assert.equal(view.getInt16(44, true), 16384);
+
+  assert.throws(() => encodeWAV(buffer, { bitDepth: 32 }), /bit depth/);
+});
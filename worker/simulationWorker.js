@@ -1,5 +1,7 @@
 // simulationWorker.js
-// Worker script for neuron simulation calculations
+// Worker script for neuron simulation calculations (module worker)
+
+import { resolveNeuronModel, advanceModel, DEFAULT_NEURON_MODEL } from '../src/components/core/neuronModels.js';
 
 // Simulation state
 const neurons = new Map();
@@ -9,6 +11,7 @@ let lastUpdateTime = 0;
 let isRunning = true;
 let updateInterval = null;
 let simulationRate = 16; // milliseconds between updates (60fps)
+const pendingSignals = []; // Signals travelling along connections
 
 // Neuron parameters
 const NEURON_DEFAULTS = {
@@ -16,10 +19,13 @@ const NEURON_DEFAULTS = {
   restingPotential: 0,
   refractoryPeriod: 50,
   decayRate: 0.01,
+  chargeFloor: -0.5, // Lowest potential inhibition can reach, as a fraction of the threshold
   baseScale: 0.2,
   maxScale: 0.5
 };
 
+let chargeFloor = NEURON_DEFAULTS.chargeFloor;
+
 // Initialize worker
 self.onmessage = function(e) {
   const message = e.data;
@@ -64,11 +70,16 @@ self.onmessage = function(e) {
     case 'externalInput':
       if (neurons.has(message.neuronId)) {
         const neuron = neurons.get(message.neuronId);
-        neuron.currentPotential += message.value;
+        applyCharge(neuron, message.value);
         checkFiring(neuron);
       }
       break;
       
+    case 'setChargeFloor':
+      chargeFloor = Math.max(-1, Math.min(0, message.value));
+      neurons.forEach(neuron => applyCharge(neuron, 0));
+      break;
+      
     case 'pause':
       isRunning = false;
       if (updateInterval) {
@@ -140,43 +151,44 @@ function updateSimulation(deltaTime) {
   
   // Update all neurons
   neurons.forEach(neuron => {
-    // Skip neurons in refractory period
+    // Skip neurons in refractory period (only LIF neurons use one)
     if (neuron.inRefractoryPeriod) {
       if (simulationTime >= neuron.refractoryEndTime) {
         neuron.inRefractoryPeriod = false;
-        neuron.currentPotential = neuron.restingPotential;
+        resetPotential(neuron);
       } else {
         return;
       }
     }
     
-    // Handle DC input
-    if (neuron.dcInput > 0) {
-      if (neuron.type === 'oscillator') {
-        // Oscillator mode - fire at regular intervals based on frequency
-        const period = 1000 / (neuron.oscillatorFrequency * neuron.dcInput);
-        if (simulationTime - neuron.lastOscillatorFire >= period) {
-          neuron.lastOscillatorFire = simulationTime;
-          
-          // Create firing event
-          const event = createFiringEvent(neuron);
-          if (event) {
-            firingEvents.push(event);
-          }
+    // Oscillator mode - fire at regular intervals based on frequency
+    const isOscillator = neuron.type === 'oscillator';
+    if (isOscillator && neuron.dcInput > 0) {
+      const period = 1000 / (neuron.oscillatorFrequency * neuron.dcInput);
+      if (simulationTime - neuron.lastOscillatorFire >= period) {
+        neuron.lastOscillatorFire = simulationTime;
+        
+        // Create firing event
+        const event = createFiringEvent(neuron);
+        if (event) {
+          firingEvents.push(event);
         }
-      } else {
-        // Regular neuron with DC input
-        // Reduced for more subtle control at low DC values
-        neuron.currentPotential += neuron.dcInput * (deltaTime * 0.025);
-        checkFiring(neuron, firingEvents);
+        return;
       }
     }
     
-    // Decay current potential
-    neuron.currentPotential = neuron.currentPotential + 
-      (neuron.restingPotential - neuron.currentPotential) * neuron.decayRate * (deltaTime * 0.05);
+    // Integrate the neuron model - oscillators are clocked by DC, so they only integrate synaptic input
+    const { model, params } = getNeuronModel(neuron);
+    const current = isOscillator ? 0 : model.dcToCurrent(neuron.dcInput, params);
+    const spikes = advanceModel(model, neuron.modelState, deltaTime, current, params);
+    syncPotential(neuron, model, params);
     
-    checkFiring(neuron, firingEvents);
+    if (spikes > 0) {
+      const event = createFiringEvent(neuron, true);
+      if (event) {
+        firingEvents.push(event);
+      }
+    }
   });
   
   // Process delayed signals
@@ -201,9 +213,41 @@ function updateSimulation(deltaTime) {
   }
 }
 
+// Resolve a neuron's model; LIF parameters come from the neuron's own threshold and leak
+function getNeuronModel(neuron) {
+  const { model, params } = resolveNeuronModel(neuron.modelKey);
+  if (model.id !== DEFAULT_NEURON_MODEL) return { model, params };
+  
+  return {
+    model,
+    params: {
+      threshold: neuron.threshold,
+      restingPotential: neuron.restingPotential,
+      // decayRate is the fraction of the gap to rest lost per 20ms
+      leakTimeConstant: neuron.decayRate > 0 ? 1 / (neuron.decayRate * 0.05) : 0,
+      chargeFloor,
+      dcGain: 0.025 // Reduced for more subtle control at low DC values
+    }
+  };
+}
+
+// Mirror the model state into currentPotential, which the main thread reads
+function syncPotential(neuron, model, params) {
+  neuron.currentPotential = neuron.restingPotential +
+    model.getCharge(neuron.modelState, params) * (neuron.threshold - neuron.restingPotential);
+}
+
+// Return a neuron to rest
+function resetPotential(neuron) {
+  const { model, params } = getNeuronModel(neuron);
+  model.reset(neuron.modelState, params);
+  syncPotential(neuron, model, params);
+}
+
 // Check if a neuron should fire
 function checkFiring(neuron, firingEvents = []) {
-  if (neuron.currentPotential >= neuron.threshold && !neuron.inRefractoryPeriod) {
+  const { model, params } = getNeuronModel(neuron);
+  if (model.isSpiking(neuron.modelState, params) && !neuron.inRefractoryPeriod) {
     const event = createFiringEvent(neuron);
     if (event && firingEvents) {
       firingEvents.push(event);
@@ -212,13 +256,20 @@ function checkFiring(neuron, firingEvents = []) {
 }
 
 // Create a firing event for a neuron
-function createFiringEvent(neuron) {
+// fromModel: the model already spiked and reset itself
+function createFiringEvent(neuron, fromModel = false) {
   if (neuron.inRefractoryPeriod) return null;
   
-  // Reset potential and enter refractory period
-  neuron.currentPotential = neuron.restingPotential;
-  neuron.inRefractoryPeriod = true;
-  neuron.refractoryEndTime = simulationTime + neuron.refractoryPeriod;
+  // Reset potential, unless the model already did when it spiked
+  if (!fromModel) {
+    resetPotential(neuron);
+  }
+  
+  // LIF neurons enter a refractory period; the other models have refractoriness built in
+  if (getNeuronModel(neuron).model.id === DEFAULT_NEURON_MODEL) {
+    neuron.inRefractoryPeriod = true;
+    neuron.refractoryEndTime = simulationTime + neuron.refractoryPeriod;
+  }
   
   // Get outgoing connections
   const outgoing = [];
@@ -234,6 +285,16 @@ function createFiringEvent(neuron) {
     }
   });
   
+  // Send a signal down every outgoing connection, using the same delay as the main thread
+  outgoing.forEach(conn => {
+    const delay = conn.speed >= 0.99 ? 0 : Math.max(50, (1 - conn.speed) * 500);
+    pendingSignals.push({
+      targetId: conn.targetId,
+      weight: conn.weight,
+      arrivalTime: simulationTime + delay
+    });
+  });
+  
   return {
     neuronId: neuron.id,
     timestamp: simulationTime,
@@ -242,10 +303,33 @@ function createFiringEvent(neuron) {
   };
 }
 
+// Add (or, for inhibitory input, subtract) potential, never going below the floor
+function applyCharge(neuron, amount) {
+  const { model, params } = getNeuronModel(neuron);
+  model.inject(neuron.modelState, amount / (neuron.threshold - neuron.restingPotential), params);
+  syncPotential(neuron, model, params);
+}
+
 // Process signals that are propagating along connections with delay
 function processDelayedSignals(firingEvents) {
-  // This would handle delayed signal propagation
-  // For simplicity, we're assuming signals arrive immediately in this implementation
+  // Deliver signals that have arrived - firings they cause are queued by createFiringEvent
+  for (let i = pendingSignals.length - 1; i >= 0; i--) {
+    const signal = pendingSignals[i];
+    if (signal.arrivalTime > simulationTime) continue;
+    
+    pendingSignals.splice(i, 1);
+    
+    const target = neurons.get(signal.targetId);
+    if (!target || target.inRefractoryPeriod) continue;
+    
+    // Same scaling as NeuronEngine._deliverSignal, relative to the threshold: quadratic for
+    // LIF neurons, the plain weight as a kick for other models; negative weights are inhibitory
+    const scaledWeight = target.modelKey === DEFAULT_NEURON_MODEL
+      ? Math.sign(signal.weight) * signal.weight * signal.weight * 1.5
+      : signal.weight;
+    applyCharge(target, scaledWeight * target.threshold);
+    checkFiring(target, firingEvents);
+  }
 }
 
 // Add a neuron to the simulation
@@ -257,7 +341,9 @@ function addNeuron(neuronData) {
     restingPotential: neuronData.restingPotential || NEURON_DEFAULTS.restingPotential,
     currentPotential: neuronData.currentPotential || NEURON_DEFAULTS.restingPotential,
     refractoryPeriod: neuronData.refractoryPeriod || NEURON_DEFAULTS.refractoryPeriod,
-    decayRate: neuronData.decayRate || NEURON_DEFAULTS.decayRate,
+    decayRate: neuronData.decayRate ?? NEURON_DEFAULTS.decayRate, // 0 = no leak
+    modelKey: resolveNeuronModel(neuronData.modelKey).key,
+    modelState: null,
     inRefractoryPeriod: neuronData.inRefractoryPeriod || false,
     refractoryEndTime: neuronData.refractoryEndTime || 0,
     dcInput: neuronData.dcInput || 0,
@@ -269,6 +355,12 @@ function addNeuron(neuronData) {
     lastOscillatorFire: 0
   };
   
+  const { model, params } = getNeuronModel(neuron);
+  neuron.modelState = model.createState(params);
+  if (neuron.currentPotential !== neuron.restingPotential) {
+    applyCharge(neuron, neuron.currentPotential - neuron.restingPotential);
+  }
+  
   neurons.set(neuron.id, neuron);
   
   self.postMessage({
@@ -283,10 +375,21 @@ function updateNeuron(neuronId, properties) {
   
   const neuron = neurons.get(neuronId);
   
+  const previousModel = neuron.modelKey;
+  
   // Update any properties that were provided
   Object.keys(properties).forEach(key => {
     neuron[key] = properties[key];
   });
+  
+  // A new model starts from its own resting state
+  if ('modelKey' in properties && properties.modelKey !== previousModel) {
+    neuron.modelKey = resolveNeuronModel(properties.modelKey).key;
+    const { model, params } = getNeuronModel(neuron);
+    neuron.modelState = model.createState(params);
+    neuron.inRefractoryPeriod = false;
+    syncPotential(neuron, model, params);
+  }
 }
 
 // Remove a neuron